@@ -2,12 +2,20 @@
 const express = require("express");
 const cors = require("cors");
 require("dotenv").config();
+const mongoose = require("mongoose");
+const auditPlugin = require("./modules/audit/audit.plugin");
+const requestContextMiddleware = require("./middlewares/requestContext.middleware");
+const { notFoundHandler, errorHandler } = require("./middlewares/error.middleware");
+
+// Record an audit trail for every farm-scoped model (must run before models are compiled)
+mongoose.plugin(auditPlugin);
 
 const app = express();
 
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(requestContextMiddleware);
 
 // Import routes
 const routes = require("./routes");
@@ -24,4 +32,8 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Error handling (must be registered after all routes)
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,37 @@
+const scheduler = require("../utils/scheduler");
+const feedScheduleService = require("../modules/animals/operations/feeds/feedSchedule.service");
+const feedStockService = require("../modules/animals/operations/feeds/feedStock.service");
+const notificationReminderService = require("../modules/notifications/notificationReminder.service");
+
+// Register recurring background jobs.
+// Set ENABLE_SCHEDULER=false on all but one instance when running several servers.
+const startJobs = () => {
+  if (process.env.ENABLE_SCHEDULER === "false") {
+    console.log("Background jobs disabled");
+    return;
+  }
+
+  // Create pending feed records from feed schedules (also on start so a restart never skips a day)
+  scheduler.daily(
+    "feed-generation",
+    process.env.FEED_GENERATION_TIME || "00:05",
+    () => feedScheduleService.generateDueFeeds(),
+    { runOnStart: true }
+  );
+
+  // Write off feed stock left in expired batches
+  scheduler.daily(
+    "feed-expiry-write-off",
+    process.env.FEED_EXPIRY_WRITE_OFF_TIME || "00:15",
+    () => feedStockService.writeOffExpiredBatches()
+  );
+
+  // Send vaccination, pregnancy and feed reminders to farm users
+  scheduler.daily(
+    "notification-reminders",
+    process.env.NOTIFICATION_REMINDER_TIME || "07:00",
+    () => notificationReminderService.sendDailyReminders()
+  );
+};
+
+module.exports = startJobs;
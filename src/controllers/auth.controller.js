@@ -1,20 +1,18 @@
 // src/controllers/auth.controller.js
 const authService = require('../service/auth.service');
 
-const register = async (req, res) => {
+// Device details stored with each refresh token
+const getSessionInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip,
+});
+
+const register = async (req, res, next) => {
   try {
     const { name, email, password } = req.body;
 
-    // Validate input
-    if (!name || !email || !password) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Name, email, and password are required'
-      });
-    }
-
     // Register user
-    const result = await authService.register({ name, email, password });
+    const result = await authService.register({ name, email, password }, getSessionInfo(req));
 
     res.status(201).json({
       status: 'success',
@@ -22,36 +20,16 @@ const register = async (req, res) => {
       data: result
     });
   } catch (error) {
-    console.error('Registration error:', error);
-    
-    if (error.message === 'Email already registered') {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Registration failed'
-    });
+    next(error);
   }
 };
 
-const login = async (req, res) => {
+const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    // Validate input
-    if (!email || !password) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Email and password are required'
-      });
-    }
-
     // Login user
-    const result = await authService.login(email, password);
+    const result = await authService.login(email, password, getSessionInfo(req));
 
     res.status(200).json({
       status: 'success',
@@ -59,23 +37,123 @@ const login = async (req, res) => {
       data: result
     });
   } catch (error) {
-    console.error('Login error:', error);
-    
-    if (error.message === 'Invalid credentials') {
-      return res.status(401).json({
-        status: 'error',
-        message: error.message
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Login failed'
+    next(error);
+  }
+};
+
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await authService.refresh(refreshToken, getSessionInfo(req));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Token refreshed successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await authService.logout(refreshToken);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const logoutAll = async (req, res, next) => {
+  try {
+    const revokedSessions = await authService.logoutAll(req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out from all devices',
+      data: { revokedSessions }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    const user = await authService.verifyEmail(token);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email verified successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const resendVerificationEmail = async (req, res, next) => {
+  try {
+    await authService.resendVerificationEmail(req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    await authService.requestPasswordReset(email);
+
+    // Same response whether or not the email exists
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    await authService.resetPassword(token, password);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password reset successfully. Please log in with your new password'
     });
+  } catch (error) {
+    next(error);
   }
 };
 
 module.exports = {
   register,
-  login
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword
 };
\ No newline at end of file
@@ -1,20 +1,13 @@
 // src/controllers/farm.controller.js
 const farmService = require('../service/farm.service');
+const { NotFoundError, BusinessRuleError } = require('../utils/errors');
 
 // Create a new farm
-const createFarm = async (req, res) => {
+const createFarm = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { name, description, location, themeColor, isDefault } = req.body;
 
-    // Validate required fields
-    if (!name) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Farm name is required',
-      });
-    }
-
     const farmData = {
       name,
       description,
@@ -31,25 +24,12 @@ const createFarm = async (req, res) => {
       data: farm,
     });
   } catch (error) {
-    console.error('Error creating farm:', error);
-    
-    // Handle duplicate key error
-    if (error.code === 11000) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'A farm with this name already exists',
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to create farm',
-    });
+    next(error);
   }
 };
 
 // Get all farms for the authenticated user
-const getFarms = async (req, res) => {
+const getFarms = async (req, res, next) => {
   try {
     const userId = req.userId;
     const includeArchived = req.query.includeArchived === 'true';
@@ -61,16 +41,12 @@ const getFarms = async (req, res) => {
       data: farms,
     });
   } catch (error) {
-    console.error('Error fetching farms:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch farms',
-    });
+    next(error);
   }
 };
 
 // Get a single farm by ID
-const getFarm = async (req, res) => {
+const getFarm = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -78,10 +54,7 @@ const getFarm = async (req, res) => {
     const farm = await farmService.getFarmById(farmId, userId);
 
     if (!farm) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Farm not found',
-      });
+      throw new NotFoundError('Farm not found');
     }
 
     res.status(200).json({
@@ -89,33 +62,21 @@ const getFarm = async (req, res) => {
       data: farm,
     });
   } catch (error) {
-    console.error('Error fetching farm:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch farm',
-    });
+    next(error);
   }
 };
 
 // Update a farm
-const updateFarm = async (req, res) => {
+const updateFarm = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
     const updateData = req.body;
 
-    // Don't allow updating user field
-    if (updateData.user) {
-      delete updateData.user;
-    }
-
     const farm = await farmService.updateFarm(farmId, userId, updateData);
 
     if (!farm) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Farm not found',
-      });
+      throw new NotFoundError('Farm not found');
     }
 
     res.status(200).json({
@@ -124,16 +85,12 @@ const updateFarm = async (req, res) => {
       data: farm,
     });
   } catch (error) {
-    console.error('Error updating farm:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to update farm',
-    });
+    next(error);
   }
 };
 
 // Archive a farm (soft delete)
-const archiveFarm = async (req, res) => {
+const archiveFarm = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -141,10 +98,7 @@ const archiveFarm = async (req, res) => {
     const farm = await farmService.archiveFarm(farmId, userId);
 
     if (!farm) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Farm not found',
-      });
+      throw new NotFoundError('Farm not found');
     }
 
     res.status(200).json({
@@ -153,16 +107,12 @@ const archiveFarm = async (req, res) => {
       data: farm,
     });
   } catch (error) {
-    console.error('Error archiving farm:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to archive farm',
-    });
+    next(error);
   }
 };
 
 // Restore an archived farm
-const restoreFarm = async (req, res) => {
+const restoreFarm = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -170,10 +120,7 @@ const restoreFarm = async (req, res) => {
     const farm = await farmService.restoreFarm(farmId, userId);
 
     if (!farm) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Archived farm not found',
-      });
+      throw new NotFoundError('Archived farm not found');
     }
 
     res.status(200).json({
@@ -182,16 +129,12 @@ const restoreFarm = async (req, res) => {
       data: farm,
     });
   } catch (error) {
-    console.error('Error restoring farm:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to restore farm',
-    });
+    next(error);
   }
 };
 
 // Delete a farm permanently
-const deleteFarm = async (req, res) => {
+const deleteFarm = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -199,19 +142,13 @@ const deleteFarm = async (req, res) => {
     // Check if this is the user's default farm
     const farm = await farmService.getFarmById(farmId, userId);
     if (farm && farm.isDefault) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Cannot delete default farm',
-      });
+      throw new BusinessRuleError('Cannot delete default farm');
     }
 
     const result = await farmService.deleteFarm(farmId, userId);
 
     if (!result) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Farm not found',
-      });
+      throw new NotFoundError('Farm not found');
     }
 
     res.status(200).json({
@@ -219,16 +156,12 @@ const deleteFarm = async (req, res) => {
       message: 'Farm deleted permanently',
     });
   } catch (error) {
-    console.error('Error deleting farm:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to delete farm',
-    });
+    next(error);
   }
 };
 
 // Get or create default farm
-const getDefaultFarm = async (req, res) => {
+const getDefaultFarm = async (req, res, next) => {
   try {
     const userId = req.userId;
 
@@ -239,11 +172,7 @@ const getDefaultFarm = async (req, res) => {
       data: defaultFarm,
     });
   } catch (error) {
-    console.error('Error getting default farm:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to get default farm',
-    });
+    next(error);
   }
 };
 
@@ -0,0 +1,120 @@
+// src/controllers/farmMember.controller.js
+const farmMemberService = require('../service/farmMember.service');
+const { NotFoundError } = require('../utils/errors');
+
+// Get farm owner and members
+const getFarmMembers = async (req, res, next) => {
+  try {
+    const { farmId } = req.params;
+
+    const result = await farmMemberService.getFarmMembers(farmId);
+
+    res.status(200).json({
+      status: 'success',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Invite a user to the farm
+const inviteMember = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+    const { email, role } = req.body;
+
+    const { member, inviteToken } = await farmMemberService.inviteMember(
+      farmId,
+      userId,
+      req.farmAccess.role,
+      { email, role }
+    );
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Invitation created successfully',
+      data: {
+        member,
+        inviteToken,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept a farm invitation
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+    const { token } = req.body;
+
+    const member = await farmMemberService.acceptInvitation(farmId, userId, token);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation accepted successfully',
+      data: member,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change a member's role
+const updateMemberRole = async (req, res, next) => {
+  try {
+    const { farmId, memberId } = req.params;
+    const { role } = req.body;
+
+    const member = await farmMemberService.updateMemberRole(
+      farmId,
+      memberId,
+      req.farmAccess.role,
+      role
+    );
+
+    if (!member) {
+      throw new NotFoundError('Member not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Member role updated successfully',
+      data: member,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a member or revoke an invitation
+const removeMember = async (req, res, next) => {
+  try {
+    const { farmId, memberId } = req.params;
+
+    const member = await farmMemberService.removeMember(farmId, memberId, req.farmAccess.role);
+
+    if (!member) {
+      throw new NotFoundError('Member not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Member removed successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getFarmMembers,
+  inviteMember,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+};
@@ -1,7 +1,8 @@
 // src/controllers/user.controller.js
 const User = require("../modules/users/user.model");
+const { NotFoundError, ConflictError } = require("../utils/errors");
 
-const getUserProfile = async (req, res) => {
+const getUserProfile = async (req, res, next) => {
   try {
     // User is already attached by auth middleware
     res.status(200).json({
@@ -9,15 +10,11 @@ const getUserProfile = async (req, res) => {
       data: req.user,
     });
   } catch (error) {
-    console.error("Error fetching user profile:", error);
-    res.status(500).json({
-      status: "error",
-      message: "Failed to fetch user profile",
-    });
+    next(error);
   }
 };
 
-const updateUserProfile = async (req, res) => {
+const updateUserProfile = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { name, email } = req.body;
@@ -25,7 +22,7 @@ const updateUserProfile = async (req, res) => {
     // Find user
     const user = await User.findById(userId);
     if (!user) {
-      return res.status(404).json({ message: "User not found" });
+      throw new NotFoundError("User not found");
     }
 
     // Update fields if provided
@@ -34,7 +31,7 @@ const updateUserProfile = async (req, res) => {
       // Check if email is already taken by another user
       const existingUser = await User.findOne({ email, _id: { $ne: userId } });
       if (existingUser) {
-        return res.status(400).json({ message: "Email already in use" });
+        throw new ConflictError("Email already in use");
       }
       user.email = email;
     }
@@ -47,11 +44,7 @@ const updateUserProfile = async (req, res) => {
       data: user,
     });
   } catch (error) {
-    console.error("Error updating user profile:", error);
-    res.status(500).json({
-      status: "error",
-      message: "Failed to update user profile",
-    });
+    next(error);
   }
 };
 
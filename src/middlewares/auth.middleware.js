@@ -1,6 +1,8 @@
 // src/middlewares/auth.middleware.js
 const tokenUtils = require('../utils/token');
 const authService = require('../service/auth.service');
+const requestContext = require('../utils/requestContext');
+const { UnauthorizedError } = require('../utils/errors');
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -8,10 +10,7 @@ const authMiddleware = async (req, res, next) => {
     const authHeader = req.headers.authorization;
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'No token provided'
-      });
+      return next(new UnauthorizedError('No token provided'));
     }
 
     const token = authHeader.split(' ')[1];
@@ -19,32 +18,32 @@ const authMiddleware = async (req, res, next) => {
     // Verify token
     const decoded = tokenUtils.verifyToken(token);
     if (!decoded) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Invalid or expired token'
-      });
+      return next(new UnauthorizedError('Invalid or expired token'));
+    }
+
+    // Reject tokens whose session was logged out or revoked
+    const isSessionActive = await authService.isTokenFamilyActive(decoded.family);
+    if (!isSessionActive) {
+      return next(new UnauthorizedError('Session has been revoked'));
     }
 
     // Get user from database
     const user = await authService.getUserById(decoded.userId);
     if (!user) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'User no longer exists'
-      });
+      return next(new UnauthorizedError('User no longer exists'));
     }
 
     // Attach user to request
     req.userId = user._id;
     req.user = user.toJSON();
+    req.tokenFamily = decoded.family;
+
+    // Make the user available to the audit log
+    requestContext.set('userId', user._id);
     
     next();
   } catch (error) {
-    console.error('Auth middleware error:', error);
-    return res.status(500).json({
-      status: 'error',
-      message: 'Authentication error'
-    });
+    next(error);
   }
 };
 
@@ -0,0 +1,82 @@
+// src/middlewares/error.middleware.js
+const mongoose = require('mongoose');
+const { AppError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Convert errors raised outside our own code (Mongoose, body parser) into AppErrors
+const normalizeError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  // Schema validation failed on save
+  if (error instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(error.errors).map(fieldError => ({
+      location: 'body',
+      field: fieldError.path,
+      message: fieldError.message,
+    }));
+    return new ValidationError('Validation failed', details);
+  }
+
+  // Malformed ID or value that could not be cast to the schema type
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError(`Invalid value for ${error.path}`, [
+      { field: error.path, message: `${error.path} is invalid` },
+    ]);
+  }
+
+  // Unique index violation
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {}).filter(field => field !== 'farm');
+    return new ConflictError(
+      fields.length > 0
+        ? `A record with this ${fields.join(', ')} already exists`
+        : 'A record with these details already exists'
+    );
+  }
+
+  // Invalid JSON body
+  if (error.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON');
+  }
+
+  return null;
+};
+
+// 404 for requests that matched no route
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`));
+};
+
+// Send every error as { status: 'error', code, message, errors? }
+// (Express only treats handlers with four arguments as error handlers)
+const errorHandler = (error, req, res, next) => {
+  const appError = normalizeError(error);
+
+  if (!appError) {
+    console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, error);
+
+    return res.status(500).json({
+      status: 'error',
+      code: 'INTERNAL_ERROR',
+      message: 'Something went wrong, please try again later',
+    });
+  }
+
+  const body = {
+    status: 'error',
+    code: appError.code,
+    message: appError.message,
+  };
+
+  if (appError.details) {
+    body.errors = appError.details;
+  }
+
+  res.status(appError.statusCode).json(body);
+};
+
+module.exports = {
+  notFoundHandler,
+  errorHandler,
+};
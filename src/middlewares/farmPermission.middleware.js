@@ -0,0 +1,86 @@
+// src/middlewares/farmPermission.middleware.js
+const mongoose = require('mongoose');
+const farmAccess = require('../modules/farms/farmAccess');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Resolvers that work out which farm a request targets
+const farmFrom = {
+  // :farmId route param, or `farm` in the body or query string
+  request: (req) => req.params.farmId || req.body?.farm || req.query.farm,
+
+  // Farm of the document whose ID is in req[source][key]
+  document: (Model, key, source = 'params') => async (req) => {
+    const id = req[source]?.[key];
+
+    if (!id || !mongoose.Types.ObjectId.isValid(id.toString())) {
+      return null;
+    }
+
+    const doc = await Model.findById(id).select('farm').lean();
+    return doc ? doc.farm : null;
+  },
+
+  // Farm of the animal whose ID is in req[source][key]
+  animal: (key = 'animalId', source = 'params') => {
+    const Animal = require('../modules/animals/animalRecords/animal.model');
+    return farmFrom.document(Animal, key, source);
+  },
+
+  // First resolver that finds a farm wins
+  first: (...resolvers) => async (req) => {
+    for (const resolve of resolvers) {
+      const farmId = await resolve(req);
+      if (farmId) {
+        return farmId;
+      }
+    }
+    return null;
+  },
+
+  // Every resolver's farm is checked; one that finds none leaves the farm unresolved
+  all: (...resolvers) => async (req) => {
+    const farmIds = await Promise.all(resolvers.map(resolve => resolve(req)));
+    return farmIds.every(Boolean) ? farmIds : null;
+  },
+};
+
+// Require the authenticated user to hold `permission` on the farm the request targets.
+// Requests whose farm cannot be resolved are refused, so no handler runs unchecked.
+const requireFarmPermission = (permission, resolveFarm = farmFrom.request) => {
+  return async (req, res, next) => {
+    try {
+      const resolved = await resolveFarm(req);
+      const farmIds = [...new Set([].concat(resolved || []).map(id => id.toString()))];
+
+      if (farmIds.length === 0) {
+        return next(new NotFoundError('Farm not found'));
+      }
+
+      for (const farmId of farmIds) {
+        const access = await farmAccess.getFarmAccess(farmId, req.userId);
+
+        if (!access) {
+          return next(new ForbiddenError('Farm not found or you do not have permission'));
+        }
+
+        if (!farmAccess.hasPermission(access.role, permission)) {
+          return next(new ForbiddenError(`Your role (${access.role}) does not allow ${permission}`));
+        }
+
+        // Expose the first resolved farm's access to the handler
+        if (!req.farmAccess) {
+          req.farmAccess = access;
+        }
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  requireFarmPermission,
+  farmFrom,
+};
@@ -0,0 +1,16 @@
+// src/middlewares/requestContext.middleware.js
+const requestContext = require('../utils/requestContext');
+
+// Open a request context so services and model hooks can see who is acting
+const requestContextMiddleware = (req, res, next) => {
+  requestContext.run(
+    {
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+    },
+    next
+  );
+};
+
+module.exports = requestContextMiddleware;
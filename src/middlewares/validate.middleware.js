@@ -0,0 +1,41 @@
+// src/middlewares/validate.middleware.js
+const validation = require('../utils/validation');
+const { ValidationError } = require('../utils/errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Validate request params, query and body against declarative schemas, e.g.
+//   validate({ params: { farmId: objectId() }, body: { name: { type: 'string', required: true } } })
+// Every invalid field is reported in a single ValidationError. The body is replaced
+// with only the declared fields so unexpected fields never reach the services.
+const validate = (schemas) => {
+  return (req, res, next) => {
+    const errors = [];
+    let body;
+
+    LOCATIONS.forEach(location => {
+      if (!schemas[location]) {
+        return;
+      }
+
+      const result = validation.validate(schemas[location], req[location], location);
+      errors.push(...result.errors);
+
+      if (location === 'body') {
+        body = result.value;
+      }
+    });
+
+    if (errors.length > 0) {
+      return next(new ValidationError('Validation failed', errors));
+    }
+
+    if (body) {
+      req.body = body;
+    }
+
+    next();
+  };
+};
+
+module.exports = validate;
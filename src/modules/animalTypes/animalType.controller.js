@@ -1,20 +1,13 @@
 // src/modules/animalTypes/animalType.controller.js
 const animalTypeService = require('./animalType.service');
+const { NotFoundError, ConflictError } = require('../../utils/errors');
 
 // Create a new animal type
-const createAnimalType = async (req, res) => {
+const createAnimalType = async (req, res, next) => {
   try {
     const userId = req.userId;
     const animalTypeData = req.body;
 
-    // Validate required fields
-    if (!animalTypeData.name || !animalTypeData.farm) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Name and farm are required',
-      });
-    }
-
     const animalType = await animalTypeService.createAnimalType(animalTypeData, userId);
 
     res.status(201).json({
@@ -23,31 +16,12 @@ const createAnimalType = async (req, res) => {
       data: animalType,
     });
   } catch (error) {
-    console.error('Error creating animal type:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message === 'An animal type with this name already exists in this farm') {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to create animal type',
-    });
+    next(error);
   }
 };
 
 // Get all animal types for the authenticated user
-const getAnimalTypes = async (req, res) => {
+const getAnimalTypes = async (req, res, next) => {
   try {
     const userId = req.userId;
     const includeArchived = req.query.includeArchived === 'true';
@@ -68,24 +42,12 @@ const getAnimalTypes = async (req, res) => {
       data: animalTypes,
     });
   } catch (error) {
-    console.error('Error fetching animal types:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch animal types',
-    });
+    next(error);
   }
 };
 
 // Get a single animal type by ID
-const getAnimalType = async (req, res) => {
+const getAnimalType = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalTypeId } = req.params;
@@ -93,10 +55,7 @@ const getAnimalType = async (req, res) => {
     const animalType = await animalTypeService.getAnimalTypeById(animalTypeId, userId);
 
     if (!animalType) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Animal type not found',
-      });
+      throw new NotFoundError('Animal type not found');
     }
 
     res.status(200).json({
@@ -104,16 +63,12 @@ const getAnimalType = async (req, res) => {
       data: animalType,
     });
   } catch (error) {
-    console.error('Error fetching animal type:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch animal type',
-    });
+    next(error);
   }
 };
 
 // Update an animal type
-const updateAnimalType = async (req, res) => {
+const updateAnimalType = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalTypeId } = req.params;
@@ -125,10 +80,7 @@ const updateAnimalType = async (req, res) => {
       const currentAnimalType = await animalTypeService.getAnimalTypeById(animalTypeId, userId);
       
       if (!currentAnimalType) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'Animal type not found',
-        });
+        throw new NotFoundError('Animal type not found');
       }
 
       const isUnique = await animalTypeService.isNameUniqueInFarm(
@@ -138,20 +90,14 @@ const updateAnimalType = async (req, res) => {
       );
 
       if (!isUnique) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'An animal type with this name already exists in this farm',
-        });
+        throw new ConflictError('An animal type with this name already exists in this farm');
       }
     }
 
     const animalType = await animalTypeService.updateAnimalType(animalTypeId, userId, updateData);
 
     if (!animalType) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Animal type not found',
-      });
+      throw new NotFoundError('Animal type not found');
     }
 
     res.status(200).json({
@@ -160,24 +106,12 @@ const updateAnimalType = async (req, res) => {
       data: animalType,
     });
   } catch (error) {
-    console.error('Error updating animal type:', error);
-    
-    if (error.message === 'Cannot change farm reference') {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to update animal type',
-    });
+    next(error);
   }
 };
 
 // Archive an animal type (soft delete)
-const archiveAnimalType = async (req, res) => {
+const archiveAnimalType = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalTypeId } = req.params;
@@ -185,10 +119,7 @@ const archiveAnimalType = async (req, res) => {
     const animalType = await animalTypeService.archiveAnimalType(animalTypeId, userId);
 
     if (!animalType) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Animal type not found',
-      });
+      throw new NotFoundError('Animal type not found');
     }
 
     res.status(200).json({
@@ -197,16 +128,12 @@ const archiveAnimalType = async (req, res) => {
       data: animalType,
     });
   } catch (error) {
-    console.error('Error archiving animal type:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to archive animal type',
-    });
+    next(error);
   }
 };
 
 // Restore an archived animal type
-const restoreAnimalType = async (req, res) => {
+const restoreAnimalType = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalTypeId } = req.params;
@@ -214,10 +141,7 @@ const restoreAnimalType = async (req, res) => {
     const animalType = await animalTypeService.restoreAnimalType(animalTypeId, userId);
 
     if (!animalType) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Archived animal type not found',
-      });
+      throw new NotFoundError('Archived animal type not found');
     }
 
     res.status(200).json({
@@ -226,16 +150,12 @@ const restoreAnimalType = async (req, res) => {
       data: animalType,
     });
   } catch (error) {
-    console.error('Error restoring animal type:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to restore animal type',
-    });
+    next(error);
   }
 };
 
 // Delete an animal type permanently
-const deleteAnimalType = async (req, res) => {
+const deleteAnimalType = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalTypeId } = req.params;
@@ -243,10 +163,7 @@ const deleteAnimalType = async (req, res) => {
     const result = await animalTypeService.deleteAnimalType(animalTypeId, userId);
 
     if (!result) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Animal type not found',
-      });
+      throw new NotFoundError('Animal type not found');
     }
 
     res.status(200).json({
@@ -254,11 +171,7 @@ const deleteAnimalType = async (req, res) => {
       message: 'Animal type deleted permanently',
     });
   } catch (error) {
-    console.error('Error deleting animal type:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to delete animal type',
-    });
+    next(error);
   }
 };
 
@@ -1,6 +1,73 @@
 // src/modules/animalTypes/animalType.model.js
 const mongoose = require('mongoose');
 
+// Acceptable range of a nutrient in a ration (dry matter as % as fed, others on a dry matter basis)
+const nutrientRange = {
+  min: {
+    type: Number,
+    min: 0,
+  },
+  max: {
+    type: Number,
+    min: 0,
+  },
+};
+
+// A vaccine every animal of the type should receive: a primary course starting at an age,
+// then optional repeats (e.g. annual boosters). Identified by vaccine name, like vaccination records.
+const vaccinationProtocolSchema = new mongoose.Schema({
+  vaccineName: {
+    type: String,
+    required: [true, 'Vaccine name is required'],
+    trim: true,
+    maxlength: [100, 'Vaccine name cannot exceed 100 characters'],
+  },
+  vaccineType: {
+    type: String,
+    enum: ['core', 'non_core', 'optional', 'custom'],
+    default: 'core',
+  },
+  firstDoseAgeDays: {
+    type: Number,
+    required: [true, 'Age at first dose is required'],
+    min: 0,
+  },
+  // Doses in the primary course, given boosterIntervalDays apart
+  primaryDoses: {
+    type: Number,
+    min: 1,
+    default: 1,
+  },
+  boosterIntervalDays: {
+    type: Number,
+    min: 1,
+  },
+  // Repeat after the primary course (365 for annual), none when not set
+  repeatIntervalDays: {
+    type: Number,
+    min: 1,
+  },
+  appliesTo: {
+    type: String,
+    enum: ['all', 'male', 'female'],
+    default: 'all',
+  },
+  administrationRoute: {
+    type: String,
+    enum: ['injection', 'oral', 'nasal', 'topical', 'other'],
+    default: 'injection',
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
 const animalTypeSchema = new mongoose.Schema(
   {
     name: {
@@ -91,6 +158,8 @@ const animalTypeSchema = new mongoose.Schema(
         average: Number,
       },
       weaningAgeDays: Number,
+      // Typical estrus cycle; used for heat predictions until an animal's own cycle is learned
+      heatCycleDays: Number,
       breedingSeason: {
         startMonth: Number, // 0-11 (January = 0)
         endMonth: Number,
@@ -178,6 +247,32 @@ const animalTypeSchema = new mongoose.Schema(
         },
       },
     },
+    // Ration nutrient requirements by age (a stage without an age range applies at any age)
+    nutritionRequirements: [
+      {
+        stage: {
+          type: String,
+          required: [true, 'Stage name is required'],
+          trim: true,
+        },
+        minAgeDays: {
+          type: Number,
+          min: 0,
+        },
+        maxAgeDays: {
+          type: Number,
+          min: 0,
+        },
+        dryMatter: nutrientRange, // % as fed
+        crudeProtein: nutrientRange, // % of DM
+        energy: nutrientRange, // MJ ME per kg DM
+        crudeFibre: nutrientRange, // % of DM
+        calcium: nutrientRange, // % of DM
+        phosphorus: nutrientRange, // % of DM
+      },
+    ],
+    // Vaccinations generated for new and newborn animals of this type
+    vaccinationProtocols: [vaccinationProtocolSchema],
     farm: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Farm',
@@ -202,6 +297,31 @@ const animalTypeSchema = new mongoose.Schema(
 // Indexes
 animalTypeSchema.index({ farm: 1, isArchived: 1 });
 
+// One protocol per vaccine, and a booster interval whenever the course has several doses
+animalTypeSchema.pre('validate', function() {
+  const seen = new Set();
+
+  (this.vaccinationProtocols || []).forEach((protocol, index) => {
+    const key = (protocol.vaccineName || '').toLowerCase();
+
+    if (seen.has(key)) {
+      this.invalidate(`vaccinationProtocols.${index}.vaccineName`, `${protocol.vaccineName} already has a vaccination protocol`);
+    }
+    seen.add(key);
+
+    if (protocol.primaryDoses > 1 && !protocol.boosterIntervalDays) {
+      this.invalidate(`vaccinationProtocols.${index}.boosterIntervalDays`, 'Booster interval is required when the primary course has more than one dose');
+    }
+  });
+});
+
+// Active protocols that apply to an animal of the given gender
+animalTypeSchema.methods.vaccinationProtocolsFor = function(gender) {
+  return (this.vaccinationProtocols || []).filter(protocol =>
+    protocol.isActive && (protocol.appliesTo === 'all' || protocol.appliesTo === gender)
+  );
+};
+
 const AnimalType = mongoose.model('AnimalType', animalTypeSchema);
 
 module.exports = AnimalType;
\ No newline at end of file
@@ -13,15 +13,22 @@ const {
 
 // All animal type routes require authentication
 const authMiddleware = require('../../middlewares/auth.middleware');
+const { requireFarmPermission, farmFrom } = require('../../middlewares/farmPermission.middleware');
+const validate = require('../../middlewares/validate.middleware');
+const animalTypeValidation = require('./animalType.validation');
+const AnimalType = require('./animalType.model');
 router.use(authMiddleware);
 
+// Animal types are farm configuration
+const byAnimalType = farmFrom.document(AnimalType, 'animalTypeId');
+
 // Animal type routes
-router.post('/', createAnimalType); // POST /animal-types
-router.get('/', getAnimalTypes); // GET /animal-types (optionally ?farmId=xxx&includeArchived=true)
-router.get('/:animalTypeId', getAnimalType); // GET /animal-types/:animalTypeId
-router.put('/:animalTypeId', updateAnimalType); // PUT /animal-types/:animalTypeId
-router.delete('/:animalTypeId', archiveAnimalType); // DELETE /animal-types/:animalTypeId (soft delete)
-router.delete('/:animalTypeId/permanent', deleteAnimalType); // DELETE /animal-types/:animalTypeId/permanent (hard delete)
-router.patch('/:animalTypeId/restore', restoreAnimalType); // PATCH /animal-types/:animalTypeId/restore
+router.post('/', validate(animalTypeValidation.createAnimalType), requireFarmPermission('farm:write'), createAnimalType); // POST /animal-types
+router.get('/', validate(animalTypeValidation.getAnimalTypes), getAnimalTypes); // GET /animal-types (optionally ?farmId=xxx&includeArchived=true)
+router.get('/:animalTypeId', validate(animalTypeValidation.animalTypeId), requireFarmPermission('farm:read', byAnimalType), getAnimalType); // GET /animal-types/:animalTypeId
+router.put('/:animalTypeId', validate(animalTypeValidation.updateAnimalType), requireFarmPermission('farm:write', byAnimalType), updateAnimalType); // PUT /animal-types/:animalTypeId
+router.delete('/:animalTypeId', validate(animalTypeValidation.animalTypeId), requireFarmPermission('farm:write', byAnimalType), archiveAnimalType); // DELETE /animal-types/:animalTypeId (soft delete)
+router.delete('/:animalTypeId/permanent', validate(animalTypeValidation.animalTypeId), requireFarmPermission('farm:write', byAnimalType), deleteAnimalType); // DELETE /animal-types/:animalTypeId/permanent (hard delete)
+router.patch('/:animalTypeId/restore', validate(animalTypeValidation.animalTypeId), requireFarmPermission('farm:write', byAnimalType), restoreAnimalType); // PATCH /animal-types/:animalTypeId/restore
 
 module.exports = router;
\ No newline at end of file
@@ -1,19 +1,16 @@
 // src/modules/animalTypes/animalType.service.js
 const AnimalType = require('./animalType.model');
-const Farm = require('../farms/farm.model');
+const farmAccess = require('../farms/farmAccess');
+const { ValidationError, ForbiddenError, ConflictError } = require('../../utils/errors');
 
 const animalTypeService = {
   // Create a new animal type
   createAnimalType: async (animalTypeData, userId) => {
-    // First, verify that the farm exists and belongs to the user
-    const farm = await Farm.findOne({
-      _id: animalTypeData.farm,
-      user: userId,
-      isArchived: false,
-    });
+    // First, verify that the user has access to the farm
+    const farm = await farmAccess.findAccessibleFarm(animalTypeData.farm, userId);
 
     if (!farm) {
-      throw new Error('Farm not found or you do not have permission');
+      throw new ForbiddenError('Farm not found or you do not have permission');
     }
 
     // Check if name is unique in the farm
@@ -23,7 +20,7 @@ const animalTypeService = {
     );
 
     if (!isUnique) {
-      throw new Error('An animal type with this name already exists in this farm');
+      throw new ConflictError('An animal type with this name already exists in this farm');
     }
 
     // Set default youngName if not provided
@@ -37,9 +34,8 @@ const animalTypeService = {
 
   // Get all animal types for a user (via farms)
   getUserAnimalTypes: async (userId, includeArchived = false) => {
-    // First, get all farms owned by the user
-    const farms = await Farm.find({ user: userId, isArchived: false });
-    const farmIds = farms.map(farm => farm._id);
+    // First, get all farms the user owns or is a member of
+    const farmIds = await farmAccess.getAccessibleFarmIds(userId);
 
     const query = { farm: { $in: farmIds } };
     
@@ -56,15 +52,11 @@ const animalTypeService = {
 
   // Get animal types by farm ID (with user permission check)
   getAnimalTypesByFarm: async (farmId, userId, includeArchived = false) => {
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: farmId,
-      user: userId,
-      isArchived: false,
-    });
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(farmId, userId);
 
     if (!farm) {
-      throw new Error('Farm not found or you do not have permission');
+      throw new ForbiddenError('Farm not found or you do not have permission');
     }
 
     const query = { farm: farmId };
@@ -88,12 +80,8 @@ const animalTypeService = {
       return null;
     }
 
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: animalType.farm,
-      user: userId,
-      isArchived: false,
-    });
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(animalType.farm, userId);
 
     if (!farm) {
       return null;
@@ -111,12 +99,8 @@ const animalTypeService = {
       return null;
     }
 
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: animalType.farm,
-      user: userId,
-      isArchived: false,
-    });
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(animalType.farm, userId);
 
     if (!farm) {
       return null;
@@ -124,7 +108,7 @@ const animalTypeService = {
 
     // Don't allow updating farm reference
     if (updateData.farm && updateData.farm.toString() !== animalType.farm.toString()) {
-      throw new Error('Cannot change farm reference');
+      throw new ValidationError('Cannot change farm reference');
     }
 
     // If name is being updated, check uniqueness
@@ -136,7 +120,7 @@ const animalTypeService = {
       );
 
       if (!isUnique) {
-        throw new Error('An animal type with this name already exists in this farm');
+        throw new ConflictError('An animal type with this name already exists in this farm');
       }
     }
 
@@ -179,12 +163,8 @@ const animalTypeService = {
       return null;
     }
 
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: animalType.farm,
-      user: userId,
-      isArchived: false,
-    });
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(animalType.farm, userId);
 
     if (!farm) {
       return null;
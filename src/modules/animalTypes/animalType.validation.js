@@ -0,0 +1,164 @@
+// src/modules/animalTypes/animalType.validation.js
+const AnimalType = require('./animalType.model');
+const { objectId, partial, enumOf } = require('../../utils/validation');
+
+const month = { type: 'integer', min: 0, max: 11 };
+const weight = { type: 'number', min: 0, max: 1 };
+
+const nutrientRange = {
+  type: 'object',
+  fields: {
+    min: { type: 'number', min: 0 },
+    max: { type: 'number', min: 0 },
+  },
+};
+
+const nutritionStage = {
+  type: 'object',
+  fields: {
+    stage: { type: 'string', required: true, maxLength: 100 },
+    minAgeDays: { type: 'integer', min: 0 },
+    maxAgeDays: { type: 'integer', min: 0 },
+    dryMatter: nutrientRange,
+    crudeProtein: nutrientRange,
+    energy: nutrientRange,
+    crudeFibre: nutrientRange,
+    calcium: nutrientRange,
+    phosphorus: nutrientRange,
+  },
+};
+
+const vaccinationProtocol = {
+  type: 'object',
+  fields: {
+    vaccineName: { type: 'string', required: true, maxLength: 100 },
+    vaccineType: { type: 'string', enum: ['core', 'non_core', 'optional', 'custom'] },
+    firstDoseAgeDays: { type: 'integer', required: true, min: 0 },
+    primaryDoses: { type: 'integer', min: 1 },
+    boosterIntervalDays: { type: 'integer', min: 1 },
+    repeatIntervalDays: { type: 'integer', min: 1 },
+    appliesTo: { type: 'string', enum: ['all', 'male', 'female'] },
+    administrationRoute: { type: 'string', enum: ['injection', 'oral', 'nasal', 'topical', 'other'] },
+    notes: { type: 'string', maxLength: 500 },
+    isActive: { type: 'boolean' },
+  },
+};
+
+const geneticsSettingsFields = {
+  enableGenetics: { type: 'boolean' },
+  maturityAgeDays: { type: 'number', min: 0 },
+  minBreedingAgeDays: { type: 'number', min: 0 },
+  maxBreedingAgeDays: { type: 'number', min: 0 },
+  breedingSeason: { type: 'string', enum: enumOf(AnimalType, 'geneticsSettings.breedingSeason') },
+  gestationPeriodDays: { type: 'number', min: 0 },
+  averageLitterSize: { type: 'number', min: 0 },
+  inbreedingThreshold: { type: 'number', min: 0, max: 1 },
+  traitWeights: {
+    type: 'object',
+    fields: {
+      growthRate: weight,
+      fertility: weight,
+      offspringViability: weight,
+    },
+  },
+  breedingRules: {
+    type: 'object',
+    fields: {
+      allowParentOffspringBreeding: { type: 'boolean' },
+      allowSiblingBreeding: { type: 'boolean' },
+      allowCousinBreeding: { type: 'boolean' },
+      requireHealthCheck: { type: 'boolean' },
+      minimumOffspringSurvivalRate: { type: 'number', min: 0, max: 100 },
+    },
+  },
+};
+
+const animalTypeFields = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  category: { type: 'string', enum: enumOf(AnimalType, 'category') },
+  icon: { type: 'string' },
+  themeColor: { type: 'string' },
+  measurementUnit: { type: 'string', enum: enumOf(AnimalType, 'measurementUnit') },
+  youngName: { type: 'string' },
+  maleName: { type: 'string' },
+  femaleName: { type: 'string' },
+  birthEventName: { type: 'string' },
+  features: {
+    type: 'object',
+    fields: {
+      feedManagement: { type: 'boolean' },
+      healthVaccinations: { type: 'boolean' },
+      reproduction: { type: 'boolean' },
+      geneticsBreeding: { type: 'boolean' },
+      inventorySales: { type: 'boolean' },
+      production: { type: 'boolean' },
+    },
+  },
+  reproduction: {
+    type: 'object',
+    fields: {
+      gestationDays: { type: 'number', min: 0 },
+      breedingAgeMonths: { type: 'number', min: 0 },
+      breedingWeight: { type: 'number', min: 0 },
+      litterSize: {
+        type: 'object',
+        fields: {
+          min: { type: 'number', min: 0 },
+          max: { type: 'number', min: 0 },
+          average: { type: 'number', min: 0 },
+        },
+      },
+      weaningAgeDays: { type: 'number', min: 0 },
+      heatCycleDays: { type: 'number', min: 1 },
+      breedingSeason: {
+        type: 'object',
+        fields: {
+          startMonth: month,
+          endMonth: month,
+        },
+      },
+    },
+  },
+  geneticsSettings: {
+    type: 'object',
+    fields: geneticsSettingsFields,
+  },
+  nutritionRequirements: { type: 'array', items: nutritionStage },
+  vaccinationProtocols: { type: 'array', items: vaccinationProtocol },
+};
+
+const animalTypeParams = {
+  animalTypeId: objectId(),
+};
+
+const animalTypeValidation = {
+  createAnimalType: {
+    body: {
+      ...animalTypeFields,
+      farm: objectId(),
+    },
+  },
+
+  getAnimalTypes: {
+    query: {
+      farmId: { type: 'objectId' },
+      includeArchived: { type: 'boolean' },
+    },
+  },
+
+  animalTypeId: {
+    params: animalTypeParams,
+  },
+
+  updateAnimalType: {
+    params: animalTypeParams,
+    body: partial(animalTypeFields),
+  },
+
+  updateGeneticsSettings: {
+    params: animalTypeParams,
+    body: geneticsSettingsFields,
+  },
+};
+
+module.exports = animalTypeValidation;
@@ -0,0 +1,168 @@
+// src/modules/animals/animalGroups/animalGroup.controller.js
+const animalGroupService = require('./animalGroup.service');
+const { NotFoundError } = require('../../../utils/errors');
+
+// Create a new group
+const createGroup = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const groupData = req.body;
+
+    const group = await animalGroupService.createGroup(groupData, userId);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Group created successfully',
+      data: group,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get groups for a farm
+const getFarmGroups = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+
+    const filters = {
+      groupType: req.query.groupType,
+      animalType: req.query.animalType,
+      includeInactive: req.query.includeInactive === 'true',
+    };
+
+    const groups = await animalGroupService.getFarmGroups(farmId, userId, filters);
+
+    res.status(200).json({
+      status: 'success',
+      data: groups,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get group by ID with its members
+const getGroup = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { groupId } = req.params;
+
+    const group = await animalGroupService.getGroupById(groupId, userId);
+
+    if (!group) {
+      throw new NotFoundError('Group not found');
+    }
+
+    const members = await animalGroupService.getMembers(group._id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...group.toObject(),
+        memberCount: members.length,
+        members,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update group
+const updateGroup = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { groupId } = req.params;
+
+    const group = await animalGroupService.updateGroup(groupId, userId, req.body);
+
+    if (!group) {
+      throw new NotFoundError('Group not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Group updated successfully',
+      data: group,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Deactivate group (its animals are released)
+const deactivateGroup = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { groupId } = req.params;
+
+    const group = await animalGroupService.deactivateGroup(groupId, userId);
+
+    if (!group) {
+      throw new NotFoundError('Group not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Group deactivated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add animals to a group
+const addMembers = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { groupId } = req.params;
+
+    const result = await animalGroupService.addMembers(groupId, userId, req.body.animals);
+
+    if (!result) {
+      throw new NotFoundError('Group not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `${result.added} animal(s) added to ${result.group.name}`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove animals from a group
+const removeMembers = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { groupId } = req.params;
+
+    const result = await animalGroupService.removeMembers(groupId, userId, req.body.animals);
+
+    if (!result) {
+      throw new NotFoundError('Group not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `${result.removed} animal(s) removed from ${result.group.name}`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createGroup,
+  getFarmGroups,
+  getGroup,
+  updateGroup,
+  deactivateGroup,
+  addMembers,
+  removeMembers,
+};
@@ -0,0 +1,74 @@
+// src/modules/animals/animalGroups/animalGroup.model.js
+const mongoose = require('mongoose');
+
+const animalGroupSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Group name is required'],
+      trim: true,
+      maxlength: [100, 'Group name cannot exceed 100 characters'],
+    },
+
+    groupType: {
+      type: String,
+      enum: ['pen', 'flock', 'colony', 'herd', 'cage', 'pond', 'other'],
+      default: 'pen',
+    },
+
+    // Restricts membership to one animal type when set
+    animalType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AnimalType',
+    },
+
+    location: {
+      type: String,
+      trim: true,
+    },
+
+    // Maximum number of animals the group can hold
+    capacity: {
+      type: Number,
+      min: [1, 'Capacity must be at least 1'],
+    },
+
+    // Isolation pens are the only groups quarantined animals can be moved into
+    isIsolation: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Hierarchy References
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: true,
+    },
+
+    // System
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    notes: String,
+
+    // Metadata
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+animalGroupSchema.index({ farm: 1, name: 1 }, { unique: true });
+animalGroupSchema.index({ farm: 1, isActive: 1 });
+
+const AnimalGroup = mongoose.model('AnimalGroup', animalGroupSchema);
+
+module.exports = AnimalGroup;
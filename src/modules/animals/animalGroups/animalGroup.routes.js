@@ -0,0 +1,38 @@
+// src/modules/animals/animalGroups/animalGroup.routes.js
+const express = require('express');
+const router = express.Router();
+const {
+  createGroup,
+  getFarmGroups,
+  getGroup,
+  updateGroup,
+  deactivateGroup,
+  addMembers,
+  removeMembers,
+} = require('./animalGroup.controller');
+const AnimalGroup = require('./animalGroup.model');
+
+// All group routes require authentication
+const authMiddleware = require('../../../middlewares/auth.middleware');
+const { requireFarmPermission, farmFrom } = require('../../../middlewares/farmPermission.middleware');
+const validate = require('../../../middlewares/validate.middleware');
+const animalGroupValidation = require('./animalGroup.validation');
+router.use(authMiddleware);
+
+const canRead = (resolveFarm) => requireFarmPermission('animals:read', resolveFarm);
+const canWrite = (resolveFarm) => requireFarmPermission('animals:write', resolveFarm);
+
+const byGroup = farmFrom.document(AnimalGroup, 'groupId');
+
+// Group routes - relative to /animals/groups
+router.post('/', validate(animalGroupValidation.createGroup), canWrite(), createGroup); // POST /animals/groups
+router.get('/farm/:farmId', validate(animalGroupValidation.getFarmGroups), canRead(), getFarmGroups); // GET /animals/groups/farm/:farmId
+router.get('/:groupId', validate(animalGroupValidation.groupId), canRead(byGroup), getGroup); // GET /animals/groups/:groupId
+router.put('/:groupId', validate(animalGroupValidation.updateGroup), canWrite(byGroup), updateGroup); // PUT /animals/groups/:groupId
+router.delete('/:groupId', validate(animalGroupValidation.groupId), canWrite(byGroup), deactivateGroup); // DELETE /animals/groups/:groupId
+
+// Membership
+router.post('/:groupId/members', validate(animalGroupValidation.updateMembers), canWrite(byGroup), addMembers); // POST /animals/groups/:groupId/members
+router.delete('/:groupId/members', validate(animalGroupValidation.updateMembers), canWrite(byGroup), removeMembers); // DELETE /animals/groups/:groupId/members
+
+module.exports = router;
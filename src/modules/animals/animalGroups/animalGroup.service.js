@@ -0,0 +1,304 @@
+// src/modules/animals/animalGroups/animalGroup.service.js
+const AnimalGroup = require('./animalGroup.model');
+const Animal = require('../animalRecords/animal.model');
+const AnimalType = require('../../animalTypes/animalType.model');
+const farmAccess = require('../../farms/farmAccess');
+const { ValidationError, ForbiddenError, NotFoundError, BusinessRuleError } = require('../../../utils/errors');
+
+// Members are the group's animals that are still on the farm
+const memberQuery = (groupId) => ({
+  group: groupId,
+  status: 'alive',
+  isActive: true,
+});
+
+const animalGroupService = {
+  // Create a new group
+  createGroup: async (groupData, userId) => {
+    try {
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(groupData.farm, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      if (groupData.animalType) {
+        const animalType = await AnimalType.exists({
+          _id: groupData.animalType,
+          farm: groupData.farm,
+          isArchived: false,
+        });
+
+        if (!animalType) {
+          throw new NotFoundError('Animal type not found or does not belong to this farm');
+        }
+      }
+
+      groupData.createdBy = userId;
+      return await AnimalGroup.create(groupData);
+    } catch (error) {
+      console.error('Service error creating group:', error);
+      throw error;
+    }
+  },
+
+  // Get group by ID with permission check
+  getGroupById: async (groupId, userId) => {
+    try {
+      const group = await AnimalGroup.findById(groupId);
+
+      if (!group) {
+        return null;
+      }
+
+      // Check if user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(group.farm, userId);
+
+      if (!farm) {
+        return null;
+      }
+
+      return group;
+    } catch (error) {
+      console.error('Service error getting group:', error);
+      throw error;
+    }
+  },
+
+  // Get groups for a farm with their member counts
+  getFarmGroups: async (farmId, userId, filters = {}) => {
+    try {
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const query = { farm: farmId };
+
+      if (!filters.includeInactive) {
+        query.isActive = true;
+      }
+
+      if (filters.groupType) {
+        query.groupType = filters.groupType;
+      }
+
+      if (filters.animalType) {
+        query.animalType = filters.animalType;
+      }
+
+      const groups = await AnimalGroup.find(query)
+        .populate('animalType', 'name icon')
+        .sort({ name: 1 })
+        .lean();
+
+      const counts = await Animal.aggregate([
+        { $match: { group: { $in: groups.map(group => group._id) }, status: 'alive', isActive: true } },
+        { $group: { _id: '$group', count: { $sum: 1 } } },
+      ]);
+      const countByGroup = new Map(counts.map(item => [item._id.toString(), item.count]));
+
+      return groups.map(group => ({
+        ...group,
+        memberCount: countByGroup.get(group._id.toString()) || 0,
+      }));
+    } catch (error) {
+      console.error('Service error getting farm groups:', error);
+      throw error;
+    }
+  },
+
+  // Current members of a group
+  getMembers: async (groupId) => {
+    return await Animal.find(memberQuery(groupId))
+      .select('tagNumber name gender animalType weight dateOfBirth')
+      .sort({ tagNumber: 1 })
+      .lean();
+  },
+
+  // Update group details (farm cannot change)
+  updateGroup: async (groupId, userId, updateData) => {
+    try {
+      const group = await animalGroupService.getGroupById(groupId, userId);
+
+      if (!group) {
+        return null;
+      }
+
+      if (updateData.farm && updateData.farm.toString() !== group.farm.toString()) {
+        throw new ValidationError('Cannot change farm reference');
+      }
+
+      // Restricting to an animal type only works if every member already has it
+      if (updateData.animalType && updateData.animalType.toString() !== group.animalType?.toString()) {
+        const otherTypes = await Animal.countDocuments({
+          ...memberQuery(group._id),
+          animalType: { $ne: updateData.animalType },
+        });
+
+        if (otherTypes > 0) {
+          throw new BusinessRuleError('Group has members of another animal type');
+        }
+      }
+
+      if (updateData.capacity) {
+        const memberCount = await Animal.countDocuments(memberQuery(group._id));
+
+        if (memberCount > updateData.capacity) {
+          throw new BusinessRuleError(`Group already has ${memberCount} animals, more than the new capacity`);
+        }
+      }
+
+      group.set(updateData);
+      return await group.save();
+    } catch (error) {
+      console.error('Service error updating group:', error);
+      throw error;
+    }
+  },
+
+  // Deactivate a group and release its animals
+  deactivateGroup: async (groupId, userId) => {
+    try {
+      const group = await animalGroupService.getGroupById(groupId, userId);
+
+      if (!group) {
+        return null;
+      }
+
+      // Quarantined animals must stay isolated, so their group stays too
+      const quarantined = await Animal.find({
+        group: group._id,
+        'quarantine.isQuarantined': true,
+      }).select('tagNumber');
+
+      if (quarantined.length > 0) {
+        throw new BusinessRuleError(
+          `Group cannot be deactivated while it holds quarantined animals (${quarantined.map(animal => animal.tagNumber).join(', ')})`
+        );
+      }
+
+      await Animal.updateMany({ group: group._id }, { $unset: { group: 1 } });
+
+      group.isActive = false;
+      return await group.save();
+    } catch (error) {
+      console.error('Service error deactivating group:', error);
+      throw error;
+    }
+  },
+
+  // Move animals into a group (from whichever group they were in)
+  addMembers: async (groupId, userId, animalIds) => {
+    try {
+      const group = await animalGroupService.getGroupById(groupId, userId);
+
+      if (!group) {
+        return null;
+      }
+
+      if (!group.isActive) {
+        throw new BusinessRuleError('Cannot add animals to an inactive group');
+      }
+
+      const animals = await Animal.find({ _id: { $in: animalIds }, farm: group.farm });
+
+      if (animals.length !== new Set(animalIds.map(id => id.toString())).size) {
+        throw new NotFoundError('One or more animals were not found on this farm');
+      }
+
+      const unavailable = animals.filter(animal => animal.status !== 'alive');
+      if (unavailable.length > 0) {
+        throw new BusinessRuleError(
+          `Only live animals can join a group (${unavailable.map(animal => animal.tagNumber).join(', ')})`
+        );
+      }
+
+      const quarantined = animals.filter(animal => animal.quarantine?.isQuarantined
+        && animal.group?.toString() !== group._id.toString());
+      if (quarantined.length > 0 && !group.isIsolation) {
+        throw new BusinessRuleError(
+          `Quarantined animals can only be moved into an isolation group (${quarantined.map(animal => animal.tagNumber).join(', ')})`
+        );
+      }
+
+      if (group.animalType) {
+        const wrongType = animals.filter(animal => animal.animalType.toString() !== group.animalType.toString());
+
+        if (wrongType.length > 0) {
+          throw new BusinessRuleError(
+            `Group only holds one animal type (${wrongType.map(animal => animal.tagNumber).join(', ')} do not match)`
+          );
+        }
+      }
+
+      const joining = animals.filter(animal => animal.group?.toString() !== group._id.toString());
+
+      if (group.capacity) {
+        const memberCount = await Animal.countDocuments(memberQuery(group._id));
+
+        if (memberCount + joining.length > group.capacity) {
+          throw new BusinessRuleError(
+            `Group capacity is ${group.capacity}; it has ${memberCount} animals and ${joining.length} would join`
+          );
+        }
+      }
+
+      await Animal.updateMany(
+        { _id: { $in: joining.map(animal => animal._id) } },
+        { group: group._id }
+      );
+
+      return {
+        group,
+        added: joining.length,
+        members: await animalGroupService.getMembers(group._id),
+      };
+    } catch (error) {
+      console.error('Service error adding group members:', error);
+      throw error;
+    }
+  },
+
+  // Take animals out of a group
+  removeMembers: async (groupId, userId, animalIds) => {
+    try {
+      const group = await animalGroupService.getGroupById(groupId, userId);
+
+      if (!group) {
+        return null;
+      }
+
+      const quarantined = await Animal.find({
+        _id: { $in: animalIds },
+        group: group._id,
+        'quarantine.isQuarantined': true,
+      }).select('tagNumber');
+
+      if (quarantined.length > 0) {
+        throw new BusinessRuleError(
+          `Quarantined animals cannot leave their group until released (${quarantined.map(animal => animal.tagNumber).join(', ')})`
+        );
+      }
+
+      const result = await Animal.updateMany(
+        { _id: { $in: animalIds }, group: group._id },
+        { $unset: { group: 1 } }
+      );
+
+      return {
+        group,
+        removed: result.modifiedCount,
+        members: await animalGroupService.getMembers(group._id),
+      };
+    } catch (error) {
+      console.error('Service error removing group members:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = animalGroupService;
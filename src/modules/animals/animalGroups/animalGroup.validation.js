@@ -0,0 +1,58 @@
+// src/modules/animals/animalGroups/animalGroup.validation.js
+const AnimalGroup = require('./animalGroup.model');
+const { objectId, partial, enumOf } = require('../../../utils/validation');
+
+const groupFields = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  groupType: { type: 'string', enum: enumOf(AnimalGroup, 'groupType') },
+  animalType: { type: 'objectId' },
+  location: { type: 'string' },
+  capacity: { type: 'integer', min: 1 },
+  isIsolation: { type: 'boolean' },
+  notes: { type: 'string' },
+};
+
+const groupParams = {
+  groupId: objectId(),
+};
+
+const memberList = {
+  animals: { type: 'array', required: true, minLength: 1, items: objectId() },
+};
+
+const animalGroupValidation = {
+  createGroup: {
+    body: {
+      ...groupFields,
+      farm: objectId(),
+    },
+  },
+
+  getFarmGroups: {
+    params: {
+      farmId: objectId(),
+    },
+    query: {
+      groupType: { type: 'string', enum: enumOf(AnimalGroup, 'groupType') },
+      animalType: { type: 'objectId' },
+      includeInactive: { type: 'boolean' },
+    },
+  },
+
+  groupId: {
+    params: groupParams,
+  },
+
+  // Farm cannot be changed once created
+  updateGroup: {
+    params: groupParams,
+    body: partial(groupFields),
+  },
+
+  updateMembers: {
+    params: groupParams,
+    body: memberList,
+  },
+};
+
+module.exports = animalGroupValidation;
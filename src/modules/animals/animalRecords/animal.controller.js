@@ -1,22 +1,14 @@
 // src/modules/animals/animalRecords/animal.controller.js
 const animalService = require('./animal.service');
 const Animal = require('./animal.model');
+const { NotFoundError } = require('../../../utils/errors');
 
 // Create a new animal
-const createAnimal = async (req, res) => {
+const createAnimal = async (req, res, next) => {
   try {
     const userId = req.userId;
     const animalData = req.body;
 
-    // Validate required fields
-    if (!animalData.tagNumber || !animalData.gender || !animalData.dateOfBirth || 
-        !animalData.animalType || !animalData.farm) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Tag number, gender, date of birth, animal type, and farm are required',
-      });
-    }
-
     const animal = await animalService.createAnimal(animalData, userId);
 
     // If you need populated data, load it here before returning
@@ -31,31 +23,12 @@ const createAnimal = async (req, res) => {
       data: populatedAnimal,
     });
   } catch (error) {
-    console.error('Error creating animal:', error);
-    
-    if (error.message.includes('not found') || error.message.includes('permission')) {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message.includes('already exists')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to create animal',
-    });
+    next(error);
   }
 };
 
 // Get animal by ID
-const getAnimal = async (req, res) => {
+const getAnimal = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -63,10 +36,7 @@ const getAnimal = async (req, res) => {
     const animal = await animalService.getAnimalById(animalId, userId);
 
     if (!animal) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Animal not found',
-      });
+      throw new NotFoundError('Animal not found');
     }
 
     res.status(200).json({
@@ -74,16 +44,12 @@ const getAnimal = async (req, res) => {
       data: animal,
     });
   } catch (error) {
-    console.error('Error fetching animal:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch animal',
-    });
+    next(error);
   }
 };
 
 // Get animals by farm
-const getAnimalsByFarm = async (req, res) => {
+const getAnimalsByFarm = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -92,6 +58,7 @@ const getAnimalsByFarm = async (req, res) => {
       animalType: req.query.animalType,
       gender: req.query.gender,
       status: req.query.status,
+      group: req.query.group,
       search: req.query.search,
     };
 
@@ -102,24 +69,12 @@ const getAnimalsByFarm = async (req, res) => {
       data: animals,
     });
   } catch (error) {
-    console.error('Error fetching farm animals:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch animals',
-    });
+    next(error);
   }
 };
 
 // Get all animals for user
-const getUserAnimals = async (req, res) => {
+const getUserAnimals = async (req, res, next) => {
   try {
     const userId = req.userId;
     
@@ -137,16 +92,12 @@ const getUserAnimals = async (req, res) => {
       data: animals,
     });
   } catch (error) {
-    console.error('Error fetching user animals:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch animals',
-    });
+    next(error);
   }
 };
 
 // Update animal
-const updateAnimal = async (req, res) => {
+const updateAnimal = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -155,10 +106,7 @@ const updateAnimal = async (req, res) => {
     const animal = await animalService.updateAnimal(animalId, userId, updateData);
 
     if (!animal) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Animal not found',
-      });
+      throw new NotFoundError('Animal not found');
     }
 
     res.status(200).json({
@@ -167,50 +115,21 @@ const updateAnimal = async (req, res) => {
       data: animal,
     });
   } catch (error) {
-    console.error('Error updating animal:', error);
-    
-    if (error.message === 'Cannot change farm or animal type reference') {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message.includes('already exists')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to update animal',
-    });
+    next(error);
   }
 };
 
 // Update animal status
-const updateAnimalStatus = async (req, res) => {
+const updateAnimalStatus = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
     const { status, reason } = req.body;
 
-    if (!status) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Status is required',
-      });
-    }
-
     const animal = await animalService.updateAnimalStatus(animalId, userId, status, reason);
 
     if (!animal) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Animal not found',
-      });
+      throw new NotFoundError('Animal not found');
     }
 
     res.status(200).json({
@@ -219,35 +138,21 @@ const updateAnimalStatus = async (req, res) => {
       data: animal,
     });
   } catch (error) {
-    console.error('Error updating animal status:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to update animal status',
-    });
+    next(error);
   }
 };
 
 // Update animal weight
-const updateAnimalWeight = async (req, res) => {
+const updateAnimalWeight = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
     const { weight, unit } = req.body;
 
-    if (!weight) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Weight is required',
-      });
-    }
-
     const animal = await animalService.updateAnimalWeight(animalId, userId, weight, unit);
 
     if (!animal) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Animal not found',
-      });
+      throw new NotFoundError('Animal not found');
     }
 
     res.status(200).json({
@@ -256,16 +161,12 @@ const updateAnimalWeight = async (req, res) => {
       data: animal,
     });
   } catch (error) {
-    console.error('Error updating animal weight:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to update animal weight',
-    });
+    next(error);
   }
 };
 
 // Archive animal
-const archiveAnimal = async (req, res) => {
+const archiveAnimal = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -273,10 +174,7 @@ const archiveAnimal = async (req, res) => {
     const animal = await animalService.archiveAnimal(animalId, userId);
 
     if (!animal) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Animal not found',
-      });
+      throw new NotFoundError('Animal not found');
     }
 
     res.status(200).json({
@@ -285,24 +183,12 @@ const archiveAnimal = async (req, res) => {
       data: animal,
     });
   } catch (error) {
-    console.error('Error archiving animal:', error);
-    
-    if (error.message === 'Cannot archive animal with active offspring') {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to archive animal',
-    });
+    next(error);
   }
 };
 
 // Get animal statistics
-const getAnimalStatistics = async (req, res) => {
+const getAnimalStatistics = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -314,19 +200,7 @@ const getAnimalStatistics = async (req, res) => {
       data: statistics,
     });
   } catch (error) {
-    console.error('Error fetching animal statistics:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch animal statistics',
-    });
+    next(error);
   }
 };
 
@@ -39,6 +39,19 @@ const animalSchema = new mongoose.Schema(
       },
       lastUpdated: Date,
     },
+    // Every weighing, so gain can be measured over any period
+    weightHistory: [
+      {
+        _id: false,
+        value: Number,
+        unit: {
+          type: String,
+          enum: ['kg', 'lb'],
+          default: 'kg',
+        },
+        date: Date,
+      },
+    ],
     color: String,
     breed: String,
 
@@ -85,6 +98,12 @@ const animalSchema = new mongoose.Schema(
       ref: 'Animal',
     },
 
+    // Sire with no Animal record (bred by artificial insemination)
+    externalSire: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExternalSire',
+    },
+
     // Birth event reference
     birthEvent: {
       type: mongoose.Schema.Types.ObjectId,
@@ -112,6 +131,31 @@ const animalSchema = new mongoose.Schema(
     },
     lastHealthCheck: Date,
 
+    // Quarantined animals cannot be bred, sold, transferred or moved out of isolation
+    // until released
+    quarantine: {
+      isQuarantined: {
+        type: Boolean,
+        default: false,
+      },
+      reason: String,
+      startDate: Date,
+      expectedEndDate: Date,
+      outbreak: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Outbreak',
+      },
+      placedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      releasedAt: Date,
+      releasedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+
     // Hierarchy References
     animalType: {
       type: mongoose.Schema.Types.ObjectId,
@@ -124,6 +168,12 @@ const animalSchema = new mongoose.Schema(
       required: true,
     },
 
+    // Pen, flock or colony the animal is currently kept in
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AnimalGroup',
+    },
+
     // System
     isActive: {
       type: Boolean,
@@ -145,6 +195,34 @@ const animalSchema = new mongoose.Schema(
 
 // Indexes
 animalSchema.index({ farm: 1, tagNumber: 1 }, { unique: true });
+animalSchema.index({ group: 1, status: 1 });
+animalSchema.index({ farm: 1, 'quarantine.isQuarantined': 1 });
+
+// Keep a history entry for each new weight
+animalSchema.pre('save', function () {
+  if (this.weight?.value && (this.isNew || this.isModified('weight.value') || this.isModified('weight.lastUpdated'))) {
+    this.weightHistory.push({
+      value: this.weight.value,
+      unit: this.weight.unit,
+      date: this.weight.lastUpdated || new Date(),
+    });
+  }
+});
+
+// Weighings in kg, oldest first (animals weighed before the history was kept fall back to their current weight)
+animalSchema.statics.weighingsInKg = function (animal) {
+  const history = animal.weightHistory?.length
+    ? animal.weightHistory
+    : animal.weight?.value ? [{ ...animal.weight, date: animal.weight.lastUpdated || animal.createdAt }] : [];
+
+  return history
+    .filter(entry => entry.value && entry.date)
+    .map(entry => ({
+      value: entry.unit === 'lb' ? entry.value * 0.453592 : entry.value,
+      date: new Date(entry.date),
+    }))
+    .sort((a, b) => a.date - b.date);
+};
 
 // Static method to generate next tag number
 animalSchema.statics.generateTagNumber = async function (farmId, prefix = 'AN') {
@@ -15,21 +15,29 @@ const {
 
 // All animal routes require authentication
 const authMiddleware = require('../../../middlewares/auth.middleware');
+const { requireFarmPermission, farmFrom } = require('../../../middlewares/farmPermission.middleware');
+const validate = require('../../../middlewares/validate.middleware');
+const animalValidation = require('./animal.validation');
 router.use(authMiddleware);
 
+const canRead = (resolveFarm) => requireFarmPermission('animals:read', resolveFarm);
+const canWrite = (resolveFarm) => requireFarmPermission('animals:write', resolveFarm);
+
+const byAnimal = farmFrom.animal();
+
 // Animal routes - Note: these are now relative to /animals/records
-router.post('/', createAnimal); // POST /animals/records
-router.get('/', getUserAnimals); // GET /animals/records
-router.get('/:animalId', getAnimal); // GET /animals/records/:animalId
+router.post('/', validate(animalValidation.createAnimal), canWrite(), createAnimal); // POST /animals/records
+router.get('/', validate(animalValidation.getUserAnimals), getUserAnimals); // GET /animals/records
+router.get('/:animalId', validate(animalValidation.animalId), canRead(byAnimal), getAnimal); // GET /animals/records/:animalId
 
 // Farm-specific animal routes
-router.get('/farm/:farmId', getAnimalsByFarm); // GET /animals/records/farm/:farmId
-router.get('/farm/:farmId/statistics', getAnimalStatistics); // GET /animals/records/farm/:farmId/statistics
+router.get('/farm/:farmId', validate(animalValidation.getAnimalsByFarm), canRead(), getAnimalsByFarm); // GET /animals/records/farm/:farmId
+router.get('/farm/:farmId/statistics', validate(animalValidation.farmId), canRead(), getAnimalStatistics); // GET /animals/records/farm/:farmId/statistics
 
 // Animal update routes
-router.put('/:animalId', updateAnimal); // PUT /animals/records/:animalId
-router.patch('/:animalId/status', updateAnimalStatus); // PATCH /animals/records/:animalId/status
-router.patch('/:animalId/weight', updateAnimalWeight); // PATCH /animals/records/:animalId/weight
-router.delete('/:animalId', archiveAnimal); // DELETE /animals/records/:animalId
+router.put('/:animalId', validate(animalValidation.updateAnimal), canWrite(byAnimal), updateAnimal); // PUT /animals/records/:animalId
+router.patch('/:animalId/status', validate(animalValidation.updateAnimalStatus), canWrite(byAnimal), updateAnimalStatus); // PATCH /animals/records/:animalId/status
+router.patch('/:animalId/weight', validate(animalValidation.updateAnimalWeight), canWrite(byAnimal), updateAnimalWeight); // PATCH /animals/records/:animalId/weight
+router.delete('/:animalId', validate(animalValidation.animalId), canWrite(byAnimal), archiveAnimal); // DELETE /animals/records/:animalId
 
 module.exports = router;
\ No newline at end of file
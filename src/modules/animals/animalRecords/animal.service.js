@@ -1,21 +1,19 @@
 // src/modules/animals/animalRecords/animal.service.js
 const Animal = require('./animal.model');
-const Farm = require('../../farms/farm.model');
+const farmAccess = require('../../farms/farmAccess');
 const AnimalType = require('../../animalTypes/animalType.model');
+const vaccinationProtocolService = require('../operations/health-vaccination/vaccinationProtocol.service');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError, BusinessRuleError } = require('../../../utils/errors');
 
 const animalService = {
   // Create a new animal
   createAnimal: async (animalData, userId) => {
     try {
-      // Verify farm exists, belongs to user, and is not archived
-      const farm = await Farm.findOne({
-        _id: animalData.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(animalData.farm, userId);
 
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
 
       // Verify animal type exists, belongs to the farm, and is not archived
@@ -26,7 +24,7 @@ const animalService = {
       });
 
       if (!animalType) {
-        throw new Error('Animal type not found or does not belong to this farm');
+        throw new NotFoundError('Animal type not found or does not belong to this farm');
       }
 
       // Generate tag number if not provided
@@ -41,7 +39,7 @@ const animalService = {
       });
 
       if (existingTag) {
-        throw new Error(`Tag number ${animalData.tagNumber} already exists in this farm`);
+        throw new ConflictError(`Tag number ${animalData.tagNumber} already exists in this farm`);
       }
 
       // Set createdBy
@@ -50,6 +48,9 @@ const animalService = {
       // Create animal
       const animal = await Animal.create(animalData);
       
+      // Schedule the vaccinations the animal type's protocols call for
+      await vaccinationProtocolService.scheduleForAnimal(animal, animalType, userId);
+      
       return animal;
     } catch (error) {
       console.error('Service error creating animal:', error);
@@ -66,12 +67,8 @@ const animalService = {
         return null;
       }
 
-      // Check if farm belongs to user
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Check if user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
 
       if (!farm) {
         return null;
@@ -87,15 +84,11 @@ const animalService = {
   // Get animals by farm
   getAnimalsByFarm: async (farmId, userId, filters = {}) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
 
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
 
       const query = { farm: farmId };
@@ -109,6 +102,10 @@ const animalService = {
         query.gender = filters.gender;
       }
 
+      if (filters.group) {
+        query.group = filters.group;
+      }
+
       if (filters.status) {
         query.status = filters.status;
       } else {
@@ -136,9 +133,8 @@ const animalService = {
   // Get all animals for user (across all farms)
   getUserAnimals: async (userId, filters = {}) => {
     try {
-      // Get all farms owned by user
-      const farms = await Farm.find({ user: userId, isArchived: false });
-      const farmIds = farms.map(farm => farm._id);
+      // Get all farms the user owns or is a member of
+      const farmIds = await farmAccess.getAccessibleFarmIds(userId);
 
       const query = { farm: { $in: farmIds } };
 
@@ -187,7 +183,7 @@ const animalService = {
 
       // Don't allow changing farm or animal type
       if (updateData.farm || updateData.animalType) {
-        throw new Error('Cannot change farm or animal type reference');
+        throw new ValidationError('Cannot change farm or animal type reference');
       }
 
       // Check tag number uniqueness if being changed
@@ -199,7 +195,7 @@ const animalService = {
         });
 
         if (existingTag) {
-          throw new Error(`Tag number ${updateData.tagNumber} already exists in this farm`);
+          throw new ConflictError(`Tag number ${updateData.tagNumber} already exists in this farm`);
         }
       }
 
@@ -229,6 +225,11 @@ const animalService = {
         return null;
       }
 
+      // A quarantined animal has to stay on the farm until released
+      if (animal.quarantine?.isQuarantined && ['sold', 'transferred'].includes(status)) {
+        throw new BusinessRuleError(`Animal ${animal.tagNumber} is quarantined and cannot be ${status} until released`);
+      }
+
       animal.status = status;
       animal.statusDate = new Date();
       animal.statusReason = reason;
@@ -287,7 +288,7 @@ const animalService = {
         });
 
         if (offspringCount > 0) {
-          throw new Error('Cannot archive animal with active offspring');
+          throw new BusinessRuleError('Cannot archive animal with active offspring');
         }
       }
 
@@ -305,15 +306,11 @@ const animalService = {
   // Get animal statistics for dashboard
   getAnimalStatistics: async (farmId, userId) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
 
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
 
       // Get status statistics
@@ -0,0 +1,103 @@
+// src/modules/animals/animalRecords/animal.validation.js
+const Animal = require('./animal.model');
+const { objectId, partial, enumOf } = require('../../../utils/validation');
+
+const animalFields = {
+  tagNumber: { type: 'string', required: true, maxLength: 50 },
+  name: { type: 'string', maxLength: 100 },
+  gender: { type: 'string', required: true, enum: enumOf(Animal, 'gender') },
+  dateOfBirth: { type: 'date', required: true, max: 'now' },
+  dateOfEntry: { type: 'date' },
+  weight: {
+    type: 'object',
+    fields: {
+      value: { type: 'number', min: 0 },
+      unit: { type: 'string', enum: enumOf(Animal, 'weight.unit') },
+    },
+  },
+  color: { type: 'string' },
+  breed: { type: 'string' },
+  mother: { type: 'objectId' },
+  father: { type: 'objectId' },
+  sire: { type: 'objectId' },
+  externalSire: { type: 'objectId' },
+  dam: { type: 'objectId' },
+  reproductiveStatus: { type: 'string', enum: enumOf(Animal, 'reproductiveStatus') },
+  lastHeatDate: { type: 'date' },
+  heatCycleDays: { type: 'number', min: 0 },
+  lastBirthDate: { type: 'date' },
+  totalBirths: { type: 'integer', min: 0 },
+  breedingStatus: { type: 'string', enum: enumOf(Animal, 'breedingStatus') },
+  healthStatus: { type: 'string', enum: enumOf(Animal, 'healthStatus') },
+  lastHealthCheck: { type: 'date' },
+  notes: { type: 'string' },
+};
+
+const animalParams = {
+  animalId: objectId(),
+};
+
+const farmParams = {
+  farmId: objectId(),
+};
+
+const animalFilters = {
+  animalType: { type: 'objectId' },
+  gender: { type: 'string', enum: enumOf(Animal, 'gender') },
+  status: { type: 'string', enum: enumOf(Animal, 'status') },
+  search: { type: 'string' },
+};
+
+const animalValidation = {
+  createAnimal: {
+    body: {
+      ...animalFields,
+      animalType: objectId(),
+      farm: objectId(),
+    },
+  },
+
+  getUserAnimals: {
+    query: animalFilters,
+  },
+
+  animalId: {
+    params: animalParams,
+  },
+
+  getAnimalsByFarm: {
+    params: farmParams,
+    query: {
+      ...animalFilters,
+      group: { type: 'objectId' },
+    },
+  },
+
+  farmId: {
+    params: farmParams,
+  },
+
+  // Farm, animal type and status cannot be changed through a general update
+  updateAnimal: {
+    params: animalParams,
+    body: partial(animalFields),
+  },
+
+  updateAnimalStatus: {
+    params: animalParams,
+    body: {
+      status: { type: 'string', required: true, enum: enumOf(Animal, 'status') },
+      reason: { type: 'string' },
+    },
+  },
+
+  updateAnimalWeight: {
+    params: animalParams,
+    body: {
+      weight: { type: 'number', required: true, min: 0 },
+      unit: { type: 'string', enum: enumOf(Animal, 'weight.unit') },
+    },
+  },
+};
+
+module.exports = animalValidation;
@@ -4,6 +4,7 @@ const router = express.Router();
 
 // Import animal records routes
 const animalRecordsRoutes = require('./animalRecords/animal.routes');
+const animalGroupRoutes = require('./animalGroups/animalGroup.routes');
 const feedRoutes = require('./operations/feeds/feed.routes');
 const healthRoutes = require('./operations/health-vaccination/health.routes');
 const reproductionRoutes = require('./operations/reproductions/reproduction.routes');
@@ -13,6 +14,7 @@ const productionRoutes = require('./operations/production/production.routes');
 
 // Mount animal routes
 router.use('/records', animalRecordsRoutes);
+router.use('/groups', animalGroupRoutes);
 router.use('/feeds', feedRoutes); 
 router.use('/health', healthRoutes);
 router.use('/reproduction', reproductionRoutes);
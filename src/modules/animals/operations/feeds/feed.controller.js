@@ -1,20 +1,13 @@
 // src/modules/animals/operations/feeds/feed.controller.js
 const feedService = require('./feed.service');
+const { NotFoundError } = require('../../../../utils/errors');
 
 // Create a new feed record
-const createFeedRecord = async (req, res) => {
+const createFeedRecord = async (req, res, next) => {
   try {
     const userId = req.userId;
     const feedData = req.body;
 
-    // Validate required fields
-    if (!feedData.animal || !feedData.quantity || !feedData.quantity.value) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Animal and quantity are required',
-      });
-    }
-
     const feedRecord = await feedService.createFeedRecord(feedData, userId);
 
     res.status(201).json({
@@ -23,31 +16,12 @@ const createFeedRecord = async (req, res) => {
       data: feedRecord,
     });
   } catch (error) {
-    console.error('Error creating feed record:', error);
-    
-    if (error.message.includes('not found') || error.message.includes('permission')) {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message.includes('not enabled')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to create feed record',
-    });
+    next(error);
   }
 };
 
 // Get feed records for an animal
-const getAnimalFeedRecords = async (req, res) => {
+const getAnimalFeedRecords = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -71,31 +45,12 @@ const getAnimalFeedRecords = async (req, res) => {
       pagination: result.pagination,
     });
   } catch (error) {
-    console.error('Error fetching animal feed records:', error);
-    
-    if (error.message === 'Animal not found') {
-      return res.status(404).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch feed records',
-    });
+    next(error);
   }
 };
 
 // Get feed summary for an animal
-const getAnimalFeedSummary = async (req, res) => {
+const getAnimalFeedSummary = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -108,31 +63,12 @@ const getAnimalFeedSummary = async (req, res) => {
       data: result,
     });
   } catch (error) {
-    console.error('Error fetching animal feed summary:', error);
-    
-    if (error.message === 'Animal not found') {
-      return res.status(404).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch feed summary',
-    });
+    next(error);
   }
 };
 
 // Get today's feeds for an animal
-const getTodaysFeedsForAnimal = async (req, res) => {
+const getTodaysFeedsForAnimal = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -144,31 +80,12 @@ const getTodaysFeedsForAnimal = async (req, res) => {
       data: todaysFeeds,
     });
   } catch (error) {
-    console.error('Error fetching today\'s feeds:', error);
-    
-    if (error.message === 'Animal not found') {
-      return res.status(404).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch today\'s feeds',
-    });
+    next(error);
   }
 };
 
 // Get feed record by ID
-const getFeedRecord = async (req, res) => {
+const getFeedRecord = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { feedId } = req.params;
@@ -176,10 +93,7 @@ const getFeedRecord = async (req, res) => {
     const feedRecord = await feedService.getFeedRecordById(feedId, userId);
 
     if (!feedRecord) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Feed record not found',
-      });
+      throw new NotFoundError('Feed record not found');
     }
 
     res.status(200).json({
@@ -187,16 +101,12 @@ const getFeedRecord = async (req, res) => {
       data: feedRecord,
     });
   } catch (error) {
-    console.error('Error fetching feed record:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch feed record',
-    });
+    next(error);
   }
 };
 
 // Update feed record
-const updateFeedRecord = async (req, res) => {
+const updateFeedRecord = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { feedId } = req.params;
@@ -205,10 +115,7 @@ const updateFeedRecord = async (req, res) => {
     const feedRecord = await feedService.updateFeedRecord(feedId, userId, updateData);
 
     if (!feedRecord) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Feed record not found',
-      });
+      throw new NotFoundError('Feed record not found');
     }
 
     res.status(200).json({
@@ -217,24 +124,12 @@ const updateFeedRecord = async (req, res) => {
       data: feedRecord,
     });
   } catch (error) {
-    console.error('Error updating feed record:', error);
-    
-    if (error.message === 'Cannot change animal or farm reference') {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to update feed record',
-    });
+    next(error);
   }
 };
 
 // Delete feed record
-const deleteFeedRecord = async (req, res) => {
+const deleteFeedRecord = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { feedId } = req.params;
@@ -242,10 +137,7 @@ const deleteFeedRecord = async (req, res) => {
     const result = await feedService.deleteFeedRecord(feedId, userId);
 
     if (!result) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Feed record not found',
-      });
+      throw new NotFoundError('Feed record not found');
     }
 
     res.status(200).json({
@@ -253,16 +145,12 @@ const deleteFeedRecord = async (req, res) => {
       message: 'Feed record deleted successfully',
     });
   } catch (error) {
-    console.error('Error deleting feed record:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to delete feed record',
-    });
+    next(error);
   }
 };
 
 // Mark feed as completed
-const markFeedAsCompleted = async (req, res) => {
+const markFeedAsCompleted = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { feedId } = req.params;
@@ -270,10 +158,7 @@ const markFeedAsCompleted = async (req, res) => {
     const feedRecord = await feedService.markFeedAsCompleted(feedId, userId);
 
     if (!feedRecord) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Feed record not found',
-      });
+      throw new NotFoundError('Feed record not found');
     }
 
     res.status(200).json({
@@ -282,16 +167,12 @@ const markFeedAsCompleted = async (req, res) => {
       data: feedRecord,
     });
   } catch (error) {
-    console.error('Error marking feed as completed:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to mark feed as completed',
-    });
+    next(error);
   }
 };
 
 // Mark feed as missed
-const markFeedAsMissed = async (req, res) => {
+const markFeedAsMissed = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { feedId } = req.params;
@@ -299,10 +180,7 @@ const markFeedAsMissed = async (req, res) => {
     const feedRecord = await feedService.markFeedAsMissed(feedId, userId);
 
     if (!feedRecord) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Feed record not found',
-      });
+      throw new NotFoundError('Feed record not found');
     }
 
     res.status(200).json({
@@ -311,11 +189,7 @@ const markFeedAsMissed = async (req, res) => {
       data: feedRecord,
     });
   } catch (error) {
-    console.error('Error marking feed as missed:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to mark feed as missed',
-    });
+    next(error);
   }
 };
 
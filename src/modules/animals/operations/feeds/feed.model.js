@@ -3,13 +3,34 @@ const mongoose = require('mongoose');
 
 const feedSchema = new mongoose.Schema(
   {
-    // Core Reference
+    // Core Reference: a single animal, or a group whose members share the feeding
     animal: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Animal',
-      required: [true, 'Animal reference is required'],
     },
     
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AnimalGroup',
+    },
+    
+    // Each group member's share of the quantity and cost
+    allocations: [
+      {
+        _id: false,
+        animal: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Animal',
+          required: true,
+        },
+        quantity: {
+          value: Number,
+          unit: String,
+        },
+        cost: Number,
+      },
+    ],
+    
     // Feed Details
     feedType: {
       type: String,
@@ -78,6 +99,18 @@ const feedSchema = new mongoose.Schema(
       default: false,
     },
     
+    // Schedule this feeding was generated from (empty for manual records)
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeedSchedule',
+    },
+    
+    // Inventory deduction made when this feeding was completed (empty if none)
+    stockMovement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeedStockMovement',
+    },
+    
     // Metadata
     recordedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -96,10 +129,41 @@ const feedSchema = new mongoose.Schema(
   }
 );
 
+// A feeding is for an animal or a group, never both
+feedSchema.pre('validate', function() {
+  if (!this.animal === !this.group) {
+    this.invalidate('animal', 'A feed record needs either an animal or a group');
+  }
+});
+
+// Per-animal shares of a feed record (plain or document): the animal itself, or the group's allocations
+feedSchema.statics.animalShares = function(record) {
+  if (record.animal) {
+    return [{
+      animal: record.animal,
+      quantity: record.quantity,
+      cost: record.cost?.amount || 0,
+    }];
+  }
+  
+  return (record.allocations || []).map(allocation => ({
+    animal: allocation.animal,
+    quantity: allocation.quantity,
+    cost: allocation.cost || 0,
+  }));
+};
+
 // Indexes for performance
 feedSchema.index({ animal: 1, feedingTime: -1 });
+feedSchema.index({ group: 1, feedingTime: -1 });
+feedSchema.index({ 'allocations.animal': 1, feedingTime: -1 });
 feedSchema.index({ farm: 1, feedingTime: -1 });
 feedSchema.index({ animal: 1, feedType: 1 });
+// One feeding per schedule slot, so generation can safely be re-run
+feedSchema.index(
+  { schedule: 1, feedingTime: 1 },
+  { unique: true, partialFilterExpression: { schedule: { $exists: true } } }
+);
 
 const Feed = mongoose.model('Feed', feedSchema);
 
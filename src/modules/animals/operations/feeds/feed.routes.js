@@ -21,7 +21,9 @@ const {
   getAnimalFeedSchedules,
   getFarmFeedSchedules,
   updateFeedSchedule,
-  deleteFeedSchedule
+  deleteFeedSchedule,
+  generateFeedFromSchedule,
+  generateFarmFeeds
 } = require('./feedSchedule.controller');
 
 // Import other controllers - check if they export individual functions or objects
@@ -33,70 +35,183 @@ const {
   getFarmInventory,     // Was getFarmFeedInventory
   updateInventoryItem,  // Was updateFeedInventory
   deleteInventoryItem,  // Was deleteFeedInventory
-  getLowInventoryAlerts // Added this one
+  getLowInventoryAlerts, // Added this one
+  getInventoryMovements,
+  addInventoryBatch,
+  writeOffExpiredBatches,
 } = require('./feedInventory.controller');
 
+const {
+  createSupplier,
+  getFarmSuppliers,
+  getSupplier,
+  updateSupplier,
+  deleteSupplier
+} = require('./feedSupplier.controller');
+
+const {
+  createPurchaseOrder,
+  getFarmPurchaseOrders,
+  getPurchaseOrder,
+  updatePurchaseOrder,
+  placePurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+  draftReorderPurchaseOrders
+} = require('./feedPurchaseOrder.controller');
+
+const {
+  createIngredient,
+  getFarmIngredients,
+  getIngredient,
+  updateIngredient,
+  deleteIngredient
+} = require('./feedIngredient.controller');
+
+const {
+  createRation,
+  getFarmRations,
+  getRation,
+  updateRation,
+  deleteRation,
+  checkRation
+} = require('./feedRation.controller');
+
 const {
   generateFeedConsumptionReport,  // Was getFeedConsumptionReport
   generateInventoryReport,         // Maybe you want this one too
-  downloadReport                   // For downloads
+  getFarmReports,
+  getReport,
+  downloadReport,                  // For downloads
+  deleteReport
 } = require('./feedReports.controller');
 
+// Models used to resolve the farm for permission checks
+const Feed = require('./feed.model');
+const FeedSchedule = require('./feedSchedule.model');
+const FeedInventory = require('./feedInventory.model');
+const FeedSupplier = require('./feedSupplier.model');
+const FeedPurchaseOrder = require('./feedPurchaseOrder.model');
+const FeedIngredient = require('./feedIngredient.model');
+const FeedRation = require('./feedRation.model');
+const FeedReport = require('./feedReport.model');
+const AnimalGroup = require('../../animalGroups/animalGroup.model');
+
 // All feed routes require authentication
 const authMiddleware = require('../../../../middlewares/auth.middleware');
+const { requireFarmPermission, farmFrom } = require('../../../../middlewares/farmPermission.middleware');
+const validate = require('../../../../middlewares/validate.middleware');
+const feedValidation = require('./feed.validation');
 router.use(authMiddleware);
 
+const canRead = (resolveFarm) => requireFarmPermission('feeds:read', resolveFarm);
+const canWrite = (resolveFarm) => requireFarmPermission('feeds:write', resolveFarm);
+
+const byFeed = farmFrom.document(Feed, 'feedId');
+const bySchedule = farmFrom.document(FeedSchedule, 'scheduleId');
+const byInventory = farmFrom.document(FeedInventory, 'inventoryId');
+const bySupplier = farmFrom.document(FeedSupplier, 'supplierId');
+const byOrder = farmFrom.document(FeedPurchaseOrder, 'orderId');
+const byIngredient = farmFrom.document(FeedIngredient, 'ingredientId');
+const byRation = farmFrom.document(FeedRation, 'rationId');
+const byReport = farmFrom.document(FeedReport, 'reportId');
+const byAnimal = farmFrom.animal();
+const byBodyAnimal = farmFrom.animal('animal', 'body');
+const byBodyGroup = farmFrom.document(AnimalGroup, 'group', 'body');
+const byBodyTarget = farmFrom.first(byBodyAnimal, byBodyGroup);
+
 // ===== CORE FEED RECORDS =====
-router.post('/', createFeedRecord); // POST /feeds
-router.get('/:feedId', getFeedRecord); // GET /feeds/:feedId
-router.put('/:feedId', updateFeedRecord); // PUT /feeds/:feedId
-router.delete('/:feedId', deleteFeedRecord); // DELETE /feeds/:feedId
-router.patch('/:feedId/complete', markFeedAsCompleted); // PATCH /feeds/:feedId/complete
-router.patch('/:feedId/missed', markFeedAsMissed); // PATCH /feeds/:feedId/missed
+router.post('/', validate(feedValidation.createFeedRecord), canWrite(byBodyTarget), createFeedRecord); // POST /feeds
+router.get('/:feedId', validate(feedValidation.feedId), canRead(byFeed), getFeedRecord); // GET /feeds/:feedId
+router.put('/:feedId', validate(feedValidation.updateFeedRecord), canWrite(byFeed), updateFeedRecord); // PUT /feeds/:feedId
+router.delete('/:feedId', validate(feedValidation.feedId), canWrite(byFeed), deleteFeedRecord); // DELETE /feeds/:feedId
+router.patch('/:feedId/complete', validate(feedValidation.feedId), canWrite(byFeed), markFeedAsCompleted); // PATCH /feeds/:feedId/complete
+router.patch('/:feedId/missed', validate(feedValidation.feedId), canWrite(byFeed), markFeedAsMissed); // PATCH /feeds/:feedId/missed
 
 // Animal-specific feed routes
-router.get('/animal/:animalId', getAnimalFeedRecords); // GET /feeds/animal/:animalId
-router.get('/animal/:animalId/summary', getAnimalFeedSummary); // GET /feeds/animal/:animalId/summary
-router.get('/animal/:animalId/today', getTodaysFeedsForAnimal); // GET /feeds/animal/:animalId/today
+router.get('/animal/:animalId', validate(feedValidation.getAnimalFeedRecords), canRead(byAnimal), getAnimalFeedRecords); // GET /feeds/animal/:animalId
+router.get('/animal/:animalId/summary', validate(feedValidation.getAnimalFeedSummary), canRead(byAnimal), getAnimalFeedSummary); // GET /feeds/animal/:animalId/summary
+router.get('/animal/:animalId/today', validate(feedValidation.animalId), canRead(byAnimal), getTodaysFeedsForAnimal); // GET /feeds/animal/:animalId/today
 
 // ===== FEED COST ANALYTICS =====
 // Check if these are functions or objects
 if (typeof feedCostAnalyticsController.getAnimalFeedCostAnalytics === 'function') {
-  router.get('/animal/:animalId/analytics/cost', feedCostAnalyticsController.getAnimalFeedCostAnalytics);
+  router.get('/animal/:animalId/analytics/cost', validate(feedValidation.getAnimalFeedCostAnalytics), canRead(byAnimal), feedCostAnalyticsController.getAnimalFeedCostAnalytics);
 }
 if (typeof feedCostAnalyticsController.getFarmFeedCostAnalytics === 'function') {
-  router.get('/farm/:farmId/analytics/cost', feedCostAnalyticsController.getFarmFeedCostAnalytics);
+  router.get('/farm/:farmId/analytics/cost', validate(feedValidation.getFarmFeedCostAnalytics), canRead(), feedCostAnalyticsController.getFarmFeedCostAnalytics);
 }
+router.get('/animal/:animalId/analytics/efficiency', validate(feedValidation.getAnimalFeedEfficiency), canRead(byAnimal), feedCostAnalyticsController.getAnimalFeedEfficiency); // GET /feeds/animal/:animalId/analytics/efficiency
+router.get('/farm/:farmId/analytics/efficiency', validate(feedValidation.getFarmFeedEfficiency), canRead(), feedCostAnalyticsController.getFarmFeedEfficiency); // GET /feeds/farm/:farmId/analytics/efficiency
 
 // ===== FEED SCHEDULES =====
-router.post('/schedules', createFeedSchedule); // POST /feeds/schedules
-router.get('/schedules/animal/:animalId', getAnimalFeedSchedules); // GET /feeds/schedules/animal/:animalId
-router.get('/schedules/farm/:farmId', getFarmFeedSchedules); // GET /feeds/schedules/farm/:farmId
-router.put('/schedules/:scheduleId', updateFeedSchedule); // PUT /feeds/schedules/:scheduleId
-router.delete('/schedules/:scheduleId', deleteFeedSchedule); // DELETE /feeds/schedules/:scheduleId
+router.post('/schedules', validate(feedValidation.createFeedSchedule), canWrite(byBodyTarget), createFeedSchedule); // POST /feeds/schedules
+router.get('/schedules/animal/:animalId', validate(feedValidation.getAnimalFeedSchedules), canRead(byAnimal), getAnimalFeedSchedules); // GET /feeds/schedules/animal/:animalId
+router.get('/schedules/farm/:farmId', validate(feedValidation.getFarmFeedSchedules), canRead(), getFarmFeedSchedules); // GET /feeds/schedules/farm/:farmId
+router.put('/schedules/:scheduleId', validate(feedValidation.updateFeedSchedule), canWrite(bySchedule), updateFeedSchedule); // PUT /feeds/schedules/:scheduleId
+router.delete('/schedules/:scheduleId', validate(feedValidation.scheduleId), canWrite(bySchedule), deleteFeedSchedule); // DELETE /feeds/schedules/:scheduleId
+router.post('/schedules/:scheduleId/generate', validate(feedValidation.generateFeedFromSchedule), canWrite(bySchedule), generateFeedFromSchedule); // POST /feeds/schedules/:scheduleId/generate
+router.post('/schedules/farm/:farmId/generate', validate(feedValidation.generateFarmFeeds), canWrite(), generateFarmFeeds); // POST /feeds/schedules/farm/:farmId/generate
 
 // ===== FEED INVENTORY =====
-router.post('/inventory', upsertFeedInventory);
-router.get('/inventory/farm/:farmId', getFarmInventory);
-router.put('/inventory/:inventoryId', updateInventoryItem);
-router.delete('/inventory/:inventoryId', deleteInventoryItem);
+router.post('/inventory', validate(feedValidation.upsertFeedInventory), canWrite(), upsertFeedInventory);
+router.get('/inventory/farm/:farmId', validate(feedValidation.getFarmInventory), canRead(), getFarmInventory);
+router.put('/inventory/:inventoryId', validate(feedValidation.updateInventoryItem), canWrite(byInventory), updateInventoryItem);
+router.delete('/inventory/:inventoryId', validate(feedValidation.inventoryId), canWrite(byInventory), deleteInventoryItem);
+router.get('/inventory/:inventoryId/movements', validate(feedValidation.getInventoryMovements), canRead(byInventory), getInventoryMovements);
+router.post('/inventory/:inventoryId/batches', validate(feedValidation.addInventoryBatch), canWrite(byInventory), addInventoryBatch); // POST /feeds/inventory/:inventoryId/batches
+router.post('/inventory/farm/:farmId/write-off-expired', validate(feedValidation.farmId), canWrite(), writeOffExpiredBatches); // POST /feeds/inventory/farm/:farmId/write-off-expired
 
 // Optional: low-inventory alerts
-router.get('/inventory/farm/:farmId/alerts', getLowInventoryAlerts);
+router.get('/inventory/farm/:farmId/alerts', validate(feedValidation.farmId), canRead(), getLowInventoryAlerts);
+
+// ===== FEED SUPPLIERS =====
+router.post('/suppliers', validate(feedValidation.createSupplier), canWrite(), createSupplier); // POST /feeds/suppliers
+router.get('/suppliers/farm/:farmId', validate(feedValidation.getFarmSuppliers), canRead(), getFarmSuppliers); // GET /feeds/suppliers/farm/:farmId
+router.get('/suppliers/:supplierId', validate(feedValidation.supplierId), canRead(bySupplier), getSupplier); // GET /feeds/suppliers/:supplierId
+router.put('/suppliers/:supplierId', validate(feedValidation.updateSupplier), canWrite(bySupplier), updateSupplier); // PUT /feeds/suppliers/:supplierId
+router.delete('/suppliers/:supplierId', validate(feedValidation.supplierId), canWrite(bySupplier), deleteSupplier); // DELETE /feeds/suppliers/:supplierId
+
+// ===== FEED PURCHASE ORDERS =====
+router.post('/purchase-orders', validate(feedValidation.createPurchaseOrder), canWrite(), createPurchaseOrder); // POST /feeds/purchase-orders
+router.get('/purchase-orders/farm/:farmId', validate(feedValidation.getFarmPurchaseOrders), canRead(), getFarmPurchaseOrders); // GET /feeds/purchase-orders/farm/:farmId
+router.post('/purchase-orders/farm/:farmId/reorder', validate(feedValidation.farmId), canWrite(), draftReorderPurchaseOrders); // POST /feeds/purchase-orders/farm/:farmId/reorder
+router.get('/purchase-orders/:orderId', validate(feedValidation.orderId), canRead(byOrder), getPurchaseOrder); // GET /feeds/purchase-orders/:orderId
+router.put('/purchase-orders/:orderId', validate(feedValidation.updatePurchaseOrder), canWrite(byOrder), updatePurchaseOrder); // PUT /feeds/purchase-orders/:orderId
+router.post('/purchase-orders/:orderId/place', validate(feedValidation.placePurchaseOrder), canWrite(byOrder), placePurchaseOrder); // POST /feeds/purchase-orders/:orderId/place
+router.post('/purchase-orders/:orderId/receive', validate(feedValidation.receivePurchaseOrder), canWrite(byOrder), receivePurchaseOrder); // POST /feeds/purchase-orders/:orderId/receive
+router.post('/purchase-orders/:orderId/cancel', validate(feedValidation.cancelPurchaseOrder), canWrite(byOrder), cancelPurchaseOrder); // POST /feeds/purchase-orders/:orderId/cancel
+
+// ===== FEED INGREDIENTS =====
+router.post('/ingredients', validate(feedValidation.createIngredient), canWrite(), createIngredient); // POST /feeds/ingredients
+router.get('/ingredients/farm/:farmId', validate(feedValidation.getFarmIngredients), canRead(), getFarmIngredients); // GET /feeds/ingredients/farm/:farmId
+router.get('/ingredients/:ingredientId', validate(feedValidation.ingredientId), canRead(byIngredient), getIngredient); // GET /feeds/ingredients/:ingredientId
+router.put('/ingredients/:ingredientId', validate(feedValidation.updateIngredient), canWrite(byIngredient), updateIngredient); // PUT /feeds/ingredients/:ingredientId
+router.delete('/ingredients/:ingredientId', validate(feedValidation.ingredientId), canWrite(byIngredient), deleteIngredient); // DELETE /feeds/ingredients/:ingredientId
+
+// ===== FEED RATIONS =====
+router.post('/rations', validate(feedValidation.createRation), canWrite(), createRation); // POST /feeds/rations
+router.get('/rations/farm/:farmId', validate(feedValidation.getFarmRations), canRead(), getFarmRations); // GET /feeds/rations/farm/:farmId
+router.get('/rations/:rationId', validate(feedValidation.rationId), canRead(byRation), getRation); // GET /feeds/rations/:rationId
+router.put('/rations/:rationId', validate(feedValidation.updateRation), canWrite(byRation), updateRation); // PUT /feeds/rations/:rationId
+router.delete('/rations/:rationId', validate(feedValidation.rationId), canWrite(byRation), deleteRation); // DELETE /feeds/rations/:rationId
+router.get('/rations/:rationId/check', validate(feedValidation.checkRation), canRead(byRation), checkRation); // GET /feeds/rations/:rationId/check
 
 // ===== FEED ALERTS =====
 // Check if these are functions or objects
 if (feedAlertsController && typeof feedAlertsController.getFeedAlerts === 'function') {
-  router.get('/alerts/farm/:farmId', feedAlertsController.getFeedAlerts);
+  router.get('/alerts/farm/:farmId', validate(feedValidation.farmId), canRead(), feedAlertsController.getFeedAlerts);
 }
 if (feedAlertsController && typeof feedAlertsController.getMissedFeedingsAlerts === 'function') {
-  router.get('/alerts/farm/:farmId/missed-feedings', feedAlertsController.getMissedFeedingsAlerts);
+  router.get('/alerts/farm/:farmId/missed-feedings', validate(feedValidation.farmId), canRead(), feedAlertsController.getMissedFeedingsAlerts);
 }
 
 // ===== FEED REPORTS =====
-router.get('/reports/farm/:farmId/consumption', generateFeedConsumptionReport);
-router.get('/reports/farm/:farmId/inventory', generateInventoryReport);
-// Optionally expose download endpoint
-// router.get('/reports/download/:reportId', downloadReport);
+router.get('/reports/farm/:farmId/consumption', validate(feedValidation.generateFeedConsumptionReport), canRead(), generateFeedConsumptionReport);
+router.get('/reports/farm/:farmId/inventory', validate(feedValidation.generateInventoryReport), canRead(), generateInventoryReport);
+router.get('/reports/farm/:farmId', validate(feedValidation.getFarmReports), canRead(), getFarmReports); // GET /feeds/reports/farm/:farmId
+router.get('/reports/download/:reportId', validate(feedValidation.downloadReport), canRead(byReport), downloadReport); // GET /feeds/reports/download/:reportId?format=csv|xlsx|pdf
+router.get('/reports/:reportId', validate(feedValidation.reportId), canRead(byReport), getReport); // GET /feeds/reports/:reportId
+router.delete('/reports/:reportId', validate(feedValidation.reportId), canWrite(byReport), deleteReport); // DELETE /feeds/reports/:reportId
 
 module.exports = router;
\ No newline at end of file
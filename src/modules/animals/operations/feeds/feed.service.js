@@ -2,48 +2,86 @@
 const Feed = require('./feed.model');
 const Animal = require('../../animalRecords/animal.model');
 const AnimalType = require('../../../animalTypes/animalType.model');
-const Farm = require('../../../farms/farm.model');
+const AnimalGroup = require('../../animalGroups/animalGroup.model');
+const animalGroupService = require('../../animalGroups/animalGroup.service');
+const farmAccess = require('../../../farms/farmAccess');
+const feedStockService = require('./feedStock.service');
+const feedUnits = require('./feedUnits');
+const { ValidationError, ForbiddenError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
+
+// Feed records that include an animal, whether fed alone or as part of a group
+const animalFeedQuery = (animalId) => ({
+  $or: [{ animal: animalId }, { 'allocations.animal': animalId }],
+});
+
+// The animal's own portion of a feed record
+const shareFor = (record, animalId) => Feed.animalShares(record)
+  .find(share => (share.animal._id || share.animal).toString() === animalId.toString());
+
+// Group feedings carry the animal's share alongside the whole feeding
+const withAnimalShare = (records, animalId) => records.map(record => (
+  record.group ? { ...record, animalShare: shareFor(record, animalId) } : record
+));
 
 const feedService = {
   // Create a new feed record
   createFeedRecord: async (feedData, userId) => {
     try {
+      if (!feedData.animal === !feedData.group) {
+        throw new ValidationError('Provide either an animal or a group to feed');
+      }
+      
+      // Group feedings are split across the group's current members
+      if (feedData.group) {
+        const { group, members } = await feedService.resolveFeedingGroup(feedData.group, userId);
+        
+        if (feedData.farm && feedData.farm.toString() !== group.farm.toString()) {
+          throw new BusinessRuleError('Farm does not match group farm');
+        }
+        
+        feedData.recordedBy = userId;
+        feedData.farm = group.farm;
+        
+        const feedRecord = new Feed(feedData);
+        feedService.splitAcrossMembers(feedRecord, members);
+        await feedService.saveNewFeed(feedRecord, userId);
+        
+        return feedRecord;
+      }
+      
       // Verify animal exists
       const animal = await Animal.findById(feedData.animal);
       
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      // Verify farm belongs to user and is not archived
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Verify animal type has feed management enabled
       const animalType = await AnimalType.findById(animal.animalType);
       
       if (!animalType || !animalType.features?.feedManagement) {
-        throw new Error('Feed management is not enabled for this animal type');
+        throw new BusinessRuleError('Feed management is not enabled for this animal type');
       }
       
       // Verify farm matches
       if (feedData.farm && feedData.farm.toString() !== animal.farm.toString()) {
-        throw new Error('Farm does not match animal farm');
+        throw new BusinessRuleError('Farm does not match animal farm');
       }
       
       // Add metadata
       feedData.recordedBy = userId;
       feedData.farm = animal.farm;
       
-      // Create feed record
-      const feedRecord = await Feed.create(feedData);
+      // Create feed record (a feeding recorded as completed draws from stock)
+      const feedRecord = new Feed(feedData);
+      await feedService.saveNewFeed(feedRecord, userId);
       
       return feedRecord;
     } catch (error) {
@@ -52,6 +90,77 @@ const feedService = {
     }
   },
   
+  // Save a new feed record with its stock deduction; if the record cannot be saved,
+  // the stock it drew is put back
+  saveNewFeed: async (feedRecord, userId) => {
+    await feedRecord.validate();
+    await feedStockService.syncFeedStock(feedRecord, userId);
+    
+    try {
+      await feedRecord.save();
+    } catch (error) {
+      await feedStockService.reverseForFeed(feedRecord, userId, 'Feeding could not be saved');
+      throw error;
+    }
+    
+    return feedRecord;
+  },
+  
+  // Load a group to feed, with its current members
+  resolveFeedingGroup: async (groupId, userId) => {
+    const group = await AnimalGroup.findById(groupId);
+    
+    if (!group) {
+      throw new NotFoundError('Group not found');
+    }
+    
+    const farm = await farmAccess.findAccessibleFarm(group.farm, userId);
+    
+    if (!farm) {
+      throw new ForbiddenError('Farm not found or you do not have permission');
+    }
+    
+    if (!group.isActive) {
+      throw new BusinessRuleError('Cannot feed an inactive group');
+    }
+    
+    const members = await animalGroupService.getMembers(group._id);
+    
+    if (members.length === 0) {
+      throw new BusinessRuleError('Group has no animals to feed');
+    }
+    
+    // Every animal type in the group must have feed management enabled
+    const typeIds = [...new Set(members.map(member => member.animalType.toString()))];
+    const enabledTypes = await AnimalType.countDocuments({
+      _id: { $in: typeIds },
+      'features.feedManagement': true,
+    });
+    
+    if (enabledTypes !== typeIds.length) {
+      throw new BusinessRuleError('Feed management is not enabled for every animal type in this group');
+    }
+    
+    return { group, members };
+  },
+  
+  // Share a group feeding's quantity and cost equally between the given animals
+  splitAcrossMembers: (feedRecord, members) => {
+    const count = members.length;
+    const cost = feedRecord.cost?.amount;
+    
+    feedRecord.allocations = members.map(member => ({
+      animal: member._id,
+      quantity: {
+        value: feedUnits.round(feedRecord.quantity.value / count),
+        unit: feedRecord.quantity.unit,
+      },
+      cost: cost ? Math.round((cost / count) * 100) / 100 : 0,
+    }));
+    
+    return feedRecord;
+  },
+  
   // Get feed records for an animal (individual animal focus)
   getFeedRecordsByAnimal: async (animalId, userId, filters = {}) => {
     try {
@@ -59,22 +168,18 @@ const feedService = {
       const animal = await Animal.findById(animalId);
       
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Build query
-      const query = { animal: animalId };
+      const query = animalFeedQuery(animalId);
       
       // Apply filters
       if (filters.feedType) {
@@ -120,7 +225,7 @@ const feedService = {
       const totalRecords = await Feed.countDocuments(query);
       
       return {
-        records: feedRecords,
+        records: withAnimalShare(feedRecords, animalId),
         pagination: {
           page,
           limit,
@@ -146,11 +251,7 @@ const feedService = {
       }
       
       // Verify user has permission via farm
-      const farm = await Farm.findOne({
-        _id: feedRecord.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(feedRecord.farm, userId);
       
       if (!farm) {
         return null;
@@ -173,22 +274,31 @@ const feedService = {
         return null;
       }
       
-      // Don't allow changing animal or farm
-      if (updateData.animal || updateData.farm) {
-        throw new Error('Cannot change animal or farm reference');
+      // Don't allow changing animal, group or farm
+      if (updateData.animal || updateData.group || updateData.farm) {
+        throw new ValidationError('Cannot change animal, group or farm reference');
       }
       
       // Update feed record
-      const updatedFeed = await Feed.findByIdAndUpdate(
-        feedId,
-        updateData,
-        {
-          new: true,
-          runValidators: true,
-        }
-      );
+      feedRecord.set(updateData);
+      
+      // Re-split a group feeding between the same animals
+      if (feedRecord.group && (feedRecord.isModified('quantity') || feedRecord.isModified('cost'))) {
+        feedService.splitAcrossMembers(
+          feedRecord,
+          feedRecord.allocations.map(allocation => ({ _id: allocation.animal }))
+        );
+      }
+      
+      await feedRecord.validate();
       
-      return updatedFeed;
+      // Re-deduct stock when what was fed changes
+      const stockChanged = ['quantity', 'feedType', 'customFeedName']
+        .some(field => feedRecord.isModified(field));
+      await feedStockService.syncFeedStock(feedRecord, userId, { force: stockChanged });
+      await feedRecord.save();
+      
+      return feedRecord;
     } catch (error) {
       console.error('Service error updating feed record:', error);
       throw error;
@@ -204,6 +314,9 @@ const feedService = {
         return null;
       }
       
+      // Return the feeding's stock before the record goes
+      await feedStockService.reverseForFeed(feedRecord, userId, 'Feed record deleted');
+      
       const result = await Feed.findByIdAndDelete(feedId);
       return result;
     } catch (error) {
@@ -219,17 +332,13 @@ const feedService = {
       const animal = await Animal.findById(animalId);
       
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Calculate date range
@@ -239,7 +348,7 @@ const feedService = {
       
       // Get recent feeds
       const recentFeeds = await Feed.find({
-        animal: animalId,
+        ...animalFeedQuery(animalId),
         feedingTime: { $gte: startDate, $lte: endDate },
       })
       .sort({ feedingTime: -1 })
@@ -248,11 +357,14 @@ const feedService = {
       
       // Calculate totals
       const totals = recentFeeds.reduce((acc, feed) => {
+        // Only this animal's share of a group feeding counts
+        const { quantity } = shareFor(feed, animalId);
+        
         // Convert all to kg for consistency
-        let quantityInKg = feed.quantity.value;
-        if (feed.quantity.unit === 'g') quantityInKg = feed.quantity.value / 1000;
-        if (feed.quantity.unit === 'lb') quantityInKg = feed.quantity.value * 0.453592;
-        if (feed.quantity.unit === 'oz') quantityInKg = feed.quantity.value * 0.0283495;
+        let quantityInKg = quantity.value;
+        if (quantity.unit === 'g') quantityInKg = quantity.value / 1000;
+        if (quantity.unit === 'lb') quantityInKg = quantity.value * 0.453592;
+        if (quantity.unit === 'oz') quantityInKg = quantity.value * 0.0283495;
         
         acc.totalQuantity += quantityInKg;
         acc.totalFeedings++;
@@ -276,7 +388,7 @@ const feedService = {
       
       return {
         summary: totals,
-        recentFeeds,
+        recentFeeds: withAnimalShare(recentFeeds, animalId),
       };
     } catch (error) {
       console.error('Service error getting feed summary:', error);
@@ -293,8 +405,18 @@ const feedService = {
         return null;
       }
       
+      // A group feeding is shared by whoever is in the group when it is fed
+      if (feedRecord.group) {
+        const members = await animalGroupService.getMembers(feedRecord.group);
+        
+        if (members.length > 0) {
+          feedService.splitAcrossMembers(feedRecord, members);
+        }
+      }
+      
       feedRecord.isCompleted = true;
       feedRecord.isMissed = false;
+      await feedStockService.syncFeedStock(feedRecord, userId);
       await feedRecord.save();
       
       return feedRecord;
@@ -315,6 +437,7 @@ const feedService = {
       
       feedRecord.isCompleted = false;
       feedRecord.isMissed = true;
+      await feedStockService.syncFeedStock(feedRecord, userId);
       await feedRecord.save();
       
       return feedRecord;
@@ -331,17 +454,13 @@ const feedService = {
       const animal = await Animal.findById(animalId);
       
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Get today's date boundaries
@@ -352,7 +471,7 @@ const feedService = {
       
       // Get today's feeds
       const todaysFeeds = await Feed.find({
-        animal: animalId,
+        ...animalFeedQuery(animalId),
         feedingTime: {
           $gte: today,
           $lt: tomorrow,
@@ -361,13 +480,13 @@ const feedService = {
       .sort({ feedingTime: 1 })
       .lean();
       
-      return todaysFeeds;
+      return withAnimalShare(todaysFeeds, animalId);
     } catch (error) {
       console.error('Service error getting today\'s feeds:', error);
       throw error;
     }
   },
-
+  
   // Get feed cost analytics for an animal
   getAnimalFeedCostAnalytics: async (animalId, userId, period = 'month') => {
     try {
@@ -375,17 +494,13 @@ const feedService = {
       const animal = await Animal.findById(animalId);
       
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Calculate date range
@@ -411,7 +526,7 @@ const feedService = {
       
       // Get feed records with cost
       const feedRecords = await Feed.find({
-        animal: animalId,
+        ...animalFeedQuery(animalId),
         feedingTime: { $gte: startDate },
         'cost.amount': { $exists: true, $gt: 0 },
       }).lean();
@@ -428,14 +543,17 @@ const feedService = {
       
       // Calculate totals
       feedRecords.forEach(record => {
-        if (record.cost?.amount) {
-          analytics.totalCost += record.cost.amount;
+        // Only this animal's share of a group feeding counts
+        const { quantity, cost } = shareFor(record, animalId);
+        
+        if (cost) {
+          analytics.totalCost += cost;
           
           // Convert quantity to kg for consistency
-          let quantityInKg = record.quantity.value;
-          if (record.quantity.unit === 'g') quantityInKg = record.quantity.value / 1000;
-          if (record.quantity.unit === 'lb') quantityInKg = record.quantity.value * 0.453592;
-          if (record.quantity.unit === 'oz') quantityInKg = record.quantity.value * 0.0283495;
+          let quantityInKg = quantity.value;
+          if (quantity.unit === 'g') quantityInKg = quantity.value / 1000;
+          if (quantity.unit === 'lb') quantityInKg = quantity.value * 0.453592;
+          if (quantity.unit === 'oz') quantityInKg = quantity.value * 0.0283495;
           
           analytics.totalQuantity += quantityInKg;
           
@@ -447,7 +565,7 @@ const feedService = {
               costPerKg: 0,
             };
           }
-          analytics.byFeedType[record.feedType].totalCost += record.cost.amount;
+          analytics.byFeedType[record.feedType].totalCost += cost;
           analytics.byFeedType[record.feedType].totalQuantity += quantityInKg;
           
           // Cost trend by week
@@ -459,7 +577,7 @@ const feedService = {
               totalQuantity: 0,
             };
           }
-          analytics.costTrend[weekNumber].totalCost += record.cost.amount;
+          analytics.costTrend[weekNumber].totalCost += cost;
           analytics.costTrend[weekNumber].totalQuantity += quantityInKg;
         }
       });
@@ -489,15 +607,11 @@ const feedService = {
   // Get farm-wide feed cost analytics
   getFarmFeedCostAnalytics: async (farmId, userId, period = 'month') => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Calculate date range
@@ -528,6 +642,7 @@ const feedService = {
         'cost.amount': { $exists: true, $gt: 0 },
       })
       .populate('animal', 'tagNumber name animalType')
+      .populate('allocations.animal', 'tagNumber name animalType')
       .lean();
       
       // Group by animal type
@@ -565,15 +680,18 @@ const feedService = {
           analytics.monthlyBreakdown[month].totalCost += record.cost.amount;
           analytics.monthlyBreakdown[month].totalQuantity += quantityInKg;
           
-          // Track most expensive animal
-          if (!analytics.byAnimal[record.animal]) {
-            analytics.byAnimal[record.animal] = {
-              totalCost: 0,
-              animalName: record.animal?.name || 'Unknown',
-              animalTag: record.animal?.tagNumber || 'Unknown',
-            };
-          }
-          analytics.byAnimal[record.animal].totalCost += record.cost.amount;
+          // Track most expensive animal (group feedings count towards each member's share)
+          Feed.animalShares(record).forEach(share => {
+            const animalId = String(share.animal?._id || share.animal);
+            if (!analytics.byAnimal[animalId]) {
+              analytics.byAnimal[animalId] = {
+                totalCost: 0,
+                animalName: share.animal?.name || 'Unknown',
+                animalTag: share.animal?.tagNumber || 'Unknown',
+              };
+            }
+            analytics.byAnimal[animalId].totalCost += share.cost;
+          });
           
           // Track most costly feed type
           if (!analytics.byAnimalType[record.feedType]) {
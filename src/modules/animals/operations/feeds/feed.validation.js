@@ -0,0 +1,584 @@
+// src/modules/animals/operations/feeds/feed.validation.js
+const Feed = require('./feed.model');
+const FeedSchedule = require('./feedSchedule.model');
+const FeedInventory = require('./feedInventory.model');
+const FeedStockMovement = require('./feedStockMovement.model');
+const FeedPurchaseOrder = require('./feedPurchaseOrder.model');
+const FeedIngredient = require('./feedIngredient.model');
+const { objectId, partial, enumOf, pagination } = require('../../../../utils/validation');
+
+const FEED_TYPES = enumOf(Feed, 'feedType');
+const FEED_UNITS = enumOf(Feed, 'quantity.unit');
+const STOCK_UNITS = enumOf(FeedInventory, 'currentStock.unit');
+const PERIODS = ['week', 'month', 'quarter', 'year'];
+const REPORT_FORMATS = ['json', 'csv', 'xlsx', 'excel', 'pdf'];
+const DOWNLOAD_FORMATS = ['csv', 'xlsx', 'excel', 'pdf'];
+
+const quantity = (units) => ({
+  type: 'object',
+  required: true,
+  fields: {
+    value: { type: 'number', required: true, min: 0.001 },
+    unit: { type: 'string', enum: units },
+  },
+});
+
+const stockLevel = {
+  type: 'object',
+  fields: {
+    value: { type: 'number', min: 0 },
+    unit: { type: 'string', enum: STOCK_UNITS },
+  },
+};
+
+const money = {
+  type: 'object',
+  fields: {
+    amount: { type: 'number', min: 0 },
+    currency: { type: 'string', maxLength: 3 },
+  },
+};
+
+const feedFields = {
+  feedType: { type: 'string', enum: FEED_TYPES },
+  customFeedName: { type: 'string' },
+  quantity: quantity(FEED_UNITS),
+  feedingTime: { type: 'date' },
+  scheduleType: { type: 'string', enum: enumOf(Feed, 'scheduleType') },
+  cost: money,
+  notes: { type: 'string', maxLength: 500 },
+  isCompleted: { type: 'boolean' },
+  isMissed: { type: 'boolean' },
+};
+
+const scheduleFields = {
+  name: { type: 'string', required: true },
+  description: { type: 'string' },
+  feedType: { type: 'string', required: true, enum: FEED_TYPES },
+  customFeedName: { type: 'string' },
+  quantity: quantity(enumOf(FeedSchedule, 'quantity.unit')),
+  frequency: { type: 'string', required: true, enum: enumOf(FeedSchedule, 'frequency') },
+  timesPerDay: { type: 'integer', min: 1, max: 10 },
+  specificTimes: {
+    type: 'array',
+    items: {
+      type: 'object',
+      fields: {
+        hour: { type: 'integer', required: true, min: 0, max: 23 },
+        minute: { type: 'integer', min: 0, max: 59 },
+      },
+    },
+  },
+  daysOfWeek: { type: 'array', items: { type: 'integer', min: 0, max: 6 } },
+  startDate: { type: 'date' },
+  endDate: { type: 'date' },
+  estimatedCostPerFeeding: money,
+  isActive: { type: 'boolean' },
+};
+
+const inventoryFields = {
+  feedType: { type: 'string', required: true, enum: enumOf(FeedInventory, 'feedType') },
+  customFeedName: { type: 'string' },
+  brand: { type: 'string' },
+  currentStock: {
+    type: 'object',
+    required: true,
+    fields: {
+      value: { type: 'number', required: true, min: 0 },
+      unit: { type: 'string', enum: STOCK_UNITS },
+    },
+  },
+  bagWeight: {
+    type: 'object',
+    fields: {
+      value: { type: 'number', min: 0.001 },
+      unit: { type: 'string', enum: enumOf(FeedInventory, 'bagWeight.unit') },
+    },
+  },
+  minimumStockLevel: stockLevel,
+  reorderPoint: stockLevel,
+  purchasePrice: {
+    type: 'object',
+    fields: {
+      amount: { type: 'number', min: 0 },
+      currency: { type: 'string', maxLength: 3 },
+      perUnit: {
+        type: 'object',
+        fields: {
+          value: { type: 'number', min: 0 },
+          unit: { type: 'string', enum: STOCK_UNITS },
+        },
+      },
+    },
+  },
+  lastPurchaseDate: { type: 'date' },
+  lastPurchaseQuantity: stockLevel,
+  supplier: { type: 'objectId' },
+  storageLocation: { type: 'string' },
+  // Describe the batch added when currentStock goes up
+  expirationDate: { type: 'date' },
+  batchNumber: { type: 'string' },
+  isActive: { type: 'boolean' },
+  notes: { type: 'string', maxLength: 1000 },
+};
+
+const generationRange = {
+  startDate: { type: 'date' },
+  endDate: { type: 'date' },
+};
+
+const supplierFields = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  contactPerson: { type: 'string' },
+  phone: { type: 'string' },
+  email: { type: 'email' },
+  address: { type: 'string' },
+  feedTypes: { type: 'array', items: { type: 'string', enum: enumOf(FeedInventory, 'feedType') } },
+  leadTimeDays: { type: 'integer', min: 0 },
+  paymentTerms: { type: 'string' },
+  isActive: { type: 'boolean' },
+  notes: { type: 'string', maxLength: 1000 },
+};
+
+const orderItem = {
+  type: 'object',
+  fields: {
+    inventoryItem: { type: 'objectId' },
+    feedType: { type: 'string', enum: enumOf(FeedInventory, 'feedType') },
+    customFeedName: { type: 'string' },
+    quantity: quantity(STOCK_UNITS),
+    unitPrice: { type: 'number', min: 0 },
+  },
+};
+
+const purchaseOrderFields = {
+  supplier: { type: 'objectId' },
+  items: { type: 'array', required: true, minLength: 1, items: orderItem },
+  currency: { type: 'string', maxLength: 3 },
+  expectedDeliveryDate: { type: 'date' },
+  notes: { type: 'string', maxLength: 1000 },
+};
+
+const percentage = { type: 'number', min: 0, max: 100 };
+
+const ingredientFields = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  category: { type: 'string', enum: enumOf(FeedIngredient, 'category') },
+  nutrients: {
+    type: 'object',
+    required: true,
+    fields: {
+      dryMatter: { ...percentage, required: true },
+      crudeProtein: percentage,
+      energy: { type: 'number', min: 0 },
+      crudeFibre: percentage,
+      calcium: percentage,
+      phosphorus: percentage,
+    },
+  },
+  pricePerKg: money,
+  inventoryItem: { type: 'objectId' },
+  isActive: { type: 'boolean' },
+  notes: { type: 'string', maxLength: 1000 },
+};
+
+const rationFields = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  description: { type: 'string' },
+  animalType: { type: 'objectId' },
+  stage: { type: 'string' },
+  ingredients: {
+    type: 'array',
+    required: true,
+    minLength: 1,
+    items: {
+      type: 'object',
+      fields: {
+        ingredient: objectId(),
+        percentage: { type: 'number', required: true, min: 0.01, max: 100 },
+      },
+    },
+  },
+  isActive: { type: 'boolean' },
+  notes: { type: 'string', maxLength: 1000 },
+};
+
+const feedParams = { feedId: objectId() };
+const animalParams = { animalId: objectId() };
+const farmParams = { farmId: objectId() };
+const scheduleParams = { scheduleId: objectId() };
+const inventoryParams = { inventoryId: objectId() };
+const supplierParams = { supplierId: objectId() };
+const orderParams = { orderId: objectId() };
+const ingredientParams = { ingredientId: objectId() };
+const rationParams = { rationId: objectId() };
+const reportParams = { reportId: objectId() };
+
+const feedValidation = {
+  // Feed records
+  createFeedRecord: {
+    body: {
+      ...feedFields,
+      // One of animal or group
+      animal: { type: 'objectId' },
+      group: { type: 'objectId' },
+    },
+  },
+
+  feedId: {
+    params: feedParams,
+  },
+
+  // Animal and farm cannot be changed once recorded
+  updateFeedRecord: {
+    params: feedParams,
+    body: partial(feedFields),
+  },
+
+  getAnimalFeedRecords: {
+    params: animalParams,
+    query: {
+      feedType: { type: 'string', enum: FEED_TYPES },
+      scheduleType: { type: 'string', enum: enumOf(Feed, 'scheduleType') },
+      isCompleted: { type: 'boolean' },
+      isMissed: { type: 'boolean' },
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+      ...pagination,
+    },
+  },
+
+  getAnimalFeedSummary: {
+    params: animalParams,
+    query: {
+      days: { type: 'integer', min: 1 },
+    },
+  },
+
+  animalId: {
+    params: animalParams,
+  },
+
+  farmId: {
+    params: farmParams,
+  },
+
+  // Cost analytics
+  getAnimalFeedCostAnalytics: {
+    params: animalParams,
+    query: {
+      period: { type: 'string', enum: PERIODS },
+    },
+  },
+
+  getFarmFeedCostAnalytics: {
+    params: farmParams,
+    query: {
+      period: { type: 'string', enum: PERIODS },
+    },
+  },
+
+  // Defaults to the last 30 days
+  getAnimalFeedEfficiency: {
+    params: animalParams,
+    query: {
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+    },
+  },
+
+  getFarmFeedEfficiency: {
+    params: farmParams,
+    query: {
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+      animalType: { type: 'objectId' },
+      group: { type: 'objectId' },
+    },
+  },
+
+  // Schedules
+  createFeedSchedule: {
+    body: {
+      ...scheduleFields,
+      // One of animal or group
+      animal: { type: 'objectId' },
+      group: { type: 'objectId' },
+    },
+  },
+
+  getAnimalFeedSchedules: {
+    params: animalParams,
+    query: {
+      active: { type: 'boolean' },
+    },
+  },
+
+  getFarmFeedSchedules: {
+    params: farmParams,
+    query: {
+      active: { type: 'boolean' },
+    },
+  },
+
+  // Animal and farm cannot be changed once created
+  updateFeedSchedule: {
+    params: scheduleParams,
+    body: partial(scheduleFields),
+  },
+
+  scheduleId: {
+    params: scheduleParams,
+  },
+
+  // Date range defaults to today plus the configured number of days ahead
+  generateFeedFromSchedule: {
+    params: scheduleParams,
+    body: generationRange,
+  },
+
+  generateFarmFeeds: {
+    params: farmParams,
+    body: generationRange,
+  },
+
+  // Inventory
+  upsertFeedInventory: {
+    body: {
+      ...inventoryFields,
+      farm: objectId(),
+    },
+  },
+
+  getFarmInventory: {
+    params: farmParams,
+    query: {
+      includeInactive: { type: 'boolean' },
+    },
+  },
+
+  // Farm cannot be changed once created
+  updateInventoryItem: {
+    params: inventoryParams,
+    body: partial(inventoryFields),
+  },
+
+  inventoryId: {
+    params: inventoryParams,
+  },
+
+  // Quantity and unit cost are in `unit`, defaulting to the item's stock unit
+  addInventoryBatch: {
+    params: inventoryParams,
+    body: {
+      quantity: { type: 'number', required: true, min: 0.001 },
+      unit: { type: 'string', enum: STOCK_UNITS },
+      unitCost: { type: 'number', min: 0 },
+      batchNumber: { type: 'string' },
+      expirationDate: { type: 'date' },
+      receivedDate: { type: 'date' },
+      notes: { type: 'string' },
+    },
+  },
+
+  getInventoryMovements: {
+    params: inventoryParams,
+    query: {
+      type: { type: 'string', enum: enumOf(FeedStockMovement, 'type') },
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+      ...pagination,
+    },
+  },
+
+  // Suppliers
+  createSupplier: {
+    body: {
+      ...supplierFields,
+      farm: objectId(),
+    },
+  },
+
+  getFarmSuppliers: {
+    params: farmParams,
+    query: {
+      includeInactive: { type: 'boolean' },
+      feedType: { type: 'string', enum: enumOf(FeedInventory, 'feedType') },
+    },
+  },
+
+  // Farm cannot be changed once created
+  updateSupplier: {
+    params: supplierParams,
+    body: partial(supplierFields),
+  },
+
+  supplierId: {
+    params: supplierParams,
+  },
+
+  // Purchase orders
+  orderId: {
+    params: orderParams,
+  },
+
+  createPurchaseOrder: {
+    body: {
+      ...purchaseOrderFields,
+      farm: objectId(),
+    },
+  },
+
+  getFarmPurchaseOrders: {
+    params: farmParams,
+    query: {
+      status: { type: 'string', enum: enumOf(FeedPurchaseOrder, 'status') },
+      supplier: { type: 'objectId' },
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+      ...pagination,
+    },
+  },
+
+  updatePurchaseOrder: {
+    params: orderParams,
+    body: partial(purchaseOrderFields),
+  },
+
+  placePurchaseOrder: {
+    params: orderParams,
+    body: {
+      orderDate: { type: 'date' },
+    },
+  },
+
+  // Without items, everything outstanding is received
+  receivePurchaseOrder: {
+    params: orderParams,
+    body: {
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          fields: {
+            itemId: objectId(),
+            quantity: { type: 'number', required: true, min: 0.001 },
+            batchNumber: { type: 'string' },
+            expirationDate: { type: 'date' },
+          },
+        },
+      },
+      batchNumber: { type: 'string' },
+      expirationDate: { type: 'date' },
+      receivedDate: { type: 'date', max: 'now' },
+    },
+  },
+
+  cancelPurchaseOrder: {
+    params: orderParams,
+    body: {
+      reason: { type: 'string', maxLength: 500 },
+    },
+  },
+
+  // Ingredients
+  createIngredient: {
+    body: {
+      ...ingredientFields,
+      farm: objectId(),
+    },
+  },
+
+  getFarmIngredients: {
+    params: farmParams,
+    query: {
+      includeInactive: { type: 'boolean' },
+      category: { type: 'string', enum: enumOf(FeedIngredient, 'category') },
+    },
+  },
+
+  // Farm cannot be changed once created
+  updateIngredient: {
+    params: ingredientParams,
+    body: partial(ingredientFields),
+  },
+
+  ingredientId: {
+    params: ingredientParams,
+  },
+
+  // Rations
+  createRation: {
+    body: {
+      ...rationFields,
+      farm: objectId(),
+    },
+  },
+
+  getFarmRations: {
+    params: farmParams,
+    query: {
+      includeInactive: { type: 'boolean' },
+      animalType: { type: 'objectId' },
+    },
+  },
+
+  // Farm cannot be changed once created
+  updateRation: {
+    params: rationParams,
+    body: partial(rationFields),
+  },
+
+  rationId: {
+    params: rationParams,
+  },
+
+  // Animal type defaults to the ration's (or the animal's); age to the animal's
+  checkRation: {
+    params: rationParams,
+    query: {
+      animalType: { type: 'objectId' },
+      animal: { type: 'objectId' },
+      ageDays: { type: 'integer', min: 0 },
+      stage: { type: 'string' },
+    },
+  },
+
+  // Reports
+  generateFeedConsumptionReport: {
+    params: farmParams,
+    query: {
+      startDate: { type: 'date', required: true },
+      endDate: { type: 'date', required: true },
+      format: { type: 'string', enum: REPORT_FORMATS },
+    },
+  },
+
+  generateInventoryReport: {
+    params: farmParams,
+    query: {
+      format: { type: 'string', enum: REPORT_FORMATS },
+    },
+  },
+
+  getFarmReports: {
+    params: farmParams,
+    query: {
+      reportType: { type: 'string', enum: ['consumption', 'inventory'] },
+      ...pagination,
+    },
+  },
+
+  reportId: {
+    params: reportParams,
+  },
+
+  downloadReport: {
+    params: reportParams,
+    query: {
+      format: { type: 'string', enum: DOWNLOAD_FORMATS },
+    },
+  },
+};
+
+module.exports = feedValidation;
@@ -1,8 +1,9 @@
 // src/modules/animals/operations/feeds/feedAlerts.controller.js
 const feedAlertsService = require('./feedAlerts.service');
+const { ValidationError } = require('../../../../utils/errors');
 
 // Get all feed alerts for a farm
-const getFeedAlerts = async (req, res) => {
+const getFeedAlerts = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -14,24 +15,12 @@ const getFeedAlerts = async (req, res) => {
       data: alerts,
     });
   } catch (error) {
-    console.error('Error fetching feed alerts:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch feed alerts',
-    });
+    next(error);
   }
 };
 
 // Get missed feedings alerts
-const getMissedFeedingsAlerts = async (req, res) => {
+const getMissedFeedingsAlerts = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -43,24 +32,12 @@ const getMissedFeedingsAlerts = async (req, res) => {
       data: alerts,
     });
   } catch (error) {
-    console.error('Error fetching missed feedings alerts:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch missed feedings alerts',
-    });
+    next(error);
   }
 };
 
 // Get inventory alerts
-const getInventoryAlerts = async (req, res) => {
+const getInventoryAlerts = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -72,33 +49,18 @@ const getInventoryAlerts = async (req, res) => {
       data: alerts,
     });
   } catch (error) {
-    console.error('Error fetching inventory alerts:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch inventory alerts',
-    });
+    next(error);
   }
 };
 
 // Mark alert as resolved
-const markAlertAsResolved = async (req, res) => {
+const markAlertAsResolved = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { alertType, alertId } = req.params;
 
     if (!['missed_feeding', 'low_inventory'].includes(alertType)) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Invalid alert type. Must be "missed_feeding" or "low_inventory"',
-      });
+      throw new ValidationError('Invalid alert type. Must be "missed_feeding" or "low_inventory"');
     }
 
     const result = await feedAlertsService.markAlertAsResolved(alertType, alertId, userId);
@@ -108,19 +70,7 @@ const markAlertAsResolved = async (req, res) => {
       data: result,
     });
   } catch (error) {
-    console.error('Error marking alert as resolved:', error);
-    
-    if (error.message === 'Invalid alert type') {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to mark alert as resolved',
-    });
+    next(error);
   }
 };
 
@@ -3,21 +3,40 @@ const Feed = require('./feed.model');
 const FeedSchedule = require('./feedSchedule.model');
 const FeedInventory = require('./feedInventory.model');
 const Animal = require('../../animalRecords/animal.model');
-const Farm = require('../../../farms/farm.model');
+const farmAccess = require('../../../farms/farmAccess');
+const { ValidationError, ForbiddenError } = require('../../../../utils/errors');
+
+// How long a generated feeding may stay pending before it counts as missed
+const MISSED_FEEDING_GRACE_MINUTES = 60;
+
+// How far ahead batches count as expiring soon, and how long expired ones stay listed
+const EXPIRY_WARNING_DAYS = 30;
+const EXPIRED_LOOKBACK_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Alert entry for one batch of an inventory item
+const batchAlert = (item, batch, now) => ({
+  inventoryItem: item._id,
+  feedType: item.feedType,
+  customFeedName: item.customFeedName,
+  batchId: batch._id,
+  batchNumber: batch.batchNumber,
+  quantity: batch.status === 'written_off' ? 0 : batch.remaining,
+  unit: item.currentStock.unit,
+  expirationDate: batch.expirationDate,
+  daysUntilExpiry: Math.ceil((new Date(batch.expirationDate) - now) / DAY_MS),
+});
 
 const feedAlertsService = {
   // Check for missed feedings
   checkMissedFeedings: async (farmId, userId) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       const now = new Date();
@@ -27,14 +46,21 @@ const feedAlertsService = {
       const yesterdayStart = new Date(todayStart);
       yesterdayStart.setDate(yesterdayStart.getDate() - 1);
       
-      // Get scheduled feeds for yesterday and today that are not completed
+      // Pending feedings are overdue once the grace period has passed
+      const overdueBefore = new Date(now.getTime() - MISSED_FEEDING_GRACE_MINUTES * 60 * 1000);
+      
+      // Get feeds for yesterday and today that were marked missed or are still pending past their time
       const missedFeedings = await Feed.find({
         farm: farmId,
         feedingTime: { $gte: yesterdayStart, $lt: now },
         isCompleted: false,
-        isMissed: true,
+        $or: [
+          { isMissed: true },
+          { feedingTime: { $lt: overdueBefore } },
+        ],
       })
       .populate('animal', 'name tagNumber')
+      .populate('group', 'name')
       .lean();
       
       // Check feed schedules for upcoming feeds
@@ -43,6 +69,7 @@ const feedAlertsService = {
         isActive: true,
       })
       .populate('animal', 'tagNumber name')
+      .populate('group', 'name')
       .lean();
       
       const upcomingAlerts = [];
@@ -60,10 +87,12 @@ const feedAlertsService = {
             animalId: schedule.animal,
             animalName: schedule.animal?.name,
             animalTag: schedule.animal?.tagNumber,
+            groupId: schedule.group,
+            groupName: schedule.group?.name,
             feedType: schedule.feedType,
             quantity: schedule.quantity,
             scheduledTime: nextFeeding.date,
-            message: `Upcoming feeding for ${schedule.animal?.name || 'Animal'}`,
+            message: `Upcoming feeding for ${schedule.animal?.name || schedule.group?.name || 'Animal'}`,
           });
         }
       });
@@ -83,15 +112,11 @@ const feedAlertsService = {
   // Check low inventory alerts
   checkLowInventoryAlerts: async (farmId, userId) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Get inventory items that need reorder
@@ -101,20 +126,55 @@ const feedAlertsService = {
         isActive: true,
       }).lean();
       
-      // Check for expiring items (within 30 days)
-      const thirtyDaysFromNow = new Date();
-      thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
+      // Check batches expiring within EXPIRY_WARNING_DAYS, and those that expired recently
+      const now = new Date();
+      const warnUntil = new Date(now.getTime() + EXPIRY_WARNING_DAYS * DAY_MS);
+      const expiredSince = new Date(now.getTime() - EXPIRED_LOOKBACK_DAYS * DAY_MS);
       
-      const expiringItems = await FeedInventory.find({
+      const itemsWithExpiry = await FeedInventory.find({
         farm: farmId,
-        expirationDate: { $lte: thirtyDaysFromNow, $gte: new Date() },
         isActive: true,
+        'batches.expirationDate': { $gte: expiredSince, $lte: warnUntil },
       }).lean();
       
+      const expiringBatches = [];
+      const expiredBatches = [];
+      
+      itemsWithExpiry.forEach(item => {
+        item.batches.forEach(batch => {
+          if (!batch.expirationDate) {
+            return;
+          }
+          
+          const expiry = new Date(batch.expirationDate);
+          
+          if (batch.status === 'active' && batch.remaining > 0 && expiry >= now && expiry <= warnUntil) {
+            expiringBatches.push(batchAlert(item, batch, now));
+          } else if (expiry < now && expiry >= expiredSince
+            && ((batch.status === 'active' && batch.remaining > 0) || batch.status === 'written_off')) {
+            // Still in store until the next write-off, or already written off
+            expiredBatches.push({
+              ...batchAlert(item, batch, now),
+              writtenOff: batch.status === 'written_off',
+              writtenOffAt: batch.writtenOffAt,
+            });
+          }
+        });
+      });
+      
+      expiringBatches.sort((a, b) => new Date(a.expirationDate) - new Date(b.expirationDate));
+      expiredBatches.sort((a, b) => new Date(b.expirationDate) - new Date(a.expirationDate));
+      
+      // Items with a batch expiring soon
+      const expiringIds = new Set(expiringBatches.map(alert => alert.inventoryItem.toString()));
+      const expiringItems = itemsWithExpiry.filter(item => expiringIds.has(item._id.toString()));
+      
       return {
         lowInventory: lowInventoryItems,
         expiringItems,
-        totalInventoryAlerts: lowInventoryItems.length + expiringItems.length,
+        expiringBatches,
+        expiredBatches,
+        totalInventoryAlerts: lowInventoryItems.length + expiringBatches.length + expiredBatches.length,
       };
     } catch (error) {
       console.error('Service error checking inventory alerts:', error);
@@ -139,6 +199,8 @@ const feedAlertsService = {
           upcomingFeedings: feedingAlerts.upcomingAlerts.length,
           lowInventoryItems: inventoryAlerts.lowInventory.length,
           expiringItems: inventoryAlerts.expiringItems.length,
+          expiringBatches: inventoryAlerts.expiringBatches.length,
+          expiredBatches: inventoryAlerts.expiredBatches.length,
         },
       };
     } catch (error) {
@@ -169,7 +231,7 @@ const feedAlertsService = {
           break;
           
         default:
-          throw new Error('Invalid alert type');
+          throw new ValidationError('Invalid alert type');
       }
       
       return { success: true, message: 'Alert resolved successfully' };
@@ -1,8 +1,9 @@
 // src/modules/animals/operations/feeds/feedCostAnalytics.controller.js
 const feedService = require('./feed.service');
+const feedEfficiencyService = require('./feedEfficiency.service');
 
 // Get feed cost analytics for an animal
-const getAnimalFeedCostAnalytics = async (req, res) => {
+const getAnimalFeedCostAnalytics = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -15,31 +16,12 @@ const getAnimalFeedCostAnalytics = async (req, res) => {
       data: analytics,
     });
   } catch (error) {
-    console.error('Error fetching feed cost analytics:', error);
-    
-    if (error.message === 'Animal not found') {
-      return res.status(404).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch feed cost analytics',
-    });
+    next(error);
   }
 };
 
 // Get farm-wide feed cost analytics
-const getFarmFeedCostAnalytics = async (req, res) => {
+const getFarmFeedCostAnalytics = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -52,23 +34,55 @@ const getFarmFeedCostAnalytics = async (req, res) => {
       data: analytics,
     });
   } catch (error) {
-    console.error('Error fetching farm feed cost analytics:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
+    next(error);
+  }
+};
+
+// Get feed conversion and efficiency for an animal
+const getAnimalFeedEfficiency = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { animalId } = req.params;
+    const { startDate, endDate } = req.query;
+
+    const analytics = await feedEfficiencyService.getAnimalFeedEfficiency(animalId, userId, startDate, endDate);
 
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch farm feed cost analytics',
+    res.status(200).json({
+      status: 'success',
+      data: analytics,
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get farm-wide feed conversion and efficiency by animal type, group and animal
+const getFarmFeedEfficiency = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+
+    const filters = {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      animalType: req.query.animalType,
+      group: req.query.group,
+    };
+
+    const analytics = await feedEfficiencyService.getFarmFeedEfficiency(farmId, userId, filters);
+
+    res.status(200).json({
+      status: 'success',
+      data: analytics,
+    });
+  } catch (error) {
+    next(error);
   }
 };
 
 module.exports = {
   getAnimalFeedCostAnalytics,
   getFarmFeedCostAnalytics,
+  getAnimalFeedEfficiency,
+  getFarmFeedEfficiency,
 };
\ No newline at end of file
@@ -0,0 +1,366 @@
+// src/modules/animals/operations/feeds/feedEfficiency.service.js
+const Feed = require('./feed.model');
+const Production = require('../production/production.model');
+const Animal = require('../../animalRecords/animal.model');
+const AnimalType = require('../../../animalTypes/animalType.model');
+const AnimalGroup = require('../../animalGroups/animalGroup.model');
+const farmAccess = require('../../../farms/farmAccess');
+const feedUnits = require('./feedUnits');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../../../../utils/errors');
+
+// Default analysis window when no dates are given
+const DEFAULT_PERIOD_DAYS = 30;
+
+// Production units are compared in one base unit per kind of product
+const PRODUCT_UNITS = {
+  liter: { base: 'liter', factor: 1 },
+  ml: { base: 'liter', factor: 0.001 },
+  gallon: { base: 'liter', factor: 3.78541 },
+  piece: { base: 'piece', factor: 1 },
+  dozen: { base: 'piece', factor: 12 },
+  kg: { base: 'kg', factor: 1 },
+  gram: { base: 'kg', factor: 0.001 },
+  lb: { base: 'kg', factor: 0.453592 },
+  ounce: { base: 'kg', factor: 0.0283495 },
+};
+
+const round = (value, places = 2) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) {
+    return null;
+  }
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+const emptyTotals = () => ({
+  animals: 0,
+  feedKg: 0,
+  feedCost: 0,
+  unconvertedFeedings: 0,
+  weightGainKg: 0,
+  animalsWithGain: 0,
+  feedKgForGain: 0,
+  feedCostForGain: 0,
+  products: {},
+});
+
+// Add one animal's figures to a running total (ratios are worked out from the sums)
+const addToTotals = (totals, figures) => {
+  totals.animals++;
+  totals.feedKg += figures.feedKg;
+  totals.feedCost += figures.feedCost;
+  totals.unconvertedFeedings += figures.unconvertedFeedings;
+
+  // Only animals weighed over the period count towards gain ratios
+  if (figures.weightGain !== null) {
+    totals.weightGainKg += figures.weightGain;
+    totals.animalsWithGain++;
+    totals.feedKgForGain += figures.feedKg;
+    totals.feedCostForGain += figures.feedCost;
+  }
+
+  Object.entries(figures.products).forEach(([key, product]) => {
+    if (!totals.products[key]) {
+      totals.products[key] = {
+        productionType: product.productionType,
+        unit: product.unit,
+        quantity: 0,
+        feedKg: 0,
+        feedCost: 0,
+      };
+    }
+    totals.products[key].quantity += product.quantity;
+    totals.products[key].feedKg += figures.feedKg;
+    totals.products[key].feedCost += figures.feedCost;
+  });
+
+  return totals;
+};
+
+// Ratios for a set of totals: feed per kg gained, cost per kg gained, feed and cost per unit of product
+const efficiencyMetrics = (totals) => ({
+  feedConsumedKg: round(totals.feedKg, 3),
+  feedCost: round(totals.feedCost),
+  unconvertedFeedings: totals.unconvertedFeedings,
+  weightGainKg: totals.animalsWithGain > 0 ? round(totals.weightGainKg, 3) : null,
+  feedConversionRatio: totals.weightGainKg > 0 ? round(totals.feedKgForGain / totals.weightGainKg) : null,
+  feedEfficiency: totals.feedKgForGain > 0 && totals.animalsWithGain > 0
+    ? round(totals.weightGainKg / totals.feedKgForGain, 3)
+    : null,
+  costPerKgGain: totals.weightGainKg > 0 ? round(totals.feedCostForGain / totals.weightGainKg) : null,
+  products: Object.values(totals.products).map(product => ({
+    productionType: product.productionType,
+    unit: product.unit,
+    quantity: round(product.quantity, 3),
+    feedPerUnit: product.quantity > 0 ? round(product.feedKg / product.quantity, 3) : null,
+    costPerUnit: product.quantity > 0 ? round(product.feedCost / product.quantity) : null,
+  })),
+});
+
+const feedEfficiencyService = {
+  // Work out the analysis window, defaulting to the last DEFAULT_PERIOD_DAYS days
+  resolvePeriod: (startDate, endDate) => {
+    const to = endDate ? new Date(endDate) : new Date();
+    const from = startDate
+      ? new Date(startDate)
+      : new Date(to.getTime() - DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+    if (to <= from) {
+      throw new ValidationError('End date must be after start date');
+    }
+
+    return { from, to };
+  },
+
+  // Weight gained between the last weighing at the start of the period and the last weighing in it
+  weightGain: (animal, from, to) => {
+    const weighings = Animal.weighingsInKg(animal).filter(weighing => weighing.date <= to);
+    const before = weighings.filter(weighing => weighing.date <= from);
+    const start = before.length > 0 ? before[before.length - 1] : weighings[0];
+    const end = weighings[weighings.length - 1];
+
+    if (!start || !end || start === end) {
+      return { gain: null, startWeight: start || null, endWeight: null };
+    }
+
+    return { gain: feedUnits.round(end.value - start.value), startWeight: start, endWeight: end };
+  },
+
+  // Completed feed consumed by each animal in the period, as a Map of animal ID to { feedKg, feedCost, unconvertedFeedings }
+  collectFeed: async (query, from, to) => {
+    const feedRecords = await Feed.find({
+      ...query,
+      feedingTime: { $gte: from, $lte: to },
+      isCompleted: true,
+    })
+    .select('animal allocations quantity cost')
+    .lean();
+
+    const byAnimal = new Map();
+
+    feedRecords.forEach(record => {
+      Feed.animalShares(record).forEach(share => {
+        const animalId = share.animal.toString();
+        if (!byAnimal.has(animalId)) {
+          byAnimal.set(animalId, { feedKg: 0, feedCost: 0, unconvertedFeedings: 0 });
+        }
+
+        const entry = byAnimal.get(animalId);
+        const kg = feedUnits.toKg(share.quantity.value, share.quantity.unit);
+
+        // Liquid and unit feeds cannot be weighed against gain
+        if (kg === null) {
+          entry.unconvertedFeedings++;
+        } else {
+          entry.feedKg += kg;
+        }
+        entry.feedCost += share.cost;
+      });
+    });
+
+    return byAnimal;
+  },
+
+  // Production of each animal in the period, as a Map of animal ID to { 'type:unit': { productionType, unit, quantity } }
+  collectProduction: async (query, from, to) => {
+    const production = await Production.aggregate([
+      {
+        $match: {
+          ...query,
+          productionDate: { $gte: from, $lte: to },
+          isActive: true,
+          status: { $ne: 'discarded' },
+        },
+      },
+      {
+        $group: {
+          _id: { animal: '$animal', productionType: '$productionType', unit: '$unit' },
+          quantity: { $sum: '$quantity' },
+        },
+      },
+    ]);
+
+    const byAnimal = new Map();
+
+    production.forEach(item => {
+      const animalId = item._id.animal.toString();
+      const unit = PRODUCT_UNITS[item._id.unit] || { base: item._id.unit, factor: 1 };
+      const key = `${item._id.productionType}:${unit.base}`;
+
+      if (!byAnimal.has(animalId)) {
+        byAnimal.set(animalId, {});
+      }
+
+      const products = byAnimal.get(animalId);
+      if (!products[key]) {
+        products[key] = { productionType: item._id.productionType, unit: unit.base, quantity: 0 };
+      }
+      products[key].quantity += item.quantity * unit.factor;
+    });
+
+    return byAnimal;
+  },
+
+  // One animal's raw figures for the period
+  animalFigures: (animal, feedByAnimal, productionByAnimal, from, to) => {
+    const feed = feedByAnimal.get(animal._id.toString()) || { feedKg: 0, feedCost: 0, unconvertedFeedings: 0 };
+    const { gain, startWeight, endWeight } = feedEfficiencyService.weightGain(animal, from, to);
+
+    return {
+      ...feed,
+      weightGain: gain,
+      startWeight,
+      endWeight,
+      products: productionByAnimal.get(animal._id.toString()) || {},
+    };
+  },
+
+  // Feed conversion and cost efficiency of one animal
+  getAnimalFeedEfficiency: async (animalId, userId, startDate, endDate) => {
+    try {
+      const animal = await Animal.findById(animalId).lean();
+
+      if (!animal) {
+        throw new NotFoundError('Animal not found');
+      }
+
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const { from, to } = feedEfficiencyService.resolvePeriod(startDate, endDate);
+
+      const feedByAnimal = await feedEfficiencyService.collectFeed(
+        { $or: [{ animal: animal._id }, { 'allocations.animal': animal._id }] },
+        from,
+        to
+      );
+      const productionByAnimal = await feedEfficiencyService.collectProduction({ animal: animal._id }, from, to);
+
+      const figures = feedEfficiencyService.animalFigures(animal, feedByAnimal, productionByAnimal, from, to);
+      const metrics = efficiencyMetrics(addToTotals(emptyTotals(), figures));
+
+      return {
+        animal: {
+          _id: animal._id,
+          tagNumber: animal.tagNumber,
+          name: animal.name,
+          animalType: animal.animalType,
+          group: animal.group,
+        },
+        period: { startDate: from, endDate: to },
+        startWeight: figures.startWeight,
+        endWeight: figures.endWeight,
+        ...metrics,
+      };
+    } catch (error) {
+      console.error('Service error getting animal feed efficiency:', error);
+      throw error;
+    }
+  },
+
+  // Feed conversion and cost efficiency for a farm, broken down by animal type, group and animal
+  getFarmFeedEfficiency: async (farmId, userId, filters = {}) => {
+    try {
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const { from, to } = feedEfficiencyService.resolvePeriod(filters.startDate, filters.endDate);
+
+      const feedByAnimal = await feedEfficiencyService.collectFeed({ farm: farm._id }, from, to);
+      const productionByAnimal = await feedEfficiencyService.collectProduction({ farm: farm._id }, from, to);
+
+      // Every animal that ate or produced in the period
+      const animalQuery = {
+        _id: { $in: [...new Set([...feedByAnimal.keys(), ...productionByAnimal.keys()])] },
+        farm: farm._id,
+      };
+
+      if (filters.animalType) {
+        animalQuery.animalType = filters.animalType;
+      }
+
+      // Groups are taken from current membership
+      if (filters.group) {
+        animalQuery.group = filters.group;
+      }
+
+      const animals = await Animal.find(animalQuery)
+        .select('tagNumber name animalType group weight weightHistory createdAt')
+        .lean();
+
+      const [animalTypes, groups] = await Promise.all([
+        AnimalType.find({ _id: { $in: animals.map(animal => animal.animalType) } }).select('name').lean(),
+        AnimalGroup.find({ _id: { $in: animals.filter(animal => animal.group).map(animal => animal.group) } }).select('name').lean(),
+      ]);
+      const typeNames = new Map(animalTypes.map(type => [type._id.toString(), type.name]));
+      const groupNames = new Map(groups.map(group => [group._id.toString(), group.name]));
+
+      const overall = emptyTotals();
+      const byAnimalType = {};
+      const byGroup = {};
+      const byAnimal = [];
+
+      animals.forEach(animal => {
+        const figures = feedEfficiencyService.animalFigures(animal, feedByAnimal, productionByAnimal, from, to);
+        addToTotals(overall, figures);
+
+        const typeId = animal.animalType.toString();
+        if (!byAnimalType[typeId]) {
+          byAnimalType[typeId] = { animalType: typeId, name: typeNames.get(typeId) || 'Unknown', totals: emptyTotals() };
+        }
+        addToTotals(byAnimalType[typeId].totals, figures);
+
+        if (animal.group) {
+          const groupId = animal.group.toString();
+          if (!byGroup[groupId]) {
+            byGroup[groupId] = { group: groupId, name: groupNames.get(groupId) || 'Unknown', totals: emptyTotals() };
+          }
+          addToTotals(byGroup[groupId].totals, figures);
+        }
+
+        byAnimal.push({
+          animalId: animal._id,
+          tagNumber: animal.tagNumber,
+          name: animal.name,
+          animalType: typeId,
+          group: animal.group || null,
+          ...efficiencyMetrics(addToTotals(emptyTotals(), figures)),
+        });
+      });
+
+      const breakdown = (entries, key) => Object.values(entries).map(entry => ({
+        [key]: entry[key],
+        name: entry.name,
+        animals: entry.totals.animals,
+        ...efficiencyMetrics(entry.totals),
+      }));
+
+      return {
+        period: { startDate: from, endDate: to },
+        summary: {
+          animals: overall.animals,
+          ...efficiencyMetrics(overall),
+        },
+        byAnimalType: breakdown(byAnimalType, 'animalType'),
+        byGroup: breakdown(byGroup, 'group'),
+        // Best converters (lowest feed per kg gained) first
+        byAnimal: byAnimal.sort((a, b) => {
+          if (a.feedConversionRatio === null) return 1;
+          if (b.feedConversionRatio === null) return -1;
+          return a.feedConversionRatio - b.feedConversionRatio;
+        }),
+      };
+    } catch (error) {
+      console.error('Service error getting farm feed efficiency:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = feedEfficiencyService;
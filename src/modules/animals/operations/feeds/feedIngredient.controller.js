@@ -0,0 +1,152 @@
+// src/modules/animals/operations/feeds/feedIngredient.controller.js
+const FeedIngredient = require('./feedIngredient.model');
+const FeedInventory = require('./feedInventory.model');
+const farmAccess = require('../../../farms/farmAccess');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../../../../utils/errors');
+
+// Load an ingredient the user can access
+const findAccessibleIngredient = async (ingredientId, userId) => {
+  const ingredient = await FeedIngredient.findById(ingredientId);
+
+  if (!ingredient) {
+    throw new NotFoundError('Ingredient not found');
+  }
+
+  // Verify user has access to farm
+  const farm = await farmAccess.findAccessibleFarm(ingredient.farm, userId);
+
+  if (!farm) {
+    throw new ForbiddenError('Farm not found or you do not have permission');
+  }
+
+  return ingredient;
+};
+
+// Linked stock items must be on the same farm
+const checkInventoryItem = async (farmId, inventoryItemId) => {
+  if (inventoryItemId && !(await FeedInventory.exists({ _id: inventoryItemId, farm: farmId }))) {
+    throw new ValidationError('Inventory item not found on this farm');
+  }
+};
+
+// Create a feed ingredient
+const createIngredient = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const ingredientData = req.body;
+
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(ingredientData.farm, userId);
+
+    if (!farm) {
+      throw new ForbiddenError('Farm not found or you do not have permission');
+    }
+
+    await checkInventoryItem(ingredientData.farm, ingredientData.inventoryItem);
+
+    ingredientData.createdBy = userId;
+    const ingredient = await FeedIngredient.create(ingredientData);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Ingredient created successfully',
+      data: ingredient,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the ingredient catalog for a farm
+const getFarmIngredients = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+    const includeInactive = req.query.includeInactive === 'true';
+
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+    if (!farm) {
+      throw new ForbiddenError('Farm not found or you do not have permission');
+    }
+
+    const query = { farm: farmId };
+    if (!includeInactive) {
+      query.isActive = true;
+    }
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    const ingredients = await FeedIngredient.find(query)
+      .sort({ category: 1, name: 1 })
+      .lean();
+
+    res.status(200).json({
+      status: 'success',
+      data: ingredients,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get ingredient by ID
+const getIngredient = async (req, res, next) => {
+  try {
+    const ingredient = await findAccessibleIngredient(req.params.ingredientId, req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      data: ingredient,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update ingredient
+const updateIngredient = async (req, res, next) => {
+  try {
+    const ingredient = await findAccessibleIngredient(req.params.ingredientId, req.userId);
+
+    await checkInventoryItem(ingredient.farm, req.body.inventoryItem);
+
+    ingredient.set(req.body);
+    await ingredient.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Ingredient updated successfully',
+      data: ingredient,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete ingredient (soft delete, so existing rations keep their composition)
+const deleteIngredient = async (req, res, next) => {
+  try {
+    const ingredient = await findAccessibleIngredient(req.params.ingredientId, req.userId);
+
+    ingredient.isActive = false;
+    await ingredient.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Ingredient deactivated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createIngredient,
+  getFarmIngredients,
+  getIngredient,
+  updateIngredient,
+  deleteIngredient,
+};
@@ -0,0 +1,97 @@
+// src/modules/animals/operations/feeds/feedIngredient.model.js
+const mongoose = require('mongoose');
+
+const percentage = {
+  type: Number,
+  min: [0, 'Nutrient values cannot be negative'],
+  max: [100, 'Nutrient percentages cannot exceed 100'],
+};
+
+const feedIngredientSchema = new mongoose.Schema(
+  {
+    // Farm reference
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: [true, 'Farm reference is required'],
+    },
+
+    // Ingredient details
+    name: {
+      type: String,
+      required: [true, 'Ingredient name is required'],
+      trim: true,
+      maxlength: [100, 'Ingredient name cannot exceed 100 characters'],
+    },
+
+    category: {
+      type: String,
+      enum: ['energy', 'protein', 'forage', 'mineral', 'vitamin', 'additive', 'other'],
+      default: 'other',
+    },
+
+    // Nutrient composition: dry matter as % as fed, the rest on a dry matter basis
+    nutrients: {
+      dryMatter: {
+        ...percentage,
+        required: [true, 'Dry matter is required'],
+      },
+      crudeProtein: percentage, // % of DM
+      energy: {
+        type: Number, // MJ ME per kg DM
+        min: [0, 'Nutrient values cannot be negative'],
+      },
+      crudeFibre: percentage, // % of DM
+      calcium: percentage, // % of DM
+      phosphorus: percentage, // % of DM
+    },
+
+    // Price per kg as fed (falls back to the linked inventory item's purchase price)
+    pricePerKg: {
+      amount: {
+        type: Number,
+        min: 0,
+      },
+      currency: {
+        type: String,
+        default: 'KSH',
+        uppercase: true,
+      },
+    },
+
+    // Stock item this ingredient is bought as
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeedInventory',
+    },
+
+    // Status
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Metadata
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+feedIngredientSchema.index({ farm: 1, name: 1 }, { unique: true });
+feedIngredientSchema.index({ farm: 1, category: 1 });
+
+const FeedIngredient = mongoose.model('FeedIngredient', feedIngredientSchema);
+
+module.exports = FeedIngredient;
@@ -1,32 +1,29 @@
 // src/modules/animals/operations/feeds/feedInventory.controller.js
 const FeedInventory = require('./feedInventory.model');
 const Animal = require('../../animalRecords/animal.model');
-const Farm = require('../../../farms/farm.model');
+const farmAccess = require('../../../farms/farmAccess');
+const feedStockService = require('./feedStock.service');
+const feedAlertsService = require('./feedAlerts.service');
+const feedUnits = require('./feedUnits');
+const { ValidationError, ForbiddenError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
+
+// Batch details sent with a stock update describe the stock it adds
+const batchInfoFrom = (data) => ({
+  batchNumber: data.batchNumber,
+  expirationDate: data.expirationDate,
+});
 
 // Create or update feed inventory item
-const upsertFeedInventory = async (req, res) => {
+const upsertFeedInventory = async (req, res, next) => {
   try {
     const userId = req.userId;
     const inventoryData = req.body;
 
-    // Validate required fields
-    if (!inventoryData.farm || !inventoryData.feedType || 
-        !inventoryData.currentStock || !inventoryData.currentStock.value) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Farm, feed type, and current stock are required',
-      });
-    }
-
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: inventoryData.farm,
-      user: userId,
-      isArchived: false,
-    });
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(inventoryData.farm, userId);
     
     if (!farm) {
-      throw new Error('Farm not found or you do not have permission');
+      throw new ForbiddenError('Farm not found or you do not have permission');
     }
 
     // Check if inventory item already exists for this farm and feed type
@@ -38,29 +35,40 @@ const upsertFeedInventory = async (req, res) => {
     });
 
     let inventoryItem;
+    let previousStock = null;
     
     if (existingInventory) {
-      // Update existing inventory
-      inventoryItem = await FeedInventory.findByIdAndUpdate(
-        existingInventory._id,
-        {
-          ...inventoryData,
-          lastUpdatedBy: userId,
-          $inc: { __v: 1 },
-        },
-        {
-          new: true,
-          runValidators: true,
-        }
-      );
+      // Update existing inventory (stock already held keeps its own batches)
+      previousStock = existingInventory.currentStock.toObject();
+      existingInventory.reconcileBatches();
+      existingInventory.set({
+        ...inventoryData,
+        lastUpdatedBy: userId,
+      });
+      if (existingInventory.currentStock.unit !== previousStock.unit) {
+        existingInventory.convertBatches(previousStock.unit);
+      }
+      inventoryItem = existingInventory;
     } else {
       // Create new inventory
       inventoryData.lastUpdatedBy = userId;
-      inventoryItem = await FeedInventory.create(inventoryData);
+      inventoryItem = new FeedInventory(inventoryData);
     }
 
+    // Added stock becomes a new batch; removed stock comes out first-expiry-first-out
+    inventoryItem.reconcileBatches(batchInfoFrom(inventoryData));
+
     // Check stock level after update
-    await inventoryItem.checkStockLevel();
+    inventoryItem.checkStockLevel();
+    await inventoryItem.save();
+
+    // Record the stock change in the movement ledger
+    await feedStockService.recordAdjustment(
+      inventoryItem,
+      previousStock,
+      userId,
+      existingInventory ? 'Stock updated' : 'Opening stock'
+    );
 
     res.status(existingInventory ? 200 : 201).json({
       status: 'success',
@@ -68,38 +76,22 @@ const upsertFeedInventory = async (req, res) => {
       data: inventoryItem,
     });
   } catch (error) {
-    console.error('Error upserting feed inventory:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to upsert feed inventory',
-    });
+    next(error);
   }
 };
 
 // Get all inventory items for a farm
-const getFarmInventory = async (req, res) => {
+const getFarmInventory = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
     const includeInactive = req.query.includeInactive === 'true';
 
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: farmId,
-      user: userId,
-      isArchived: false,
-    });
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(farmId, userId);
     
     if (!farm) {
-      throw new Error('Farm not found or you do not have permission');
+      throw new ForbiddenError('Farm not found or you do not have permission');
     }
 
     const query = { farm: farmId };
@@ -116,24 +108,12 @@ const getFarmInventory = async (req, res) => {
       data: inventoryItems,
     });
   } catch (error) {
-    console.error('Error fetching farm inventory:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch farm inventory',
-    });
+    next(error);
   }
 };
 
 // Get inventory item by ID
-const getInventoryItem = async (req, res) => {
+const getInventoryItem = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { inventoryId } = req.params;
@@ -141,24 +121,14 @@ const getInventoryItem = async (req, res) => {
     const inventoryItem = await FeedInventory.findById(inventoryId);
     
     if (!inventoryItem) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Inventory item not found',
-      });
+      throw new NotFoundError('Inventory item not found');
     }
 
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: inventoryItem.farm,
-      user: userId,
-      isArchived: false,
-    });
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(inventoryItem.farm, userId);
     
     if (!farm) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Farm not found or you do not have permission',
-      });
+      throw new ForbiddenError('Farm not found or you do not have permission');
     }
 
     res.status(200).json({
@@ -166,53 +136,43 @@ const getInventoryItem = async (req, res) => {
       data: inventoryItem,
     });
   } catch (error) {
-    console.error('Error fetching inventory item:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch inventory item',
-    });
+    next(error);
   }
 };
 
 // Consume inventory (when feed is recorded)
-const consumeInventory = async (req, res) => {
+const consumeInventory = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { inventoryId } = req.params;
     const { quantity, unit } = req.body;
 
     if (!quantity || !unit) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Quantity and unit are required',
-      });
+      throw new ValidationError('Quantity and unit are required');
     }
 
     const inventoryItem = await FeedInventory.findById(inventoryId);
     
     if (!inventoryItem) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Inventory item not found',
-      });
+      throw new NotFoundError('Inventory item not found');
     }
 
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: inventoryItem.farm,
-      user: userId,
-      isArchived: false,
-    });
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(inventoryItem.farm, userId);
     
     if (!farm) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Farm not found or you do not have permission',
-      });
+      throw new ForbiddenError('Farm not found or you do not have permission');
     }
 
     // Consume stock
+    const previousStock = inventoryItem.currentStock.toObject();
     await inventoryItem.consumeStock(quantity, unit);
+    await feedStockService.recordAdjustment(
+      inventoryItem,
+      previousStock,
+      userId,
+      `Manual consumption of ${quantity} ${unit}`
+    );
 
     res.status(200).json({
       status: 'success',
@@ -220,16 +180,12 @@ const consumeInventory = async (req, res) => {
       data: inventoryItem,
     });
   } catch (error) {
-    console.error('Error consuming inventory:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to consume inventory',
-    });
+    next(error);
   }
 };
 
 // Update inventory item
-const updateInventoryItem = async (req, res) => {
+const updateInventoryItem = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { inventoryId } = req.params;
@@ -238,47 +194,35 @@ const updateInventoryItem = async (req, res) => {
     const inventoryItem = await FeedInventory.findById(inventoryId);
     
     if (!inventoryItem) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Inventory item not found',
-      });
+      throw new NotFoundError('Inventory item not found');
     }
 
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: inventoryItem.farm,
-      user: userId,
-      isArchived: false,
-    });
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(inventoryItem.farm, userId);
     
     if (!farm) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Farm not found or you do not have permission',
-      });
-    }
-
-    // Don't allow changing farm
-    if (updateData.farm) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Cannot change farm reference',
-      });
+      throw new ForbiddenError('Farm not found or you do not have permission');
     }
 
     updateData.lastUpdatedBy = userId;
 
-    const updatedInventory = await FeedInventory.findByIdAndUpdate(
-      inventoryId,
-      updateData,
-      {
-        new: true,
-        runValidators: true,
-      }
-    );
+    const previousStock = inventoryItem.currentStock.toObject();
+    inventoryItem.reconcileBatches();
+    inventoryItem.set(updateData);
+
+    if (inventoryItem.currentStock.unit !== previousStock.unit) {
+      inventoryItem.convertBatches(previousStock.unit);
+    }
+
+    // Added stock becomes a new batch; removed stock comes out first-expiry-first-out
+    inventoryItem.reconcileBatches(batchInfoFrom(updateData));
 
     // Check stock level after update
-    await updatedInventory.checkStockLevel();
+    inventoryItem.checkStockLevel();
+    const updatedInventory = await inventoryItem.save();
+
+    // Record the stock change in the movement ledger
+    await feedStockService.recordAdjustment(updatedInventory, previousStock, userId, 'Stock updated');
 
     res.status(200).json({
       status: 'success',
@@ -286,16 +230,12 @@ const updateInventoryItem = async (req, res) => {
       data: updatedInventory,
     });
   } catch (error) {
-    console.error('Error updating inventory:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to update inventory',
-    });
+    next(error);
   }
 };
 
 // Delete inventory item (soft delete)
-const deleteInventoryItem = async (req, res) => {
+const deleteInventoryItem = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { inventoryId } = req.params;
@@ -303,24 +243,14 @@ const deleteInventoryItem = async (req, res) => {
     const inventoryItem = await FeedInventory.findById(inventoryId);
     
     if (!inventoryItem) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Inventory item not found',
-      });
+      throw new NotFoundError('Inventory item not found');
     }
 
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: inventoryItem.farm,
-      user: userId,
-      isArchived: false,
-    });
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(inventoryItem.farm, userId);
     
     if (!farm) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Farm not found or you do not have permission',
-      });
+      throw new ForbiddenError('Farm not found or you do not have permission');
     }
 
     // Soft delete
@@ -333,69 +263,160 @@ const deleteInventoryItem = async (req, res) => {
       message: 'Inventory item deactivated successfully',
     });
   } catch (error) {
-    console.error('Error deleting inventory:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to delete inventory',
-    });
+    next(error);
   }
 };
 
 // Get low inventory alerts
-const getLowInventoryAlerts = async (req, res) => {
+const getLowInventoryAlerts = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
 
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: farmId,
-      user: userId,
-      isArchived: false,
+    // Verifies farm access
+    const alerts = await feedAlertsService.checkLowInventoryAlerts(farmId, userId);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        lowInventory: alerts.lowInventory,
+        expiringItems: alerts.expiringItems,
+        expiringBatches: alerts.expiringBatches,
+        expiredBatches: alerts.expiredBatches,
+        totalAlerts: alerts.totalInventoryAlerts,
+      },
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get stock movements for an inventory item
+const getInventoryMovements = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { inventoryId } = req.params;
+
+    const inventoryItem = await FeedInventory.findById(inventoryId);
     
-    if (!farm) {
-      throw new Error('Farm not found or you do not have permission');
+    if (!inventoryItem) {
+      throw new NotFoundError('Inventory item not found');
     }
 
-    const lowInventoryItems = await FeedInventory.find({
-      farm: farmId,
-      needsReorder: true,
-      isActive: true,
-    }).lean();
-
-    // Check for expiring items (within 30 days)
-    const thirtyDaysFromNow = new Date();
-    thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(inventoryItem.farm, userId);
     
-    const expiringItems = await FeedInventory.find({
-      farm: farmId,
-      expirationDate: { $lte: thirtyDaysFromNow, $gte: new Date() },
-      isActive: true,
-    }).lean();
+    if (!farm) {
+      throw new ForbiddenError('Farm not found or you do not have permission');
+    }
+
+    const result = await feedStockService.getMovements(inventoryId, req.query);
 
     res.status(200).json({
       status: 'success',
       data: {
-        lowInventory: lowInventoryItems,
-        expiringItems,
-        totalAlerts: lowInventoryItems.length + expiringItems.length,
+        inventoryItem: {
+          _id: inventoryItem._id,
+          feedType: inventoryItem.feedType,
+          customFeedName: inventoryItem.customFeedName,
+          currentStock: inventoryItem.currentStock,
+        },
+        movements: result.movements,
       },
+      pagination: result.pagination,
     });
   } catch (error) {
-    console.error('Error fetching low inventory alerts:', error);
+    next(error);
+  }
+};
+
+// Receive a delivery into an inventory item as a new batch
+const addInventoryBatch = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { inventoryId } = req.params;
+    const batchData = req.body;
+
+    const inventoryItem = await FeedInventory.findById(inventoryId);
     
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
+    if (!inventoryItem) {
+      throw new NotFoundError('Inventory item not found');
+    }
+
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(inventoryItem.farm, userId);
+    
+    if (!farm) {
+      throw new ForbiddenError('Farm not found or you do not have permission');
+    }
+
+    const unit = batchData.unit || inventoryItem.currentStock.unit;
+    const received = feedUnits.convert(batchData.quantity, unit, inventoryItem.currentStock.unit, inventoryItem.bagWeight);
+
+    if (received === null) {
+      throw new BusinessRuleError(`Cannot convert ${unit} to ${inventoryItem.currentStock.unit}`);
     }
 
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch inventory alerts',
+    // Cost is given per unit received; batches keep it per stock unit
+    const unitCost = batchData.unitCost !== undefined
+      ? Math.round((batchData.unitCost * batchData.quantity / received) * 100) / 100
+      : undefined;
+
+    inventoryItem.addBatch(received, {
+      batchNumber: batchData.batchNumber,
+      expirationDate: batchData.expirationDate,
+      receivedDate: batchData.receivedDate,
+      unitCost,
     });
+    const batch = inventoryItem.batches[inventoryItem.batches.length - 1];
+
+    inventoryItem.lastPurchaseDate = batch.receivedDate;
+    inventoryItem.lastPurchaseQuantity = { value: feedUnits.round(received), unit: inventoryItem.currentStock.unit };
+    inventoryItem.lastUpdatedBy = userId;
+    inventoryItem.checkStockLevel();
+    await inventoryItem.save();
+
+    await feedStockService.recordPurchase(
+      inventoryItem,
+      received,
+      null,
+      userId,
+      batchData.notes || `Batch ${batch.batchNumber || 'without number'} received`,
+      batch
+    );
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Batch added successfully',
+      data: inventoryItem,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Write off the stock in a farm's expired batches now (also done daily)
+const writeOffExpiredBatches = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+    
+    if (!farm) {
+      throw new ForbiddenError('Farm not found or you do not have permission');
+    }
+
+    const result = await feedStockService.writeOffExpiredBatches({ farm: farm._id }, userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${result.batchesWrittenOff} expired batch(es) written off`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
   }
 };
 
@@ -407,4 +428,7 @@ module.exports = {
   updateInventoryItem,
   deleteInventoryItem,
   getLowInventoryAlerts,
+  getInventoryMovements,
+  addInventoryBatch,
+  writeOffExpiredBatches,
 };
\ No newline at end of file
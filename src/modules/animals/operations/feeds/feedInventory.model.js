@@ -1,5 +1,54 @@
 // src/modules/animals/operations/feeds/feedInventory.model.js
 const mongoose = require('mongoose');
+const feedUnits = require('./feedUnits');
+const { BusinessRuleError } = require('../../../../utils/errors');
+
+// One delivery of a feed item; quantities and cost are in the item's stock unit
+const feedBatchSchema = new mongoose.Schema(
+  {
+    batchNumber: {
+      type: String,
+      trim: true,
+    },
+    
+    // Quantity received and quantity still in store
+    quantity: {
+      type: Number,
+      min: 0,
+    },
+    remaining: {
+      type: Number,
+      required: [true, 'Remaining batch quantity is required'],
+      min: 0,
+    },
+    
+    // Price paid per stock unit
+    unitCost: {
+      type: Number,
+      min: 0,
+    },
+    
+    receivedDate: {
+      type: Date,
+      default: Date.now,
+    },
+    
+    expirationDate: Date,
+    
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeedPurchaseOrder',
+    },
+    
+    status: {
+      type: String,
+      enum: ['active', 'depleted', 'written_off'],
+      default: 'active',
+    },
+    
+    writtenOffAt: Date,
+  }
+);
 
 const feedInventorySchema = new mongoose.Schema(
   {
@@ -42,6 +91,19 @@ const feedInventorySchema = new mongoose.Schema(
       },
     },
     
+    // Weight of one bag, needed to convert between bags and weight units
+    bagWeight: {
+      value: {
+        type: Number,
+        min: [0.001, 'Bag weight must be greater than 0'],
+      },
+      unit: {
+        type: String,
+        enum: feedUnits.MASS_UNITS,
+        default: 'kg',
+      },
+    },
+    
     minimumStockLevel: {
       value: {
         type: Number,
@@ -81,6 +143,12 @@ const feedInventorySchema = new mongoose.Schema(
       },
     },
     
+    // Supplier that reorder drafts are addressed to
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeedSupplier',
+    },
+    
     lastPurchaseDate: Date,
     
     lastPurchaseQuantity: {
@@ -94,6 +162,7 @@ const feedInventorySchema = new mongoose.Schema(
       trim: true,
     },
     
+    // Earliest expiry and next batch to be used, kept in step with the batches
     expirationDate: Date,
     
     batchNumber: {
@@ -101,6 +170,9 @@ const feedInventorySchema = new mongoose.Schema(
       trim: true,
     },
     
+    // Deliveries in store, used first-expiry-first-out
+    batches: [feedBatchSchema],
+    
     // Status
     isActive: {
       type: Boolean,
@@ -133,38 +205,215 @@ const feedInventorySchema = new mongoose.Schema(
 feedInventorySchema.index({ farm: 1, feedType: 1 });
 feedInventorySchema.index({ farm: 1, needsReorder: 1 });
 feedInventorySchema.index({ farm: 1, expirationDate: 1 });
+feedInventorySchema.index({ farm: 1, 'batches.status': 1, 'batches.expirationDate': 1 });
+
+// Batches with stock, in the order they are used: earliest expiry first
+// (batches without an expiry last), then oldest delivery first. With `usableOn`,
+// batches already expired on that date are left out even before they are written off.
+feedInventorySchema.methods.activeBatches = function(usableOn) {
+  const farFuture = 8640000000000000;
+  return this.batches
+    .filter(batch => batch.status === 'active' && batch.remaining > 0)
+    .filter(batch => !usableOn || !batch.expirationDate || new Date(batch.expirationDate) >= new Date(usableOn))
+    .sort((a, b) => {
+      const expiryA = a.expirationDate ? new Date(a.expirationDate).getTime() : farFuture;
+      const expiryB = b.expirationDate ? new Date(b.expirationDate).getTime() : farFuture;
+      return expiryA - expiryB || new Date(a.receivedDate) - new Date(b.receivedDate);
+    });
+};
+
+// Bring the batches in line with currentStock after it was set directly: extra stock
+// becomes a new batch (described by `batchInfo`), missing stock is taken first-expiry-first-out
+feedInventorySchema.methods.reconcileBatches = function(batchInfo = {}) {
+  // Stock from before batches were kept becomes one batch with the item's old details
+  if (this.batches.length === 0) {
+    batchInfo = {
+      ...batchInfo,
+      batchNumber: batchInfo.batchNumber ?? this.batchNumber,
+      expirationDate: batchInfo.expirationDate ?? this.expirationDate,
+      receivedDate: batchInfo.receivedDate ?? (this.lastPurchaseDate || this.createdAt),
+    };
+  }
+  
+  const inBatches = this.activeBatches().reduce((sum, batch) => sum + batch.remaining, 0);
+  const difference = feedUnits.round(this.currentStock.value - inBatches);
+  
+  if (difference > 0) {
+    this.batches.push({
+      batchNumber: batchInfo.batchNumber,
+      quantity: difference,
+      remaining: difference,
+      unitCost: batchInfo.unitCost ?? this.pricePerStockUnit() ?? undefined,
+      receivedDate: batchInfo.receivedDate || new Date(),
+      expirationDate: batchInfo.expirationDate,
+      purchaseOrder: batchInfo.purchaseOrder,
+    });
+  } else if (difference < 0) {
+    this.drawFromBatches(-difference);
+  }
+  
+  return this;
+};
+
+// Take a quantity out of the batches first-expiry-first-out, returning what came from each
+// batch (only batches still usable on `usableOn`, when given). Does not change currentStock.
+feedInventorySchema.methods.drawFromBatches = function(quantity, usableOn) {
+  const taken = [];
+  let outstanding = quantity;
+  
+  for (const batch of this.activeBatches(usableOn)) {
+    if (outstanding <= 0) {
+      break;
+    }
+    
+    const fromBatch = feedUnits.round(Math.min(batch.remaining, outstanding));
+    batch.remaining = feedUnits.round(batch.remaining - fromBatch);
+    if (batch.remaining === 0) {
+      batch.status = 'depleted';
+    }
+    
+    outstanding = feedUnits.round(outstanding - fromBatch);
+    taken.push({
+      batch: batch._id,
+      batchNumber: batch.batchNumber,
+      quantity: fromBatch,
+      unitCost: batch.unitCost,
+    });
+  }
+  
+  return taken;
+};
+
+// Add a delivery as a new batch and to currentStock
+feedInventorySchema.methods.addBatch = function(quantity, batchInfo = {}) {
+  this.reconcileBatches();
+  this.currentStock.value = feedUnits.round(this.currentStock.value + quantity);
+  return this.reconcileBatches(batchInfo);
+};
+
+// Take stock out first-expiry-first-out, skipping batches expired by `usableOn`;
+// returns what came from each batch
+feedInventorySchema.methods.takeFromBatches = function(quantity, usableOn = new Date()) {
+  this.reconcileBatches();
+  const taken = this.drawFromBatches(quantity, usableOn);
+  this.currentStock.value = feedUnits.round(
+    Math.max(0, this.currentStock.value - taken.reduce((sum, part) => sum + part.quantity, 0))
+  );
+  return taken;
+};
+
+// Put stock back into the batches it was taken from (a batch that is gone gets replaced).
+// Stock returned to an expired batch is written off again by the next expiry run.
+feedInventorySchema.methods.returnToBatches = function(parts, quantity) {
+  this.reconcileBatches();
+  let unassigned = quantity;
+  
+  (parts || []).forEach(part => {
+    const batch = part.batch && this.batches.id(part.batch);
+    const restored = feedUnits.round(Math.min(part.quantity, unassigned));
+    
+    if (batch && restored > 0) {
+      batch.remaining = feedUnits.round(batch.remaining + restored);
+      batch.status = 'active';
+      unassigned = feedUnits.round(unassigned - restored);
+      this.currentStock.value = feedUnits.round(this.currentStock.value + restored);
+    }
+  });
+  
+  if (unassigned > 0) {
+    this.currentStock.value = feedUnits.round(this.currentStock.value + unassigned);
+    this.reconcileBatches();
+  }
+  
+  return this;
+};
+
+// Active batches past their expiry date
+feedInventorySchema.methods.expiredBatches = function(asOf = new Date()) {
+  return this.activeBatches().filter(batch => batch.expirationDate && new Date(batch.expirationDate) < asOf);
+};
+
+// Re-express batch quantities after the stock unit changed
+feedInventorySchema.methods.convertBatches = function(fromUnit) {
+  const toUnit = this.currentStock.unit;
+  
+  this.batches.forEach(batch => {
+    const factor = feedUnits.convert(1, fromUnit, toUnit, this.bagWeight);
+    
+    if (factor === null) {
+      if (batch.status === 'active' && batch.remaining > 0) {
+        throw new BusinessRuleError(`Cannot move batches kept in ${fromUnit} to ${toUnit}`);
+      }
+      return;
+    }
+    
+    batch.remaining = feedUnits.round(batch.remaining * factor);
+    if (batch.quantity !== undefined) {
+      batch.quantity = feedUnits.round(batch.quantity * factor);
+    }
+    if (batch.unitCost !== undefined) {
+      batch.unitCost = Math.round((batch.unitCost / factor) * 100) / 100;
+    }
+  });
+  
+  return this;
+};
+
+// Express a stock level in the current stock unit (null if not set or not convertible)
+feedInventorySchema.methods.toStockUnit = function(level) {
+  if (!level || level.value === undefined || level.value === null) {
+    return null;
+  }
+  return feedUnits.convert(level.value, level.unit || this.currentStock.unit, this.currentStock.unit, this.bagWeight);
+};
+
+// Purchase price per one stock unit (null if not set or not convertible)
+feedInventorySchema.methods.pricePerStockUnit = function() {
+  if (!this.purchasePrice || !this.purchasePrice.amount) {
+    return null;
+  }
+  
+  const perUnit = this.purchasePrice.perUnit || {};
+  const units = feedUnits.convert(
+    perUnit.value || 1,
+    perUnit.unit || this.currentStock.unit,
+    this.currentStock.unit,
+    this.bagWeight
+  );
+  
+  return units ? this.purchasePrice.amount / units : null;
+};
 
 // Method to check if stock is low
 feedInventorySchema.methods.checkStockLevel = function() {
-  if (this.minimumStockLevel && this.minimumStockLevel.value && this.minimumStockLevel.unit) {
-    // Convert both to same unit for comparison (simplified - in real app, implement unit conversion)
-    if (this.currentStock.value <= this.minimumStockLevel.value) {
-      this.needsReorder = true;
-      return 'low';
-    } else if (this.reorderPoint && this.currentStock.value <= this.reorderPoint.value) {
-      this.needsReorder = true;
-      return 'reorder';
-    }
+  const current = this.currentStock.value;
+  const minimum = this.toStockUnit(this.minimumStockLevel);
+  const reorderPoint = this.toStockUnit(this.reorderPoint);
+  
+  if (minimum !== null && current <= minimum) {
+    this.needsReorder = true;
+    return 'low';
+  }
+  
+  if (reorderPoint !== null && current <= reorderPoint) {
+    this.needsReorder = true;
+    return 'reorder';
   }
+  
   this.needsReorder = false;
   return 'adequate';
 };
 
 // Method to consume stock
 feedInventorySchema.methods.consumeStock = async function(quantity, unit) {
-  // Convert consumption quantity to inventory unit (simplified)
-  // In real app, implement proper unit conversion
-  let consumptionInInventoryUnit = quantity;
-  
-  // Simple conversion for common units
-  if (unit === 'g' && this.currentStock.unit === 'kg') {
-    consumptionInInventoryUnit = quantity / 1000;
-  } else if (unit === 'kg' && this.currentStock.unit === 'g') {
-    consumptionInInventoryUnit = quantity * 1000;
+  // Convert consumption quantity to inventory unit
+  const consumptionInInventoryUnit = feedUnits.convert(quantity, unit, this.currentStock.unit, this.bagWeight);
+  
+  if (consumptionInInventoryUnit === null) {
+    throw new BusinessRuleError(`Cannot convert ${unit} to ${this.currentStock.unit}`);
   }
   
-  this.currentStock.value -= consumptionInInventoryUnit;
-  if (this.currentStock.value < 0) this.currentStock.value = 0;
+  this.takeFromBatches(consumptionInInventoryUnit);
   
   // Check stock level after consumption
   this.checkStockLevel();
@@ -173,6 +422,21 @@ feedInventorySchema.methods.consumeStock = async function(quantity, unit) {
   return this;
 };
 
+// Item-level expiry and batch number follow the next batch to be used
+feedInventorySchema.pre('save', function() {
+  if (this.batches.length === 0) {
+    return;
+  }
+  
+  const [next] = this.activeBatches();
+  const expiries = this.activeBatches()
+    .filter(batch => batch.expirationDate)
+    .map(batch => new Date(batch.expirationDate));
+  
+  this.expirationDate = expiries.length > 0 ? new Date(Math.min(...expiries)) : undefined;
+  this.batchNumber = next ? next.batchNumber : undefined;
+});
+
 const FeedInventory = mongoose.model('FeedInventory', feedInventorySchema);
 
 module.exports = FeedInventory;
\ No newline at end of file
@@ -0,0 +1,199 @@
+// src/modules/animals/operations/feeds/feedPurchaseOrder.controller.js
+const FeedPurchaseOrder = require('./feedPurchaseOrder.model');
+const feedPurchaseOrderService = require('./feedPurchaseOrder.service');
+const farmAccess = require('../../../farms/farmAccess');
+const { ForbiddenError, NotFoundError } = require('../../../../utils/errors');
+
+// Verify the user can access the farm a purchase order belongs to
+const checkOrderAccess = async (orderId, userId) => {
+  const order = await FeedPurchaseOrder.findById(orderId).select('farm').lean();
+
+  if (!order) {
+    throw new NotFoundError('Purchase order not found');
+  }
+
+  const farm = await farmAccess.findAccessibleFarm(order.farm, userId);
+
+  if (!farm) {
+    throw new ForbiddenError('Farm not found or you do not have permission');
+  }
+};
+
+// Create a draft purchase order
+const createPurchaseOrder = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const orderData = req.body;
+
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(orderData.farm, userId);
+
+    if (!farm) {
+      throw new ForbiddenError('Farm not found or you do not have permission');
+    }
+
+    const order = await feedPurchaseOrderService.createPurchaseOrder(orderData, userId);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Purchase order created successfully',
+      data: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get purchase orders for a farm
+const getFarmPurchaseOrders = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+    if (!farm) {
+      throw new ForbiddenError('Farm not found or you do not have permission');
+    }
+
+    const result = await feedPurchaseOrderService.getFarmPurchaseOrders(farmId, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      data: result.orders,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get purchase order by ID
+const getPurchaseOrder = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+
+    await checkOrderAccess(orderId, req.userId);
+    const order = await feedPurchaseOrderService.getPurchaseOrderById(orderId);
+
+    res.status(200).json({
+      status: 'success',
+      data: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a draft purchase order
+const updatePurchaseOrder = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+
+    await checkOrderAccess(orderId, req.userId);
+    const order = await feedPurchaseOrderService.updatePurchaseOrder(orderId, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Purchase order updated successfully',
+      data: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Place a draft order with the supplier
+const placePurchaseOrder = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+
+    await checkOrderAccess(orderId, req.userId);
+    const order = await feedPurchaseOrderService.placeOrder(orderId, req.body.orderDate);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Purchase order placed successfully',
+      data: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Receive deliveries against an order into feed inventory
+const receivePurchaseOrder = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+
+    await checkOrderAccess(orderId, req.userId);
+    const result = await feedPurchaseOrderService.receivePurchaseOrder(orderId, req.body, req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: result.order.status === 'received'
+        ? 'Purchase order fully received'
+        : 'Purchase order partially received',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cancel a purchase order
+const cancelPurchaseOrder = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+
+    await checkOrderAccess(orderId, req.userId);
+    const order = await feedPurchaseOrderService.cancelPurchaseOrder(orderId, req.body.reason);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Purchase order cancelled successfully',
+      data: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Draft purchase orders for every item at or below its reorder point
+const draftReorderPurchaseOrders = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+    if (!farm) {
+      throw new ForbiddenError('Farm not found or you do not have permission');
+    }
+
+    const result = await feedPurchaseOrderService.draftReorderPurchaseOrders(farmId, userId);
+
+    res.status(result.ordersCreated > 0 ? 201 : 200).json({
+      status: 'success',
+      message: result.ordersCreated > 0
+        ? `${result.ordersCreated} purchase order(s) drafted`
+        : 'No items need reordering',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createPurchaseOrder,
+  getFarmPurchaseOrders,
+  getPurchaseOrder,
+  updatePurchaseOrder,
+  placePurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+  draftReorderPurchaseOrders,
+};
@@ -0,0 +1,186 @@
+// src/modules/animals/operations/feeds/feedPurchaseOrder.model.js
+const mongoose = require('mongoose');
+
+const STOCK_UNITS = ['kg', 'g', 'lb', 'oz', 'liters', 'ml', 'bags', 'units'];
+
+// One delivery against an order line
+const receiptSchema = new mongoose.Schema(
+  {
+    quantity: {
+      type: Number,
+      required: [true, 'Received quantity is required'],
+      min: [0.001, 'Received quantity must be greater than 0'],
+    },
+    batchNumber: {
+      type: String,
+      trim: true,
+    },
+    expirationDate: Date,
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Ledger entry that added the delivery to stock
+    stockMovement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeedStockMovement',
+    },
+  },
+  { _id: true }
+);
+
+const orderItemSchema = new mongoose.Schema(
+  {
+    // Stock item the delivery goes into (created on first receipt if not set)
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeedInventory',
+    },
+    feedType: {
+      type: String,
+      required: [true, 'Feed type is required'],
+      enum: ['pellets', 'hay', 'mash', 'grains', 'supplements', 'custom', 'other'],
+    },
+    customFeedName: {
+      type: String,
+      trim: true,
+    },
+    quantity: {
+      value: {
+        type: Number,
+        required: [true, 'Order quantity is required'],
+        min: [0.001, 'Order quantity must be greater than 0'],
+      },
+      unit: {
+        type: String,
+        required: [true, 'Order unit is required'],
+        enum: STOCK_UNITS,
+        default: 'kg',
+      },
+    },
+    // Price per one unit of quantity.unit
+    unitPrice: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Total received so far, in quantity.unit
+    receivedQuantity: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    receipts: [receiptSchema],
+  },
+  { _id: true }
+);
+
+const feedPurchaseOrderSchema = new mongoose.Schema(
+  {
+    // Farm reference
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: [true, 'Farm reference is required'],
+    },
+
+    orderNumber: {
+      type: String,
+      trim: true,
+    },
+
+    // Required before the order is placed
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeedSupplier',
+    },
+
+    status: {
+      type: String,
+      enum: ['draft', 'ordered', 'partially_received', 'received', 'cancelled'],
+      default: 'draft',
+    },
+
+    items: {
+      type: [orderItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: 'A purchase order needs at least one item',
+      },
+    },
+
+    currency: {
+      type: String,
+      default: 'KSH',
+      uppercase: true,
+    },
+
+    totalAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // Dates
+    orderDate: Date,
+    expectedDeliveryDate: Date,
+    receivedDate: Date,
+    cancelledAt: Date,
+
+    cancellationReason: {
+      type: String,
+      trim: true,
+    },
+
+    // Drafted by the reorder endpoint rather than a user
+    isAutoGenerated: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Metadata
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+feedPurchaseOrderSchema.index({ farm: 1, orderNumber: 1 }, { unique: true });
+feedPurchaseOrderSchema.index({ farm: 1, status: 1, createdAt: -1 });
+feedPurchaseOrderSchema.index({ supplier: 1, status: 1 });
+feedPurchaseOrderSchema.index({ 'items.inventoryItem': 1, status: 1 });
+
+// Generate the order number and total
+feedPurchaseOrderSchema.pre('save', async function() {
+  if (!this.orderNumber) {
+    const year = new Date().getFullYear();
+    const count = await this.constructor.countDocuments({ farm: this.farm });
+    this.orderNumber = `PO-${year}-${String(count + 1).padStart(4, '0')}`;
+  }
+
+  this.totalAmount = this.items.reduce((sum, item) => sum + item.quantity.value * (item.unitPrice || 0), 0);
+});
+
+// Quantity still to be delivered on an order line
+feedPurchaseOrderSchema.methods.outstandingQuantity = function(item) {
+  return Math.max(0, item.quantity.value - (item.receivedQuantity || 0));
+};
+
+const FeedPurchaseOrder = mongoose.model('FeedPurchaseOrder', feedPurchaseOrderSchema);
+
+module.exports = FeedPurchaseOrder;
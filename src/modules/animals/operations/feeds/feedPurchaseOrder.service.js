@@ -0,0 +1,539 @@
+// src/modules/animals/operations/feeds/feedPurchaseOrder.service.js
+const FeedPurchaseOrder = require('./feedPurchaseOrder.model');
+const FeedSupplier = require('./feedSupplier.model');
+const FeedInventory = require('./feedInventory.model');
+const feedStockService = require('./feedStock.service');
+const feedUnits = require('./feedUnits');
+const { ValidationError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
+
+// Orders that may still deliver stock
+const OPEN_STATUSES = ['draft', 'ordered', 'partially_received'];
+
+// Fields that can be edited while an order is a draft
+const DRAFT_FIELDS = ['supplier', 'items', 'currency', 'expectedDeliveryDate', 'notes'];
+
+// Quantity to order for an item at or below its reorder point, in the stock unit:
+// enough to get back to twice the reorder point, and at least the last purchase
+const suggestedOrderQuantity = (item) => {
+  const threshold = item.toStockUnit(item.reorderPoint) ?? item.toStockUnit(item.minimumStockLevel) ?? 0;
+  const topUp = threshold * 2 - item.currentStock.value;
+  const lastPurchase = item.lastPurchaseQuantity && item.lastPurchaseQuantity.value
+    ? item.toStockUnit(item.lastPurchaseQuantity) || 0
+    : 0;
+
+  return feedUnits.round(Math.max(topUp, lastPurchase, 0)) || null;
+};
+
+const feedPurchaseOrderService = {
+  OPEN_STATUSES,
+
+  // Check a supplier belongs to the farm and can be ordered from
+  resolveSupplier: async (farmId, supplierId) => {
+    const supplier = await FeedSupplier.findOne({ _id: supplierId, farm: farmId });
+
+    if (!supplier) {
+      throw new ValidationError('Supplier not found on this farm');
+    }
+
+    if (!supplier.isActive) {
+      throw new BusinessRuleError(`Supplier ${supplier.name} is no longer active`);
+    }
+
+    return supplier;
+  },
+
+  // Fill order lines from their inventory items (feed type, name and unit)
+  resolveItems: async (farmId, items) => {
+    const resolved = [];
+
+    for (const item of items) {
+      const line = { ...item };
+
+      if (item.inventoryItem) {
+        const inventoryItem = await FeedInventory.findOne({ _id: item.inventoryItem, farm: farmId });
+
+        if (!inventoryItem) {
+          throw new ValidationError('Inventory item not found on this farm');
+        }
+
+        line.feedType = inventoryItem.feedType;
+        line.customFeedName = inventoryItem.customFeedName;
+        line.quantity = {
+          value: item.quantity.value,
+          unit: item.quantity.unit || inventoryItem.currentStock.unit,
+        };
+      }
+
+      resolved.push(line);
+    }
+
+    return resolved;
+  },
+
+  // Create a draft purchase order
+  createPurchaseOrder: async (orderData, userId) => {
+    try {
+      if (orderData.supplier) {
+        await feedPurchaseOrderService.resolveSupplier(orderData.farm, orderData.supplier);
+      }
+
+      const order = new FeedPurchaseOrder({
+        ...orderData,
+        items: await feedPurchaseOrderService.resolveItems(orderData.farm, orderData.items || []),
+        status: 'draft',
+        createdBy: userId,
+      });
+
+      return await order.save();
+    } catch (error) {
+      console.error('Service error creating purchase order:', error);
+      throw error;
+    }
+  },
+
+  // Get a purchase order with its supplier and items
+  getPurchaseOrderById: async (orderId) => {
+    try {
+      const order = await FeedPurchaseOrder.findById(orderId)
+        .populate('supplier', 'name contactPerson phone email')
+        .populate('items.inventoryItem', 'feedType customFeedName currentStock');
+
+      if (!order) {
+        throw new NotFoundError('Purchase order not found');
+      }
+
+      return order;
+    } catch (error) {
+      console.error('Service error getting purchase order:', error);
+      throw error;
+    }
+  },
+
+  // Get purchase orders for a farm
+  getFarmPurchaseOrders: async (farmId, filters = {}) => {
+    try {
+      const query = { farm: farmId };
+
+      if (filters.status) {
+        query.status = filters.status;
+      }
+
+      if (filters.supplier) {
+        query.supplier = filters.supplier;
+      }
+
+      if (filters.startDate || filters.endDate) {
+        query.createdAt = {};
+        if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+        if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
+      }
+
+      // Pagination
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const [orders, totalRecords] = await Promise.all([
+        FeedPurchaseOrder.find(query)
+          .populate('supplier', 'name')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        FeedPurchaseOrder.countDocuments(query),
+      ]);
+
+      return {
+        orders,
+        pagination: {
+          page,
+          limit,
+          totalRecords,
+          totalPages: Math.ceil(totalRecords / limit),
+          hasNextPage: page * limit < totalRecords,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      console.error('Service error getting purchase orders:', error);
+      throw error;
+    }
+  },
+
+  // Update a draft purchase order
+  updatePurchaseOrder: async (orderId, updateData) => {
+    try {
+      const order = await FeedPurchaseOrder.findById(orderId);
+
+      if (!order) {
+        throw new NotFoundError('Purchase order not found');
+      }
+
+      if (order.status !== 'draft') {
+        throw new BusinessRuleError(`Only draft orders can be edited (order is ${order.status})`);
+      }
+
+      if (updateData.supplier) {
+        await feedPurchaseOrderService.resolveSupplier(order.farm, updateData.supplier);
+      }
+
+      if (updateData.items) {
+        updateData.items = await feedPurchaseOrderService.resolveItems(order.farm, updateData.items);
+      }
+
+      DRAFT_FIELDS.forEach(field => {
+        if (updateData[field] !== undefined) {
+          order[field] = updateData[field];
+        }
+      });
+
+      return await order.save();
+    } catch (error) {
+      console.error('Service error updating purchase order:', error);
+      throw error;
+    }
+  },
+
+  // Place a draft order with its supplier
+  placeOrder: async (orderId, orderDate) => {
+    try {
+      const order = await FeedPurchaseOrder.findById(orderId);
+
+      if (!order) {
+        throw new NotFoundError('Purchase order not found');
+      }
+
+      if (order.status !== 'draft') {
+        throw new BusinessRuleError(`Only draft orders can be placed (order is ${order.status})`);
+      }
+
+      if (!order.supplier) {
+        throw new BusinessRuleError('Choose a supplier before placing the order');
+      }
+
+      const supplier = await feedPurchaseOrderService.resolveSupplier(order.farm, order.supplier);
+
+      order.status = 'ordered';
+      order.orderDate = orderDate ? new Date(orderDate) : new Date();
+
+      // Expect delivery after the supplier's usual lead time
+      if (!order.expectedDeliveryDate && supplier.leadTimeDays !== undefined) {
+        const expected = new Date(order.orderDate);
+        expected.setDate(expected.getDate() + supplier.leadTimeDays);
+        order.expectedDeliveryDate = expected;
+      }
+
+      return await order.save();
+    } catch (error) {
+      console.error('Service error placing purchase order:', error);
+      throw error;
+    }
+  },
+
+  // Stock item an order line delivers into, created on first delivery if needed
+  findOrCreateInventoryItem: async (order, line, userId) => {
+    let item = line.inventoryItem ? await FeedInventory.findById(line.inventoryItem) : null;
+
+    if (!item) {
+      item = await feedStockService.findInventoryForFeed({
+        farm: order.farm,
+        feedType: line.feedType,
+        customFeedName: line.customFeedName,
+      });
+    }
+
+    if (!item) {
+      item = new FeedInventory({
+        farm: order.farm,
+        feedType: line.feedType,
+        customFeedName: line.customFeedName,
+        currentStock: { value: 0, unit: line.quantity.unit },
+        supplier: order.supplier,
+        lastUpdatedBy: userId,
+      });
+    }
+
+    line.inventoryItem = item._id;
+    return item;
+  },
+
+  // Add a delivery to stock as a new batch and update the weighted-average price
+  receiveIntoStock: async (order, line, receipt, userId) => {
+    const item = await feedPurchaseOrderService.findOrCreateInventoryItem(order, line, userId);
+    const stockUnit = item.currentStock.unit;
+
+    const received = feedUnits.convert(receipt.quantity, line.quantity.unit, stockUnit, item.bagWeight);
+
+    if (received === null) {
+      const hint = stockUnit === 'bags' || line.quantity.unit === 'bags' ? ' (set a bag weight on the inventory item)' : '';
+      throw new BusinessRuleError(
+        `Cannot receive ${line.quantity.unit} of ${line.customFeedName || line.feedType} into stock kept in ${stockUnit}${hint}`
+      );
+    }
+
+    // Weighted-average price per stock unit over the stock on hand and the delivery
+    let deliveryPrice;
+    if (line.unitPrice) {
+      const unitsPerOrderUnit = feedUnits.convert(1, line.quantity.unit, stockUnit, item.bagWeight);
+      deliveryPrice = line.unitPrice / unitsPerOrderUnit;
+      const currentPrice = item.pricePerStockUnit();
+      const onHand = item.currentStock.value;
+      const sameCurrency = !item.purchasePrice?.currency || item.purchasePrice.currency === order.currency;
+
+      const averagePrice = currentPrice !== null && sameCurrency && onHand > 0
+        ? (onHand * currentPrice + received * deliveryPrice) / (onHand + received)
+        : deliveryPrice;
+
+      item.purchasePrice = {
+        amount: Math.round(averagePrice * 100) / 100,
+        currency: order.currency,
+        perUnit: { value: 1, unit: stockUnit },
+      };
+    }
+
+    // Each delivery is kept as its own batch
+    item.addBatch(received, {
+      batchNumber: receipt.batchNumber,
+      expirationDate: receipt.expirationDate,
+      receivedDate: receipt.receivedAt,
+      unitCost: deliveryPrice !== undefined ? Math.round(deliveryPrice * 100) / 100 : undefined,
+      purchaseOrder: order._id,
+    });
+    const batch = item.batches[item.batches.length - 1];
+    item.lastPurchaseDate = receipt.receivedAt;
+    item.lastPurchaseQuantity = { value: feedUnits.round(received), unit: stockUnit };
+
+    if (!item.supplier && order.supplier) {
+      item.supplier = order.supplier;
+    }
+
+    item.isActive = true;
+    item.lastUpdatedBy = userId;
+    item.checkStockLevel();
+    await item.save();
+
+    const movement = await feedStockService.recordPurchase(
+      item,
+      received,
+      order,
+      userId,
+      `Received on ${order.orderNumber}${receipt.batchNumber ? ` (batch ${receipt.batchNumber})` : ''}`,
+      batch
+    );
+    receipt.stockMovement = movement._id;
+
+    return item;
+  },
+
+  // Receive deliveries against an order. Without a receipt list every
+  // outstanding quantity is received.
+  receivePurchaseOrder: async (orderId, receiptData, userId) => {
+    try {
+      const order = await FeedPurchaseOrder.findById(orderId);
+
+      if (!order) {
+        throw new NotFoundError('Purchase order not found');
+      }
+
+      if (!['ordered', 'partially_received'].includes(order.status)) {
+        throw new BusinessRuleError(`Only placed orders can be received (order is ${order.status})`);
+      }
+
+      const receivedAt = receiptData.receivedDate ? new Date(receiptData.receivedDate) : new Date();
+
+      const receipts = receiptData.items && receiptData.items.length > 0
+        ? receiptData.items
+        : order.items
+          .filter(line => order.outstandingQuantity(line) > 0)
+          .map(line => ({
+            itemId: line._id,
+            quantity: order.outstandingQuantity(line),
+            batchNumber: receiptData.batchNumber,
+            expirationDate: receiptData.expirationDate,
+          }));
+
+      // Check every line before touching stock
+      const lines = receipts.map(receipt => {
+        const line = order.items.id(receipt.itemId);
+
+        if (!line) {
+          throw new ValidationError(`Order item ${receipt.itemId} is not on this purchase order`);
+        }
+
+        const outstanding = feedUnits.round(order.outstandingQuantity(line));
+        if (receipt.quantity > outstanding) {
+          throw new BusinessRuleError(
+            `Cannot receive ${receipt.quantity} ${line.quantity.unit} of ${line.customFeedName || line.feedType}; only ${outstanding} ${line.quantity.unit} outstanding`
+          );
+        }
+
+        return line;
+      });
+
+      if (lines.length === 0) {
+        throw new BusinessRuleError('Nothing left to receive on this order');
+      }
+
+      const inventoryItems = [];
+
+      for (let index = 0; index < receipts.length; index++) {
+        const line = lines[index];
+        const receipt = {
+          quantity: receipts[index].quantity,
+          batchNumber: receipts[index].batchNumber,
+          expirationDate: receipts[index].expirationDate,
+          receivedAt,
+          receivedBy: userId,
+        };
+
+        const item = await feedPurchaseOrderService.receiveIntoStock(order, line, receipt, userId);
+        inventoryItems.push(item);
+
+        line.receipts.push(receipt);
+        line.receivedQuantity = feedUnits.round((line.receivedQuantity || 0) + receipt.quantity);
+      }
+
+      const fullyReceived = order.items.every(line => order.outstandingQuantity(line) <= 0);
+      order.status = fullyReceived ? 'received' : 'partially_received';
+      if (fullyReceived) {
+        order.receivedDate = receivedAt;
+      }
+
+      await order.save();
+
+      return { order, inventoryItems };
+    } catch (error) {
+      console.error('Service error receiving purchase order:', error);
+      throw error;
+    }
+  },
+
+  // Cancel an order; deliveries already received stay in stock
+  cancelPurchaseOrder: async (orderId, reason) => {
+    try {
+      const order = await FeedPurchaseOrder.findById(orderId);
+
+      if (!order) {
+        throw new NotFoundError('Purchase order not found');
+      }
+
+      if (!OPEN_STATUSES.includes(order.status)) {
+        throw new BusinessRuleError(`A ${order.status} order cannot be cancelled`);
+      }
+
+      order.status = 'cancelled';
+      order.cancelledAt = new Date();
+      order.cancellationReason = reason;
+
+      return await order.save();
+    } catch (error) {
+      console.error('Service error cancelling purchase order:', error);
+      throw error;
+    }
+  },
+
+  // Draft orders for every active item at or below its reorder point, one per
+  // supplier and currency. Items already on an open order are skipped.
+  draftReorderPurchaseOrders: async (farmId, userId) => {
+    try {
+      const [inventoryItems, openOrders] = await Promise.all([
+        FeedInventory.find({ farm: farmId, isActive: true }),
+        FeedPurchaseOrder.find({ farm: farmId, status: { $in: OPEN_STATUSES } })
+          .select('orderNumber items.inventoryItem')
+          .lean(),
+      ]);
+
+      const onOrder = new Map();
+      openOrders.forEach(order => {
+        order.items.forEach(line => {
+          if (line.inventoryItem) {
+            onOrder.set(line.inventoryItem.toString(), order.orderNumber);
+          }
+        });
+      });
+
+      const groups = new Map();
+      const skipped = [];
+
+      for (const item of inventoryItems) {
+        const level = item.checkStockLevel();
+
+        // Keep the reorder flag in step with the current thresholds
+        if (item.isModified('needsReorder')) {
+          await item.save();
+        }
+
+        if (level === 'adequate') {
+          continue;
+        }
+
+        if (onOrder.has(item._id.toString())) {
+          skipped.push({
+            inventoryItem: item._id,
+            feedType: item.feedType,
+            customFeedName: item.customFeedName,
+            reason: `Already on order ${onOrder.get(item._id.toString())}`,
+          });
+          continue;
+        }
+
+        const quantity = suggestedOrderQuantity(item);
+
+        if (!quantity) {
+          skipped.push({
+            inventoryItem: item._id,
+            feedType: item.feedType,
+            customFeedName: item.customFeedName,
+            reason: 'No reorder point or last purchase quantity to size the order',
+          });
+          continue;
+        }
+
+        const currency = item.purchasePrice?.currency || 'KSH';
+        const key = `${item.supplier || 'none'}:${currency}`;
+
+        if (!groups.has(key)) {
+          groups.set(key, { supplier: item.supplier, currency, items: [] });
+        }
+
+        groups.get(key).items.push({
+          inventoryItem: item._id,
+          feedType: item.feedType,
+          customFeedName: item.customFeedName,
+          quantity: { value: quantity, unit: item.currentStock.unit },
+          unitPrice: item.pricePerStockUnit() || 0,
+        });
+      }
+
+      const orders = [];
+
+      // Saved one at a time so order numbers stay sequential
+      for (const group of groups.values()) {
+        const order = new FeedPurchaseOrder({
+          farm: farmId,
+          supplier: group.supplier,
+          currency: group.currency,
+          items: group.items,
+          status: 'draft',
+          isAutoGenerated: true,
+          createdBy: userId,
+          notes: 'Drafted automatically for items at or below their reorder point',
+        });
+
+        orders.push(await order.save());
+      }
+
+      return {
+        ordersCreated: orders.length,
+        itemsOrdered: orders.reduce((sum, order) => sum + order.items.length, 0),
+        orders,
+        skipped,
+      };
+    } catch (error) {
+      console.error('Service error drafting reorder purchase orders:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = feedPurchaseOrderService;
@@ -0,0 +1,163 @@
+// src/modules/animals/operations/feeds/feedRation.controller.js
+const FeedRation = require('./feedRation.model');
+const feedRationService = require('./feedRation.service');
+const farmAccess = require('../../../farms/farmAccess');
+const { ForbiddenError, NotFoundError } = require('../../../../utils/errors');
+
+// Verify the user can access the farm a ration belongs to
+const checkRationAccess = async (rationId, userId) => {
+  const ration = await FeedRation.findById(rationId).select('farm').lean();
+
+  if (!ration) {
+    throw new NotFoundError('Ration not found');
+  }
+
+  const farm = await farmAccess.findAccessibleFarm(ration.farm, userId);
+
+  if (!farm) {
+    throw new ForbiddenError('Farm not found or you do not have permission');
+  }
+};
+
+// Create a ration recipe
+const createRation = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const rationData = req.body;
+
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(rationData.farm, userId);
+
+    if (!farm) {
+      throw new ForbiddenError('Farm not found or you do not have permission');
+    }
+
+    const ration = await feedRationService.createRation(rationData, userId);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Ration created successfully',
+      data: ration,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get rations for a farm
+const getFarmRations = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+    const includeInactive = req.query.includeInactive === 'true';
+
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+    if (!farm) {
+      throw new ForbiddenError('Farm not found or you do not have permission');
+    }
+
+    const query = { farm: farmId };
+    if (!includeInactive) {
+      query.isActive = true;
+    }
+    if (req.query.animalType) {
+      query.animalType = req.query.animalType;
+    }
+
+    const rations = await FeedRation.find(query)
+      .populate('animalType', 'name')
+      .populate('ingredients.ingredient', 'name category')
+      .sort({ name: 1 })
+      .lean();
+
+    res.status(200).json({
+      status: 'success',
+      data: rations,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get ration by ID with its nutrient composition and cost
+const getRation = async (req, res, next) => {
+  try {
+    const { rationId } = req.params;
+
+    await checkRationAccess(rationId, req.userId);
+    const ration = await feedRationService.getRationWithIngredients(rationId);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ration,
+        composition: feedRationService.analyseRation(ration),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update ration
+const updateRation = async (req, res, next) => {
+  try {
+    const { rationId } = req.params;
+
+    await checkRationAccess(rationId, req.userId);
+    const ration = await feedRationService.updateRation(rationId, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Ration updated successfully',
+      data: ration,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete ration (soft delete)
+const deleteRation = async (req, res, next) => {
+  try {
+    const { rationId } = req.params;
+
+    await checkRationAccess(rationId, req.userId);
+    await FeedRation.findByIdAndUpdate(rationId, { isActive: false });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Ration deactivated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Check a ration against animal type nutrition requirements
+const checkRation = async (req, res, next) => {
+  try {
+    const { rationId } = req.params;
+
+    await checkRationAccess(rationId, req.userId);
+    const result = await feedRationService.checkRation(rationId, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createRation,
+  getFarmRations,
+  getRation,
+  updateRation,
+  deleteRation,
+  checkRation,
+};
@@ -0,0 +1,108 @@
+// src/modules/animals/operations/feeds/feedRation.model.js
+const mongoose = require('mongoose');
+
+// Inclusion percentages may be off by rounding, not by more
+const PERCENTAGE_TOLERANCE = 0.01;
+
+const feedRationSchema = new mongoose.Schema(
+  {
+    // Farm reference
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: [true, 'Farm reference is required'],
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Ration name is required'],
+      trim: true,
+      maxlength: [100, 'Ration name cannot exceed 100 characters'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+    },
+
+    // Animal type the ration is formulated for
+    animalType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AnimalType',
+    },
+
+    // Requirement stage the ration targets (e.g. "Grower")
+    stage: {
+      type: String,
+      trim: true,
+    },
+
+    // Ingredients by percentage of the mix, as fed
+    ingredients: {
+      type: [
+        {
+          ingredient: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'FeedIngredient',
+            required: [true, 'Ingredient reference is required'],
+          },
+          percentage: {
+            type: Number,
+            required: [true, 'Inclusion percentage is required'],
+            min: [0.01, 'Inclusion percentage must be greater than 0'],
+            max: [100, 'Inclusion percentage cannot exceed 100'],
+          },
+        },
+      ],
+      validate: [
+        {
+          validator: (ingredients) => ingredients.length > 0,
+          message: 'A ration needs at least one ingredient',
+        },
+        {
+          validator: (ingredients) => {
+            const total = ingredients.reduce((sum, item) => sum + item.percentage, 0);
+            return Math.abs(total - 100) <= PERCENTAGE_TOLERANCE;
+          },
+          message: 'Ingredient percentages must add up to 100',
+        },
+        {
+          validator: (ingredients) => {
+            const ids = ingredients.map(item => item.ingredient.toString());
+            return new Set(ids).size === ids.length;
+          },
+          message: 'Each ingredient can only appear once in a ration',
+        },
+      ],
+    },
+
+    // Status
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Metadata
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+feedRationSchema.index({ farm: 1, name: 1 }, { unique: true });
+feedRationSchema.index({ farm: 1, animalType: 1 });
+
+const FeedRation = mongoose.model('FeedRation', feedRationSchema);
+
+module.exports = FeedRation;
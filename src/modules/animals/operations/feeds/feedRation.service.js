@@ -0,0 +1,330 @@
+// src/modules/animals/operations/feeds/feedRation.service.js
+const FeedRation = require('./feedRation.model');
+const FeedIngredient = require('./feedIngredient.model');
+const Animal = require('../../animalRecords/animal.model');
+const AnimalType = require('../../../animalTypes/animalType.model');
+const feedUnits = require('./feedUnits');
+const { ValidationError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
+
+// Nutrients tracked for ingredients, rations and requirements
+const NUTRIENTS = [
+  { key: 'dryMatter', label: 'Dry matter', unit: '% as fed' },
+  { key: 'crudeProtein', label: 'Crude protein', unit: '% DM' },
+  { key: 'energy', label: 'Energy', unit: 'MJ ME/kg DM' },
+  { key: 'crudeFibre', label: 'Crude fibre', unit: '% DM' },
+  { key: 'calcium', label: 'Calcium', unit: '% DM' },
+  { key: 'phosphorus', label: 'Phosphorus', unit: '% DM' },
+];
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const hasValue = (value) => value !== undefined && value !== null;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Price per kg as fed: the ingredient's own price, else its inventory item's purchase price
+const ingredientPrice = (ingredient) => {
+  if (ingredient.pricePerKg && hasValue(ingredient.pricePerKg.amount)) {
+    return { amount: ingredient.pricePerKg.amount, currency: ingredient.pricePerKg.currency };
+  }
+
+  const item = ingredient.inventoryItem;
+  if (item && typeof item.pricePerStockUnit === 'function') {
+    const perStockUnit = item.pricePerStockUnit();
+    const stockUnitsPerKg = feedUnits.convert(1, 'kg', item.currentStock.unit, item.bagWeight);
+
+    if (perStockUnit !== null && stockUnitsPerKg !== null) {
+      return { amount: perStockUnit * stockUnitsPerKg, currency: item.purchasePrice.currency };
+    }
+  }
+
+  return null;
+};
+
+const feedRationService = {
+  NUTRIENTS,
+
+  // Check a ration's animal type and ingredients belong to its farm
+  resolveRationReferences: async (farmId, rationData) => {
+    if (rationData.animalType) {
+      const animalType = await AnimalType.exists({ _id: rationData.animalType, farm: farmId });
+
+      if (!animalType) {
+        throw new ValidationError('Animal type not found on this farm');
+      }
+    }
+
+    if (rationData.ingredients) {
+      const ids = rationData.ingredients.map(item => item.ingredient);
+      const found = await FeedIngredient.countDocuments({ _id: { $in: ids }, farm: farmId });
+
+      if (found !== new Set(ids.map(id => id.toString())).size) {
+        throw new ValidationError('One or more ingredients were not found on this farm');
+      }
+    }
+  },
+
+  // Create a ration
+  createRation: async (rationData, userId) => {
+    try {
+      await feedRationService.resolveRationReferences(rationData.farm, rationData);
+
+      rationData.createdBy = userId;
+      return await FeedRation.create(rationData);
+    } catch (error) {
+      console.error('Service error creating ration:', error);
+      throw error;
+    }
+  },
+
+  // Update a ration (farm cannot change)
+  updateRation: async (rationId, updateData) => {
+    try {
+      const ration = await FeedRation.findById(rationId);
+
+      if (!ration) {
+        throw new NotFoundError('Ration not found');
+      }
+
+      await feedRationService.resolveRationReferences(ration.farm, updateData);
+
+      ration.set(updateData);
+      return await ration.save();
+    } catch (error) {
+      console.error('Service error updating ration:', error);
+      throw error;
+    }
+  },
+
+  // Load a ration with its ingredients (and their stock items for pricing)
+  getRationWithIngredients: async (rationId) => {
+    const ration = await FeedRation.findById(rationId)
+      .populate({
+        path: 'ingredients.ingredient',
+        populate: { path: 'inventoryItem', select: 'currentStock bagWeight purchasePrice' },
+      })
+      .populate('animalType', 'name');
+
+    if (!ration) {
+      throw new NotFoundError('Ration not found');
+    }
+
+    return ration;
+  },
+
+  // Nutrient composition and cost of a ration whose ingredients are populated.
+  // Nutrients are averaged on a dry matter basis; an ingredient without a value
+  // counts as zero and is listed under missingValues.
+  analyseRation: (ration) => {
+    const lines = ration.ingredients.filter(line => line.ingredient);
+    const totalDryMatter = lines.reduce((sum, line) => sum + line.percentage * line.ingredient.nutrients.dryMatter, 0);
+
+    const nutrients = {};
+    const missingValues = {};
+
+    NUTRIENTS.forEach(({ key }) => {
+      if (key === 'dryMatter') {
+        nutrients.dryMatter = round(totalDryMatter / 100);
+        return;
+      }
+
+      let weighted = 0;
+      lines.forEach(line => {
+        const value = line.ingredient.nutrients[key];
+
+        if (hasValue(value)) {
+          weighted += line.percentage * line.ingredient.nutrients.dryMatter * value;
+        } else {
+          missingValues[key] = missingValues[key] || [];
+          missingValues[key].push(line.ingredient.name);
+        }
+      });
+
+      // Unknown rather than zero when no ingredient has a value
+      if ((missingValues[key] || []).length === lines.length) {
+        nutrients[key] = null;
+        return;
+      }
+
+      nutrients[key] = totalDryMatter > 0 ? round(weighted / totalDryMatter) : 0;
+    });
+
+    // Cost per kg of the mix as fed, priced in the first priced ingredient's currency
+    let costPerKg = 0;
+    let currency = null;
+    const unpriced = [];
+
+    const ingredients = lines.map(line => {
+      const price = ingredientPrice(line.ingredient);
+      currency = currency || price?.currency;
+
+      if (!price || price.currency !== currency) {
+        unpriced.push(line.ingredient.name);
+      } else {
+        costPerKg += (line.percentage / 100) * price.amount;
+      }
+
+      return {
+        ingredient: line.ingredient._id,
+        name: line.ingredient.name,
+        category: line.ingredient.category,
+        percentage: line.percentage,
+        pricePerKg: price && price.currency === currency ? round(price.amount) : null,
+      };
+    });
+
+    return {
+      ingredients,
+      nutrients,
+      calciumPhosphorusRatio: nutrients.calcium !== null && nutrients.phosphorus > 0 ? round(nutrients.calcium / nutrients.phosphorus) : null,
+      missingValues,
+      cost: {
+        currency: currency || 'KSH',
+        perKg: round(costPerKg),
+        perKgDryMatter: nutrients.dryMatter > 0 ? round(costPerKg / (nutrients.dryMatter / 100)) : null,
+        isComplete: unpriced.length === 0,
+        unpricedIngredients: unpriced,
+      },
+    };
+  },
+
+  // Requirement stages that apply: by name, by age, or all of them
+  findRequirementStages: (animalType, { stage, ageDays } = {}) => {
+    const stages = animalType.nutritionRequirements || [];
+
+    if (stage) {
+      return stages.filter(item => item.stage.toLowerCase() === stage.toLowerCase());
+    }
+
+    if (hasValue(ageDays)) {
+      return stages.filter(item =>
+        (item.minAgeDays ?? 0) <= ageDays &&
+        (item.maxAgeDays ?? Infinity) >= ageDays
+      );
+    }
+
+    return stages;
+  },
+
+  // Compare a ration's composition with one requirement stage
+  compareWithStage: (composition, stage) => {
+    const nutrients = [];
+    const deficiencies = [];
+    const excesses = [];
+
+    NUTRIENTS.forEach(({ key, label, unit }) => {
+      const range = stage[key] || {};
+      const value = composition.nutrients[key];
+      const result = {
+        nutrient: key,
+        label,
+        unit,
+        value,
+        min: range.min ?? null,
+        max: range.max ?? null,
+        status: 'ok',
+      };
+
+      if (!hasValue(range.min) && !hasValue(range.max)) {
+        result.status = 'not_specified';
+      } else if (value === null) {
+        result.status = 'unknown';
+      } else if (hasValue(range.min) && value < range.min) {
+        result.status = 'deficient';
+        result.difference = round(range.min - value);
+        deficiencies.push(result);
+      } else if (hasValue(range.max) && value > range.max) {
+        result.status = 'excess';
+        result.difference = round(value - range.max);
+        excesses.push(result);
+      }
+
+      if (composition.missingValues[key]) {
+        result.missingFrom = composition.missingValues[key];
+      }
+
+      nutrients.push(result);
+    });
+
+    return {
+      stage: stage.stage,
+      minAgeDays: stage.minAgeDays ?? null,
+      maxAgeDays: stage.maxAgeDays ?? null,
+      meetsRequirements: deficiencies.length === 0 && excesses.length === 0,
+      nutrients,
+      deficiencies,
+      excesses,
+    };
+  },
+
+  // Check a ration against an animal type's requirements for an animal, an age or a stage
+  checkRation: async (rationId, options = {}) => {
+    try {
+      const ration = await feedRationService.getRationWithIngredients(rationId);
+
+      // Age comes from the animal when one is given
+      let ageDays = hasValue(options.ageDays) ? Number(options.ageDays) : null;
+      let animalTypeId = options.animalType || ration.animalType?._id;
+
+      if (options.animal) {
+        const animal = await Animal.findOne({ _id: options.animal, farm: ration.farm });
+
+        if (!animal) {
+          throw new ValidationError('Animal not found on this farm');
+        }
+
+        ageDays = Math.floor((Date.now() - new Date(animal.dateOfBirth).getTime()) / DAY_MS);
+        animalTypeId = options.animalType || animal.animalType;
+      }
+
+      if (!animalTypeId) {
+        throw new ValidationError('Choose an animal type to check the ration against');
+      }
+
+      const animalType = await AnimalType.findOne({ _id: animalTypeId, farm: ration.farm });
+
+      if (!animalType) {
+        throw new ValidationError('Animal type not found on this farm');
+      }
+
+      if (!animalType.nutritionRequirements || animalType.nutritionRequirements.length === 0) {
+        throw new BusinessRuleError(`No nutrition requirements are set for ${animalType.name}`);
+      }
+
+      // Without an age the ration's own target stage is used
+      const stage = options.stage || (ageDays === null ? ration.stage : undefined);
+      const stages = feedRationService.findRequirementStages(animalType, { stage, ageDays });
+
+      if (stages.length === 0) {
+        const target = stage ? `stage "${stage}"` : `age ${ageDays} days`;
+        throw new BusinessRuleError(`${animalType.name} has no nutrition requirements for ${target}`);
+      }
+
+      const composition = feedRationService.analyseRation(ration);
+      const checks = stages.map(item => feedRationService.compareWithStage(composition, item));
+
+      return {
+        ration: {
+          _id: ration._id,
+          name: ration.name,
+        },
+        animalType: {
+          _id: animalType._id,
+          name: animalType.name,
+        },
+        ageDays,
+        composition,
+        checks,
+        meetsRequirements: checks.every(check => check.meetsRequirements),
+      };
+    } catch (error) {
+      console.error('Service error checking ration:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = feedRationService;
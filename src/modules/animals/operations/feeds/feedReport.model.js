@@ -0,0 +1,54 @@
+// src/modules/animals/operations/feeds/feedReport.model.js
+const mongoose = require('mongoose');
+
+// A generated report, kept so it can be downloaded later in any format
+// exactly as it was when generated
+const feedReportSchema = new mongoose.Schema(
+  {
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: [true, 'Farm reference is required'],
+    },
+
+    reportType: {
+      type: String,
+      required: [true, 'Report type is required'],
+      enum: ['consumption', 'inventory'],
+    },
+
+    title: {
+      type: String,
+      trim: true,
+    },
+
+    // Reporting period (consumption reports)
+    period: {
+      startDate: Date,
+      endDate: Date,
+    },
+
+    // The report as returned by the JSON endpoint
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'Report data is required'],
+    },
+
+    generatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+// Indexes
+feedReportSchema.index({ farm: 1, createdAt: -1 });
+feedReportSchema.index({ farm: 1, reportType: 1, createdAt: -1 });
+
+const FeedReport = mongoose.model('FeedReport', feedReportSchema);
+
+module.exports = FeedReport;
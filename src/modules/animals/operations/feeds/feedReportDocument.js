@@ -0,0 +1,156 @@
+// src/modules/animals/operations/feeds/feedReportDocument.js
+
+// Turns a saved feed report into the table layout the report formats render:
+// { title, details: [[label, value]], sections: [{ title, columns, rows }] }.
+// The breakdowns that the app draws as charts are written out as tables.
+
+const round = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : value);
+
+const formatDate = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+const formatDateTime = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : '');
+
+const consumptionDocument = (report) => {
+  const { data } = report;
+  const summary = data.summary || {};
+
+  const byFeedType = Object.entries(data.byFeedType || {})
+    .sort(([, a], [, b]) => b.totalQuantity - a.totalQuantity);
+  const totalQuantity = summary.totalQuantity || 0;
+
+  return {
+    title: report.title,
+    details: [
+      ['Farm', data.farmName],
+      ['Period', `${formatDate(data.period?.startDate)} to ${formatDate(data.period?.endDate)}`],
+      ['Generated', formatDateTime(data.generatedAt)],
+      ['Total feedings', summary.totalFeedings],
+      ['Total quantity (kg)', round(summary.totalQuantity)],
+      ['Total cost', round(summary.totalCost)],
+      ['Animals fed', summary.animalsFed],
+      ['Feed types used', (summary.feedTypesUsed || []).join(', ')],
+      ['Average cost per feeding', round(summary.averageCostPerFeeding)],
+      ['Average quantity per feeding (kg)', round(summary.averageQuantityPerFeeding)],
+    ],
+    sections: [
+      {
+        title: 'Consumption by feed type',
+        columns: ['Feed type', 'Feedings', 'Quantity (kg)', 'Share of quantity (%)', 'Cost', 'Animals'],
+        rows: byFeedType.map(([feedType, figures]) => [
+          feedType,
+          figures.totalFeedings,
+          round(figures.totalQuantity),
+          totalQuantity > 0 ? round((figures.totalQuantity / totalQuantity) * 100) : 0,
+          round(figures.totalCost),
+          figures.animalsUsing,
+        ]),
+      },
+      {
+        title: 'Consumption by animal',
+        columns: ['Animal', 'Tag', 'Feedings', 'Quantity (kg)', 'Cost', 'Feed types'],
+        rows: Object.values(data.byAnimal || {})
+          .sort((a, b) => b.totalQuantity - a.totalQuantity)
+          .map(animal => [
+            animal.name,
+            animal.tag,
+            animal.totalFeedings,
+            round(animal.totalQuantity),
+            round(animal.totalCost),
+            Object.keys(animal.byFeedType || {}).join(', '),
+          ]),
+      },
+      {
+        title: 'Daily breakdown',
+        columns: ['Date', 'Feedings', 'Quantity (kg)', 'Cost', 'Animals fed'],
+        rows: Object.entries(data.dailyBreakdown || {})
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([date, figures]) => [
+            date,
+            figures.totalFeedings,
+            round(figures.totalQuantity),
+            round(figures.totalCost),
+            figures.animalsFed,
+          ]),
+      },
+      {
+        title: 'Feeding records',
+        columns: ['Date', 'Animal', 'Tag', 'Feed type', 'Quantity', 'Cost', 'Notes'],
+        rows: (data.detailedRecords || []).map(record => [
+          formatDateTime(record.date),
+          record.animal,
+          record.animalTag,
+          record.feedType,
+          record.quantity,
+          record.cost,
+          record.notes,
+        ]),
+      },
+    ],
+  };
+};
+
+const inventoryDocument = (report) => {
+  const { data } = report;
+  const summary = data.summary || {};
+
+  return {
+    title: report.title,
+    details: [
+      ['Farm', data.farmName],
+      ['Generated', formatDateTime(data.generatedAt)],
+      ['Items', summary.totalItems],
+      ['Total value', round(summary.totalValue)],
+      ['Items needing reorder', summary.itemsNeedingReorder],
+      ['Items expiring soon', summary.itemsExpiringSoon],
+    ],
+    sections: [
+      {
+        title: 'Inventory items',
+        columns: ['Feed type', 'Name', 'Brand', 'Current stock', 'Minimum level', 'Purchase price', 'Location', 'Expires', 'Needs reorder'],
+        rows: (data.inventoryItems || []).map(item => [
+          item.feedType,
+          item.customName,
+          item.brand,
+          item.currentStock,
+          item.minimumLevel,
+          item.purchasePrice,
+          item.storageLocation,
+          formatDate(item.expirationDate),
+          item.needsReorder ? 'Yes' : 'No',
+        ]),
+      },
+      {
+        title: 'Consumption in the last 30 days',
+        columns: ['Feed type', 'Feedings', 'Quantity (kg)', 'Estimated monthly usage (kg)', 'Average per feeding (kg)'],
+        rows: Object.entries(data.consumptionAnalysis || {})
+          .sort(([, a], [, b]) => b.totalQuantity - a.totalQuantity)
+          .map(([feedType, figures]) => [
+            feedType,
+            figures.feedingsCount,
+            round(figures.totalQuantity),
+            round(figures.estimatedMonthlyUsage),
+            round(figures.averagePerFeeding),
+          ]),
+      },
+      {
+        title: 'Recommendations',
+        columns: ['Type', 'Item', 'Urgency', 'Message'],
+        rows: (data.recommendations || []).map(recommendation => [
+          recommendation.type,
+          recommendation.item,
+          recommendation.urgency,
+          recommendation.message,
+        ]),
+      },
+    ],
+  };
+};
+
+const builders = {
+  consumption: consumptionDocument,
+  inventory: inventoryDocument,
+};
+
+const toReportDocument = (report) => builders[report.reportType](report);
+
+module.exports = toReportDocument;
@@ -1,20 +1,52 @@
 // src/modules/animals/operations/feeds/feedReports.controller.js
 const feedReportsService = require('./feedReports.service');
+const reportWriter = require('../../../../utils/reportWriter');
+
+const DOWNLOAD_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+// Download links for a saved report, one per file format
+const downloadUrls = (req, reportId) => {
+  const base = `${req.baseUrl}/reports/download/${reportId}`;
+  return DOWNLOAD_FORMATS.reduce((urls, format) => {
+    urls[format] = `${base}?format=${format}`;
+    return urls;
+  }, {});
+};
+
+// Respond with a generated report: the full report for JSON, otherwise
+// its summary and the link to download it in the requested format
+const sendGeneratedReport = (req, res, report, format, label) => {
+  const urls = downloadUrls(req, report.reportId);
+
+  if (format === 'json') {
+    return res.status(200).json({
+      status: 'success',
+      data: { ...report, downloadUrls: urls },
+    });
+  }
+
+  const extension = reportWriter.getFormat(format).extension;
+
+  res.status(200).json({
+    status: 'success',
+    message: `${label} generated in ${format.toUpperCase()} format`,
+    data: {
+      reportId: report.reportId,
+      format: extension,
+      downloadUrl: urls[extension],
+      downloadUrls: urls,
+      preview: report.summary,
+    },
+  });
+};
 
 // Generate feed consumption report
-const generateFeedConsumptionReport = async (req, res) => {
+const generateFeedConsumptionReport = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
     const { startDate, endDate, format = 'json' } = req.query;
 
-    if (!startDate || !endDate) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'startDate and endDate query parameters are required',
-      });
-    }
-
     const report = await feedReportsService.generateFeedConsumptionReport(
       farmId, 
       userId, 
@@ -22,45 +54,14 @@ const generateFeedConsumptionReport = async (req, res) => {
       endDate
     );
 
-    // Return JSON format
-    if (format === 'json') {
-      return res.status(200).json({
-        status: 'success',
-        data: report,
-      });
-    }
-    
-    // For PDF/Excel formats, you would generate files here
-    // This is a placeholder for future implementation
-    res.status(200).json({
-      status: 'success',
-      message: `Report generated in ${format.toUpperCase()} format`,
-      data: {
-        reportId: `feed-report-${Date.now()}`,
-        format,
-        downloadUrl: `/api/animals/feeds/reports/${farmId}/download?reportId=feed-report-${Date.now()}&format=${format}`,
-        preview: format === 'pdf' || format === 'excel' ? report.summary : report,
-      },
-    });
+    sendGeneratedReport(req, res, report, format, 'Report');
   } catch (error) {
-    console.error('Error generating feed consumption report:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to generate feed consumption report',
-    });
+    next(error);
   }
 };
 
 // Generate inventory report
-const generateInventoryReport = async (req, res) => {
+const generateInventoryReport = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -68,108 +69,80 @@ const generateInventoryReport = async (req, res) => {
 
     const report = await feedReportsService.generateInventoryReport(farmId, userId);
 
-    // Return JSON format
-    if (format === 'json') {
-      return res.status(200).json({
-        status: 'success',
-        data: report,
-      });
-    }
-    
-    // For PDF/Excel formats
+    sendGeneratedReport(req, res, report, format, 'Inventory report');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get saved reports for a farm
+const getFarmReports = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+
+    const result = await feedReportsService.getFarmReports(farmId, userId, req.query);
+
     res.status(200).json({
       status: 'success',
-      message: `Inventory report generated in ${format.toUpperCase()} format`,
-      data: {
-        reportId: `inventory-report-${Date.now()}`,
-        format,
-        downloadUrl: `/api/animals/feeds/reports/${farmId}/download?reportId=inventory-report-${Date.now()}&format=${format}`,
-        preview: format === 'pdf' || format === 'excel' ? report.summary : report,
-      },
+      data: result.reports.map(report => ({ ...report, downloadUrls: downloadUrls(req, report._id) })),
+      pagination: result.pagination,
     });
   } catch (error) {
-    console.error('Error generating inventory report:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to generate inventory report',
-    });
+    next(error);
   }
 };
 
-// Download report file
-const downloadReport = async (req, res) => {
+// Get a saved report
+const getReport = async (req, res, next) => {
   try {
-    const userId = req.userId;
-    const { farmId, reportId } = req.params;
-    const { format = 'json' } = req.query;
+    const report = await feedReportsService.getReport(req.params.reportId, req.userId);
 
-    // Verify farm belongs to user
-    const Farm = require('../../../farms/farm.model');
-    const farm = await Farm.findOne({
-      _id: farmId,
-      user: userId,
-      isArchived: false,
-    });
-    
-    if (!farm) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Farm not found or you do not have permission',
-      });
-    }
-
-    // This is a placeholder - in production, you would:
-    // 1. Generate PDF using libraries like pdfkit or puppeteer
-    // 2. Generate Excel using libraries like exceljs
-    // 3. Store files temporarily and serve them
-    
-    const placeholderResponse = {
-      message: `Report ${reportId} in ${format} format`,
-      note: 'File generation would be implemented in production',
-      farmName: farm.name,
-      generatedAt: new Date().toISOString(),
-    };
-
-    if (format === 'pdf') {
-      // Set headers for PDF
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename="${reportId}.pdf"`);
-      // Here you would send the actual PDF buffer
-      return res.status(200).send(JSON.stringify(placeholderResponse));
-    }
-    
-    if (format === 'excel') {
-      // Set headers for Excel
-      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-      res.setHeader('Content-Disposition', `attachment; filename="${reportId}.xlsx"`);
-      // Here you would send the actual Excel buffer
-      return res.status(200).send(JSON.stringify(placeholderResponse));
-    }
-
-    // Default to JSON
     res.status(200).json({
       status: 'success',
-      data: placeholderResponse,
+      data: { ...report, downloadUrls: downloadUrls(req, report._id) },
     });
   } catch (error) {
-    console.error('Error downloading report:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to download report',
+    next(error);
+  }
+};
+
+// Download a saved report as a CSV, Excel or PDF file
+const downloadReport = async (req, res, next) => {
+  try {
+    const { reportId } = req.params;
+    const { format = 'pdf' } = req.query;
+
+    const file = await feedReportsService.renderReport(reportId, req.userId, format);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.setHeader('Content-Length', file.buffer.length);
+    res.status(200).send(file.buffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a saved report
+const deleteReport = async (req, res, next) => {
+  try {
+    await feedReportsService.deleteReport(req.params.reportId, req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Report deleted successfully',
     });
+  } catch (error) {
+    next(error);
   }
 };
 
 module.exports = {
   generateFeedConsumptionReport,
   generateInventoryReport,
+  getFarmReports,
+  getReport,
   downloadReport,
-};
\ No newline at end of file
+  deleteReport,
+};
@@ -2,23 +2,30 @@
 const Feed = require('./feed.model');
 const FeedSchedule = require('./feedSchedule.model');
 const FeedInventory = require('./feedInventory.model');
+const FeedReport = require('./feedReport.model');
+const toReportDocument = require('./feedReportDocument');
 const Animal = require('../../animalRecords/animal.model');
 const AnimalType = require('../../../animalTypes/animalType.model');
-const Farm = require('../../../farms/farm.model');
+const farmAccess = require('../../../farms/farmAccess');
+const reportWriter = require('../../../../utils/reportWriter');
+const { ForbiddenError, NotFoundError, ValidationError } = require('../../../../utils/errors');
+
+// Keep a generated report so it can be downloaded later; returns the report with its ID
+const saveReport = async (report, details) => {
+  const saved = await FeedReport.create({ ...details, data: report });
+  report.reportId = saved._id;
+  return report;
+};
 
 const feedReportsService = {
   // Generate feed consumption report
   generateFeedConsumptionReport: async (farmId, userId, startDate, endDate) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Get all feed records in date range
@@ -28,6 +35,8 @@ const feedReportsService = {
         isCompleted: true,
       })
       .populate('animal', 'tagNumber name animalType')
+      .populate('group', 'name')
+      .populate('allocations.animal', 'tagNumber name animalType')
       .lean();
       
       // Group data for report
@@ -47,8 +56,8 @@ const feedReportsService = {
         dailyBreakdown: {},
         detailedRecords: feedRecords.map(record => ({
           date: record.feedingTime,
-          animal: record.animal?.name || 'Unknown',
-          animalTag: record.animal?.tagNumber || 'Unknown',
+          animal: record.group ? record.group.name : (record.animal?.name || 'Unknown'),
+          animalTag: record.group ? `${record.allocations.length} animals` : (record.animal?.tagNumber || 'Unknown'),
           feedType: record.feedType,
           quantity: `${record.quantity.value} ${record.quantity.unit}`,
           cost: record.cost?.amount ? `${record.cost.amount} ${record.cost.currency || 'KSH'}` : 'Not recorded',
@@ -62,46 +71,53 @@ const feedReportsService = {
         if (record.cost?.amount) {
           report.summary.totalCost += record.cost.amount;
         }
-        report.summary.animalsFed.add(record.animal.toString());
         report.summary.feedTypesUsed.add(record.feedType);
         
         // Convert quantity to kg for total
-        let quantityInKg = record.quantity.value;
-        if (record.quantity.unit === 'g') quantityInKg = record.quantity.value / 1000;
-        if (record.quantity.unit === 'lb') quantityInKg = record.quantity.value * 0.453592;
+        const toKg = (quantity) => {
+          let quantityInKg = quantity.value;
+          if (quantity.unit === 'g') quantityInKg = quantity.value / 1000;
+          if (quantity.unit === 'lb') quantityInKg = quantity.value * 0.453592;
+          return quantityInKg;
+        };
+        const quantityInKg = toKg(record.quantity);
         report.summary.totalQuantity += quantityInKg;
         
-        // Group by animal
-        const animalId = record.animal.toString();
-        if (!report.byAnimal[animalId]) {
-          report.byAnimal[animalId] = {
-            name: record.animal?.name || 'Unknown',
-            tag: record.animal?.tagNumber || 'Unknown',
-            totalFeedings: 0,
-            totalCost: 0,
-            totalQuantity: 0,
-            byFeedType: {},
-          };
-        }
-        report.byAnimal[animalId].totalFeedings++;
-        if (record.cost?.amount) {
-          report.byAnimal[animalId].totalCost += record.cost.amount;
-        }
-        report.byAnimal[animalId].totalQuantity += quantityInKg;
+        // Group by animal (a group feeding counts towards each member's share)
+        const shares = Feed.animalShares(record);
+        const animalIds = shares.map(share => String(share.animal?._id || share.animal));
         
-        // Group by animal feed type
-        if (!report.byAnimal[animalId].byFeedType[record.feedType]) {
-          report.byAnimal[animalId].byFeedType[record.feedType] = {
-            totalFeedings: 0,
-            totalCost: 0,
-            totalQuantity: 0,
-          };
-        }
-        report.byAnimal[animalId].byFeedType[record.feedType].totalFeedings++;
-        if (record.cost?.amount) {
-          report.byAnimal[animalId].byFeedType[record.feedType].totalCost += record.cost.amount;
-        }
-        report.byAnimal[animalId].byFeedType[record.feedType].totalQuantity += quantityInKg;
+        shares.forEach((share, index) => {
+          const animalId = animalIds[index];
+          const shareInKg = toKg(share.quantity);
+          report.summary.animalsFed.add(animalId);
+          
+          if (!report.byAnimal[animalId]) {
+            report.byAnimal[animalId] = {
+              name: share.animal?.name || 'Unknown',
+              tag: share.animal?.tagNumber || 'Unknown',
+              totalFeedings: 0,
+              totalCost: 0,
+              totalQuantity: 0,
+              byFeedType: {},
+            };
+          }
+          report.byAnimal[animalId].totalFeedings++;
+          report.byAnimal[animalId].totalCost += share.cost;
+          report.byAnimal[animalId].totalQuantity += shareInKg;
+          
+          // Group by animal feed type
+          if (!report.byAnimal[animalId].byFeedType[record.feedType]) {
+            report.byAnimal[animalId].byFeedType[record.feedType] = {
+              totalFeedings: 0,
+              totalCost: 0,
+              totalQuantity: 0,
+            };
+          }
+          report.byAnimal[animalId].byFeedType[record.feedType].totalFeedings++;
+          report.byAnimal[animalId].byFeedType[record.feedType].totalCost += share.cost;
+          report.byAnimal[animalId].byFeedType[record.feedType].totalQuantity += shareInKg;
+        });
         
         // Group by feed type overall
         if (!report.byFeedType[record.feedType]) {
@@ -117,7 +133,7 @@ const feedReportsService = {
           report.byFeedType[record.feedType].totalCost += record.cost.amount;
         }
         report.byFeedType[record.feedType].totalQuantity += quantityInKg;
-        report.byFeedType[record.feedType].animalsUsing.add(animalId);
+        animalIds.forEach(animalId => report.byFeedType[record.feedType].animalsUsing.add(animalId));
         
         // Daily breakdown
         const dateKey = new Date(record.feedingTime).toISOString().split('T')[0];
@@ -134,7 +150,7 @@ const feedReportsService = {
           report.dailyBreakdown[dateKey].totalCost += record.cost.amount;
         }
         report.dailyBreakdown[dateKey].totalQuantity += quantityInKg;
-        report.dailyBreakdown[dateKey].animalsFed.add(animalId);
+        animalIds.forEach(animalId => report.dailyBreakdown[dateKey].animalsFed.add(animalId));
       });
       
       // Convert sets to counts/arrays for JSON serialization
@@ -155,7 +171,13 @@ const feedReportsService = {
       report.summary.averageQuantityPerFeeding = report.summary.totalFeedings > 0 ? 
         report.summary.totalQuantity / report.summary.totalFeedings : 0;
       
-      return report;
+      return await saveReport(report, {
+        farm: farm._id,
+        reportType: 'consumption',
+        title: `Feed consumption report - ${farm.name}`,
+        period: { startDate, endDate },
+        generatedBy: userId,
+      });
     } catch (error) {
       console.error('Service error generating feed consumption report:', error);
       throw error;
@@ -165,15 +187,11 @@ const feedReportsService = {
   // Generate inventory report
   generateInventoryReport: async (farmId, userId) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Get all inventory items
@@ -279,12 +297,124 @@ const feedReportsService = {
         data.averagePerFeeding = data.feedingsCount > 0 ? data.totalQuantity / data.feedingsCount : 0;
       });
       
-      return report;
+      return await saveReport(report, {
+        farm: farm._id,
+        reportType: 'inventory',
+        title: `Feed inventory report - ${farm.name}`,
+        generatedBy: userId,
+      });
     } catch (error) {
       console.error('Service error generating inventory report:', error);
       throw error;
     }
   },
+  
+  // Get a saved report the user can access
+  getReport: async (reportId, userId) => {
+    try {
+      const report = await FeedReport.findById(reportId)
+        .populate('generatedBy', 'name email')
+        .lean();
+      
+      if (!report) {
+        throw new NotFoundError('Report not found');
+      }
+      
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(report.farm, userId);
+      
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+      
+      return report;
+    } catch (error) {
+      console.error('Service error getting feed report:', error);
+      throw error;
+    }
+  },
+  
+  // Saved reports of a farm, newest first (without the report data)
+  getFarmReports: async (farmId, userId, filters = {}) => {
+    try {
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+      
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+      
+      const query = { farm: farmId };
+      if (filters.reportType) {
+        query.reportType = filters.reportType;
+      }
+      
+      // Pagination
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const skip = (page - 1) * limit;
+      
+      const [reports, totalRecords] = await Promise.all([
+        FeedReport.find(query)
+          .select('-data')
+          .populate('generatedBy', 'name email')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        FeedReport.countDocuments(query),
+      ]);
+      
+      return {
+        reports,
+        pagination: {
+          page,
+          limit,
+          totalRecords,
+          totalPages: Math.ceil(totalRecords / limit),
+          hasNextPage: page * limit < totalRecords,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      console.error('Service error getting farm feed reports:', error);
+      throw error;
+    }
+  },
+  
+  // Render a saved report as a file; returns { buffer, contentType, filename }
+  renderReport: async (reportId, userId, format) => {
+    try {
+      if (!reportWriter.getFormat(format)) {
+        throw new ValidationError(`Unsupported report format: ${format}`);
+      }
+      
+      const report = await feedReportsService.getReport(reportId, userId);
+      const file = reportWriter.render(format, toReportDocument(report));
+      const date = new Date(report.createdAt).toISOString().split('T')[0];
+      
+      return {
+        buffer: file.buffer,
+        contentType: file.contentType,
+        filename: `feed-${report.reportType}-report-${date}-${report._id}.${file.extension}`,
+      };
+    } catch (error) {
+      console.error('Service error rendering feed report:', error);
+      throw error;
+    }
+  },
+  
+  // Delete a saved report
+  deleteReport: async (reportId, userId) => {
+    try {
+      const report = await feedReportsService.getReport(reportId, userId);
+      await FeedReport.deleteOne({ _id: report._id });
+      return report;
+    } catch (error) {
+      console.error('Service error deleting feed report:', error);
+      throw error;
+    }
+  },
 };
 
 module.exports = feedReportsService;
\ No newline at end of file
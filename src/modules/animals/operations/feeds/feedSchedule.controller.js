@@ -1,56 +1,57 @@
 // src/modules/animals/operations/feeds/feedSchedule.controller.js
 const FeedSchedule = require('./feedSchedule.model');
 const FeedScheduleService = require('./feedSchedule.service');
+const feedService = require('./feed.service');
 const Animal = require('../../animalRecords/animal.model');
-const Farm = require('../../../farms/farm.model');
+const farmAccess = require('../../../farms/farmAccess');
 const AnimalType = require('../../../animalTypes/animalType.model');
+const { ValidationError, ForbiddenError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
 
 // Create a new feed schedule
-const createFeedSchedule = async (req, res) => {
+const createFeedSchedule = async (req, res, next) => {
   try {
     const userId = req.userId;
     const scheduleData = req.body;
 
-    // Validate required fields
-    if (!scheduleData.animal || !scheduleData.name || !scheduleData.feedType || 
-        !scheduleData.quantity || !scheduleData.quantity.value || !scheduleData.frequency) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Animal, name, feed type, quantity, and frequency are required',
-      });
+    if (!scheduleData.animal === !scheduleData.group) {
+      throw new ValidationError('Provide either an animal or a group to feed');
     }
 
-    // Verify animal exists and belongs to user
-    const animal = await Animal.findById(scheduleData.animal);
-    
-    if (!animal) {
-      throw new Error('Animal not found');
-    }
-    
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: animal.farm,
-      user: userId,
-      isArchived: false,
-    });
-    
-    if (!farm) {
-      throw new Error('Farm not found or you do not have permission');
-    }
-    
-    // Verify animal type has feed management enabled
-    const animalType = await AnimalType.findById(animal.animalType);
-    
-    if (!animalType || !animalType.features?.feedManagement) {
-      throw new Error('Feed management is not enabled for this animal type');
+    if (scheduleData.group) {
+      // Verifies access, that the group is active and that its members can be fed
+      const { group } = await feedService.resolveFeedingGroup(scheduleData.group, userId);
+      scheduleData.farm = group.farm;
+    } else {
+      // Verify animal exists and belongs to user
+      const animal = await Animal.findById(scheduleData.animal);
+      
+      if (!animal) {
+        throw new NotFoundError('Animal not found');
+      }
+      
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
+      
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+      
+      // Verify animal type has feed management enabled
+      const animalType = await AnimalType.findById(animal.animalType);
+      
+      if (!animalType || !animalType.features?.feedManagement) {
+        throw new BusinessRuleError('Feed management is not enabled for this animal type');
+      }
+
+      scheduleData.farm = animal.farm;
     }
 
     // Add metadata
     scheduleData.createdBy = userId;
-    scheduleData.farm = animal.farm;
 
-    // Create schedule
+    // Create schedule and its upcoming feedings
     const schedule = await FeedSchedule.create(scheduleData);
+    await FeedScheduleService.generateUpcomingFeeds(schedule, userId);
 
     res.status(201).json({
       status: 'success',
@@ -58,31 +59,12 @@ const createFeedSchedule = async (req, res) => {
       data: schedule,
     });
   } catch (error) {
-    console.error('Error creating feed schedule:', error);
-    
-    if (error.message.includes('not found') || error.message.includes('permission')) {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message.includes('not enabled')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to create feed schedule',
-    });
+    next(error);
   }
 };
 
-// Get feed schedules for an animal
-const getAnimalFeedSchedules = async (req, res) => {
+// Get feed schedules for an animal, including those of its group
+const getAnimalFeedSchedules = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -92,25 +74,24 @@ const getAnimalFeedSchedules = async (req, res) => {
     const animal = await Animal.findById(animalId);
     
     if (!animal) {
-      throw new Error('Animal not found');
+      throw new NotFoundError('Animal not found');
     }
     
-    const farm = await Farm.findOne({
-      _id: animal.farm,
-      user: userId,
-      isArchived: false,
-    });
+    const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
     
     if (!farm) {
-      throw new Error('Farm not found or you do not have permission');
+      throw new ForbiddenError('Farm not found or you do not have permission');
     }
 
-    const query = { animal: animalId };
+    const query = animal.group
+      ? { $or: [{ animal: animalId }, { group: animal.group }] }
+      : { animal: animalId };
     if (onlyActive) {
       query.isActive = true;
     }
 
     const schedules = await FeedSchedule.find(query)
+      .populate('group', 'name')
       .sort({ createdAt: -1 })
       .lean();
 
@@ -128,45 +109,22 @@ const getAnimalFeedSchedules = async (req, res) => {
       data: schedulesWithUpcoming,
     });
   } catch (error) {
-    console.error('Error fetching animal feed schedules:', error);
-    
-    if (error.message === 'Animal not found') {
-      return res.status(404).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch feed schedules',
-    });
+    next(error);
   }
 };
 
 // Get feed schedules for a farm
-const getFarmFeedSchedules = async (req, res) => {
+const getFarmFeedSchedules = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
     const onlyActive = req.query.active !== 'false';
 
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: farmId,
-      user: userId,
-      isArchived: false,
-    });
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(farmId, userId);
     
     if (!farm) {
-      throw new Error('Farm not found or you do not have permission');
+      throw new ForbiddenError('Farm not found or you do not have permission');
     }
 
     const query = { farm: farmId };
@@ -176,6 +134,7 @@ const getFarmFeedSchedules = async (req, res) => {
 
     const schedules = await FeedSchedule.find(query)
       .populate('animal', 'tagNumber name')
+      .populate('group', 'name')
       .sort({ createdAt: -1 })
       .lean();
 
@@ -184,24 +143,12 @@ const getFarmFeedSchedules = async (req, res) => {
       data: schedules,
     });
   } catch (error) {
-    console.error('Error fetching farm feed schedules:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch feed schedules',
-    });
+    next(error);
   }
 };
 
 // Update feed schedule
-const updateFeedSchedule = async (req, res) => {
+const updateFeedSchedule = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { scheduleId } = req.params;
@@ -211,42 +158,17 @@ const updateFeedSchedule = async (req, res) => {
     const schedule = await FeedSchedule.findById(scheduleId);
     
     if (!schedule) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Feed schedule not found',
-      });
+      throw new NotFoundError('Feed schedule not found');
     }
 
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: schedule.farm,
-      user: userId,
-      isArchived: false,
-    });
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(schedule.farm, userId);
     
     if (!farm) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Farm not found or you do not have permission',
-      });
+      throw new ForbiddenError('Farm not found or you do not have permission');
     }
 
-    // Don't allow changing animal or farm
-    if (updateData.animal || updateData.farm) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Cannot change animal or farm reference',
-      });
-    }
-
-    const updatedSchedule = await FeedSchedule.findByIdAndUpdate(
-      scheduleId,
-      updateData,
-      {
-        new: true,
-        runValidators: true,
-      }
-    );
+    const updatedSchedule = await FeedScheduleService.updateSchedule(scheduleId, updateData);
 
     res.status(200).json({
       status: 'success',
@@ -254,16 +176,12 @@ const updateFeedSchedule = async (req, res) => {
       data: updatedSchedule,
     });
   } catch (error) {
-    console.error('Error updating feed schedule:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to update feed schedule',
-    });
+    next(error);
   }
 };
 
 // Delete feed schedule
-const deleteFeedSchedule = async (req, res) => {
+const deleteFeedSchedule = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { scheduleId } = req.params;
@@ -272,121 +190,98 @@ const deleteFeedSchedule = async (req, res) => {
     const schedule = await FeedSchedule.findById(scheduleId);
     
     if (!schedule) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Feed schedule not found',
-      });
+      throw new NotFoundError('Feed schedule not found');
     }
 
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: schedule.farm,
-      user: userId,
-      isArchived: false,
-    });
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(schedule.farm, userId);
     
     if (!farm) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Farm not found or you do not have permission',
-      });
+      throw new ForbiddenError('Farm not found or you do not have permission');
     }
 
-    await FeedSchedule.findByIdAndDelete(scheduleId);
+    // Also removes feedings generated for the future
+    await FeedScheduleService.deleteSchedule(scheduleId);
 
     res.status(200).json({
       status: 'success',
       message: 'Feed schedule deleted successfully',
     });
   } catch (error) {
-    console.error('Error deleting feed schedule:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to delete feed schedule',
-    });
+    next(error);
   }
 };
 
-// Generate feed records from schedule
-const generateFeedFromSchedule = async (req, res) => {
+// Generate pending feed records from a schedule for a date range
+const generateFeedFromSchedule = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { scheduleId } = req.params;
-    const { count = 7 } = req.body; // Generate next X days of feeds
+    const { startDate, endDate } = req.body;
 
     // Get schedule and verify permission
     const schedule = await FeedSchedule.findById(scheduleId);
     
     if (!schedule) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Feed schedule not found',
-      });
+      throw new NotFoundError('Feed schedule not found');
     }
 
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: schedule.farm,
-      user: userId,
-      isArchived: false,
-    });
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(schedule.farm, userId);
     
     if (!farm) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Farm not found or you do not have permission',
-      });
+      throw new ForbiddenError('Farm not found or you do not have permission');
     }
 
-    // Generate feed records from schedule
-    const scheduleObj = new FeedSchedule(schedule);
-    const upcomingFeedings = scheduleObj.generateNextFeedings(parseInt(count));
-    
-    const generatedFeeds = [];
-    const now = new Date();
-
-    for (const feeding of upcomingFeedings) {
-      if (feeding.date > now) {
-        const feedRecord = {
-          animal: schedule.animal,
-          feedType: schedule.feedType,
-          customFeedName: schedule.customFeedName,
-          quantity: schedule.quantity,
-          feedingTime: feeding.date,
-          scheduleType: 'scheduled',
-          cost: schedule.estimatedCostPerFeeding,
-          notes: `Generated from schedule: ${schedule.name}`,
-          isCompleted: false,
-          isMissed: false,
-          recordedBy: userId,
-          farm: schedule.farm,
-        };
-
-        generatedFeeds.push(feedRecord);
-      }
+    if (!schedule.isActive) {
+      throw new BusinessRuleError('Feedings cannot be generated from an inactive schedule');
     }
 
-    // Update last generated date
-    schedule.lastGenerated = new Date();
-    await schedule.save();
+    const { from, to } = FeedScheduleService.resolveGenerationRange(startDate, endDate);
+    const feeds = await FeedScheduleService.generateFeedsForSchedule(schedule, from, to, userId);
 
     res.status(200).json({
       status: 'success',
-      message: `${generatedFeeds.length} feed records generated from schedule`,
+      message: `${feeds.length} feed records generated from schedule`,
       data: {
         scheduleId: schedule._id,
         scheduleName: schedule.name,
-        generatedCount: generatedFeeds.length,
-        feedTemplates: generatedFeeds,
+        startDate: from,
+        endDate: to,
+        generatedCount: feeds.length,
+        feeds,
         lastGenerated: schedule.lastGenerated,
       },
     });
   } catch (error) {
-    console.error('Error generating feed from schedule:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to generate feed from schedule',
+    next(error);
+  }
+};
+
+// Generate pending feed records from every active schedule of a farm
+const generateFarmFeeds = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+    const { startDate, endDate } = req.body;
+
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+    
+    if (!farm) {
+      throw new ForbiddenError('Farm not found or you do not have permission');
+    }
+
+    const { from, to } = FeedScheduleService.resolveGenerationRange(startDate, endDate);
+    const result = await FeedScheduleService.generateFarmFeeds(farmId, from, to, userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${result.feedsGenerated} feed records generated from ${result.schedulesProcessed} schedules`,
+      data: result,
     });
+  } catch (error) {
+    next(error);
   }
 };
 
@@ -397,4 +292,5 @@ module.exports = {
   updateFeedSchedule,
   deleteFeedSchedule,
   generateFeedFromSchedule,
+  generateFarmFeeds,
 };
\ No newline at end of file
@@ -3,11 +3,15 @@ const mongoose = require('mongoose');
 
 const feedScheduleSchema = new mongoose.Schema(
   {
-    // Reference to animal
+    // Reference to animal, or to a group fed together
     animal: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Animal',
-      required: [true, 'Animal reference is required'],
+    },
+    
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AnimalGroup',
     },
     
     // Schedule details
@@ -128,8 +132,16 @@ const feedScheduleSchema = new mongoose.Schema(
   }
 );
 
+// A schedule feeds an animal or a group, never both
+feedScheduleSchema.pre('validate', function() {
+  if (!this.animal === !this.group) {
+    this.invalidate('animal', 'A feed schedule needs either an animal or a group');
+  }
+});
+
 // Indexes
 feedScheduleSchema.index({ animal: 1, isActive: 1 });
+feedScheduleSchema.index({ group: 1, isActive: 1 });
 feedScheduleSchema.index({ farm: 1, isActive: 1 });
 feedScheduleSchema.index({ nextOccurrence: 1 });
 
@@ -1,5 +1,59 @@
 // src/modules/animals/operations/feeds/feedSchedule.service.js
 const FeedSchedule = require('./feedSchedule.model');
+const Feed = require('./feed.model');
+const Animal = require('../../animalRecords/animal.model');
+const AnimalGroup = require('../../animalGroups/animalGroup.model');
+const animalGroupService = require('../../animalGroups/animalGroup.service');
+const feedService = require('./feed.service');
+const { ValidationError } = require('../../../../utils/errors');
+
+// How far ahead pending feedings are generated, and the largest range one request may generate
+const DAYS_AHEAD = parseInt(process.env.FEED_GENERATION_DAYS_AHEAD) || 7;
+const MAX_GENERATION_DAYS = 31;
+
+// Feeding times used when a schedule has no specificTimes
+const DEFAULT_TIME = { hour: 8, minute: 0 };
+const TWICE_DAILY_TIMES = [{ hour: 8, minute: 0 }, { hour: 17, minute: 0 }];
+const FIRST_FEEDING_HOUR = 6;
+const LAST_FEEDING_HOUR = 18;
+
+// Fields that may be changed after a schedule is created (animal, group, farm and metadata are fixed)
+const UPDATABLE_FIELDS = [
+  'name',
+  'description',
+  'feedType',
+  'customFeedName',
+  'quantity',
+  'frequency',
+  'timesPerDay',
+  'specificTimes',
+  'daysOfWeek',
+  'startDate',
+  'endDate',
+  'estimatedCostPerFeeding',
+  'isActive',
+];
+
+// Changing any of these makes already generated pending feedings stale
+const GENERATION_FIELDS = UPDATABLE_FIELDS.filter(field => !['name', 'description'].includes(field));
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const endOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
 
 class FeedScheduleService {
   async createSchedule(scheduleData) {
@@ -13,24 +67,313 @@ class FeedScheduleService {
   async getFarmSchedules(farmId) {
     return await FeedSchedule.find({ farm: farmId })
       .populate('animal', 'name tagNumber')
+      .populate('group', 'name')
       .populate('feedType', 'name unitPrice');
   }
 
   async updateSchedule(scheduleId, updateData) {
-    return await FeedSchedule.findByIdAndUpdate(
+    const allowedUpdates = {};
+
+    UPDATABLE_FIELDS.forEach(field => {
+      if (updateData[field] !== undefined) {
+        allowedUpdates[field] = updateData[field];
+      }
+    });
+
+    const schedule = await FeedSchedule.findByIdAndUpdate(
       scheduleId,
-      updateData,
-      { new: true }
+      allowedUpdates,
+      {
+        new: true,
+        runValidators: true,
+      }
     );
+
+    // Regenerate upcoming feedings so they follow the new timing and quantity
+    if (schedule && GENERATION_FIELDS.some(field => allowedUpdates[field] !== undefined)) {
+      await this.clearPendingFeeds(schedule._id);
+      schedule.lastGenerated = undefined;
+
+      if (schedule.isActive) {
+        await this.generateUpcomingFeeds(schedule);
+      }
+    }
+
+    return schedule;
   }
 
   async deleteSchedule(scheduleId) {
+    await this.clearPendingFeeds(scheduleId);
     return await FeedSchedule.findByIdAndDelete(scheduleId);
   }
 
   async findById(scheduleId) {
     return await FeedSchedule.findById(scheduleId);
   }
+
+  // =================== FEED GENERATION ===================
+
+  // Times of day a schedule feeds at, as [{ hour, minute }]
+  getFeedingTimes(schedule) {
+    if (schedule.specificTimes && schedule.specificTimes.length > 0) {
+      return schedule.specificTimes.map(time => ({ hour: time.hour, minute: time.minute || 0 }));
+    }
+
+    if (schedule.frequency === 'twice_daily') {
+      return TWICE_DAILY_TIMES;
+    }
+
+    // Spread several feedings evenly over the working day
+    const timesPerDay = schedule.timesPerDay || 1;
+    if (timesPerDay === 1) {
+      return [DEFAULT_TIME];
+    }
+
+    const span = (LAST_FEEDING_HOUR - FIRST_FEEDING_HOUR) * 60;
+    return Array.from({ length: timesPerDay }, (_, index) => {
+      const minutes = FIRST_FEEDING_HOUR * 60 + Math.round((index * span) / (timesPerDay - 1));
+      return { hour: Math.floor(minutes / 60), minute: minutes % 60 };
+    });
+  }
+
+  // Weekdays a schedule feeds on (0 = Sunday), or null for every day
+  getFeedingDays(schedule) {
+    if (schedule.daysOfWeek && schedule.daysOfWeek.length > 0) {
+      return schedule.daysOfWeek;
+    }
+
+    // Weekly schedules without explicit days repeat on the weekday they started
+    if (schedule.frequency === 'weekly') {
+      return [new Date(schedule.startDate || Date.now()).getDay()];
+    }
+
+    return null;
+  }
+
+  // Every feeding time of a schedule between two dates, within its start and end dates
+  getOccurrences(schedule, from, to) {
+    const windowStart = new Date(Math.max(new Date(from), schedule.startDate ? new Date(schedule.startDate) : new Date(from)));
+    const windowEnd = new Date(schedule.endDate ? Math.min(new Date(to), endOfDay(schedule.endDate)) : new Date(to));
+    const occurrences = [];
+
+    if (windowStart > windowEnd) {
+      return occurrences;
+    }
+
+    const days = this.getFeedingDays(schedule);
+    const times = this.getFeedingTimes(schedule);
+
+    for (let day = startOfDay(windowStart); day <= windowEnd; day = addDays(day, 1)) {
+      if (days && !days.includes(day.getDay())) {
+        continue;
+      }
+
+      times.forEach(time => {
+        const feedingTime = new Date(day);
+        feedingTime.setHours(time.hour, time.minute, 0, 0);
+
+        if (feedingTime >= windowStart && feedingTime <= windowEnd) {
+          occurrences.push(feedingTime);
+        }
+      });
+    }
+
+    return occurrences.sort((a, b) => a - b);
+  }
+
+  // Work out the date range to generate for, defaulting to today plus DAYS_AHEAD days
+  resolveGenerationRange(startDate, endDate) {
+    const from = startOfDay(startDate || Date.now());
+    const to = endOfDay(endDate || addDays(from, DAYS_AHEAD));
+
+    if (to < from) {
+      throw new ValidationError('End date must be after start date');
+    }
+
+    if ((to - from) / (24 * 60 * 60 * 1000) > MAX_GENERATION_DAYS) {
+      throw new ValidationError(`Feedings can be generated for at most ${MAX_GENERATION_DAYS} days at a time`);
+    }
+
+    return { from, to };
+  }
+
+  // Create pending Feed records for a schedule between two dates.
+  // Feedings that already exist are skipped, so re-running is safe.
+  async generateFeedsForSchedule(schedule, from, to, userId = null) {
+    const occurrences = this.getOccurrences(schedule, from, to);
+    const created = [];
+
+    // Group feedings are split between the animals in the group now
+    const members = schedule.group
+      ? await animalGroupService.getMembers(schedule.group._id || schedule.group)
+      : null;
+
+    // Nothing to feed yet; a later run picks the range up once animals join
+    if (members && members.length === 0) {
+      return created;
+    }
+
+    if (occurrences.length > 0) {
+      const existing = await Feed.find({
+        schedule: schedule._id,
+        feedingTime: { $in: occurrences },
+      }).select('feedingTime').lean();
+
+      const existingTimes = new Set(existing.map(feed => feed.feedingTime.getTime()));
+
+      for (const feedingTime of occurrences) {
+        if (existingTimes.has(feedingTime.getTime())) {
+          continue;
+        }
+
+        try {
+          const feedData = {
+            animal: schedule.animal ? schedule.animal._id || schedule.animal : undefined,
+            group: schedule.group ? schedule.group._id || schedule.group : undefined,
+            feedType: schedule.feedType,
+            customFeedName: schedule.customFeedName,
+            quantity: schedule.quantity,
+            feedingTime,
+            scheduleType: 'scheduled',
+            cost: schedule.estimatedCostPerFeeding,
+            notes: `Generated from schedule: ${schedule.name}`,
+            isCompleted: false,
+            isMissed: false,
+            schedule: schedule._id,
+            recordedBy: userId || schedule.createdBy,
+            farm: schedule.farm,
+          };
+
+          if (members) {
+            feedService.splitAcrossMembers(feedData, members);
+          }
+
+          const feed = await Feed.create(feedData);
+          created.push(feed);
+        } catch (error) {
+          // Another run created the same feeding in the meantime
+          if (error.code !== 11000) {
+            throw error;
+          }
+        }
+      }
+    }
+
+    // Remember how far ahead this schedule has been generated
+    if (!schedule.lastGenerated || schedule.lastGenerated < to) {
+      await FeedSchedule.updateOne({ _id: schedule._id }, { lastGenerated: to });
+      schedule.lastGenerated = to;
+    }
+
+    return created;
+  }
+
+  // Generate feedings from now until DAYS_AHEAD days ahead (used after creating or changing a schedule)
+  async generateUpcomingFeeds(schedule, userId = null) {
+    return await this.generateFeedsForSchedule(
+      schedule,
+      new Date(),
+      endOfDay(addDays(new Date(), DAYS_AHEAD)),
+      userId
+    );
+  }
+
+  // Generate feedings for every active schedule of a farm between two dates
+  async generateFarmFeeds(farmId, from, to, userId = null) {
+    const schedules = await this.getGeneratableSchedules({
+      farm: farmId,
+      $and: [
+        { $or: [{ startDate: null }, { startDate: { $lte: to } }] },
+        { $or: [{ endDate: null }, { endDate: { $gte: from } }] },
+      ],
+    });
+
+    const results = [];
+    let feedsGenerated = 0;
+
+    for (const schedule of schedules) {
+      const feeds = await this.generateFeedsForSchedule(schedule, from, to, userId);
+      feedsGenerated += feeds.length;
+
+      results.push({
+        scheduleId: schedule._id,
+        scheduleName: schedule.name,
+        animal: schedule.animal,
+        group: schedule.group,
+        generatedCount: feeds.length,
+      });
+    }
+
+    return {
+      startDate: from,
+      endDate: to,
+      schedulesProcessed: schedules.length,
+      feedsGenerated,
+      schedules: results,
+    };
+  }
+
+  // Daily job: extend every active schedule up to DAYS_AHEAD days ahead, continuing from lastGenerated
+  async generateDueFeeds() {
+    const today = startOfDay(new Date());
+    const horizon = endOfDay(addDays(today, DAYS_AHEAD));
+
+    const schedules = await this.getGeneratableSchedules({
+      $or: [{ endDate: null }, { endDate: { $gte: today } }],
+    });
+
+    let feedsGenerated = 0;
+    let failed = 0;
+
+    for (const schedule of schedules) {
+      try {
+        const from = schedule.lastGenerated && schedule.lastGenerated > today ? schedule.lastGenerated : today;
+        const feeds = await this.generateFeedsForSchedule(schedule, from, horizon);
+        feedsGenerated += feeds.length;
+      } catch (error) {
+        // One broken schedule should not stop the rest
+        failed++;
+        console.error(`Failed to generate feedings for schedule ${schedule._id}:`, error);
+      }
+    }
+
+    return {
+      schedulesProcessed: schedules.length,
+      feedsGenerated,
+      failed,
+    };
+  }
+
+  // Active schedules matching a query whose animal is still alive or whose group is still active
+  async getGeneratableSchedules(query) {
+    const schedules = await FeedSchedule.find({ ...query, isActive: true }).lean();
+
+    const aliveAnimals = await Animal.find({
+      _id: { $in: schedules.filter(schedule => schedule.animal).map(schedule => schedule.animal) },
+      status: 'alive',
+      isActive: true,
+    }).distinct('_id');
+
+    const activeGroups = await AnimalGroup.find({
+      _id: { $in: schedules.filter(schedule => schedule.group).map(schedule => schedule.group) },
+      isActive: true,
+    }).distinct('_id');
+
+    const feedableIds = new Set([...aliveAnimals, ...activeGroups].map(id => id.toString()));
+    return schedules.filter(schedule => feedableIds.has((schedule.animal || schedule.group).toString()));
+  }
+
+  // Remove generated feedings that have not happened yet (after a schedule changes or is deleted)
+  async clearPendingFeeds(scheduleId) {
+    await Feed.deleteMany({
+      schedule: scheduleId,
+      isCompleted: false,
+      isMissed: false,
+      feedingTime: { $gt: new Date() },
+    });
+
+    await FeedSchedule.updateOne({ _id: scheduleId }, { $unset: { lastGenerated: 1 } });
+  }
 }
 
-module.exports = new FeedScheduleService();
\ No newline at end of file
+module.exports = new FeedScheduleService();
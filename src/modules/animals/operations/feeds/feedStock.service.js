@@ -0,0 +1,377 @@
+// src/modules/animals/operations/feeds/feedStock.service.js
+const FeedInventory = require('./feedInventory.model');
+const FeedStockMovement = require('./feedStockMovement.model');
+const feedUnits = require('./feedUnits');
+const { BusinessRuleError } = require('../../../../utils/errors');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const feedLabel = (feed) => feed.customFeedName || feed.feedType;
+
+const feedStockService = {
+  // Inventory item a feeding draws from: same farm and feed type, and the same custom
+  // name when one is given (otherwise an item without a custom name is preferred)
+  findInventoryForFeed: async (feed) => {
+    const query = {
+      farm: feed.farm,
+      feedType: feed.feedType,
+      isActive: true,
+    };
+
+    if (feed.customFeedName) {
+      query.customFeedName = new RegExp(`^${escapeRegExp(feed.customFeedName.trim())}$`, 'i');
+      return await FeedInventory.findOne(query).sort({ updatedAt: -1 });
+    }
+
+    const items = await FeedInventory.find(query).sort({ updatedAt: -1 });
+    return items.find(item => !item.customFeedName) || items[0] || null;
+  },
+
+  // Deduct a completed feeding from stock and record the movement on the feed
+  // (the caller saves the feed). Farms that do not stock the feed are left alone.
+  consumeForFeed: async (feed, userId) => {
+    try {
+      if (feed.stockMovement) {
+        return null;
+      }
+
+      const item = await feedStockService.findInventoryForFeed(feed);
+
+      if (!item) {
+        return null;
+      }
+
+      const requested = feedUnits.convert(
+        feed.quantity.value,
+        feed.quantity.unit,
+        item.currentStock.unit,
+        item.bagWeight
+      );
+
+      if (requested === null) {
+        const hint = item.currentStock.unit === 'bags' ? ' (set a bag weight on the inventory item)' : '';
+        throw new BusinessRuleError(
+          `Cannot deduct ${feed.quantity.unit} of ${feedLabel(feed)} from stock kept in ${item.currentStock.unit}${hint}`
+        );
+      }
+
+      // Taken first-expiry-first-out from batches not expired at feeding time; stock never
+      // goes below zero, and the ledger records what was actually deducted
+      const taken = item.takeFromBatches(requested, feed.feedingTime || new Date());
+      const deducted = feedUnits.round(taken.reduce((sum, part) => sum + part.quantity, 0));
+      item.lastUpdatedBy = userId;
+      item.checkStockLevel();
+      await item.save();
+
+      const movement = await FeedStockMovement.create({
+        farm: item.farm,
+        inventoryItem: item._id,
+        type: 'consumption',
+        change: {
+          value: -deducted,
+          unit: item.currentStock.unit,
+        },
+        balanceAfter: item.currentStock.value,
+        batches: taken,
+        feed: feed._id,
+        feedQuantity: {
+          value: feed.quantity.value,
+          unit: feed.quantity.unit,
+        },
+        notes: deducted < requested
+          ? `Insufficient stock: ${feedUnits.round(requested)} ${item.currentStock.unit} needed`
+          : undefined,
+        recordedBy: userId,
+      });
+
+      feed.stockMovement = movement._id;
+      return movement;
+    } catch (error) {
+      console.error('Service error consuming feed stock:', error);
+      throw error;
+    }
+  },
+
+  // Put a feeding's deduction back into stock (the caller saves the feed)
+  reverseForFeed: async (feed, userId, reason) => {
+    try {
+      if (!feed.stockMovement) {
+        return null;
+      }
+
+      const movementId = feed.stockMovement;
+      feed.stockMovement = undefined;
+
+      const movement = await FeedStockMovement.findById(movementId);
+
+      // Already reversed (e.g. a previous attempt failed before the feed was saved)
+      if (!movement || await FeedStockMovement.exists({ reverses: movement._id })) {
+        return null;
+      }
+
+      const item = await FeedInventory.findById(movement.inventoryItem);
+
+      if (!item) {
+        return null;
+      }
+
+      // The item's unit may have changed since the deduction
+      const restored = feedUnits.convert(
+        -movement.change.value,
+        movement.change.unit,
+        item.currentStock.unit,
+        item.bagWeight
+      );
+
+      if (restored === null) {
+        return null;
+      }
+
+      // Batch quantities are only comparable while the unit is unchanged
+      const parts = movement.change.unit === item.currentStock.unit ? movement.batches : [];
+      item.returnToBatches(parts, restored);
+      item.lastUpdatedBy = userId;
+      item.checkStockLevel();
+      await item.save();
+
+      return await FeedStockMovement.create({
+        farm: item.farm,
+        inventoryItem: item._id,
+        type: 'reversal',
+        change: {
+          value: feedUnits.round(restored),
+          unit: item.currentStock.unit,
+        },
+        balanceAfter: item.currentStock.value,
+        batches: parts,
+        feed: movement.feed,
+        feedQuantity: movement.feedQuantity,
+        reverses: movement._id,
+        notes: reason,
+        recordedBy: userId,
+      });
+    } catch (error) {
+      console.error('Service error reversing feed stock:', error);
+      throw error;
+    }
+  },
+
+  // Make stock match a feeding's state: completed feedings are deducted once,
+  // missed or pending ones are not. `force` re-deducts after quantity or feed changes.
+  syncFeedStock: async (feed, userId, { force = false } = {}) => {
+    const shouldDeduct = feed.isCompleted && !feed.isMissed;
+
+    if (feed.stockMovement && (!shouldDeduct || force)) {
+      let reason = 'Feeding quantity or feed changed';
+      if (!shouldDeduct) {
+        reason = feed.isMissed ? 'Feeding marked as missed' : 'Feeding no longer completed';
+      }
+      await feedStockService.reverseForFeed(feed, userId, reason);
+    }
+
+    if (shouldDeduct && !feed.stockMovement) {
+      await feedStockService.consumeForFeed(feed, userId);
+    }
+  },
+
+  // Record a manual change to an item's stock level in the ledger
+  recordAdjustment: async (item, previousStock, userId, notes) => {
+    try {
+      let previous = 0;
+
+      if (previousStock) {
+        previous = feedUnits.convert(previousStock.value, previousStock.unit, item.currentStock.unit, item.bagWeight);
+
+        // Unit changed to something incomparable: record the new level as a fresh start
+        if (previous === null) {
+          previous = 0;
+          notes = notes || `Stock unit changed from ${previousStock.unit} to ${item.currentStock.unit}`;
+        }
+      }
+
+      const change = feedUnits.round(item.currentStock.value - previous);
+
+      if (change === 0) {
+        return null;
+      }
+
+      return await FeedStockMovement.create({
+        farm: item.farm,
+        inventoryItem: item._id,
+        type: 'adjustment',
+        change: {
+          value: change,
+          unit: item.currentStock.unit,
+        },
+        balanceAfter: item.currentStock.value,
+        notes,
+        recordedBy: userId,
+      });
+    } catch (error) {
+      console.error('Service error recording stock adjustment:', error);
+      throw error;
+    }
+  },
+
+  // Record a delivery received as a batch, against a purchase order when there is one (stock already updated)
+  recordPurchase: async (item, received, purchaseOrder, userId, notes, batch = null) => {
+    try {
+      return await FeedStockMovement.create({
+        farm: item.farm,
+        inventoryItem: item._id,
+        type: 'purchase',
+        change: {
+          value: feedUnits.round(received),
+          unit: item.currentStock.unit,
+        },
+        balanceAfter: item.currentStock.value,
+        batches: batch ? [{
+          batch: batch._id,
+          batchNumber: batch.batchNumber,
+          quantity: feedUnits.round(received),
+          unitCost: batch.unitCost,
+        }] : [],
+        purchaseOrder: purchaseOrder?._id,
+        notes,
+        recordedBy: userId,
+      });
+    } catch (error) {
+      console.error('Service error recording stock purchase:', error);
+      throw error;
+    }
+  },
+
+  // Write off the stock left in expired batches, across all farms or those matching `query`
+  writeOffExpiredBatches: async (query = {}, userId = null) => {
+    const now = new Date();
+    const items = await FeedInventory.find({
+      ...query,
+      isActive: true,
+      batches: {
+        $elemMatch: {
+          status: 'active',
+          remaining: { $gt: 0 },
+          expirationDate: { $lt: now },
+        },
+      },
+    });
+
+    const writeOffs = [];
+    let failed = 0;
+
+    for (const item of items) {
+      try {
+        const expired = item.expiredBatches(now);
+        const movements = [];
+
+        for (const batch of expired) {
+          const quantity = batch.remaining;
+          batch.remaining = 0;
+          batch.status = 'written_off';
+          batch.writtenOffAt = now;
+          item.currentStock.value = feedUnits.round(Math.max(0, item.currentStock.value - quantity));
+
+          movements.push({
+            farm: item.farm,
+            inventoryItem: item._id,
+            type: 'write_off',
+            change: {
+              value: -quantity,
+              unit: item.currentStock.unit,
+            },
+            balanceAfter: item.currentStock.value,
+            batches: [{
+              batch: batch._id,
+              batchNumber: batch.batchNumber,
+              quantity,
+              unitCost: batch.unitCost,
+            }],
+            notes: `Batch ${batch.batchNumber || 'without number'} expired on ${new Date(batch.expirationDate).toISOString().split('T')[0]}`,
+            recordedBy: userId,
+          });
+        }
+
+        if (userId) {
+          item.lastUpdatedBy = userId;
+        }
+        item.checkStockLevel();
+        await item.save();
+        await FeedStockMovement.insertMany(movements);
+
+        movements.forEach(movement => writeOffs.push({
+          inventoryItem: item._id,
+          feedType: item.feedType,
+          customFeedName: item.customFeedName,
+          batchNumber: movement.batches[0].batchNumber,
+          quantity: -movement.change.value,
+          unit: movement.change.unit,
+          value: movement.batches[0].unitCost
+            ? Math.round(-movement.change.value * movement.batches[0].unitCost * 100) / 100
+            : null,
+        }));
+      } catch (error) {
+        // One broken item should not stop the rest
+        failed++;
+        console.error(`Failed to write off expired batches of feed inventory ${item._id}:`, error);
+      }
+    }
+
+    return {
+      itemsProcessed: items.length,
+      batchesWrittenOff: writeOffs.length,
+      failed,
+      writeOffs,
+    };
+  },
+
+  // Stock movements of an inventory item, newest first
+  getMovements: async (inventoryId, filters = {}) => {
+    try {
+      const query = { inventoryItem: inventoryId };
+
+      if (filters.type) {
+        query.type = filters.type;
+      }
+
+      if (filters.startDate || filters.endDate) {
+        query.createdAt = {};
+        if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+        if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
+      }
+
+      // Pagination
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 50;
+      const skip = (page - 1) * limit;
+
+      const [movements, totalRecords] = await Promise.all([
+        FeedStockMovement.find(query)
+          .populate('feed', 'animal feedingTime quantity')
+          .populate('purchaseOrder', 'orderNumber supplier')
+          .populate('recordedBy', 'name email')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        FeedStockMovement.countDocuments(query),
+      ]);
+
+      return {
+        movements,
+        pagination: {
+          page,
+          limit,
+          totalRecords,
+          totalPages: Math.ceil(totalRecords / limit),
+          hasNextPage: page * limit < totalRecords,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      console.error('Service error getting stock movements:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = feedStockService;
@@ -0,0 +1,102 @@
+// src/modules/animals/operations/feeds/feedStockMovement.model.js
+const mongoose = require('mongoose');
+
+const feedStockMovementSchema = new mongoose.Schema(
+  {
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: [true, 'Farm reference is required'],
+    },
+
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeedInventory',
+      required: [true, 'Inventory item reference is required'],
+    },
+
+    type: {
+      type: String,
+      required: [true, 'Movement type is required'],
+      enum: ['consumption', 'reversal', 'adjustment', 'purchase', 'write_off'],
+    },
+
+    // Stock change in the inventory item's unit (negative = stock out)
+    change: {
+      value: {
+        type: Number,
+        required: [true, 'Change value is required'],
+      },
+      unit: {
+        type: String,
+        required: [true, 'Change unit is required'],
+      },
+    },
+
+    // Stock level after this movement
+    balanceAfter: {
+      type: Number,
+      min: 0,
+    },
+
+    // Feeding that caused a consumption or reversal
+    feed: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Feed',
+    },
+
+    // Quantity recorded on the feeding, before unit conversion
+    feedQuantity: {
+      value: Number,
+      unit: String,
+    },
+
+    // Purchase order a delivery was received against
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeedPurchaseOrder',
+    },
+
+    // Batches the stock went into or came out of
+    batches: [
+      {
+        _id: false,
+        batch: mongoose.Schema.Types.ObjectId,
+        batchNumber: String,
+        quantity: Number,
+        unitCost: Number,
+      },
+    ],
+
+    // Consumption undone by a reversal
+    reverses: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeedStockMovement',
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+    },
+
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    // The ledger is its own history
+    audit: false,
+  }
+);
+
+// Indexes
+feedStockMovementSchema.index({ inventoryItem: 1, createdAt: -1 });
+feedStockMovementSchema.index({ farm: 1, createdAt: -1 });
+feedStockMovementSchema.index({ feed: 1 });
+feedStockMovementSchema.index({ reverses: 1 });
+
+const FeedStockMovement = mongoose.model('FeedStockMovement', feedStockMovementSchema);
+
+module.exports = FeedStockMovement;
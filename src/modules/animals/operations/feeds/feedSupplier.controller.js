@@ -0,0 +1,140 @@
+// src/modules/animals/operations/feeds/feedSupplier.controller.js
+const FeedSupplier = require('./feedSupplier.model');
+const farmAccess = require('../../../farms/farmAccess');
+const { ForbiddenError, NotFoundError } = require('../../../../utils/errors');
+
+// Load a supplier the user can access
+const findAccessibleSupplier = async (supplierId, userId) => {
+  const supplier = await FeedSupplier.findById(supplierId);
+
+  if (!supplier) {
+    throw new NotFoundError('Supplier not found');
+  }
+
+  // Verify user has access to farm
+  const farm = await farmAccess.findAccessibleFarm(supplier.farm, userId);
+
+  if (!farm) {
+    throw new ForbiddenError('Farm not found or you do not have permission');
+  }
+
+  return supplier;
+};
+
+// Create a feed supplier
+const createSupplier = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const supplierData = req.body;
+
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(supplierData.farm, userId);
+
+    if (!farm) {
+      throw new ForbiddenError('Farm not found or you do not have permission');
+    }
+
+    supplierData.createdBy = userId;
+    const supplier = await FeedSupplier.create(supplierData);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Supplier created successfully',
+      data: supplier,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get suppliers for a farm
+const getFarmSuppliers = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+    const includeInactive = req.query.includeInactive === 'true';
+
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+    if (!farm) {
+      throw new ForbiddenError('Farm not found or you do not have permission');
+    }
+
+    const query = { farm: farmId };
+    if (!includeInactive) {
+      query.isActive = true;
+    }
+    if (req.query.feedType) {
+      query.feedTypes = req.query.feedType;
+    }
+
+    const suppliers = await FeedSupplier.find(query)
+      .sort({ name: 1 })
+      .lean();
+
+    res.status(200).json({
+      status: 'success',
+      data: suppliers,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get supplier by ID
+const getSupplier = async (req, res, next) => {
+  try {
+    const supplier = await findAccessibleSupplier(req.params.supplierId, req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      data: supplier,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update supplier
+const updateSupplier = async (req, res, next) => {
+  try {
+    const supplier = await findAccessibleSupplier(req.params.supplierId, req.userId);
+
+    supplier.set(req.body);
+    await supplier.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Supplier updated successfully',
+      data: supplier,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete supplier (soft delete, so past purchase orders keep their supplier)
+const deleteSupplier = async (req, res, next) => {
+  try {
+    const supplier = await findAccessibleSupplier(req.params.supplierId, req.userId);
+
+    supplier.isActive = false;
+    await supplier.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Supplier deactivated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createSupplier,
+  getFarmSuppliers,
+  getSupplier,
+  updateSupplier,
+  deleteSupplier,
+};
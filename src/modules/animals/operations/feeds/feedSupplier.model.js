@@ -0,0 +1,88 @@
+// src/modules/animals/operations/feeds/feedSupplier.model.js
+const mongoose = require('mongoose');
+
+const feedSupplierSchema = new mongoose.Schema(
+  {
+    // Farm reference
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: [true, 'Farm reference is required'],
+    },
+
+    // Supplier details
+    name: {
+      type: String,
+      required: [true, 'Supplier name is required'],
+      trim: true,
+      maxlength: [100, 'Supplier name cannot exceed 100 characters'],
+    },
+
+    contactPerson: {
+      type: String,
+      trim: true,
+    },
+
+    phone: {
+      type: String,
+      trim: true,
+    },
+
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+
+    address: {
+      type: String,
+      trim: true,
+    },
+
+    // Feed types this supplier sells
+    feedTypes: [{
+      type: String,
+      enum: ['pellets', 'hay', 'mash', 'grains', 'supplements', 'custom', 'other'],
+    }],
+
+    // Ordering terms
+    leadTimeDays: {
+      type: Number,
+      min: 0,
+    },
+
+    paymentTerms: {
+      type: String,
+      trim: true,
+    },
+
+    // Status
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Metadata
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+feedSupplierSchema.index({ farm: 1, name: 1 }, { unique: true });
+feedSupplierSchema.index({ farm: 1, isActive: 1 });
+
+const FeedSupplier = mongoose.model('FeedSupplier', feedSupplierSchema);
+
+module.exports = FeedSupplier;
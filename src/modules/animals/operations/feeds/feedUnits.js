@@ -0,0 +1,65 @@
+// src/modules/animals/operations/feeds/feedUnits.js
+
+// Conversion factors to a base unit per dimension
+const MASS_IN_KG = {
+  kg: 1,
+  g: 0.001,
+  lb: 0.453592,
+  oz: 0.0283495,
+};
+
+const VOLUME_IN_LITERS = {
+  liters: 1,
+  ml: 0.001,
+};
+
+// Keep stock figures free of floating point noise
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const feedUnits = {
+  MASS_UNITS: Object.keys(MASS_IN_KG),
+
+  round,
+
+  // Quantity in kg, or null if the unit is not a weight (bags need the bag weight)
+  toKg: (value, unit, bagWeight) => {
+    if (MASS_IN_KG[unit] !== undefined) {
+      return value * MASS_IN_KG[unit];
+    }
+
+    if (unit === 'bags' && bagWeight && bagWeight.value) {
+      return value * feedUnits.toKg(bagWeight.value, bagWeight.unit || 'kg');
+    }
+
+    return null;
+  },
+
+  // Quantity in kg expressed in another weight unit (or bags), or null
+  fromKg: (kg, unit, bagWeight) => {
+    if (MASS_IN_KG[unit] !== undefined) {
+      return kg / MASS_IN_KG[unit];
+    }
+
+    if (unit === 'bags' && bagWeight && bagWeight.value) {
+      return kg / feedUnits.toKg(bagWeight.value, bagWeight.unit || 'kg');
+    }
+
+    return null;
+  },
+
+  // Convert between units of the same dimension; returns null when they cannot be converted
+  convert: (value, fromUnit, toUnit, bagWeight) => {
+    if (fromUnit === toUnit) {
+      return value;
+    }
+
+    if (VOLUME_IN_LITERS[fromUnit] !== undefined && VOLUME_IN_LITERS[toUnit] !== undefined) {
+      return (value * VOLUME_IN_LITERS[fromUnit]) / VOLUME_IN_LITERS[toUnit];
+    }
+
+    const kg = feedUnits.toKg(value, fromUnit, bagWeight);
+    return kg === null ? null : feedUnits.fromKg(kg, toUnit, bagWeight);
+  },
+};
+
+module.exports = feedUnits;
@@ -209,6 +209,11 @@ const animalGeneticProfileSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Animal',
           },
+          // Set instead of animal for a sire known only through its semen
+          externalSire: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ExternalSire',
+          },
           relationship: String,
           generation: Number,
         },
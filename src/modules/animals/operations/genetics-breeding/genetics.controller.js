@@ -1,9 +1,10 @@
 const geneticsService = require('./genetics.service');
 const AnimalGeneticProfile = require('./animalGeneticProfile.model');
+const { NotFoundError } = require('../../../../utils/errors');
 
 const geneticsController = {
   // Get genetic profile for an animal
-  getGeneticProfile: async (req, res) => {
+  getGeneticProfile: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { animalId } = req.params;
@@ -14,10 +15,7 @@ const geneticsController = {
       const profile = await geneticsService.computeGeneticProfile(animalId, forceRefresh);
       
       if (!profile) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'Genetic profile not found',
-        });
+        throw new NotFoundError('Genetic profile not found');
       }
       
       // Populate animal details
@@ -57,24 +55,12 @@ const geneticsController = {
         data: populatedProfile,
       });
     } catch (error) {
-      console.error('Error fetching genetic profile:', error);
-      
-      if (error.message === 'Animal not found') {
-        return res.status(404).json({
-          status: 'error',
-          message: 'Animal not found',
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch genetic profile',
-      });
+      next(error);
     }
   },
 
   // Get pedigree tree
-  getPedigreeTree: async (req, res) => {
+  getPedigreeTree: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { animalId } = req.params;
@@ -87,16 +73,12 @@ const geneticsController = {
         data: tree,
       });
     } catch (error) {
-      console.error('Error fetching pedigree tree:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch pedigree tree',
-      });
+      next(error);
     }
   },
 
   // Check inbreeding risk for a pair
-  checkInbreedingRisk: async (req, res) => {
+  checkInbreedingRisk: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { animalId1, animalId2 } = req.params;
@@ -108,16 +90,12 @@ const geneticsController = {
         data: riskAssessment,
       });
     } catch (error) {
-      console.error('Error checking inbreeding risk:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to check inbreeding risk',
-      });
+      next(error);
     }
   },
 
   // Get top breeders in a farm
-  getTopBreeders: async (req, res) => {
+  getTopBreeders: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -130,16 +108,12 @@ const geneticsController = {
         data: topBreeders,
       });
     } catch (error) {
-      console.error('Error fetching top breeders:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch top breeders',
-      });
+      next(error);
     }
   },
 
   // Get breeding pair suggestions
-  getBreedingPairSuggestions: async (req, res) => {
+  getBreedingPairSuggestions: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -158,16 +132,12 @@ const geneticsController = {
         data: suggestions,
       });
     } catch (error) {
-      console.error('Error fetching breeding pair suggestions:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch breeding pair suggestions',
-      });
+      next(error);
     }
   },
 
   // Get breeding compatibility for specific pair
-  getBreedingCompatibility: async (req, res) => {
+  getBreedingCompatibility: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { animalId1, animalId2 } = req.params;
@@ -176,10 +146,7 @@ const geneticsController = {
       const profile2 = await geneticsService.computeGeneticProfile(animalId2);
       
       if (!profile1 || !profile2) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'One or both animals not found',
-        });
+        throw new NotFoundError('One or both animals not found');
       }
       
       const compatibility = profile1.canBreedWith(profile2);
@@ -200,16 +167,12 @@ const geneticsController = {
         },
       });
     } catch (error) {
-      console.error('Error checking breeding compatibility:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to check breeding compatibility',
-      });
+      next(error);
     }
   },
 
   // Update animal type genetics settings
-  updateAnimalTypeGeneticsSettings: async (req, res) => {
+  updateAnimalTypeGeneticsSettings: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { animalTypeId } = req.params;
@@ -229,16 +192,12 @@ const geneticsController = {
         data: geneticsSettings,
       });
     } catch (error) {
-      console.error('Error updating genetics settings:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to update genetics settings',
-      });
+      next(error);
     }
   },
 
   // Batch compute genetic profiles for farm
-  batchComputeGeneticProfiles: async (req, res) => {
+  batchComputeGeneticProfiles: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -280,16 +239,12 @@ const geneticsController = {
         },
       });
     } catch (error) {
-      console.error('Error batch computing genetic profiles:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to batch compute genetic profiles',
-      });
+      next(error);
     }
   },
 
   // Get genetics dashboard statistics
-  getGeneticsDashboard: async (req, res) => {
+  getGeneticsDashboard: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -399,11 +354,7 @@ const geneticsController = {
         },
       });
     } catch (error) {
-      console.error('Error fetching genetics dashboard:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch genetics dashboard',
-      });
+      next(error);
     }
   },
 };
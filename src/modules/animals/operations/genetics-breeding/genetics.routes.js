@@ -4,23 +4,34 @@ const geneticsController = require('./genetics.controller');
 
 // All genetics routes require authentication
 const authMiddleware = require('../../../../middlewares/auth.middleware');
+const { requireFarmPermission, farmFrom } = require('../../../../middlewares/farmPermission.middleware');
+const validate = require('../../../../middlewares/validate.middleware');
+const geneticsValidation = require('./genetics.validation');
+const AnimalType = require('../../../animalTypes/animalType.model');
+const animalTypeValidation = require('../../../animalTypes/animalType.validation');
 router.use(authMiddleware);
 
+const canRead = (resolveFarm) => requireFarmPermission('genetics:read', resolveFarm);
+const canWrite = (resolveFarm) => requireFarmPermission('genetics:write', resolveFarm);
+
+const byAnimal = farmFrom.animal();
+const byAnimalPair = farmFrom.all(farmFrom.animal('animalId1'), farmFrom.animal('animalId2'));
+
 // Animal-specific genetics routes
-router.get('/animal/:animalId', geneticsController.getGeneticProfile); // GET /genetics/animal/:animalId
-router.get('/animal/:animalId/pedigree', geneticsController.getPedigreeTree); // GET /genetics/animal/:animalId/pedigree
-router.get('/compatibility/:animalId1/:animalId2', geneticsController.getBreedingCompatibility); // GET /genetics/compatibility/:animalId1/:animalId2
+router.get('/animal/:animalId', validate(geneticsValidation.getGeneticProfile), canRead(byAnimal), geneticsController.getGeneticProfile); // GET /genetics/animal/:animalId
+router.get('/animal/:animalId/pedigree', validate(geneticsValidation.getPedigreeTree), canRead(byAnimal), geneticsController.getPedigreeTree); // GET /genetics/animal/:animalId/pedigree
+router.get('/compatibility/:animalId1/:animalId2', validate(geneticsValidation.animalPair), canRead(byAnimalPair), geneticsController.getBreedingCompatibility); // GET /genetics/compatibility/:animalId1/:animalId2
 
 // Farm-wide genetics routes
-router.get('/farm/:farmId/top-breeders', geneticsController.getTopBreeders); // GET /genetics/farm/:farmId/top-breeders
-router.get('/farm/:farmId/pair-suggestions', geneticsController.getBreedingPairSuggestions); // GET /genetics/farm/:farmId/pair-suggestions
-router.get('/farm/:farmId/dashboard', geneticsController.getGeneticsDashboard); // GET /genetics/farm/:farmId/dashboard
-router.post('/farm/:farmId/batch-compute', geneticsController.batchComputeGeneticProfiles); // POST /genetics/farm/:farmId/batch-compute
+router.get('/farm/:farmId/top-breeders', validate(geneticsValidation.getTopBreeders), canRead(), geneticsController.getTopBreeders); // GET /genetics/farm/:farmId/top-breeders
+router.get('/farm/:farmId/pair-suggestions', validate(geneticsValidation.getBreedingPairSuggestions), canRead(), geneticsController.getBreedingPairSuggestions); // GET /genetics/farm/:farmId/pair-suggestions
+router.get('/farm/:farmId/dashboard', validate(geneticsValidation.farmId), canRead(), geneticsController.getGeneticsDashboard); // GET /genetics/farm/:farmId/dashboard
+router.post('/farm/:farmId/batch-compute', validate(geneticsValidation.farmId), canWrite(), geneticsController.batchComputeGeneticProfiles); // POST /genetics/farm/:farmId/batch-compute
 
 // Inbreeding risk check
-router.get('/inbreeding-risk/:animalId1/:animalId2', geneticsController.checkInbreedingRisk); // GET /genetics/inbreeding-risk/:animalId1/:animalId2
+router.get('/inbreeding-risk/:animalId1/:animalId2', validate(geneticsValidation.animalPair), canRead(byAnimalPair), geneticsController.checkInbreedingRisk); // GET /genetics/inbreeding-risk/:animalId1/:animalId2
 
 // Animal type genetics settings (requires AnimalType model update)
-router.patch('/animal-type/:animalTypeId/settings', geneticsController.updateAnimalTypeGeneticsSettings); // PATCH /genetics/animal-type/:animalTypeId/settings
+router.patch('/animal-type/:animalTypeId/settings', validate(animalTypeValidation.updateGeneticsSettings), canWrite(farmFrom.document(AnimalType, 'animalTypeId')), geneticsController.updateAnimalTypeGeneticsSettings); // PATCH /genetics/animal-type/:animalTypeId/settings
 
 module.exports = router;
\ No newline at end of file
@@ -6,6 +6,8 @@ const MatingEvent = require('../reproductions/matingEvent.model');
 const Pregnancy = require('../reproductions/pregnancy.model');
 const BirthEvent = require('../reproductions/birthEvent.model');
 const OffspringTracking = require('../reproductions/offspringTracking.model');
+const ExternalSire = require('../reproductions/externalSire.model');
+const { NotFoundError } = require('../../../../utils/errors');
 
 const geneticsService = {
   // Compute or update genetic profile for an animal
@@ -18,7 +20,7 @@ const geneticsService = {
         .lean();
 
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
 
       // Check if profile exists and if refresh is needed
@@ -416,7 +418,7 @@ const geneticsService = {
       if (currentGeneration > maxDepth) return;
       
       const currentAnimal = await Animal.findById(currentAnimalId)
-        .select('sire dam')
+        .select('sire dam externalSire')
         .lean();
       
       if (!currentAnimal) return;
@@ -428,6 +430,13 @@ const geneticsService = {
           generation: currentGeneration + 1,
         });
         await traceAncestry(currentAnimal.sire, currentGeneration + 1, maxDepth);
+      } else if (currentAnimal.externalSire) {
+        // External sires have no recorded ancestry to trace
+        ancestors.push({
+          externalSire: currentAnimal.externalSire,
+          relationship: currentGeneration === 1 ? 'sire' : `great_sire_${currentGeneration}`,
+          generation: currentGeneration + 1,
+        });
       }
       
       if (currentAnimal.dam) {
@@ -556,11 +565,37 @@ const geneticsService = {
       ancestors: {},
     };
     
+    // External sires are leaves, showing their parents only as named by the stud
+    const buildExternalSire = async (externalSireId) => {
+      const externalSire = await ExternalSire.findById(externalSireId)
+        .select('name code registrationNumber breed sireName damName')
+        .lean();
+      
+      if (!externalSire) return null;
+      
+      const id = `external:${externalSire._id}`;
+      tree.ancestors[id] = {
+        id,
+        name: externalSire.name,
+        code: externalSire.code,
+        registrationNumber: externalSire.registrationNumber,
+        gender: 'male',
+        breed: externalSire.breed,
+        isExternal: true,
+        sireName: externalSire.sireName,
+        damName: externalSire.damName,
+        sire: null,
+        dam: null,
+      };
+      
+      return id;
+    };
+    
     const buildTree = async (currentId, currentDepth, path = '') => {
       if (currentDepth > depth || !currentId) return null;
       
       const animal = await Animal.findById(currentId)
-        .select('tagNumber name gender dateOfBirth breed sire dam')
+        .select('tagNumber name gender dateOfBirth breed sire dam externalSire')
         .lean();
       
       if (!animal) return null;
@@ -584,6 +619,8 @@ const geneticsService = {
       // Recursively build sire and dam branches
       if (animal.sire) {
         node.sire = await buildTree(animal.sire, currentDepth + 1, `${path}s`);
+      } else if (animal.externalSire && currentDepth < depth) {
+        node.sire = await buildExternalSire(animal.externalSire);
       }
       
       if (animal.dam) {
@@ -0,0 +1,50 @@
+const Animal = require('../../animalRecords/animal.model');
+const { objectId, enumOf } = require('../../../../utils/validation');
+
+const animalPairParams = {
+  animalId1: objectId(),
+  animalId2: objectId(),
+};
+
+const geneticsValidation = {
+  getGeneticProfile: {
+    params: { animalId: objectId() },
+    query: {
+      refresh: { type: 'boolean' },
+    },
+  },
+
+  getPedigreeTree: {
+    params: { animalId: objectId() },
+    query: {
+      depth: { type: 'integer', min: 1, max: 10 },
+    },
+  },
+
+  animalPair: {
+    params: animalPairParams,
+  },
+
+  getTopBreeders: {
+    params: { farmId: objectId() },
+    query: {
+      limit: { type: 'integer', min: 1 },
+    },
+  },
+
+  getBreedingPairSuggestions: {
+    params: { farmId: objectId() },
+    query: {
+      minCompatibility: { type: 'integer', min: 0, max: 100 },
+      limit: { type: 'integer', min: 1 },
+      animalType: { type: 'objectId' },
+      gender: { type: 'string', enum: enumOf(Animal, 'gender') },
+    },
+  },
+
+  farmId: {
+    params: { farmId: objectId() },
+  },
+};
+
+module.exports = geneticsValidation;
@@ -0,0 +1,97 @@
+// src/modules/animals/operations/health-vaccination/dueVaccination.model.js
+const mongoose = require('mongoose');
+
+// A dose an animal's type protocol says is due. Recording the vaccination completes it
+// and schedules the next dose of the protocol.
+const dueVaccinationSchema = new mongoose.Schema(
+  {
+    animal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Animal',
+      required: [true, 'Animal reference is required'],
+    },
+
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: [true, 'Farm reference is required'],
+    },
+
+    animalType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AnimalType',
+      required: [true, 'Animal type reference is required'],
+    },
+
+    // Protocol the dose comes from (protocols are identified by vaccine name)
+    vaccineName: {
+      type: String,
+      required: [true, 'Vaccine name is required'],
+      trim: true,
+    },
+
+    vaccineType: {
+      type: String,
+      enum: ['core', 'non_core', 'optional', 'custom'],
+      default: 'core',
+    },
+
+    doseNumber: {
+      type: Number,
+      required: [true, 'Dose number is required'],
+      min: 1,
+    },
+
+    // Doses in the protocol's primary course; later doses are repeats
+    totalDoses: {
+      type: Number,
+      min: 1,
+    },
+
+    isRepeat: {
+      type: Boolean,
+      default: false,
+    },
+
+    dueDate: {
+      type: Date,
+      required: [true, 'Due date is required'],
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'skipped', 'cancelled'],
+      default: 'pending',
+    },
+
+    // Vaccination that completed the dose
+    vaccinationRecord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VaccinationRecord',
+    },
+
+    completedAt: Date,
+
+    skipReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Skip reason cannot exceed 500 characters'],
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+dueVaccinationSchema.index({ animal: 1, vaccineName: 1, doseNumber: 1 }, { unique: true });
+dueVaccinationSchema.index({ farm: 1, status: 1, dueDate: 1 });
+
+const DueVaccination = mongoose.model('DueVaccination', dueVaccinationSchema);
+
+module.exports = DueVaccination;
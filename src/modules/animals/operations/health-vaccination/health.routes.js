@@ -12,6 +12,8 @@ const {
   deleteHealthRecord,
   getAnimalHealthSummary,
   getHealthAlerts,
+  getAnimalWithdrawal,
+  getFarmWithdrawals,
 } = require('./healthRecord.controller');
 
 const {
@@ -23,34 +25,138 @@ const {
   getAnimalVaccinationSummary,
   getVaccinationAlerts,
   markReminderSent,
+  getAnimalDueVaccinations,
+  skipDueVaccination,
+  scheduleAnimalTypeVaccinations,
 } = require('./vaccinationRecord.controller');
 
+const {
+  createVetMedicine,
+  getFarmVetMedicines,
+  getVetMedicine,
+  updateVetMedicine,
+  deleteVetMedicine,
+  addVetMedicineBatch,
+  writeOffVetMedicineBatch,
+  recallVetMedicineBatch,
+  getVetMedicineBatchRecipients,
+} = require('./vetInventory.controller');
+
+const {
+  createOutbreak,
+  scanFarmForOutbreaks,
+  getFarmOutbreaks,
+  getOutbreak,
+  updateOutbreak,
+  addOutbreakCase,
+  quarantineOutbreak,
+  resolveOutbreak,
+  quarantineAnimal,
+  releaseAnimal,
+  getFarmQuarantine,
+} = require('./outbreak.controller');
+
+const {
+  createTreatmentPlan,
+  getAnimalTreatmentPlans,
+  getFarmTreatmentPlans,
+  getTreatmentPlan,
+  markDoseGiven,
+  skipDose,
+  cancelTreatmentPlan,
+} = require('./treatmentPlan.controller');
+
+// Models used to resolve the farm for permission checks
+const HealthRecord = require('./healthRecord.model');
+const VaccinationRecord = require('./vaccinationRecord.model');
+const DueVaccination = require('./dueVaccination.model');
+const VetMedicine = require('./vetMedicine.model');
+const Outbreak = require('./outbreak.model');
+const TreatmentPlan = require('./treatmentPlan.model');
+const AnimalType = require('../../../animalTypes/animalType.model');
+
 // All health routes require authentication
 const authMiddleware = require('../../../../middlewares/auth.middleware');
+const { requireFarmPermission, farmFrom } = require('../../../../middlewares/farmPermission.middleware');
+const validate = require('../../../../middlewares/validate.middleware');
+const healthValidation = require('./health.validation');
 router.use(authMiddleware);
 
+const canRead = (resolveFarm) => requireFarmPermission('health:read', resolveFarm);
+const canWrite = (resolveFarm) => requireFarmPermission('health:write', resolveFarm);
+
+const byHealthRecord = farmFrom.document(HealthRecord, 'recordId');
+const byVaccinationRecord = farmFrom.document(VaccinationRecord, 'recordId');
+const byDueVaccination = farmFrom.document(DueVaccination, 'dueId');
+const byVetMedicine = farmFrom.document(VetMedicine, 'medicineId');
+const byOutbreak = farmFrom.document(Outbreak, 'outbreakId');
+const byTreatmentPlan = farmFrom.document(TreatmentPlan, 'planId');
+const byAnimalType = farmFrom.document(AnimalType, 'animalTypeId');
+const byAnimal = farmFrom.animal();
+const byBodyAnimal = farmFrom.animal('animal', 'body');
+
 // ===== HEALTH RECORDS =====
-router.post('/health', createHealthRecord); // POST /health
-router.get('/health/animal/:animalId', getAnimalHealthRecords); // GET /health/animal/:animalId
-router.get('/health/:recordId', getHealthRecord); // GET /health/:recordId
-router.put('/health/:recordId', updateHealthRecord); // PUT /health/:recordId
-router.patch('/health/:recordId/resolve', markHealthRecordResolved); // PATCH /health/:recordId/resolve
-router.delete('/health/:recordId', deleteHealthRecord); // DELETE /health/:recordId
-router.get('/health/animal/:animalId/summary', getAnimalHealthSummary); // GET /health/animal/:animalId/summary
-router.get('/health/alerts/farm/:farmId', getHealthAlerts); // GET /health/alerts/farm/:farmId
+router.post('/health', validate(healthValidation.createHealthRecord), canWrite(byBodyAnimal), createHealthRecord); // POST /health
+router.get('/health/animal/:animalId', validate(healthValidation.getAnimalHealthRecords), canRead(byAnimal), getAnimalHealthRecords); // GET /health/animal/:animalId
+router.get('/health/:recordId', validate(healthValidation.recordId), canRead(byHealthRecord), getHealthRecord); // GET /health/:recordId
+router.put('/health/:recordId', validate(healthValidation.updateHealthRecord), canWrite(byHealthRecord), updateHealthRecord); // PUT /health/:recordId
+router.patch('/health/:recordId/resolve', validate(healthValidation.recordId), canWrite(byHealthRecord), markHealthRecordResolved); // PATCH /health/:recordId/resolve
+router.delete('/health/:recordId', validate(healthValidation.recordId), canWrite(byHealthRecord), deleteHealthRecord); // DELETE /health/:recordId
+router.get('/health/animal/:animalId/summary', validate(healthValidation.animalId), canRead(byAnimal), getAnimalHealthSummary); // GET /health/animal/:animalId/summary
+router.get('/health/alerts/farm/:farmId', validate(healthValidation.farmId), canRead(), getHealthAlerts); // GET /health/alerts/farm/:farmId
+router.get('/health/withdrawal/animal/:animalId', validate(healthValidation.animalId), canRead(byAnimal), getAnimalWithdrawal); // GET /health/withdrawal/animal/:animalId
+router.get('/health/withdrawal/farm/:farmId', validate(healthValidation.farmId), canRead(), getFarmWithdrawals); // GET /health/withdrawal/farm/:farmId
+
+// ===== TREATMENT PLANS =====
+router.post('/treatment-plans', validate(healthValidation.createTreatmentPlan), canWrite(byBodyAnimal), createTreatmentPlan); // POST /treatment-plans
+router.get('/treatment-plans/animal/:animalId', validate(healthValidation.getAnimalTreatmentPlans), canRead(byAnimal), getAnimalTreatmentPlans); // GET /treatment-plans/animal/:animalId
+router.get('/treatment-plans/farm/:farmId', validate(healthValidation.getFarmTreatmentPlans), canRead(), getFarmTreatmentPlans); // GET /treatment-plans/farm/:farmId
+router.get('/treatment-plans/:planId', validate(healthValidation.planId), canRead(byTreatmentPlan), getTreatmentPlan); // GET /treatment-plans/:planId
+router.patch('/treatment-plans/:planId/cancel', validate(healthValidation.cancelTreatmentPlan), canWrite(byTreatmentPlan), cancelTreatmentPlan); // PATCH /treatment-plans/:planId/cancel
+router.patch('/treatment-plans/:planId/doses/:doseId/given', validate(healthValidation.markDoseGiven), canWrite(byTreatmentPlan), markDoseGiven); // PATCH /treatment-plans/:planId/doses/:doseId/given
+router.patch('/treatment-plans/:planId/doses/:doseId/skip', validate(healthValidation.skipDose), canWrite(byTreatmentPlan), skipDose); // PATCH /treatment-plans/:planId/doses/:doseId/skip
 
 // ===== VACCINATION RECORDS =====
-router.post('/vaccinations', createVaccinationRecord); // POST /vaccinations
-router.get('/vaccinations/animal/:animalId', getAnimalVaccinationRecords); // GET /vaccinations/animal/:animalId
-router.get('/vaccinations/:recordId', getVaccinationRecord); // GET /vaccinations/:recordId
-router.put('/vaccinations/:recordId', updateVaccinationRecord); // PUT /vaccinations/:recordId
-router.delete('/vaccinations/:recordId', deleteVaccinationRecord); // DELETE /vaccinations/:recordId
-router.get('/vaccinations/animal/:animalId/summary', getAnimalVaccinationSummary); // GET /vaccinations/animal/:animalId/summary
-router.get('/vaccinations/alerts/farm/:farmId', getVaccinationAlerts); // GET /vaccinations/alerts/farm/:farmId
-router.patch('/vaccinations/:recordId/reminder-sent', markReminderSent); // PATCH /vaccinations/:recordId/reminder-sent
+router.post('/vaccinations', validate(healthValidation.createVaccinationRecord), canWrite(byBodyAnimal), createVaccinationRecord); // POST /vaccinations
+router.get('/vaccinations/animal/:animalId', validate(healthValidation.getAnimalVaccinationRecords), canRead(byAnimal), getAnimalVaccinationRecords); // GET /vaccinations/animal/:animalId
+router.get('/vaccinations/:recordId', validate(healthValidation.recordId), canRead(byVaccinationRecord), getVaccinationRecord); // GET /vaccinations/:recordId
+router.put('/vaccinations/:recordId', validate(healthValidation.updateVaccinationRecord), canWrite(byVaccinationRecord), updateVaccinationRecord); // PUT /vaccinations/:recordId
+router.delete('/vaccinations/:recordId', validate(healthValidation.recordId), canWrite(byVaccinationRecord), deleteVaccinationRecord); // DELETE /vaccinations/:recordId
+router.get('/vaccinations/animal/:animalId/summary', validate(healthValidation.animalId), canRead(byAnimal), getAnimalVaccinationSummary); // GET /vaccinations/animal/:animalId/summary
+router.get('/vaccinations/alerts/farm/:farmId', validate(healthValidation.farmId), canRead(), getVaccinationAlerts); // GET /vaccinations/alerts/farm/:farmId
+router.patch('/vaccinations/:recordId/reminder-sent', validate(healthValidation.recordId), canWrite(byVaccinationRecord), markReminderSent); // PATCH /vaccinations/:recordId/reminder-sent
+
+// ===== VACCINATION PROTOCOLS =====
+router.get('/vaccinations/due/animal/:animalId', validate(healthValidation.getAnimalDueVaccinations), canRead(byAnimal), getAnimalDueVaccinations); // GET /vaccinations/due/animal/:animalId
+router.patch('/vaccinations/due/:dueId/skip', validate(healthValidation.skipDueVaccination), canWrite(byDueVaccination), skipDueVaccination); // PATCH /vaccinations/due/:dueId/skip
+router.post('/vaccinations/protocols/:animalTypeId/schedule', validate(healthValidation.animalTypeId), canWrite(byAnimalType), scheduleAnimalTypeVaccinations); // POST /vaccinations/protocols/:animalTypeId/schedule
+
+// ===== VET MEDICINE & VACCINE INVENTORY =====
+router.post('/vet-inventory', validate(healthValidation.createVetMedicine), canWrite(), createVetMedicine); // POST /vet-inventory
+router.get('/vet-inventory/farm/:farmId', validate(healthValidation.getFarmVetMedicines), canRead(), getFarmVetMedicines); // GET /vet-inventory/farm/:farmId
+router.get('/vet-inventory/:medicineId', validate(healthValidation.medicineId), canRead(byVetMedicine), getVetMedicine); // GET /vet-inventory/:medicineId
+router.put('/vet-inventory/:medicineId', validate(healthValidation.updateVetMedicine), canWrite(byVetMedicine), updateVetMedicine); // PUT /vet-inventory/:medicineId
+router.delete('/vet-inventory/:medicineId', validate(healthValidation.medicineId), canWrite(byVetMedicine), deleteVetMedicine); // DELETE /vet-inventory/:medicineId
+router.post('/vet-inventory/:medicineId/batches', validate(healthValidation.addVetMedicineBatch), canWrite(byVetMedicine), addVetMedicineBatch); // POST /vet-inventory/:medicineId/batches
+router.patch('/vet-inventory/:medicineId/batches/:batchId/write-off', validate(healthValidation.vetMedicineBatch), canWrite(byVetMedicine), writeOffVetMedicineBatch); // PATCH /vet-inventory/:medicineId/batches/:batchId/write-off
+router.patch('/vet-inventory/:medicineId/batches/:batchId/recall', validate(healthValidation.recallVetMedicineBatch), canWrite(byVetMedicine), recallVetMedicineBatch); // PATCH /vet-inventory/:medicineId/batches/:batchId/recall
+router.get('/vet-inventory/:medicineId/batches/:batchId/recipients', validate(healthValidation.vetMedicineBatch), canRead(byVetMedicine), getVetMedicineBatchRecipients); // GET /vet-inventory/:medicineId/batches/:batchId/recipients
+
+// ===== OUTBREAKS & QUARANTINE =====
+router.post('/outbreaks', validate(healthValidation.createOutbreak), canWrite(), createOutbreak); // POST /outbreaks
+router.get('/outbreaks/farm/:farmId', validate(healthValidation.getFarmOutbreaks), canRead(), getFarmOutbreaks); // GET /outbreaks/farm/:farmId
+router.post('/outbreaks/farm/:farmId/scan', validate(healthValidation.farmId), canWrite(), scanFarmForOutbreaks); // POST /outbreaks/farm/:farmId/scan
+router.get('/outbreaks/:outbreakId', validate(healthValidation.outbreakId), canRead(byOutbreak), getOutbreak); // GET /outbreaks/:outbreakId
+router.patch('/outbreaks/:outbreakId', validate(healthValidation.updateOutbreak), canWrite(byOutbreak), updateOutbreak); // PATCH /outbreaks/:outbreakId
+router.post('/outbreaks/:outbreakId/cases', validate(healthValidation.addOutbreakCase), canWrite(byOutbreak), addOutbreakCase); // POST /outbreaks/:outbreakId/cases
+router.post('/outbreaks/:outbreakId/quarantine', validate(healthValidation.quarantineOutbreak), canWrite(byOutbreak), quarantineOutbreak); // POST /outbreaks/:outbreakId/quarantine
+router.patch('/outbreaks/:outbreakId/resolve', validate(healthValidation.resolveOutbreak), canWrite(byOutbreak), resolveOutbreak); // PATCH /outbreaks/:outbreakId/resolve
+router.get('/quarantine/farm/:farmId', validate(healthValidation.farmId), canRead(), getFarmQuarantine); // GET /quarantine/farm/:farmId
+router.post('/quarantine/animal/:animalId', validate(healthValidation.quarantineAnimal), canWrite(byAnimal), quarantineAnimal); // POST /quarantine/animal/:animalId
+router.patch('/quarantine/animal/:animalId/release', validate(healthValidation.animalId), canWrite(byAnimal), releaseAnimal); // PATCH /quarantine/animal/:animalId/release
 
 // ===== COMBINED HEALTH DASHBOARD =====
-router.get('/dashboard/animal/:animalId', async (req, res) => {
+router.get('/dashboard/animal/:animalId', validate(healthValidation.animalId), canRead(byAnimal), async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -78,11 +184,7 @@ router.get('/dashboard/animal/:animalId', async (req, res) => {
       },
     });
   } catch (error) {
-    console.error('Error fetching health dashboard:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch health dashboard',
-    });
+    next(error);
   }
 });
 
@@ -0,0 +1,428 @@
+// src/modules/animals/operations/health-vaccination/health.validation.js
+const HealthRecord = require('./healthRecord.model');
+const VaccinationRecord = require('./vaccinationRecord.model');
+const DueVaccination = require('./dueVaccination.model');
+const VetMedicine = require('./vetMedicine.model');
+const Outbreak = require('./outbreak.model');
+const TreatmentPlan = require('./treatmentPlan.model');
+const { objectId, partial, enumOf, pagination } = require('../../../../utils/validation');
+
+const veterinarian = {
+  type: 'object',
+  fields: {
+    name: { type: 'string' },
+    contact: { type: 'string' },
+    clinic: { type: 'string' },
+  },
+};
+
+const attachments = {
+  type: 'array',
+  items: {
+    type: 'object',
+    fields: {
+      filename: { type: 'string' },
+      url: { type: 'string' },
+      type: { type: 'string' },
+      uploadedAt: { type: 'date' },
+    },
+  },
+};
+
+const healthRecordFields = {
+  recordType: { type: 'string', enum: enumOf(HealthRecord, 'recordType') },
+  condition: { type: 'string', required: true, maxLength: 200 },
+  symptoms: { type: 'array', items: { type: 'string' } },
+  severity: { type: 'string', enum: enumOf(HealthRecord, 'severity') },
+  treatment: { type: 'string', maxLength: 500 },
+  medications: {
+    type: 'array',
+    items: {
+      type: 'object',
+      fields: {
+        name: { type: 'string', required: true },
+        dosage: {
+          type: 'object',
+          fields: {
+            value: { type: 'number', min: 0 },
+            unit: { type: 'string' },
+            frequency: { type: 'string' },
+          },
+        },
+        startDate: { type: 'date' },
+        endDate: { type: 'date' },
+        withdrawalPeriod: {
+          type: 'object',
+          fields: {
+            meatDays: { type: 'integer', min: 0 },
+            milkEggsDays: { type: 'integer', min: 0 },
+          },
+        },
+        // Given from vet inventory: the batch defaults to the earliest-expiring one
+        inventoryItem: { type: 'objectId' },
+        batch: { type: 'objectId' },
+        quantity: { type: 'number', min: 0 },
+        notes: { type: 'string' },
+      },
+    },
+  },
+  causeOfDeath: { type: 'string', enum: enumOf(HealthRecord, 'causeOfDeath') },
+  deathDetails: { type: 'string' },
+  deathDate: { type: 'date' },
+  startDate: { type: 'date', required: true },
+  endDate: { type: 'date' },
+  status: { type: 'string', enum: enumOf(HealthRecord, 'status') },
+  isRecurring: { type: 'boolean' },
+  recurrencePattern: { type: 'string', enum: enumOf(HealthRecord, 'recurrencePattern') },
+  veterinarian,
+  cost: {
+    type: 'object',
+    fields: {
+      amount: { type: 'number', min: 0 },
+      currency: { type: 'string', maxLength: 3 },
+      description: { type: 'string' },
+    },
+  },
+  notes: { type: 'string', maxLength: 1000 },
+  attachments,
+  requiresFollowup: { type: 'boolean' },
+  followupDate: { type: 'date' },
+};
+
+const vaccinationRecordFields = {
+  vaccineName: { type: 'string', required: true, maxLength: 100 },
+  vaccineType: { type: 'string', enum: enumOf(VaccinationRecord, 'vaccineType') },
+  doseNumber: { type: 'integer', required: true, min: 1 },
+  totalDoses: { type: 'integer', min: 1 },
+  dateAdministered: { type: 'date', required: true },
+  nextDueDate: { type: 'date' },
+  batchNumber: { type: 'string' },
+  manufacturer: { type: 'string' },
+  expirationDate: { type: 'date' },
+  veterinarian,
+  administrationRoute: { type: 'string', enum: enumOf(VaccinationRecord, 'administrationRoute') },
+  administrationSite: { type: 'string' },
+  cost: {
+    type: 'object',
+    fields: {
+      amount: { type: 'number', min: 0 },
+      currency: { type: 'string', maxLength: 3 },
+    },
+  },
+  reaction: { type: 'string', enum: enumOf(VaccinationRecord, 'reaction') },
+  reactionNotes: { type: 'string' },
+  notes: { type: 'string', maxLength: 500 },
+  attachments,
+};
+
+const vetBatchFields = {
+  batchNumber: { type: 'string', required: true },
+  quantity: { type: 'number', required: true, min: 0 },
+  unitCost: { type: 'number', min: 0 },
+  receivedDate: { type: 'date' },
+  expirationDate: { type: 'date', required: true },
+  supplier: { type: 'string' },
+};
+
+const vetMedicineFields = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  category: { type: 'string', required: true, enum: enumOf(VetMedicine, 'category') },
+  activeIngredient: { type: 'string' },
+  manufacturer: { type: 'string' },
+  unit: { type: 'string', required: true, enum: enumOf(VetMedicine, 'unit') },
+  withdrawalPeriod: {
+    type: 'object',
+    fields: {
+      meatDays: { type: 'integer', min: 0 },
+      milkEggsDays: { type: 'integer', min: 0 },
+    },
+  },
+  storageTemperature: {
+    type: 'object',
+    fields: {
+      min: { type: 'number' },
+      max: { type: 'number' },
+    },
+  },
+  storageLocation: { type: 'string' },
+  minimumStockLevel: { type: 'number', min: 0 },
+  currency: { type: 'string', maxLength: 3 },
+  notes: { type: 'string', maxLength: 1000 },
+};
+
+const recordParams = { recordId: objectId() };
+const animalParams = { animalId: objectId() };
+const farmParams = { farmId: objectId() };
+const dueParams = { dueId: objectId() };
+const animalTypeParams = { animalTypeId: objectId() };
+const medicineParams = { medicineId: objectId() };
+const batchParams = { medicineId: objectId(), batchId: objectId() };
+const outbreakParams = { outbreakId: objectId() };
+const planParams = { planId: objectId() };
+const doseParams = { planId: objectId(), doseId: objectId() };
+
+const healthValidation = {
+  recordId: {
+    params: recordParams,
+  },
+
+  animalId: {
+    params: animalParams,
+  },
+
+  farmId: {
+    params: farmParams,
+  },
+
+  // Health records
+  createHealthRecord: {
+    body: {
+      ...healthRecordFields,
+      animal: objectId(),
+    },
+  },
+
+  getAnimalHealthRecords: {
+    params: animalParams,
+    query: {
+      recordType: { type: 'string', enum: enumOf(HealthRecord, 'recordType') },
+      status: { type: 'string', enum: enumOf(HealthRecord, 'status') },
+      severity: { type: 'string', enum: enumOf(HealthRecord, 'severity') },
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+      includeInactive: { type: 'boolean' },
+      ...pagination,
+    },
+  },
+
+  // Animal and farm cannot be changed once recorded
+  updateHealthRecord: {
+    params: recordParams,
+    body: partial(healthRecordFields),
+  },
+
+  // Vaccination records; a vaccine given from vet inventory cannot be changed afterwards
+  createVaccinationRecord: {
+    body: {
+      ...vaccinationRecordFields,
+      animal: objectId(),
+      inventoryItem: { type: 'objectId' },
+      inventoryBatch: { type: 'objectId' },
+      quantity: { type: 'number', min: 0 },
+    },
+  },
+
+  getAnimalVaccinationRecords: {
+    params: animalParams,
+    query: {
+      vaccineName: { type: 'string' },
+      vaccineType: { type: 'string', enum: enumOf(VaccinationRecord, 'vaccineType') },
+      includeInactive: { type: 'boolean' },
+      ...pagination,
+    },
+  },
+
+  // Animal and farm cannot be changed once recorded
+  updateVaccinationRecord: {
+    params: recordParams,
+    body: partial(vaccinationRecordFields),
+  },
+
+  // Vaccination protocols
+  getAnimalDueVaccinations: {
+    params: animalParams,
+    query: {
+      status: { type: 'string', enum: enumOf(DueVaccination, 'status') },
+    },
+  },
+
+  skipDueVaccination: {
+    params: dueParams,
+    body: {
+      reason: { type: 'string', maxLength: 500 },
+    },
+  },
+
+  animalTypeId: {
+    params: animalTypeParams,
+  },
+
+  // Vet medicine and vaccine inventory
+  createVetMedicine: {
+    body: {
+      ...vetMedicineFields,
+      farm: objectId(),
+      batches: { type: 'array', items: { type: 'object', fields: vetBatchFields } },
+    },
+  },
+
+  getFarmVetMedicines: {
+    params: farmParams,
+    query: {
+      category: { type: 'string', enum: enumOf(VetMedicine, 'category') },
+      search: { type: 'string' },
+      lowStock: { type: 'boolean' },
+      includeInactive: { type: 'boolean' },
+      ...pagination,
+    },
+  },
+
+  medicineId: {
+    params: medicineParams,
+  },
+
+  // Farm cannot be changed; stock changes go through the batch endpoints
+  updateVetMedicine: {
+    params: medicineParams,
+    body: partial(vetMedicineFields),
+  },
+
+  addVetMedicineBatch: {
+    params: medicineParams,
+    body: vetBatchFields,
+  },
+
+  vetMedicineBatch: {
+    params: batchParams,
+  },
+
+  recallVetMedicineBatch: {
+    params: batchParams,
+    body: {
+      reason: { type: 'string', required: true, maxLength: 500 },
+    },
+  },
+
+  // Outbreaks
+  createOutbreak: {
+    body: {
+      farm: objectId(),
+      condition: { type: 'string', required: true, maxLength: 200 },
+      animals: { type: 'array', required: true, minLength: 1, items: objectId() },
+      notes: { type: 'string', maxLength: 1000 },
+    },
+  },
+
+  getFarmOutbreaks: {
+    params: farmParams,
+    query: {
+      status: { type: 'string', enum: enumOf(Outbreak, 'status') },
+      ...pagination,
+    },
+  },
+
+  outbreakId: {
+    params: outbreakParams,
+  },
+
+  // Outbreaks are resolved through their own endpoint
+  updateOutbreak: {
+    params: outbreakParams,
+    body: {
+      status: { type: 'string', enum: ['active', 'contained'] },
+      notes: { type: 'string', maxLength: 1000 },
+    },
+  },
+
+  addOutbreakCase: {
+    params: outbreakParams,
+    body: {
+      animal: objectId(),
+      healthRecord: { type: 'objectId' },
+    },
+  },
+
+  quarantineOutbreak: {
+    params: outbreakParams,
+    body: {
+      includeGroups: { type: 'boolean' },
+      expectedEndDate: { type: 'date' },
+      reason: { type: 'string', maxLength: 500 },
+    },
+  },
+
+  resolveOutbreak: {
+    params: outbreakParams,
+    body: {
+      releaseQuarantine: { type: 'boolean' },
+      notes: { type: 'string', maxLength: 1000 },
+    },
+  },
+
+  // Quarantine
+  quarantineAnimal: {
+    params: animalParams,
+    body: {
+      reason: { type: 'string', required: true, maxLength: 500 },
+      expectedEndDate: { type: 'date' },
+      outbreak: { type: 'objectId' },
+    },
+  },
+
+  // Treatment plans; the dosing schedule is fixed once created
+  createTreatmentPlan: {
+    body: {
+      animal: objectId(),
+      healthRecord: { type: 'objectId' },
+      medicationName: { type: 'string', required: true, maxLength: 100 },
+      dose: {
+        type: 'object',
+        required: true,
+        fields: {
+          value: { type: 'number', required: true, min: 0 },
+          unit: { type: 'string', required: true },
+        },
+      },
+      frequency: { type: 'string', required: true, enum: enumOf(TreatmentPlan, 'frequency') },
+      route: { type: 'string', enum: enumOf(TreatmentPlan, 'route') },
+      durationDays: { type: 'integer', required: true, min: 1, max: 90 },
+      startDate: { type: 'date', required: true },
+      veterinarian,
+      notes: { type: 'string', maxLength: 1000 },
+    },
+  },
+
+  getAnimalTreatmentPlans: {
+    params: animalParams,
+    query: {
+      status: { type: 'string', enum: enumOf(TreatmentPlan, 'status') },
+      ...pagination,
+    },
+  },
+
+  getFarmTreatmentPlans: {
+    params: farmParams,
+    query: {
+      status: { type: 'string', enum: enumOf(TreatmentPlan, 'status') },
+      ...pagination,
+    },
+  },
+
+  planId: {
+    params: planParams,
+  },
+
+  cancelTreatmentPlan: {
+    params: planParams,
+    body: {
+      reason: { type: 'string', maxLength: 500 },
+    },
+  },
+
+  markDoseGiven: {
+    params: doseParams,
+    body: {
+      givenAt: { type: 'date', max: 'now' },
+      notes: { type: 'string', maxLength: 500 },
+    },
+  },
+
+  skipDose: {
+    params: doseParams,
+    body: {
+      reason: { type: 'string', maxLength: 500 },
+    },
+  },
+};
+
+module.exports = healthValidation;
@@ -1,20 +1,13 @@
 // src/modules/animals/operations/health-vaccination/healthRecord.controller.js
 const healthRecordService = require('./healthRecord.service');
+const { NotFoundError } = require('../../../../utils/errors');
 
 // Create health record
-const createHealthRecord = async (req, res) => {
+const createHealthRecord = async (req, res, next) => {
   try {
     const userId = req.userId;
     const recordData = req.body;
 
-    // Validate required fields
-    if (!recordData.animal || !recordData.condition || !recordData.startDate) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Animal, condition, and start date are required',
-      });
-    }
-
     const healthRecord = await healthRecordService.createHealthRecord(recordData, userId);
 
     res.status(201).json({
@@ -23,31 +16,12 @@ const createHealthRecord = async (req, res) => {
       data: healthRecord,
     });
   } catch (error) {
-    console.error('Error creating health record:', error);
-    
-    if (error.message.includes('not found') || error.message.includes('permission')) {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message.includes('not enabled')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to create health record',
-    });
+    next(error);
   }
 };
 
 // Get health records for an animal
-const getAnimalHealthRecords = async (req, res) => {
+const getAnimalHealthRecords = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -61,31 +35,12 @@ const getAnimalHealthRecords = async (req, res) => {
       pagination: result.pagination,
     });
   } catch (error) {
-    console.error('Error fetching animal health records:', error);
-    
-    if (error.message === 'Animal not found') {
-      return res.status(404).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch health records',
-    });
+    next(error);
   }
 };
 
 // Get health record by ID
-const getHealthRecord = async (req, res) => {
+const getHealthRecord = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { recordId } = req.params;
@@ -93,10 +48,7 @@ const getHealthRecord = async (req, res) => {
     const healthRecord = await healthRecordService.getHealthRecordById(recordId, userId);
 
     if (!healthRecord) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Health record not found',
-      });
+      throw new NotFoundError('Health record not found');
     }
 
     res.status(200).json({
@@ -104,16 +56,12 @@ const getHealthRecord = async (req, res) => {
       data: healthRecord,
     });
   } catch (error) {
-    console.error('Error fetching health record:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch health record',
-    });
+    next(error);
   }
 };
 
 // Update health record
-const updateHealthRecord = async (req, res) => {
+const updateHealthRecord = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { recordId } = req.params;
@@ -122,10 +70,7 @@ const updateHealthRecord = async (req, res) => {
     const updatedRecord = await healthRecordService.updateHealthRecord(recordId, userId, updateData);
 
     if (!updatedRecord) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Health record not found',
-      });
+      throw new NotFoundError('Health record not found');
     }
 
     res.status(200).json({
@@ -134,24 +79,12 @@ const updateHealthRecord = async (req, res) => {
       data: updatedRecord,
     });
   } catch (error) {
-    console.error('Error updating health record:', error);
-    
-    if (error.message === 'Cannot change animal or farm reference') {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to update health record',
-    });
+    next(error);
   }
 };
 
 // Mark health record as resolved
-const markHealthRecordResolved = async (req, res) => {
+const markHealthRecordResolved = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { recordId } = req.params;
@@ -159,10 +92,7 @@ const markHealthRecordResolved = async (req, res) => {
     const healthRecord = await healthRecordService.markHealthRecordResolved(recordId, userId);
 
     if (!healthRecord) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Health record not found',
-      });
+      throw new NotFoundError('Health record not found');
     }
 
     res.status(200).json({
@@ -171,24 +101,12 @@ const markHealthRecordResolved = async (req, res) => {
       data: healthRecord,
     });
   } catch (error) {
-    console.error('Error marking health record as resolved:', error);
-    
-    if (error.message === 'Only ongoing health records can be marked as resolved') {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to mark health record as resolved',
-    });
+    next(error);
   }
 };
 
 // Delete health record
-const deleteHealthRecord = async (req, res) => {
+const deleteHealthRecord = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { recordId } = req.params;
@@ -196,10 +114,7 @@ const deleteHealthRecord = async (req, res) => {
     const healthRecord = await healthRecordService.deleteHealthRecord(recordId, userId);
 
     if (!healthRecord) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Health record not found',
-      });
+      throw new NotFoundError('Health record not found');
     }
 
     res.status(200).json({
@@ -207,16 +122,12 @@ const deleteHealthRecord = async (req, res) => {
       message: 'Health record deleted successfully',
     });
   } catch (error) {
-    console.error('Error deleting health record:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to delete health record',
-    });
+    next(error);
   }
 };
 
 // Get animal health summary
-const getAnimalHealthSummary = async (req, res) => {
+const getAnimalHealthSummary = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -228,31 +139,12 @@ const getAnimalHealthSummary = async (req, res) => {
       data: summary,
     });
   } catch (error) {
-    console.error('Error fetching animal health summary:', error);
-    
-    if (error.message === 'Animal not found') {
-      return res.status(404).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch health summary',
-    });
+    next(error);
   }
 };
 
 // Get health alerts for a farm
-const getHealthAlerts = async (req, res) => {
+const getHealthAlerts = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -264,19 +156,41 @@ const getHealthAlerts = async (req, res) => {
       data: alerts,
     });
   } catch (error) {
-    console.error('Error fetching health alerts:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
+    next(error);
+  }
+};
+
+// Get the current withdrawal status of an animal
+const getAnimalWithdrawal = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { animalId } = req.params;
+
+    const withdrawal = await healthRecordService.getAnimalWithdrawal(animalId, userId);
+
+    res.status(200).json({
+      status: 'success',
+      data: withdrawal,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch health alerts',
+// Get the animals of a farm currently under a withdrawal period
+const getFarmWithdrawals = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+
+    const withdrawals = await healthRecordService.getFarmWithdrawals(farmId, userId);
+
+    res.status(200).json({
+      status: 'success',
+      data: withdrawals,
     });
+  } catch (error) {
+    next(error);
   }
 };
 
@@ -289,4 +203,6 @@ module.exports = {
   deleteHealthRecord,
   getAnimalHealthSummary,
   getHealthAlerts,
+  getAnimalWithdrawal,
+  getFarmWithdrawals,
 };
\ No newline at end of file
@@ -64,6 +64,30 @@ const healthRecordSchema = new mongoose.Schema(
       },
       startDate: Date,
       endDate: Date,
+      // Days after the last dose before meat, or milk and eggs, may be sold
+      withdrawalPeriod: {
+        meatDays: {
+          type: Number,
+          min: 0,
+        },
+        milkEggsDays: {
+          type: Number,
+          min: 0,
+        },
+      },
+      // Stock the medication was given from (vet inventory); quantity and cost
+      // are in the medicine's unit
+      inventoryItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'VetMedicine',
+      },
+      batch: mongoose.Schema.Types.ObjectId,
+      batchNumber: String,
+      quantity: {
+        type: Number,
+        min: 0,
+      },
+      cost: Number,
       notes: String,
     }],
     
@@ -174,6 +198,7 @@ healthRecordSchema.index({ animal: 1, status: 1 });
 healthRecordSchema.index({ farm: 1, status: 1 });
 healthRecordSchema.index({ status: 1, requiresFollowup: 1 });
 healthRecordSchema.index({ animal: 1, startDate: -1 });
+healthRecordSchema.index({ 'medications.batch': 1 });
 
 // Virtual for duration in days
 healthRecordSchema.virtual('durationDays').get(function() {
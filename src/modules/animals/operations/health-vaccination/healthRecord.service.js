@@ -1,8 +1,31 @@
 // src/modules/animals/operations/health-vaccination/healthRecord.service.js
 const HealthRecord = require('./healthRecord.model');
+const vetInventoryService = require('./vetInventory.service');
+const outbreakService = require('./outbreak.service');
+const treatmentPlanService = require('./treatmentPlan.service');
+const Outbreak = require('./outbreak.model');
 const Animal = require('../../animalRecords/animal.model');
-const Farm = require('../../../farms/farm.model');
+const farmAccess = require('../../../farms/farmAccess');
 const AnimalType = require('../../../animalTypes/animalType.model');
+const { ValidationError, ForbiddenError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Withdrawal kinds and the medication field holding their period in days
+const WITHDRAWAL_PERIODS = {
+  meat: 'meatDays',
+  milkEggs: 'milkEggsDays',
+};
+
+// Records with at least one medication that has a withdrawal period
+const withWithdrawalPeriod = {
+  isActive: true,
+  medications: {
+    $elemMatch: {
+      $or: Object.values(WITHDRAWAL_PERIODS).map(field => ({ [`withdrawalPeriod.${field}`]: { $gt: 0 } })),
+    },
+  },
+};
 
 class HealthRecordService {
   // Create health record
@@ -12,25 +35,21 @@ class HealthRecordService {
       const animal = await Animal.findById(recordData.animal);
       
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Verify animal type has health vaccinations enabled
       const animalType = await AnimalType.findById(animal.animalType);
       
       if (!animalType || !animalType.features?.healthVaccinations) {
-        throw new Error('Health & vaccinations module is not enabled for this animal type');
+        throw new BusinessRuleError('Health & vaccinations module is not enabled for this animal type');
       }
       
       // Add metadata
@@ -45,8 +64,36 @@ class HealthRecordService {
         await animal.save();
       }
       
-      // Create health record
-      const healthRecord = await HealthRecord.create(recordData);
+      // Medications given from vet inventory come out of their batches, and their
+      // cost becomes the record cost unless one is given
+      const stock = await vetInventoryService.takeStockForMedications(recordData.medications, animal.farm, recordData.startDate);
+      
+      if (stock.medicines.length > 0 && recordData.cost?.amount == null) {
+        recordData.cost = {
+          ...recordData.cost,
+          amount: stock.totalCost,
+          currency: recordData.cost?.currency || stock.medicines[0].currency,
+        };
+      }
+      
+      // Create health record; the medications go back into stock if it cannot be stored
+      let healthRecord;
+      
+      try {
+        healthRecord = await HealthRecord.create(recordData);
+      } catch (error) {
+        await vetInventoryService.releaseUsages(stock.usages);
+        throw error;
+      }
+      
+      // Illnesses are checked for outbreaks; a failed check does not undo the record
+      if (healthRecord.recordType === 'illness') {
+        try {
+          await outbreakService.detectForRecord(healthRecord, userId);
+        } catch (error) {
+          console.error('Error checking health record for an outbreak:', error);
+        }
+      }
       
       return healthRecord;
     } catch (error) {
@@ -62,17 +109,13 @@ class HealthRecordService {
       const animal = await Animal.findById(animalId);
       
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Build query
@@ -148,11 +191,7 @@ class HealthRecordService {
       }
       
       // Verify user has permission via farm
-      const farm = await Farm.findOne({
-        _id: healthRecord.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(healthRecord.farm, userId);
       
       if (!farm) {
         return null;
@@ -176,7 +215,12 @@ class HealthRecordService {
       
       // Don't allow changing animal or farm
       if (updateData.animal || updateData.farm) {
-        throw new Error('Cannot change animal or farm reference');
+        throw new ValidationError('Cannot change animal or farm reference');
+      }
+      
+      // Stock was taken when the medications were recorded
+      if (updateData.medications && [...healthRecord.medications, ...updateData.medications].some(medication => medication.inventoryItem)) {
+        throw new ValidationError('Medications given from vet inventory cannot be changed; delete the record and record the treatment again');
       }
       
       // If updating to death record, update animal status
@@ -219,7 +263,7 @@ class HealthRecordService {
       
       // Can only resolve ongoing records
       if (healthRecord.status !== 'ongoing') {
-        throw new Error('Only ongoing health records can be marked as resolved');
+        throw new BusinessRuleError('Only ongoing health records can be marked as resolved');
       }
       
       healthRecord.status = 'resolved';
@@ -238,7 +282,8 @@ class HealthRecordService {
     try {
       const healthRecord = await this.getHealthRecordById(recordId, userId);
       
-      if (!healthRecord) {
+      // Already deleted records are not found, so their stock is never returned twice
+      if (!healthRecord || !healthRecord.isActive) {
         return null;
       }
       
@@ -246,6 +291,9 @@ class HealthRecordService {
       healthRecord.isActive = false;
       await healthRecord.save();
       
+      // Medications given from vet inventory go back into stock
+      await vetInventoryService.returnStock(healthRecord.medications);
+      
       return healthRecord;
     } catch (error) {
       console.error('Service error deleting health record:', error);
@@ -260,17 +308,13 @@ class HealthRecordService {
       const animal = await Animal.findById(animalId);
       
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Get recent health records (last 90 days)
@@ -378,18 +422,161 @@ class HealthRecordService {
     return 'stable';
   }
   
+  // Withdrawal windows of a record's medications. The period runs from the last dose:
+  // the medication end date, else the record end date. Ongoing treatment without an
+  // end date is assumed to continue up to `asOf`.
+  medicationWithdrawals(record, asOf = new Date()) {
+    const windows = [];
+    
+    record.medications.forEach(medication => {
+      const startDate = new Date(medication.startDate || record.startDate);
+      const lastDose = medication.endDate || record.endDate
+        || (record.status === 'ongoing' ? asOf : startDate);
+      
+      Object.entries(WITHDRAWAL_PERIODS).forEach(([kind, field]) => {
+        const days = medication.withdrawalPeriod?.[field];
+        
+        if (days > 0) {
+          windows.push({
+            kind,
+            healthRecord: record._id,
+            medication: medication.name,
+            startDate,
+            until: new Date(new Date(lastDose).getTime() + days * DAY_MS),
+          });
+        }
+      });
+    });
+    
+    return windows;
+  }
+  
+  // Withdrawal status of an animal on a date, per kind (meat, milkEggs).
+  // `until` is when the last window covering the date ends (null when not withdrawn).
+  withdrawalStatus(records, asOf = new Date()) {
+    const date = new Date(asOf);
+    const status = {};
+    
+    Object.keys(WITHDRAWAL_PERIODS).forEach(kind => {
+      status[kind] = { underWithdrawal: false, until: null, medications: [] };
+    });
+    
+    records
+      .flatMap(record => this.medicationWithdrawals(record, date))
+      .filter(window => window.startDate <= date && window.until > date)
+      .forEach(window => {
+        const kindStatus = status[window.kind];
+        kindStatus.underWithdrawal = true;
+        kindStatus.medications.push({
+          healthRecord: window.healthRecord,
+          name: window.medication,
+          until: window.until,
+        });
+        
+        if (!kindStatus.until || window.until > kindStatus.until) {
+          kindStatus.until = window.until;
+        }
+      });
+    
+    return status;
+  }
+  
+  // Withdrawal status of an animal on a date (no permission check, used by other services)
+  async getWithdrawalStatus(animalId, asOf = new Date()) {
+    const records = await HealthRecord.find({ ...withWithdrawalPeriod, animal: animalId })
+      .select('medications startDate endDate status')
+      .lean();
+    
+    return this.withdrawalStatus(records, asOf);
+  }
+  
+  // Get the current withdrawal status of an animal
+  async getAnimalWithdrawal(animalId, userId) {
+    try {
+      const animal = await Animal.findById(animalId);
+      
+      if (!animal) {
+        throw new NotFoundError('Animal not found');
+      }
+      
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
+      
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+      
+      const status = await this.getWithdrawalStatus(animal._id);
+      
+      return {
+        animal: {
+          _id: animal._id,
+          name: animal.name,
+          tagNumber: animal.tagNumber,
+        },
+        ...status,
+      };
+    } catch (error) {
+      console.error('Service error getting animal withdrawal status:', error);
+      throw error;
+    }
+  }
+  
+  // Get the live animals of a farm currently under a withdrawal period
+  async getFarmWithdrawals(farmId, userId) {
+    try {
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+      
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+      
+      const records = await HealthRecord.find({ ...withWithdrawalPeriod, farm: farmId })
+        .select('animal medications startDate endDate status')
+        .populate('animal', 'name tagNumber status')
+        .lean();
+      
+      // Group records by animal
+      const byAnimal = new Map();
+      records
+        .filter(record => record.animal && record.animal.status === 'alive')
+        .forEach(record => {
+          const key = record.animal._id.toString();
+          if (!byAnimal.has(key)) {
+            byAnimal.set(key, { animal: record.animal, records: [] });
+          }
+          byAnimal.get(key).records.push(record);
+        });
+      
+      const now = new Date();
+      const animals = [...byAnimal.values()]
+        .map(({ animal, records: animalRecords }) => ({
+          animal,
+          ...this.withdrawalStatus(animalRecords, now),
+        }))
+        .filter(entry => entry.meat.underWithdrawal || entry.milkEggs.underWithdrawal);
+      
+      return {
+        animals,
+        summary: {
+          total: animals.length,
+          meat: animals.filter(entry => entry.meat.underWithdrawal).length,
+          milkEggs: animals.filter(entry => entry.milkEggs.underWithdrawal).length,
+        },
+      };
+    } catch (error) {
+      console.error('Service error getting farm withdrawals:', error);
+      throw error;
+    }
+  }
+  
   // Get health alerts for a farm
   async getHealthAlerts(farmId, userId) {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       const now = new Date();
@@ -426,15 +613,43 @@ class HealthRecordService {
       .populate('animal', 'name tagNumber')
       .lean();
       
+      // Open outbreaks, and quarantined animals past their expected release
+      const activeOutbreaks = await Outbreak.find({
+        farm: farmId,
+        status: { $ne: 'resolved' },
+      })
+      .select('condition scope status detection firstCaseDate lastCaseDate cases')
+      .populate('cases.animal', 'name tagNumber')
+      .lean();
+      
+      const quarantineReviewDue = await Animal.find({
+        farm: farmId,
+        status: 'alive',
+        'quarantine.isQuarantined': true,
+        'quarantine.expectedEndDate': { $lte: now },
+      })
+      .select('name tagNumber quarantine')
+      .lean();
+      
+      // Treatment plan doses past their scheduled time
+      const overdueDoses = await treatmentPlanService.getFarmOverdueDoses(farmId, now);
+      
       return {
         criticalIssues,
         followupAlerts,
         longRunningIssues,
-        totalAlerts: criticalIssues.length + followupAlerts.length + longRunningIssues.length,
+        activeOutbreaks,
+        quarantineReviewDue,
+        overdueDoses,
+        totalAlerts: criticalIssues.length + followupAlerts.length + longRunningIssues.length
+          + activeOutbreaks.length + quarantineReviewDue.length + overdueDoses.length,
         summary: {
           critical: criticalIssues.length,
           followup: followupAlerts.length,
           longRunning: longRunningIssues.length,
+          outbreaks: activeOutbreaks.length,
+          quarantineReview: quarantineReviewDue.length,
+          overdueDoses: overdueDoses.length,
         },
       };
     } catch (error) {
@@ -0,0 +1,235 @@
+// src/modules/animals/operations/health-vaccination/outbreak.controller.js
+const outbreakService = require('./outbreak.service');
+const { NotFoundError } = require('../../../../utils/errors');
+
+// Declare an outbreak
+const createOutbreak = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+
+    const outbreak = await outbreakService.createOutbreak(req.body, userId);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Outbreak recorded successfully',
+      data: outbreak,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Check a farm's recent illnesses for outbreaks
+const scanFarmForOutbreaks = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+
+    const outbreaks = await outbreakService.scanFarm(farmId, userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${outbreaks.length} open outbreak(s) found`,
+      data: outbreaks,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the outbreaks of a farm
+const getFarmOutbreaks = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+    const filters = req.query;
+
+    const result = await outbreakService.getFarmOutbreaks(farmId, userId, filters);
+
+    res.status(200).json({
+      status: 'success',
+      data: result.outbreaks,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get an outbreak with its cases
+const getOutbreak = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { outbreakId } = req.params;
+
+    const outbreak = await outbreakService.getOutbreakDetails(outbreakId, userId);
+
+    if (!outbreak) {
+      throw new NotFoundError('Outbreak not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: outbreak,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update an outbreak's status or notes
+const updateOutbreak = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { outbreakId } = req.params;
+
+    const outbreak = await outbreakService.updateOutbreak(outbreakId, userId, req.body);
+
+    if (!outbreak) {
+      throw new NotFoundError('Outbreak not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Outbreak updated successfully',
+      data: outbreak,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add a case to an outbreak
+const addOutbreakCase = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { outbreakId } = req.params;
+
+    const outbreak = await outbreakService.addCase(outbreakId, userId, req.body);
+
+    if (!outbreak) {
+      throw new NotFoundError('Outbreak not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Case added successfully',
+      data: outbreak,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Quarantine an outbreak's cases
+const quarantineOutbreak = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { outbreakId } = req.params;
+
+    const result = await outbreakService.quarantineOutbreak(outbreakId, userId, req.body);
+
+    if (!result) {
+      throw new NotFoundError('Outbreak not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `${result.quarantined} animal(s) quarantined`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Resolve an outbreak
+const resolveOutbreak = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { outbreakId } = req.params;
+
+    const result = await outbreakService.resolveOutbreak(outbreakId, userId, req.body);
+
+    if (!result) {
+      throw new NotFoundError('Outbreak not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: result.released > 0
+        ? `Outbreak resolved; ${result.released} animal(s) released from quarantine`
+        : 'Outbreak resolved',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Quarantine an animal
+const quarantineAnimal = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { animalId } = req.params;
+
+    const animal = await outbreakService.quarantineAnimal(animalId, userId, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Animal quarantined',
+      data: animal,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Release an animal from quarantine
+const releaseAnimal = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { animalId } = req.params;
+
+    const animal = await outbreakService.releaseAnimal(animalId, userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Animal released from quarantine',
+      data: animal,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the quarantined animals of a farm
+const getFarmQuarantine = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+
+    const quarantine = await outbreakService.getFarmQuarantine(farmId, userId);
+
+    res.status(200).json({
+      status: 'success',
+      data: quarantine,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createOutbreak,
+  scanFarmForOutbreaks,
+  getFarmOutbreaks,
+  getOutbreak,
+  updateOutbreak,
+  addOutbreakCase,
+  quarantineOutbreak,
+  resolveOutbreak,
+  quarantineAnimal,
+  releaseAnimal,
+  getFarmQuarantine,
+};
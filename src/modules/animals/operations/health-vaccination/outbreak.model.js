@@ -0,0 +1,136 @@
+// src/modules/animals/operations/health-vaccination/outbreak.model.js
+const mongoose = require('mongoose');
+
+// An animal reported with the outbreak's condition
+const outbreakCaseSchema = new mongoose.Schema(
+  {
+    animal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Animal',
+      required: true,
+    },
+    healthRecord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HealthRecord',
+    },
+    reportedDate: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Several animals of a farm reported with the same condition within a short window
+const outbreakSchema = new mongoose.Schema(
+  {
+    // Farm reference
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: [true, 'Farm reference is required'],
+    },
+
+    condition: {
+      type: String,
+      required: [true, 'Condition is required'],
+      trim: true,
+      maxlength: [200, 'Condition cannot exceed 200 characters'],
+    },
+
+    // Lower-cased condition, used to match health records
+    conditionKey: {
+      type: String,
+      required: true,
+    },
+
+    // Narrowest group of animals all cases share
+    scope: {
+      level: {
+        type: String,
+        enum: ['group', 'animal_type', 'farm'],
+        default: 'farm',
+      },
+      group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AnimalGroup',
+      },
+      animalType: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AnimalType',
+      },
+    },
+
+    cases: [outbreakCaseSchema],
+
+    status: {
+      type: String,
+      enum: ['active', 'contained', 'resolved'],
+      default: 'active',
+    },
+
+    detection: {
+      type: String,
+      enum: ['automatic', 'manual'],
+      default: 'manual',
+    },
+
+    firstCaseDate: Date,
+    lastCaseDate: Date,
+
+    resolvedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    // Metadata
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+outbreakSchema.index({ farm: 1, status: 1 });
+outbreakSchema.index({ farm: 1, conditionKey: 1, status: 1 });
+
+outbreakSchema.statics.conditionKey = function(condition) {
+  return condition.trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+// Add a case unless the animal is already one; keeps the case dates in step
+outbreakSchema.methods.addCase = function({ animal, healthRecord, reportedDate }) {
+  const animalId = (animal._id || animal).toString();
+
+  if (this.cases.some(existing => existing.animal.toString() === animalId)) {
+    return false;
+  }
+
+  const date = new Date(reportedDate);
+  this.cases.push({ animal: animal._id || animal, healthRecord, reportedDate: date });
+
+  if (!this.firstCaseDate || date < this.firstCaseDate) {
+    this.firstCaseDate = date;
+  }
+  if (!this.lastCaseDate || date > this.lastCaseDate) {
+    this.lastCaseDate = date;
+  }
+
+  return true;
+};
+
+const Outbreak = mongoose.model('Outbreak', outbreakSchema);
+
+module.exports = Outbreak;
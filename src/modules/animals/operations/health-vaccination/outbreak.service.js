@@ -0,0 +1,579 @@
+// src/modules/animals/operations/health-vaccination/outbreak.service.js
+const Outbreak = require('./outbreak.model');
+const HealthRecord = require('./healthRecord.model');
+const Animal = require('../../animalRecords/animal.model');
+const farmAccess = require('../../../farms/farmAccess');
+const { ForbiddenError, NotFoundError, ConflictError, BusinessRuleError } = require('../../../../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// An outbreak is detected when this many animals report the same illness within the window
+const minimumCases = () => parseInt(process.env.OUTBREAK_MIN_CASES) || 3;
+const windowDays = () => parseInt(process.env.OUTBREAK_WINDOW_DAYS) || 14;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Health record conditions matching a condition key, ignoring case and spacing
+const conditionPattern = (conditionKey) =>
+  new RegExp(`^\\s*${conditionKey.split(' ').map(escapeRegExp).join('\\s+')}\\s*$`, 'i');
+
+const sameId = (a, b) => Boolean(a && b && a.toString() === b.toString());
+
+// Narrowest scope all the animals share: their group, else their animal type, else the farm
+const commonScope = (animals) => {
+  const [first] = animals;
+  const animalType = animals.every(animal => sameId(animal.animalType, first.animalType)) ? first.animalType : undefined;
+
+  if (animals.every(animal => sameId(animal.group, first.group))) {
+    return { level: 'group', group: first.group, animalType };
+  }
+
+  if (animalType) {
+    return { level: 'animal_type', animalType };
+  }
+
+  return { level: 'farm' };
+};
+
+const populateOutbreak = (query) => query
+  .populate('cases.animal', 'name tagNumber status group quarantine')
+  .populate('scope.group', 'name')
+  .populate('scope.animalType', 'name');
+
+class OutbreakService {
+  // Recompute the scope of an outbreak from its cases
+  async updateScope(outbreak) {
+    const animals = await Animal.find({ _id: { $in: outbreak.cases.map(outbreakCase => outbreakCase.animal) } })
+      .select('group animalType')
+      .lean();
+
+    if (animals.length > 0) {
+      outbreak.scope = commonScope(animals);
+    }
+
+    return outbreak;
+  }
+
+  // Check a newly recorded illness: it joins the open outbreak of its condition, or starts
+  // one when enough animals of the same type reported the condition within the window around it
+  async detectForRecord(healthRecord, userId) {
+    const conditionKey = Outbreak.conditionKey(healthRecord.condition);
+
+    const openOutbreak = await Outbreak.findOne({
+      farm: healthRecord.farm,
+      conditionKey,
+      status: { $ne: 'resolved' },
+    });
+
+    if (openOutbreak) {
+      if (openOutbreak.addCase({ animal: healthRecord.animal, healthRecord: healthRecord._id, reportedDate: healthRecord.startDate })) {
+        await this.updateScope(openOutbreak);
+        await openOutbreak.save();
+      }
+      return openOutbreak;
+    }
+
+    // Only animals of the same type count: other species sharing a condition name are unrelated
+    const animal = await Animal.findById(healthRecord.animal).select('animalType').lean();
+
+    if (!animal) {
+      return null;
+    }
+
+    const peers = await Animal.find({ farm: healthRecord.farm, animalType: animal.animalType }).distinct('_id');
+
+    const date = new Date(healthRecord.startDate);
+    const window = windowDays() * DAY_MS;
+
+    const records = await HealthRecord.find({
+      farm: healthRecord.farm,
+      animal: { $in: peers },
+      recordType: 'illness',
+      condition: conditionPattern(conditionKey),
+      isActive: true,
+      startDate: { $gte: new Date(date.getTime() - window), $lte: new Date(date.getTime() + window) },
+    })
+    .populate('animal', 'group animalType')
+    .sort({ startDate: 1 })
+    .lean();
+
+    // Each animal counts once, from its first report
+    const firstReports = new Map();
+    records
+      .filter(record => record.animal)
+      .forEach(record => {
+        const key = record.animal._id.toString();
+        if (!firstReports.has(key)) {
+          firstReports.set(key, record);
+        }
+      });
+
+    if (firstReports.size < minimumCases()) {
+      return null;
+    }
+
+    const reports = [...firstReports.values()];
+    const outbreak = new Outbreak({
+      farm: healthRecord.farm,
+      condition: healthRecord.condition,
+      conditionKey,
+      scope: commonScope(reports.map(record => record.animal)),
+      detection: 'automatic',
+      createdBy: userId,
+    });
+
+    reports.forEach(record => outbreak.addCase({
+      animal: record.animal._id,
+      healthRecord: record._id,
+      reportedDate: record.startDate,
+    }));
+
+    await outbreak.save();
+
+    return outbreak;
+  }
+
+  // Check a farm's recent illnesses for outbreaks (e.g. records entered before detection ran)
+  async scanFarm(farmId, userId) {
+    try {
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const records = await HealthRecord.find({
+        farm: farmId,
+        recordType: 'illness',
+        isActive: true,
+        startDate: { $gte: new Date(Date.now() - windowDays() * DAY_MS) },
+      })
+      .select('farm animal condition startDate')
+      .sort({ startDate: 1 })
+      .lean();
+
+      const outbreaks = new Map();
+
+      for (const record of records) {
+        const outbreak = await this.detectForRecord(record, userId);
+        if (outbreak) {
+          outbreaks.set(outbreak._id.toString(), outbreak._id);
+        }
+      }
+
+      return await populateOutbreak(Outbreak.find({ _id: { $in: [...outbreaks.values()] } })).lean();
+    } catch (error) {
+      console.error('Service error scanning farm for outbreaks:', error);
+      throw error;
+    }
+  }
+
+  // Declare an outbreak by hand for a set of animals
+  async createOutbreak(outbreakData, userId) {
+    try {
+      const { farm: farmId, condition, animals: animalIds, notes } = outbreakData;
+
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const conditionKey = Outbreak.conditionKey(condition);
+
+      if (await Outbreak.exists({ farm: farmId, conditionKey, status: { $ne: 'resolved' } })) {
+        throw new ConflictError(`An outbreak of ${condition} is already open on this farm; add cases to it instead`);
+      }
+
+      const animals = await Animal.find({ _id: { $in: animalIds }, farm: farmId }).select('group animalType');
+
+      if (animals.length !== new Set(animalIds.map(id => id.toString())).size) {
+        throw new NotFoundError('One or more animals were not found on this farm');
+      }
+
+      const outbreak = new Outbreak({
+        farm: farmId,
+        condition,
+        conditionKey,
+        scope: commonScope(animals),
+        detection: 'manual',
+        notes,
+        createdBy: userId,
+      });
+
+      for (const animal of animals) {
+        outbreak.addCase(await this.caseFor(animal._id, conditionKey));
+      }
+
+      await outbreak.save();
+
+      return outbreak;
+    } catch (error) {
+      console.error('Service error creating outbreak:', error);
+      throw error;
+    }
+  }
+
+  // A case for an animal, linked to its latest health record with the condition if any
+  async caseFor(animalId, conditionKey, healthRecordId = null) {
+    const query = healthRecordId
+      ? { _id: healthRecordId, animal: animalId }
+      : { animal: animalId, condition: conditionPattern(conditionKey), isActive: true };
+
+    const record = await HealthRecord.findOne(query).sort({ startDate: -1 }).select('startDate');
+
+    if (healthRecordId && !record) {
+      throw new NotFoundError('Health record not found for this animal');
+    }
+
+    return {
+      animal: animalId,
+      healthRecord: record?._id,
+      reportedDate: record?.startDate || new Date(),
+    };
+  }
+
+  // Get the outbreaks of a farm (open ones unless a status is given)
+  async getFarmOutbreaks(farmId, userId, filters = {}) {
+    try {
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const query = {
+        farm: farmId,
+        status: filters.status || { $ne: 'resolved' },
+      };
+
+      // Pagination
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const [outbreaks, totalRecords] = await Promise.all([
+        populateOutbreak(Outbreak.find(query))
+          .sort({ lastCaseDate: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Outbreak.countDocuments(query),
+      ]);
+
+      return {
+        outbreaks,
+        pagination: {
+          page,
+          limit,
+          totalRecords,
+          totalPages: Math.ceil(totalRecords / limit),
+          hasNextPage: page * limit < totalRecords,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      console.error('Service error getting farm outbreaks:', error);
+      throw error;
+    }
+  }
+
+  // Get an outbreak by ID
+  async getOutbreakById(outbreakId, userId) {
+    try {
+      const outbreak = await Outbreak.findById(outbreakId);
+
+      if (!outbreak) {
+        return null;
+      }
+
+      const farm = await farmAccess.findAccessibleFarm(outbreak.farm, userId);
+
+      if (!farm) {
+        return null;
+      }
+
+      return outbreak;
+    } catch (error) {
+      console.error('Service error getting outbreak:', error);
+      throw error;
+    }
+  }
+
+  // Get an outbreak with its cases and scope populated
+  async getOutbreakDetails(outbreakId, userId) {
+    const outbreak = await this.getOutbreakById(outbreakId, userId);
+
+    if (!outbreak) {
+      return null;
+    }
+
+    return await populateOutbreak(Outbreak.findById(outbreak._id));
+  }
+
+  // Update an open outbreak's status (active or contained) or notes
+  async updateOutbreak(outbreakId, userId, updateData) {
+    try {
+      const outbreak = await this.getOutbreakById(outbreakId, userId);
+
+      if (!outbreak) {
+        return null;
+      }
+
+      if (outbreak.status === 'resolved') {
+        throw new BusinessRuleError('Resolved outbreaks cannot be changed');
+      }
+
+      outbreak.set(updateData);
+      await outbreak.save();
+
+      return outbreak;
+    } catch (error) {
+      console.error('Service error updating outbreak:', error);
+      throw error;
+    }
+  }
+
+  // Add an animal to an open outbreak's cases
+  async addCase(outbreakId, userId, { animal: animalId, healthRecord: healthRecordId }) {
+    try {
+      const outbreak = await this.getOutbreakById(outbreakId, userId);
+
+      if (!outbreak) {
+        return null;
+      }
+
+      if (outbreak.status === 'resolved') {
+        throw new BusinessRuleError('Cases cannot be added to a resolved outbreak');
+      }
+
+      const animal = await Animal.findOne({ _id: animalId, farm: outbreak.farm }).select('_id');
+
+      if (!animal) {
+        throw new NotFoundError('Animal not found on this farm');
+      }
+
+      if (!outbreak.addCase(await this.caseFor(animal._id, outbreak.conditionKey, healthRecordId))) {
+        throw new ConflictError('Animal is already a case of this outbreak');
+      }
+
+      await this.updateScope(outbreak);
+      await outbreak.save();
+
+      return outbreak;
+    } catch (error) {
+      console.error('Service error adding outbreak case:', error);
+      throw error;
+    }
+  }
+
+  // Quarantine an outbreak's live cases, and with `includeGroups` every animal sharing a group with them
+  async quarantineOutbreak(outbreakId, userId, { includeGroups = false, expectedEndDate, reason } = {}) {
+    try {
+      const outbreak = await this.getOutbreakById(outbreakId, userId);
+
+      if (!outbreak) {
+        return null;
+      }
+
+      if (outbreak.status === 'resolved') {
+        throw new BusinessRuleError('Cannot quarantine animals for a resolved outbreak');
+      }
+
+      const caseAnimals = outbreak.cases.map(outbreakCase => outbreakCase.animal);
+      const query = { farm: outbreak.farm, status: 'alive', _id: { $in: caseAnimals } };
+
+      if (includeGroups) {
+        const groups = await Animal.distinct('group', { _id: { $in: caseAnimals }, group: { $ne: null } });
+        delete query._id;
+        query.$or = [{ _id: { $in: caseAnimals } }, { group: { $in: groups } }];
+      }
+
+      const quarantined = await this.quarantineAnimals(query, userId, {
+        reason: reason || `Outbreak of ${outbreak.condition}`,
+        expectedEndDate,
+        outbreak: outbreak._id,
+      });
+
+      return { outbreak, quarantined };
+    } catch (error) {
+      console.error('Service error quarantining outbreak:', error);
+      throw error;
+    }
+  }
+
+  // Resolve an outbreak; `releaseQuarantine` releases the animals quarantined for it
+  async resolveOutbreak(outbreakId, userId, { releaseQuarantine = false, notes } = {}) {
+    try {
+      const outbreak = await this.getOutbreakById(outbreakId, userId);
+
+      if (!outbreak) {
+        return null;
+      }
+
+      if (outbreak.status === 'resolved') {
+        throw new BusinessRuleError('Outbreak is already resolved');
+      }
+
+      outbreak.status = 'resolved';
+      outbreak.resolvedAt = new Date();
+      outbreak.resolvedBy = userId;
+      if (notes) {
+        outbreak.notes = notes;
+      }
+      await outbreak.save();
+
+      let released = 0;
+      if (releaseQuarantine) {
+        released = await this.releaseAnimals({ farm: outbreak.farm, 'quarantine.outbreak': outbreak._id }, userId);
+      }
+
+      return { outbreak, released };
+    } catch (error) {
+      console.error('Service error resolving outbreak:', error);
+      throw error;
+    }
+  }
+
+  // ===== QUARANTINE =====
+
+  // Quarantine the matching animals that are not quarantined yet; returns how many were
+  async quarantineAnimals(query, userId, { reason, expectedEndDate, outbreak } = {}) {
+    const update = {
+      $set: {
+        'quarantine.isQuarantined': true,
+        'quarantine.startDate': new Date(),
+        'quarantine.placedBy': userId,
+      },
+      $unset: {
+        'quarantine.releasedAt': 1,
+        'quarantine.releasedBy': 1,
+      },
+    };
+
+    // Details of an earlier quarantine are not carried over
+    Object.entries({ reason, expectedEndDate, outbreak }).forEach(([field, value]) => {
+      if (value == null) {
+        update.$unset[`quarantine.${field}`] = 1;
+      } else {
+        update.$set[`quarantine.${field}`] = value;
+      }
+    });
+
+    const result = await Animal.updateMany({ ...query, 'quarantine.isQuarantined': { $ne: true } }, update);
+
+    return result.modifiedCount;
+  }
+
+  // Release the matching quarantined animals; returns how many were
+  async releaseAnimals(query, userId) {
+    const result = await Animal.updateMany(
+      { ...query, 'quarantine.isQuarantined': true },
+      {
+        'quarantine.isQuarantined': false,
+        'quarantine.releasedAt': new Date(),
+        'quarantine.releasedBy': userId,
+      }
+    );
+
+    return result.modifiedCount;
+  }
+
+  // Quarantine one animal
+  async quarantineAnimal(animalId, userId, { reason, expectedEndDate, outbreak } = {}) {
+    try {
+      const animal = await Animal.findById(animalId);
+
+      if (!animal) {
+        throw new NotFoundError('Animal not found');
+      }
+
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      if (animal.status !== 'alive') {
+        throw new BusinessRuleError('Only live animals can be quarantined');
+      }
+
+      if (animal.quarantine?.isQuarantined) {
+        throw new ConflictError(`Animal ${animal.tagNumber} is already quarantined`);
+      }
+
+      if (outbreak && !(await Outbreak.exists({ _id: outbreak, farm: animal.farm }))) {
+        throw new NotFoundError('Outbreak not found on this farm');
+      }
+
+      await this.quarantineAnimals({ _id: animal._id }, userId, { reason, expectedEndDate, outbreak });
+
+      return await Animal.findById(animal._id);
+    } catch (error) {
+      console.error('Service error quarantining animal:', error);
+      throw error;
+    }
+  }
+
+  // Release one animal from quarantine
+  async releaseAnimal(animalId, userId) {
+    try {
+      const animal = await Animal.findById(animalId);
+
+      if (!animal) {
+        throw new NotFoundError('Animal not found');
+      }
+
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      if (!animal.quarantine?.isQuarantined) {
+        throw new BusinessRuleError(`Animal ${animal.tagNumber} is not quarantined`);
+      }
+
+      await this.releaseAnimals({ _id: animal._id }, userId);
+
+      return await Animal.findById(animal._id);
+    } catch (error) {
+      console.error('Service error releasing animal from quarantine:', error);
+      throw error;
+    }
+  }
+
+  // Get the quarantined animals of a farm
+  async getFarmQuarantine(farmId, userId) {
+    try {
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const animals = await Animal.find({ farm: farmId, 'quarantine.isQuarantined': true })
+        .select('name tagNumber status group animalType quarantine')
+        .populate('group', 'name isIsolation')
+        .populate('quarantine.outbreak', 'condition status')
+        .sort({ 'quarantine.startDate': 1 })
+        .lean();
+
+      const now = new Date();
+
+      return {
+        animals,
+        summary: {
+          total: animals.length,
+          pastExpectedEnd: animals.filter(animal => animal.quarantine.expectedEndDate && animal.quarantine.expectedEndDate < now).length,
+          outsideIsolation: animals.filter(animal => !animal.group?.isIsolation).length,
+        },
+      };
+    } catch (error) {
+      console.error('Service error getting farm quarantine:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new OutbreakService();
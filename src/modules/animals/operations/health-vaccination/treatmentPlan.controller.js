@@ -0,0 +1,155 @@
+// src/modules/animals/operations/health-vaccination/treatmentPlan.controller.js
+const treatmentPlanService = require('./treatmentPlan.service');
+const { NotFoundError } = require('../../../../utils/errors');
+
+// Create a treatment plan
+const createTreatmentPlan = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+
+    const plan = await treatmentPlanService.createTreatmentPlan(req.body, userId);
+
+    res.status(201).json({
+      status: 'success',
+      message: `Treatment plan created with ${plan.doses.length} dose(s)`,
+      data: plan,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the treatment plans of an animal
+const getAnimalTreatmentPlans = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { animalId } = req.params;
+    const filters = req.query;
+
+    const result = await treatmentPlanService.getAnimalTreatmentPlans(animalId, userId, filters);
+
+    res.status(200).json({
+      status: 'success',
+      data: result.plans,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the treatment plans of a farm
+const getFarmTreatmentPlans = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+    const filters = req.query;
+
+    const result = await treatmentPlanService.getFarmTreatmentPlans(farmId, userId, filters);
+
+    res.status(200).json({
+      status: 'success',
+      data: result.plans,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a treatment plan with its doses and compliance
+const getTreatmentPlan = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { planId } = req.params;
+
+    const plan = await treatmentPlanService.getTreatmentPlanDetails(planId, userId);
+
+    if (!plan) {
+      throw new NotFoundError('Treatment plan not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: plan,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark a dose as given
+const markDoseGiven = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { planId, doseId } = req.params;
+
+    const plan = await treatmentPlanService.markDoseGiven(planId, doseId, userId, req.body);
+
+    if (!plan) {
+      throw new NotFoundError('Treatment plan not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: plan.status === 'completed' ? 'Dose recorded; treatment plan completed' : 'Dose recorded',
+      data: plan,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark a dose as skipped
+const skipDose = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { planId, doseId } = req.params;
+
+    const plan = await treatmentPlanService.skipDose(planId, doseId, userId, req.body);
+
+    if (!plan) {
+      throw new NotFoundError('Treatment plan not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: plan.status === 'completed' ? 'Dose skipped; treatment plan completed' : 'Dose skipped',
+      data: plan,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Stop a treatment plan early
+const cancelTreatmentPlan = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { planId } = req.params;
+
+    const plan = await treatmentPlanService.cancelTreatmentPlan(planId, userId, req.body.reason);
+
+    if (!plan) {
+      throw new NotFoundError('Treatment plan not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Treatment plan cancelled',
+      data: plan,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createTreatmentPlan,
+  getAnimalTreatmentPlans,
+  getFarmTreatmentPlans,
+  getTreatmentPlan,
+  markDoseGiven,
+  skipDose,
+  cancelTreatmentPlan,
+};
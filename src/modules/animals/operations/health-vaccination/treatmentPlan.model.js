@@ -0,0 +1,227 @@
+// src/modules/animals/operations/health-vaccination/treatmentPlan.model.js
+const mongoose = require('mongoose');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Hours between doses for each dosing frequency
+const FREQUENCY_INTERVAL_HOURS = {
+  once_daily: 24,
+  twice_daily: 12,
+  three_times_daily: 8,
+  every_other_day: 48,
+  weekly: 168,
+};
+
+// One scheduled administration of the plan's drug
+const treatmentDoseSchema = new mongoose.Schema(
+  {
+    doseNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    scheduledAt: {
+      type: Date,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'given', 'skipped', 'cancelled'],
+      default: 'pending',
+    },
+
+    givenAt: Date,
+
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    skipReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Skip reason cannot exceed 500 characters'],
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+  }
+);
+
+// A multi-day course of one drug for an animal, broken down into individual doses
+const treatmentPlanSchema = new mongoose.Schema(
+  {
+    // Animal reference
+    animal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Animal',
+      required: [true, 'Animal reference is required'],
+    },
+
+    // Farm reference
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: [true, 'Farm reference is required'],
+    },
+
+    // Illness or injury being treated
+    healthRecord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HealthRecord',
+    },
+
+    medicationName: {
+      type: String,
+      required: [true, 'Medication name is required'],
+      trim: true,
+      maxlength: [100, 'Medication name cannot exceed 100 characters'],
+    },
+
+    dose: {
+      value: {
+        type: Number,
+        required: [true, 'Dose is required'],
+        min: 0,
+      },
+      unit: {
+        type: String,
+        required: [true, 'Dose unit is required'],
+        trim: true,
+      },
+    },
+
+    frequency: {
+      type: String,
+      enum: Object.keys(FREQUENCY_INTERVAL_HOURS),
+      required: [true, 'Dosing frequency is required'],
+    },
+
+    route: {
+      type: String,
+      enum: ['injection', 'oral', 'topical', 'intramammary', 'other'],
+      default: 'oral',
+    },
+
+    durationDays: {
+      type: Number,
+      required: [true, 'Treatment duration is required'],
+      min: [1, 'Treatment must last at least one day'],
+      max: [90, 'Treatment cannot exceed 90 days'],
+    },
+
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+
+    endDate: Date,
+
+    doses: [treatmentDoseSchema],
+
+    status: {
+      type: String,
+      enum: ['active', 'completed', 'cancelled'],
+      default: 'active',
+    },
+
+    completedAt: Date,
+    cancelledAt: Date,
+    cancelReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Cancel reason cannot exceed 500 characters'],
+    },
+
+    // Veterinarian who prescribed the plan
+    veterinarian: {
+      name: String,
+      contact: String,
+      clinic: String,
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    // Metadata
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+treatmentPlanSchema.index({ animal: 1, status: 1 });
+treatmentPlanSchema.index({ farm: 1, status: 1 });
+treatmentPlanSchema.index({ healthRecord: 1 });
+
+treatmentPlanSchema.statics.FREQUENCY_INTERVAL_HOURS = FREQUENCY_INTERVAL_HOURS;
+
+// Lay out one dose per interval from the start date until the course ends
+treatmentPlanSchema.methods.generateDoses = function() {
+  const start = new Date(this.startDate).getTime();
+  const end = start + this.durationDays * DAY_MS;
+  const interval = FREQUENCY_INTERVAL_HOURS[this.frequency] * HOUR_MS;
+
+  this.endDate = new Date(end);
+  this.doses = [];
+
+  for (let time = start; time < end; time += interval) {
+    this.doses.push({ doseNumber: this.doses.length + 1, scheduledAt: new Date(time) });
+  }
+
+  return this.doses;
+};
+
+// Pending doses that should have been given by `cutoff`
+treatmentPlanSchema.methods.overdueDoses = function(cutoff = new Date()) {
+  return this.doses.filter(dose => dose.status === 'pending' && dose.scheduledAt <= cutoff);
+};
+
+// Dose counts and the share of doses due so far that were actually given. Doses
+// given ahead of schedule count as due.
+treatmentPlanSchema.methods.compliance = function(asOf = new Date()) {
+  const doses = this.doses.filter(dose => dose.status !== 'cancelled');
+  const due = doses.filter(dose => dose.status !== 'pending' || dose.scheduledAt <= asOf);
+  const given = doses.filter(dose => dose.status === 'given').length;
+  const skipped = doses.filter(dose => dose.status === 'skipped').length;
+  const missed = due.filter(dose => dose.status === 'pending').length;
+
+  return {
+    totalDoses: doses.length,
+    dueDoses: due.length,
+    given,
+    skipped,
+    missed,
+    remaining: doses.length - due.length,
+    compliancePercent: due.length > 0 ? Math.round((given / due.length) * 100) : null,
+  };
+};
+
+// Close the plan once no dose is left pending
+treatmentPlanSchema.methods.completeIfDone = function() {
+  if (this.status === 'active' && !this.doses.some(dose => dose.status === 'pending')) {
+    this.status = 'completed';
+    this.completedAt = new Date();
+  }
+
+  return this.status;
+};
+
+const TreatmentPlan = mongoose.model('TreatmentPlan', treatmentPlanSchema);
+
+module.exports = TreatmentPlan;
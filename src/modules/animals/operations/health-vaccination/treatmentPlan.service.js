@@ -0,0 +1,320 @@
+// src/modules/animals/operations/health-vaccination/treatmentPlan.service.js
+const TreatmentPlan = require('./treatmentPlan.model');
+const HealthRecord = require('./healthRecord.model');
+const Animal = require('../../animalRecords/animal.model');
+const AnimalType = require('../../../animalTypes/animalType.model');
+const farmAccess = require('../../../farms/farmAccess');
+const { ValidationError, ForbiddenError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A pending dose becomes overdue this many hours after its scheduled time
+const doseGraceHours = () => parseInt(process.env.TREATMENT_DOSE_GRACE_HOURS) || 2;
+
+const overdueCutoff = (asOf = new Date()) => new Date(asOf.getTime() - doseGraceHours() * HOUR_MS);
+
+// Plan as returned to clients, with its compliance worked out as of now
+const withCompliance = (plan) => ({
+  ...plan.toObject(),
+  compliance: plan.compliance(),
+});
+
+class TreatmentPlanService {
+  // Create a treatment plan and lay out its doses
+  async createTreatmentPlan(planData, userId) {
+    try {
+      const animal = await Animal.findById(planData.animal);
+
+      if (!animal) {
+        throw new NotFoundError('Animal not found');
+      }
+
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const animalType = await AnimalType.findById(animal.animalType);
+
+      if (!animalType || !animalType.features?.healthVaccinations) {
+        throw new BusinessRuleError('Health & vaccinations module is not enabled for this animal type');
+      }
+
+      if (animal.status !== 'alive') {
+        throw new BusinessRuleError('Treatment plans can only be created for live animals');
+      }
+
+      if (planData.healthRecord) {
+        const healthRecord = await HealthRecord.findOne({
+          _id: planData.healthRecord,
+          animal: animal._id,
+          isActive: true,
+        });
+
+        if (!healthRecord) {
+          throw new ValidationError('Health record not found for this animal');
+        }
+      }
+
+      const plan = new TreatmentPlan({
+        ...planData,
+        farm: animal.farm,
+        createdBy: userId,
+      });
+
+      plan.generateDoses();
+      await plan.save();
+
+      return withCompliance(plan);
+    } catch (error) {
+      console.error('Service error creating treatment plan:', error);
+      throw error;
+    }
+  }
+
+  // Get paginated treatment plans for a query
+  async findPlans(query, filters = {}) {
+    // Pagination
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const [plans, totalRecords] = await Promise.all([
+      TreatmentPlan.find(query)
+        .populate('animal', 'name tagNumber status')
+        .populate('healthRecord', 'condition recordType status')
+        .sort({ startDate: -1 })
+        .skip(skip)
+        .limit(limit),
+      TreatmentPlan.countDocuments(query),
+    ]);
+
+    return {
+      plans: plans.map(withCompliance),
+      pagination: {
+        page,
+        limit,
+        totalRecords,
+        totalPages: Math.ceil(totalRecords / limit),
+        hasNextPage: page * limit < totalRecords,
+        hasPrevPage: page > 1,
+      },
+    };
+  }
+
+  // Get the treatment plans of an animal
+  async getAnimalTreatmentPlans(animalId, userId, filters = {}) {
+    try {
+      const animal = await Animal.findById(animalId);
+
+      if (!animal) {
+        throw new NotFoundError('Animal not found');
+      }
+
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const query = { animal: animalId };
+
+      if (filters.status) {
+        query.status = filters.status;
+      }
+
+      return await this.findPlans(query, filters);
+    } catch (error) {
+      console.error('Service error getting animal treatment plans:', error);
+      throw error;
+    }
+  }
+
+  // Get the treatment plans of a farm (active ones unless a status is given)
+  async getFarmTreatmentPlans(farmId, userId, filters = {}) {
+    try {
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      return await this.findPlans({ farm: farmId, status: filters.status || 'active' }, filters);
+    } catch (error) {
+      console.error('Service error getting farm treatment plans:', error);
+      throw error;
+    }
+  }
+
+  // Get a treatment plan by ID
+  async getTreatmentPlanById(planId, userId) {
+    try {
+      const plan = await TreatmentPlan.findById(planId);
+
+      if (!plan) {
+        return null;
+      }
+
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(plan.farm, userId);
+
+      if (!farm) {
+        return null;
+      }
+
+      return plan;
+    } catch (error) {
+      console.error('Service error getting treatment plan:', error);
+      throw error;
+    }
+  }
+
+  // Get a treatment plan with its compliance
+  async getTreatmentPlanDetails(planId, userId) {
+    const plan = await this.getTreatmentPlanById(planId, userId);
+
+    if (!plan) {
+      return null;
+    }
+
+    await plan.populate([
+      { path: 'animal', select: 'name tagNumber status' },
+      { path: 'healthRecord', select: 'condition recordType status startDate' },
+      { path: 'doses.recordedBy', select: 'name email' },
+    ]);
+
+    return withCompliance(plan);
+  }
+
+  // Find a pending dose of an active plan
+  async pendingDose(planId, doseId, userId) {
+    const plan = await this.getTreatmentPlanById(planId, userId);
+
+    if (!plan) {
+      return {};
+    }
+
+    if (plan.status !== 'active') {
+      throw new BusinessRuleError(`Doses cannot be recorded on a ${plan.status} treatment plan`);
+    }
+
+    const dose = plan.doses.id(doseId);
+
+    if (!dose) {
+      throw new NotFoundError('Dose not found on this treatment plan');
+    }
+
+    if (dose.status !== 'pending') {
+      throw new BusinessRuleError(`Dose ${dose.doseNumber} has already been ${dose.status}`);
+    }
+
+    return { plan, dose };
+  }
+
+  // Mark a dose as given
+  async markDoseGiven(planId, doseId, userId, { givenAt, notes } = {}) {
+    try {
+      const { plan, dose } = await this.pendingDose(planId, doseId, userId);
+
+      if (!plan) {
+        return null;
+      }
+
+      dose.status = 'given';
+      dose.givenAt = givenAt || new Date();
+      dose.recordedBy = userId;
+      dose.notes = notes;
+
+      plan.completeIfDone();
+      await plan.save();
+
+      return withCompliance(plan);
+    } catch (error) {
+      console.error('Service error marking dose given:', error);
+      throw error;
+    }
+  }
+
+  // Mark a dose as skipped
+  async skipDose(planId, doseId, userId, { reason } = {}) {
+    try {
+      const { plan, dose } = await this.pendingDose(planId, doseId, userId);
+
+      if (!plan) {
+        return null;
+      }
+
+      dose.status = 'skipped';
+      dose.skipReason = reason;
+      dose.recordedBy = userId;
+
+      plan.completeIfDone();
+      await plan.save();
+
+      return withCompliance(plan);
+    } catch (error) {
+      console.error('Service error skipping dose:', error);
+      throw error;
+    }
+  }
+
+  // Stop a plan early; its remaining doses are cancelled
+  async cancelTreatmentPlan(planId, userId, reason) {
+    try {
+      const plan = await this.getTreatmentPlanById(planId, userId);
+
+      if (!plan) {
+        return null;
+      }
+
+      if (plan.status !== 'active') {
+        throw new BusinessRuleError(`Only active treatment plans can be cancelled (this one is ${plan.status})`);
+      }
+
+      plan.doses
+        .filter(dose => dose.status === 'pending')
+        .forEach(dose => { dose.status = 'cancelled'; });
+
+      plan.status = 'cancelled';
+      plan.cancelledAt = new Date();
+      plan.cancelReason = reason;
+      await plan.save();
+
+      return withCompliance(plan);
+    } catch (error) {
+      console.error('Service error cancelling treatment plan:', error);
+      throw error;
+    }
+  }
+
+  // Overdue doses of a farm's active plans for live animals, oldest first
+  async getFarmOverdueDoses(farmId, asOf = new Date()) {
+    const cutoff = overdueCutoff(asOf);
+
+    const plans = await TreatmentPlan.find({
+      farm: farmId,
+      status: 'active',
+      doses: { $elemMatch: { status: 'pending', scheduledAt: { $lte: cutoff } } },
+    })
+    .populate('animal', 'name tagNumber status');
+
+    return plans
+      .filter(plan => plan.animal?.status === 'alive')
+      .flatMap(plan => plan.overdueDoses(cutoff).map(dose => ({
+        plan: plan._id,
+        dose: dose._id,
+        animal: plan.animal,
+        medicationName: plan.medicationName,
+        doseNumber: dose.doseNumber,
+        totalDoses: plan.doses.length,
+        scheduledAt: dose.scheduledAt,
+      })))
+      .sort((a, b) => a.scheduledAt - b.scheduledAt);
+  }
+}
+
+module.exports = new TreatmentPlanService();
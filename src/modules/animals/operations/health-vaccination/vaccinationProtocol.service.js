@@ -0,0 +1,334 @@
+// src/modules/animals/operations/health-vaccination/vaccinationProtocol.service.js
+const DueVaccination = require('./dueVaccination.model');
+const VaccinationRecord = require('./vaccinationRecord.model');
+const Animal = require('../../animalRecords/animal.model');
+const AnimalType = require('../../../animalTypes/animalType.model');
+const farmAccess = require('../../../farms/farmAccess');
+const { ForbiddenError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Vaccine names are matched case-insensitively, as typed on records
+const sameVaccine = (vaccineName) => new RegExp(`^${escapeRegExp(vaccineName.trim())}$`, 'i');
+
+class VaccinationProtocolService {
+  // Dose that follows `doseNumber` given (or due) on `date`, or null when the protocol is complete
+  nextDose(protocol, doseNumber, date) {
+    const primaryDoses = protocol.primaryDoses || 1;
+
+    if (doseNumber < primaryDoses) {
+      return {
+        doseNumber: doseNumber + 1,
+        dueDate: addDays(date, protocol.boosterIntervalDays),
+        isRepeat: false,
+      };
+    }
+
+    if (protocol.repeatIntervalDays) {
+      return {
+        doseNumber: doseNumber + 1,
+        dueDate: addDays(date, protocol.repeatIntervalDays),
+        isRepeat: true,
+      };
+    }
+
+    return null;
+  }
+
+  // First dose at the protocol age; animals already past that age are due now
+  firstDose(protocol, animal) {
+    const dueDate = addDays(animal.dateOfBirth, protocol.firstDoseAgeDays);
+    const today = startOfToday();
+
+    return {
+      doseNumber: 1,
+      dueDate: dueDate < today ? today : dueDate,
+      isRepeat: false,
+    };
+  }
+
+  // Add a dose as pending unless it is already scheduled
+  async scheduleDose(animal, protocol, dose, userId) {
+    const result = await DueVaccination.updateOne(
+      {
+        animal: animal._id,
+        vaccineName: protocol.vaccineName,
+        doseNumber: dose.doseNumber,
+      },
+      {
+        $setOnInsert: {
+          farm: animal.farm,
+          animalType: animal.animalType._id || animal.animalType,
+          vaccineType: protocol.vaccineType,
+          totalDoses: protocol.primaryDoses || 1,
+          isRepeat: dose.isRepeat,
+          dueDate: dose.dueDate,
+          status: 'pending',
+          createdBy: userId,
+        },
+      },
+      { upsert: true }
+    );
+
+    return result.upsertedCount > 0;
+  }
+
+  // Schedule the next due dose of each protocol of the animal's type. Protocols the
+  // animal is already following are left alone; ones with past vaccinations continue from the latest.
+  async scheduleForAnimal(animal, animalType, userId) {
+    try {
+      if (!animalType?.features?.healthVaccinations || animal.status !== 'alive') {
+        return [];
+      }
+
+      const scheduled = [];
+
+      for (const protocol of animalType.vaccinationProtocolsFor(animal.gender)) {
+        const vaccine = sameVaccine(protocol.vaccineName);
+
+        if (await DueVaccination.exists({ animal: animal._id, vaccineName: vaccine, status: 'pending' })) {
+          continue;
+        }
+
+        const latest = await VaccinationRecord.findOne({
+          animal: animal._id,
+          vaccineName: vaccine,
+          isActive: true,
+        }).sort({ doseNumber: -1, dateAdministered: -1 });
+
+        const dose = latest
+          ? this.nextDose(protocol, latest.doseNumber, latest.dateAdministered)
+          : this.firstDose(protocol, animal);
+
+        if (dose && await this.scheduleDose(animal, protocol, dose, userId)) {
+          scheduled.push({ vaccineName: protocol.vaccineName, ...dose });
+        }
+      }
+
+      return scheduled;
+    } catch (error) {
+      console.error('Service error scheduling animal vaccinations:', error);
+      throw error;
+    }
+  }
+
+  // Schedule protocol vaccinations for the living animals of a type (e.g. after adding a protocol)
+  async scheduleForAnimalType(animalTypeId, userId) {
+    try {
+      const animalType = await AnimalType.findById(animalTypeId);
+
+      if (!animalType) {
+        throw new NotFoundError('Animal type not found');
+      }
+
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(animalType.farm, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      if (!animalType.features?.healthVaccinations) {
+        throw new BusinessRuleError('Health & vaccinations module is not enabled for this animal type');
+      }
+
+      const animals = await Animal.find({
+        farm: animalType.farm,
+        animalType: animalType._id,
+        status: 'alive',
+      });
+
+      let vaccinationsScheduled = 0;
+      let animalsScheduled = 0;
+
+      for (const animal of animals) {
+        const scheduled = await this.scheduleForAnimal(animal, animalType, userId);
+        vaccinationsScheduled += scheduled.length;
+        if (scheduled.length > 0) {
+          animalsScheduled++;
+        }
+      }
+
+      return {
+        animalsChecked: animals.length,
+        animalsScheduled,
+        vaccinationsScheduled,
+      };
+    } catch (error) {
+      console.error('Service error scheduling animal type vaccinations:', error);
+      throw error;
+    }
+  }
+
+  // A vaccination was recorded: complete the due doses it covers, schedule the next
+  // dose of the protocol and fill in the record's next due date when it was left out
+  async recordVaccination(vaccinationRecord, userId) {
+    try {
+      const vaccine = sameVaccine(vaccinationRecord.vaccineName);
+
+      await DueVaccination.updateMany(
+        {
+          animal: vaccinationRecord.animal,
+          vaccineName: vaccine,
+          doseNumber: { $lte: vaccinationRecord.doseNumber },
+          status: 'pending',
+        },
+        {
+          status: 'completed',
+          vaccinationRecord: vaccinationRecord._id,
+          completedAt: vaccinationRecord.dateAdministered,
+        }
+      );
+
+      const animal = await Animal.findById(vaccinationRecord.animal);
+      const animalType = animal && await AnimalType.findById(animal.animalType);
+
+      if (!animalType) {
+        return null;
+      }
+
+      const protocol = animalType.vaccinationProtocolsFor(animal.gender)
+        .find(candidate => vaccine.test(candidate.vaccineName));
+
+      if (!protocol) {
+        return null;
+      }
+
+      const dose = this.nextDose(protocol, vaccinationRecord.doseNumber, vaccinationRecord.dateAdministered);
+
+      if (!vaccinationRecord.totalDoses) {
+        vaccinationRecord.totalDoses = protocol.primaryDoses || 1;
+      }
+      if (dose && !vaccinationRecord.nextDueDate) {
+        vaccinationRecord.nextDueDate = dose.dueDate;
+      }
+      await vaccinationRecord.save();
+
+      if (!dose) {
+        return null;
+      }
+
+      await this.scheduleDose(animal, protocol, dose, userId);
+      return { vaccineName: protocol.vaccineName, ...dose };
+    } catch (error) {
+      console.error('Service error advancing vaccination protocol:', error);
+      throw error;
+    }
+  }
+
+  // Due protocol vaccinations of an animal, soonest first
+  async getAnimalDueVaccinations(animalId, userId, filters = {}) {
+    try {
+      const animal = await Animal.findById(animalId);
+
+      if (!animal) {
+        throw new NotFoundError('Animal not found');
+      }
+
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const query = {
+        animal: animalId,
+        status: filters.status || 'pending',
+      };
+
+      const dueVaccinations = await DueVaccination.find(query)
+        .populate('vaccinationRecord', 'dateAdministered doseNumber')
+        .sort({ dueDate: 1 })
+        .lean();
+
+      const now = new Date();
+
+      return dueVaccinations.map(due => ({
+        ...due,
+        isOverdue: due.status === 'pending' && due.dueDate <= now,
+        daysUntilDue: Math.ceil((due.dueDate - now) / DAY_MS),
+      }));
+    } catch (error) {
+      console.error('Service error getting due vaccinations:', error);
+      throw error;
+    }
+  }
+
+  // Skip a due dose; the protocol carries on from the date it was due
+  async skipDueVaccination(dueId, userId, reason) {
+    try {
+      const due = await DueVaccination.findById(dueId);
+
+      if (!due) {
+        return null;
+      }
+
+      const farm = await farmAccess.findAccessibleFarm(due.farm, userId);
+
+      if (!farm) {
+        return null;
+      }
+
+      if (due.status !== 'pending') {
+        throw new BusinessRuleError(`Only pending vaccinations can be skipped (this one is ${due.status})`);
+      }
+
+      due.status = 'skipped';
+      due.skipReason = reason;
+      await due.save();
+
+      const animal = await Animal.findById(due.animal);
+      const animalType = animal && await AnimalType.findById(animal.animalType);
+      const protocol = animalType?.vaccinationProtocolsFor(animal.gender)
+        .find(candidate => sameVaccine(due.vaccineName).test(candidate.vaccineName));
+      const dose = protocol && this.nextDose(protocol, due.doseNumber, due.dueDate);
+
+      if (dose) {
+        await this.scheduleDose(animal, protocol, dose, userId);
+      }
+
+      return due;
+    } catch (error) {
+      console.error('Service error skipping due vaccination:', error);
+      throw error;
+    }
+  }
+
+  // Pending protocol doses of a farm's living animals, overdue or due within `withinDays`
+  async getFarmDueAlerts(farmId, withinDays = 7) {
+    const now = new Date();
+
+    const dueVaccinations = await DueVaccination.find({
+      farm: farmId,
+      status: 'pending',
+      dueDate: { $lte: addDays(now, withinDays) },
+    })
+    .populate('animal', 'name tagNumber status')
+    .sort({ dueDate: 1 })
+    .lean();
+
+    const alerts = dueVaccinations
+      .filter(due => due.animal && due.animal.status === 'alive')
+      .map(due => ({
+        ...due,
+        daysUntilDue: Math.ceil((due.dueDate - now) / DAY_MS),
+      }));
+
+    return {
+      overdue: alerts.filter(due => due.dueDate <= now),
+      dueSoon: alerts.filter(due => due.dueDate > now),
+    };
+  }
+}
+
+module.exports = new VaccinationProtocolService();
@@ -1,21 +1,14 @@
 // src/modules/animals/operations/health-vaccination/vaccinationRecord.controller.js
 const vaccinationRecordService = require('./vaccinationRecord.service');
+const vaccinationProtocolService = require('./vaccinationProtocol.service');
+const { NotFoundError } = require('../../../../utils/errors');
 
 // Create vaccination record
-const createVaccinationRecord = async (req, res) => {
+const createVaccinationRecord = async (req, res, next) => {
   try {
     const userId = req.userId;
     const vaccineData = req.body;
 
-    // Validate required fields
-    if (!vaccineData.animal || !vaccineData.vaccineName || 
-        !vaccineData.doseNumber || !vaccineData.dateAdministered) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Animal, vaccine name, dose number, and date administered are required',
-      });
-    }
-
     const vaccinationRecord = await vaccinationRecordService.createVaccinationRecord(vaccineData, userId);
 
     res.status(201).json({
@@ -24,38 +17,12 @@ const createVaccinationRecord = async (req, res) => {
       data: vaccinationRecord,
     });
   } catch (error) {
-    console.error('Error creating vaccination record:', error);
-    
-    if (error.message.includes('not found') || error.message.includes('permission')) {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message.includes('not enabled')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message.includes('already administered')) {
-      return res.status(409).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to create vaccination record',
-    });
+    next(error);
   }
 };
 
 // Get vaccination records for an animal
-const getAnimalVaccinationRecords = async (req, res) => {
+const getAnimalVaccinationRecords = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -69,31 +36,12 @@ const getAnimalVaccinationRecords = async (req, res) => {
       pagination: result.pagination,
     });
   } catch (error) {
-    console.error('Error fetching animal vaccination records:', error);
-    
-    if (error.message === 'Animal not found') {
-      return res.status(404).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch vaccination records',
-    });
+    next(error);
   }
 };
 
 // Get vaccination record by ID
-const getVaccinationRecord = async (req, res) => {
+const getVaccinationRecord = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { recordId } = req.params;
@@ -101,10 +49,7 @@ const getVaccinationRecord = async (req, res) => {
     const vaccinationRecord = await vaccinationRecordService.getVaccinationRecordById(recordId, userId);
 
     if (!vaccinationRecord) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Vaccination record not found',
-      });
+      throw new NotFoundError('Vaccination record not found');
     }
 
     res.status(200).json({
@@ -112,16 +57,12 @@ const getVaccinationRecord = async (req, res) => {
       data: vaccinationRecord,
     });
   } catch (error) {
-    console.error('Error fetching vaccination record:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch vaccination record',
-    });
+    next(error);
   }
 };
 
 // Update vaccination record
-const updateVaccinationRecord = async (req, res) => {
+const updateVaccinationRecord = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { recordId } = req.params;
@@ -130,10 +71,7 @@ const updateVaccinationRecord = async (req, res) => {
     const updatedRecord = await vaccinationRecordService.updateVaccinationRecord(recordId, userId, updateData);
 
     if (!updatedRecord) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Vaccination record not found',
-      });
+      throw new NotFoundError('Vaccination record not found');
     }
 
     res.status(200).json({
@@ -142,24 +80,12 @@ const updateVaccinationRecord = async (req, res) => {
       data: updatedRecord,
     });
   } catch (error) {
-    console.error('Error updating vaccination record:', error);
-    
-    if (error.message.includes('Cannot change')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to update vaccination record',
-    });
+    next(error);
   }
 };
 
 // Delete vaccination record
-const deleteVaccinationRecord = async (req, res) => {
+const deleteVaccinationRecord = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { recordId } = req.params;
@@ -167,10 +93,7 @@ const deleteVaccinationRecord = async (req, res) => {
     const vaccinationRecord = await vaccinationRecordService.deleteVaccinationRecord(recordId, userId);
 
     if (!vaccinationRecord) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Vaccination record not found',
-      });
+      throw new NotFoundError('Vaccination record not found');
     }
 
     res.status(200).json({
@@ -178,16 +101,12 @@ const deleteVaccinationRecord = async (req, res) => {
       message: 'Vaccination record deleted successfully',
     });
   } catch (error) {
-    console.error('Error deleting vaccination record:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to delete vaccination record',
-    });
+    next(error);
   }
 };
 
 // Get animal vaccination summary
-const getAnimalVaccinationSummary = async (req, res) => {
+const getAnimalVaccinationSummary = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -199,31 +118,12 @@ const getAnimalVaccinationSummary = async (req, res) => {
       data: summary,
     });
   } catch (error) {
-    console.error('Error fetching animal vaccination summary:', error);
-    
-    if (error.message === 'Animal not found') {
-      return res.status(404).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch vaccination summary',
-    });
+    next(error);
   }
 };
 
 // Get vaccination alerts for a farm
-const getVaccinationAlerts = async (req, res) => {
+const getVaccinationAlerts = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -235,24 +135,12 @@ const getVaccinationAlerts = async (req, res) => {
       data: alerts,
     });
   } catch (error) {
-    console.error('Error fetching vaccination alerts:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch vaccination alerts',
-    });
+    next(error);
   }
 };
 
 // Mark vaccination reminder as sent
-const markReminderSent = async (req, res) => {
+const markReminderSent = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { recordId } = req.params;
@@ -260,10 +148,7 @@ const markReminderSent = async (req, res) => {
     const vaccinationRecord = await vaccinationRecordService.markReminderSent(recordId, userId);
 
     if (!vaccinationRecord) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Vaccination record not found',
-      });
+      throw new NotFoundError('Vaccination record not found');
     }
 
     res.status(200).json({
@@ -272,11 +157,64 @@ const markReminderSent = async (req, res) => {
       data: vaccinationRecord,
     });
   } catch (error) {
-    console.error('Error marking reminder as sent:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to mark reminder as sent',
+    next(error);
+  }
+};
+
+// Get protocol vaccinations due for an animal
+const getAnimalDueVaccinations = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { animalId } = req.params;
+
+    const dueVaccinations = await vaccinationProtocolService.getAnimalDueVaccinations(animalId, userId, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      data: dueVaccinations,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Skip a due protocol vaccination
+const skipDueVaccination = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { dueId } = req.params;
+
+    const dueVaccination = await vaccinationProtocolService.skipDueVaccination(dueId, userId, req.body.reason);
+
+    if (!dueVaccination) {
+      throw new NotFoundError('Due vaccination not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Vaccination skipped',
+      data: dueVaccination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Schedule protocol vaccinations for the existing animals of a type
+const scheduleAnimalTypeVaccinations = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { animalTypeId } = req.params;
+
+    const result = await vaccinationProtocolService.scheduleForAnimalType(animalTypeId, userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${result.vaccinationsScheduled} vaccinations scheduled for ${result.animalsScheduled} animals`,
+      data: result,
     });
+  } catch (error) {
+    next(error);
   }
 };
 
@@ -289,4 +227,7 @@ module.exports = {
   getAnimalVaccinationSummary,
   getVaccinationAlerts,
   markReminderSent,
+  getAnimalDueVaccinations,
+  skipDueVaccination,
+  scheduleAnimalTypeVaccinations,
 };
\ No newline at end of file
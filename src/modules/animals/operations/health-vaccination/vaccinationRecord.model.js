@@ -67,6 +67,21 @@ const vaccinationRecordSchema = new mongoose.Schema(
       type: Date,
     },
     
+    // Stock the vaccine was given from (vet inventory); quantity is in the vaccine's unit
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VetMedicine',
+    },
+    
+    inventoryBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    
+    quantity: {
+      type: Number,
+      min: 0,
+    },
+    
     // Administration details
     administeredBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -151,6 +166,7 @@ vaccinationRecordSchema.index({ animal: 1, vaccineName: 1 });
 vaccinationRecordSchema.index({ farm: 1, nextDueDate: 1 });
 vaccinationRecordSchema.index({ animal: 1, dateAdministered: -1 });
 vaccinationRecordSchema.index({ nextDueDate: 1, reminderSent: 1 });
+vaccinationRecordSchema.index({ inventoryBatch: 1 });
 
 // Virtual for vaccination status
 vaccinationRecordSchema.virtual('status').get(function() {
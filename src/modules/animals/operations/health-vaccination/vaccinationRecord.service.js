@@ -1,8 +1,11 @@
 // src/modules/animals/operations/health-vaccination/vaccinationRecord.service.js
 const VaccinationRecord = require('./vaccinationRecord.model');
+const vaccinationProtocolService = require('./vaccinationProtocol.service');
+const vetInventoryService = require('./vetInventory.service');
 const Animal = require('../../animalRecords/animal.model');
-const Farm = require('../../../farms/farm.model');
+const farmAccess = require('../../../farms/farmAccess');
 const AnimalType = require('../../../animalTypes/animalType.model');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError, BusinessRuleError } = require('../../../../utils/errors');
 
 class VaccinationRecordService {
   // Create vaccination record
@@ -12,25 +15,21 @@ class VaccinationRecordService {
       const animal = await Animal.findById(vaccineData.animal);
       
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Verify animal type has health vaccinations enabled
       const animalType = await AnimalType.findById(animal.animalType);
       
       if (!animalType || !animalType.features?.healthVaccinations) {
-        throw new Error('Health & vaccinations module is not enabled for this animal type');
+        throw new BusinessRuleError('Health & vaccinations module is not enabled for this animal type');
       }
       
       // Check for duplicate vaccination (same vaccine, same dose)
@@ -42,15 +41,45 @@ class VaccinationRecordService {
       });
       
       if (existingVaccination) {
-        throw new Error(`Dose ${vaccineData.doseNumber} of ${vaccineData.vaccineName} already administered to this animal`);
+        throw new ConflictError(`Dose ${vaccineData.doseNumber} of ${vaccineData.vaccineName} already administered to this animal`);
       }
       
       // Add metadata
       vaccineData.farm = animal.farm;
       vaccineData.administeredBy = userId;
       
-      // Create vaccination record
-      const vaccinationRecord = await VaccinationRecord.create(vaccineData);
+      // A vaccine given from vet inventory comes out of its batch; the batch details and
+      // cost are taken from stock unless given
+      let stock = null;
+      
+      if (vaccineData.inventoryItem) {
+        stock = await vetInventoryService.takeStockForVaccination(vaccineData, animal.farm);
+        vaccineData.inventoryBatch = stock.batch._id;
+        vaccineData.batchNumber = stock.batch.batchNumber;
+        vaccineData.expirationDate = stock.batch.expirationDate;
+        vaccineData.manufacturer = vaccineData.manufacturer || stock.medicine.manufacturer;
+        
+        if (vaccineData.cost?.amount == null && stock.cost != null) {
+          vaccineData.cost = {
+            ...vaccineData.cost,
+            amount: stock.cost,
+            currency: vaccineData.cost?.currency || stock.medicine.currency,
+          };
+        }
+      }
+      
+      // Create vaccination record; the vaccine goes back into stock if it cannot be stored
+      let vaccinationRecord;
+      
+      try {
+        vaccinationRecord = await VaccinationRecord.create(vaccineData);
+      } catch (error) {
+        await vetInventoryService.releaseUsages(stock?.usages);
+        throw error;
+      }
+      
+      // Complete the protocol dose it covers and schedule the next one
+      await vaccinationProtocolService.recordVaccination(vaccinationRecord, userId);
       
       return vaccinationRecord;
     } catch (error) {
@@ -66,17 +95,13 @@ class VaccinationRecordService {
       const animal = await Animal.findById(animalId);
       
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Build query
@@ -149,11 +174,7 @@ class VaccinationRecordService {
       }
       
       // Verify user has permission via farm
-      const farm = await Farm.findOne({
-        _id: vaccinationRecord.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(vaccinationRecord.farm, userId);
       
       if (!farm) {
         return null;
@@ -177,12 +198,12 @@ class VaccinationRecordService {
       
       // Don't allow changing animal or farm
       if (updateData.animal || updateData.farm) {
-        throw new Error('Cannot change animal or farm reference');
+        throw new ValidationError('Cannot change animal or farm reference');
       }
       
       // Don't allow changing vaccine name or dose number (creates duplicate risk)
       if (updateData.vaccineName || updateData.doseNumber) {
-        throw new Error('Cannot change vaccine name or dose number');
+        throw new ValidationError('Cannot change vaccine name or dose number');
       }
       
       // Update record
@@ -207,7 +228,8 @@ class VaccinationRecordService {
     try {
       const vaccinationRecord = await this.getVaccinationRecordById(recordId, userId);
       
-      if (!vaccinationRecord) {
+      // Already deleted records are not found, so their stock is never returned twice
+      if (!vaccinationRecord || !vaccinationRecord.isActive) {
         return null;
       }
       
@@ -215,6 +237,13 @@ class VaccinationRecordService {
       vaccinationRecord.isActive = false;
       await vaccinationRecord.save();
       
+      // A vaccine given from vet inventory goes back into stock
+      await vetInventoryService.returnStock([{
+        inventoryItem: vaccinationRecord.inventoryItem,
+        batch: vaccinationRecord.inventoryBatch,
+        quantity: vaccinationRecord.quantity,
+      }]);
+      
       return vaccinationRecord;
     } catch (error) {
       console.error('Service error deleting vaccination record:', error);
@@ -229,17 +258,13 @@ class VaccinationRecordService {
       const animal = await Animal.findById(animalId);
       
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Get all vaccination records for the animal
@@ -257,6 +282,7 @@ class VaccinationRecordService {
         upcomingDue: [],
         overdue: [],
         vaccinationSchedule: {},
+        totalCost: 0,
       };
       
       const now = new Date();
@@ -271,6 +297,7 @@ class VaccinationRecordService {
         
         // Track unique vaccines
         summary.vaccinesAdministered.add(record.vaccineName);
+        summary.totalCost += record.cost?.amount || 0;
         
         // Check due dates
         if (record.nextDueDate) {
@@ -332,22 +359,18 @@ class VaccinationRecordService {
   // Get vaccination alerts for a farm
   async getVaccinationAlerts(farmId, userId) {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       const now = new Date();
       const sevenDaysFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
       
       // Get overdue vaccinations
-      const overdueVaccinations = await VaccinationRecord.find({
+      const overdueRecords = await VaccinationRecord.find({
         farm: farmId,
         nextDueDate: { $lte: now },
         isActive: true,
@@ -357,7 +380,7 @@ class VaccinationRecordService {
       .lean();
       
       // Get vaccinations due soon
-      const dueSoonVaccinations = await VaccinationRecord.find({
+      const dueSoonRecords = await VaccinationRecord.find({
         farm: farmId,
         nextDueDate: { $gt: now, $lte: sevenDaysFromNow },
         isActive: true,
@@ -366,26 +389,53 @@ class VaccinationRecordService {
       .populate('animal', 'name tagNumber')
       .lean();
       
-      // Get animals missing core vaccinations
-      const allAnimals = await Animal.find({
-        farm: farmId,
-        status: { $in: ['alive', 'active'] },
-      }).lean();
+      // Doses the animal type protocols say are due
+      const protocolAlerts = await vaccinationProtocolService.getFarmDueAlerts(farmId, 7);
+      
+      // A record's next due date is settled once a later dose is given, and protocol
+      // doses already cover the vaccines they schedule
+      const latestDoses = await VaccinationRecord.aggregate([
+        { $match: { farm: farm._id, isActive: true } },
+        {
+          $group: {
+            _id: { animal: '$animal', vaccineName: { $toLower: '$vaccineName' } },
+            doseNumber: { $max: '$doseNumber' },
+          },
+        },
+      ]);
+      const vaccineKey = (animalId, vaccineName) => `${animalId}:${vaccineName.toLowerCase()}`;
+      const latestDose = new Map(latestDoses.map(entry => [
+        vaccineKey(entry._id.animal, entry._id.vaccineName),
+        entry.doseNumber,
+      ]));
+      const scheduled = new Set(
+        [...protocolAlerts.overdue, ...protocolAlerts.dueSoon]
+          .map(due => vaccineKey(due.animal._id, due.vaccineName))
+      );
+      const stillDue = (record) => {
+        if (!record.animal) return false;
+        const key = vaccineKey(record.animal._id, record.vaccineName);
+        return !scheduled.has(key) && (latestDose.get(key) || 0) <= record.doseNumber;
+      };
       
-      const missingVaccinations = [];
+      const overdueVaccinations = overdueRecords.filter(stillDue);
+      const dueSoonVaccinations = dueSoonRecords.filter(stillDue);
       
-      // This would need to be customized based on animal type requirements
-      // For now, just return empty or implement based on your specific needs
+      // Protocol doses that are past due have not been given
+      const missingVaccinations = protocolAlerts.overdue;
+      const scheduledDueSoon = protocolAlerts.dueSoon;
       
       return {
         overdueVaccinations,
         dueSoonVaccinations,
         missingVaccinations,
-        totalAlerts: overdueVaccinations.length + dueSoonVaccinations.length + missingVaccinations.length,
+        scheduledDueSoon,
+        totalAlerts: overdueVaccinations.length + dueSoonVaccinations.length + missingVaccinations.length + scheduledDueSoon.length,
         summary: {
           overdue: overdueVaccinations.length,
           dueSoon: dueSoonVaccinations.length,
           missing: missingVaccinations.length,
+          scheduledDueSoon: scheduledDueSoon.length,
         },
       };
     } catch (error) {
@@ -0,0 +1,204 @@
+// src/modules/animals/operations/health-vaccination/vetInventory.controller.js
+const vetInventoryService = require('./vetInventory.service');
+const { NotFoundError } = require('../../../../utils/errors');
+
+// Add a medicine or vaccine to inventory
+const createVetMedicine = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+
+    const medicine = await vetInventoryService.createMedicine(req.body, userId);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Medicine added to inventory successfully',
+      data: medicine,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the medicines and vaccines of a farm
+const getFarmVetMedicines = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+    const filters = req.query;
+
+    const result = await vetInventoryService.getFarmMedicines(farmId, userId, filters);
+
+    res.status(200).json({
+      status: 'success',
+      data: result.medicines,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a medicine with its batches
+const getVetMedicine = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { medicineId } = req.params;
+
+    const medicine = await vetInventoryService.getMedicineById(medicineId, userId);
+
+    if (!medicine) {
+      throw new NotFoundError('Medicine not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: medicine,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a medicine's details
+const updateVetMedicine = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { medicineId } = req.params;
+
+    const medicine = await vetInventoryService.updateMedicine(medicineId, userId, req.body);
+
+    if (!medicine) {
+      throw new NotFoundError('Medicine not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Medicine updated successfully',
+      data: medicine,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a medicine (soft delete)
+const deleteVetMedicine = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { medicineId } = req.params;
+
+    const medicine = await vetInventoryService.deleteMedicine(medicineId, userId);
+
+    if (!medicine) {
+      throw new NotFoundError('Medicine not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Medicine deleted successfully',
+      data: medicine,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Receive a new batch of a medicine
+const addVetMedicineBatch = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { medicineId } = req.params;
+
+    const medicine = await vetInventoryService.addBatch(medicineId, userId, req.body);
+
+    if (!medicine) {
+      throw new NotFoundError('Medicine not found');
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Batch added successfully',
+      data: medicine,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Write off what is left of a batch
+const writeOffVetMedicineBatch = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { medicineId, batchId } = req.params;
+
+    const medicine = await vetInventoryService.writeOffBatch(medicineId, batchId, userId);
+
+    if (!medicine) {
+      throw new NotFoundError('Medicine not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Batch written off successfully',
+      data: medicine,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Recall a batch and list the animals that received it
+const recallVetMedicineBatch = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { medicineId, batchId } = req.params;
+    const { reason } = req.body;
+
+    const recall = await vetInventoryService.recallBatch(medicineId, batchId, userId, reason);
+
+    if (!recall) {
+      throw new NotFoundError('Medicine not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Batch recalled; ${recall.summary.animals} animal(s) received it`,
+      data: recall,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List every animal that received a batch
+const getVetMedicineBatchRecipients = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { medicineId, batchId } = req.params;
+
+    const recipients = await vetInventoryService.getBatchRecipients(medicineId, batchId, userId);
+
+    if (!recipients) {
+      throw new NotFoundError('Medicine not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: recipients,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createVetMedicine,
+  getFarmVetMedicines,
+  getVetMedicine,
+  updateVetMedicine,
+  deleteVetMedicine,
+  addVetMedicineBatch,
+  writeOffVetMedicineBatch,
+  recallVetMedicineBatch,
+  getVetMedicineBatchRecipients,
+};
@@ -0,0 +1,444 @@
+// src/modules/animals/operations/health-vaccination/vetInventory.service.js
+const VetMedicine = require('./vetMedicine.model');
+const HealthRecord = require('./healthRecord.model');
+const VaccinationRecord = require('./vaccinationRecord.model');
+const farmAccess = require('../../../farms/farmAccess');
+const { ValidationError, ForbiddenError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A new batch starts with everything received still in store
+const newBatch = (batchData) => ({
+  ...batchData,
+  remaining: batchData.quantity,
+});
+
+class VetInventoryService {
+  // Add a medicine or vaccine, optionally with its first batches
+  async createMedicine(medicineData, userId) {
+    try {
+      const farm = await farmAccess.findAccessibleFarm(medicineData.farm, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const medicine = await VetMedicine.create({
+        ...medicineData,
+        batches: (medicineData.batches || []).map(newBatch),
+        createdBy: userId,
+      });
+
+      return medicine;
+    } catch (error) {
+      console.error('Service error creating vet medicine:', error);
+      throw error;
+    }
+  }
+
+  // Get the medicines and vaccines of a farm
+  async getFarmMedicines(farmId, userId, filters = {}) {
+    try {
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const query = { farm: farmId };
+
+      if (filters.category) {
+        query.category = filters.category;
+      }
+
+      if (filters.search) {
+        query.name = new RegExp(escapeRegExp(filters.search), 'i');
+      }
+
+      if (filters.includeInactive !== 'true') {
+        query.isActive = true;
+      }
+
+      // Stock levels are worked out from the batches, so low stock is filtered here
+      let medicines = await VetMedicine.find(query).sort({ name: 1 });
+
+      if (filters.lowStock === 'true') {
+        medicines = medicines.filter(medicine => medicine.isLowStock);
+      }
+
+      // Pagination
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const skip = (page - 1) * limit;
+      const totalRecords = medicines.length;
+
+      return {
+        medicines: medicines.slice(skip, skip + limit),
+        pagination: {
+          page,
+          limit,
+          totalRecords,
+          totalPages: Math.ceil(totalRecords / limit),
+          hasNextPage: page * limit < totalRecords,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      console.error('Service error getting farm vet medicines:', error);
+      throw error;
+    }
+  }
+
+  // Get a medicine by ID
+  async getMedicineById(medicineId, userId) {
+    try {
+      const medicine = await VetMedicine.findById(medicineId);
+
+      if (!medicine) {
+        return null;
+      }
+
+      const farm = await farmAccess.findAccessibleFarm(medicine.farm, userId);
+
+      if (!farm) {
+        return null;
+      }
+
+      return medicine;
+    } catch (error) {
+      console.error('Service error getting vet medicine:', error);
+      throw error;
+    }
+  }
+
+  // Update a medicine's details (stock changes go through batches)
+  async updateMedicine(medicineId, userId, updateData) {
+    try {
+      const medicine = await this.getMedicineById(medicineId, userId);
+
+      if (!medicine) {
+        return null;
+      }
+
+      if (updateData.farm) {
+        throw new ValidationError('Cannot change farm reference');
+      }
+
+      if (updateData.batches) {
+        throw new ValidationError('Batches cannot be updated directly; add, recall or write off batches instead');
+      }
+
+      medicine.set(updateData);
+      await medicine.save();
+
+      return medicine;
+    } catch (error) {
+      console.error('Service error updating vet medicine:', error);
+      throw error;
+    }
+  }
+
+  // Delete a medicine (soft delete; records that used it keep their links)
+  async deleteMedicine(medicineId, userId) {
+    try {
+      const medicine = await this.getMedicineById(medicineId, userId);
+
+      if (!medicine) {
+        return null;
+      }
+
+      medicine.isActive = false;
+      await medicine.save();
+
+      return medicine;
+    } catch (error) {
+      console.error('Service error deleting vet medicine:', error);
+      throw error;
+    }
+  }
+
+  // Receive a new batch of a medicine
+  async addBatch(medicineId, userId, batchData) {
+    try {
+      const medicine = await this.getMedicineById(medicineId, userId);
+
+      if (!medicine) {
+        return null;
+      }
+
+      medicine.batches.push(newBatch(batchData));
+      await medicine.save();
+
+      return medicine;
+    } catch (error) {
+      console.error('Service error adding vet medicine batch:', error);
+      throw error;
+    }
+  }
+
+  // Write off what is left of a batch (expired, spoiled, lost)
+  async writeOffBatch(medicineId, batchId, userId) {
+    try {
+      const medicine = await this.getMedicineById(medicineId, userId);
+
+      if (!medicine) {
+        return null;
+      }
+
+      const batch = medicine.batches.id(batchId);
+
+      if (!batch) {
+        throw new NotFoundError('Batch not found');
+      }
+
+      if (batch.status !== 'active') {
+        throw new BusinessRuleError(`Only active batches can be written off; this batch is ${batch.status.replace('_', ' ')}`);
+      }
+
+      batch.status = 'written_off';
+      await medicine.save();
+
+      return medicine;
+    } catch (error) {
+      console.error('Service error writing off vet medicine batch:', error);
+      throw error;
+    }
+  }
+
+  // Recall a batch: it can no longer be administered, and every animal that
+  // received it is listed
+  async recallBatch(medicineId, batchId, userId, reason) {
+    try {
+      const medicine = await this.getMedicineById(medicineId, userId);
+
+      if (!medicine) {
+        return null;
+      }
+
+      const batch = medicine.batches.id(batchId);
+
+      if (!batch) {
+        throw new NotFoundError('Batch not found');
+      }
+
+      if (batch.status === 'recalled') {
+        throw new BusinessRuleError('Batch is already recalled');
+      }
+
+      batch.status = 'recalled';
+      batch.recalledAt = new Date();
+      batch.recallReason = reason;
+      await medicine.save();
+
+      return await this.getBatchRecipients(medicineId, batchId, userId);
+    } catch (error) {
+      console.error('Service error recalling vet medicine batch:', error);
+      throw error;
+    }
+  }
+
+  // Every treatment and vaccination given from a batch, with the animals that received it
+  async getBatchRecipients(medicineId, batchId, userId) {
+    try {
+      const medicine = await this.getMedicineById(medicineId, userId);
+
+      if (!medicine) {
+        return null;
+      }
+
+      const batch = medicine.batches.id(batchId);
+
+      if (!batch) {
+        throw new NotFoundError('Batch not found');
+      }
+
+      const [treatments, vaccinations] = await Promise.all([
+        HealthRecord.find({ 'medications.batch': batch._id, isActive: true })
+          .populate('animal', 'name tagNumber status')
+          .lean(),
+        VaccinationRecord.find({ inventoryBatch: batch._id, isActive: true })
+          .populate('animal', 'name tagNumber status')
+          .lean(),
+      ]);
+
+      const administrations = [
+        ...treatments.flatMap(record => record.medications
+          .filter(medication => medication.batch && medication.batch.toString() === batch._id.toString())
+          .map(medication => ({
+            recordType: 'treatment',
+            record: record._id,
+            animal: record.animal,
+            date: medication.startDate || record.startDate,
+            quantity: medication.quantity,
+          }))),
+        ...vaccinations.map(record => ({
+          recordType: 'vaccination',
+          record: record._id,
+          animal: record.animal,
+          date: record.dateAdministered,
+          quantity: record.quantity,
+        })),
+      ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+      const animals = new Map();
+      administrations
+        .filter(administration => administration.animal)
+        .forEach(administration => animals.set(administration.animal._id.toString(), administration.animal));
+
+      return {
+        medicine: {
+          _id: medicine._id,
+          name: medicine.name,
+          category: medicine.category,
+          manufacturer: medicine.manufacturer,
+        },
+        batch,
+        administrations,
+        animals: [...animals.values()],
+        summary: {
+          administrations: administrations.length,
+          animals: animals.size,
+          quantityAdministered: administrations.reduce((sum, administration) => sum + (administration.quantity || 0), 0),
+        },
+      };
+    } catch (error) {
+      console.error('Service error getting vet medicine batch recipients:', error);
+      throw error;
+    }
+  }
+
+  // An active medicine of the farm's inventory, stocked in the given category
+  async findStockedMedicine(farmId, medicineId, category) {
+    const medicine = await VetMedicine.findById(medicineId);
+
+    if (!medicine || !medicine.isActive || medicine.farm.toString() !== farmId.toString()) {
+      throw new NotFoundError('Medicine not found in this farm\'s inventory');
+    }
+
+    if (medicine.category !== category) {
+      throw new BusinessRuleError(`${medicine.name} is stocked as a ${medicine.category}, not a ${category}`);
+    }
+
+    return medicine;
+  }
+
+  // Take an administered quantity from a batch of the medicine (in memory only)
+  takeFromMedicine(medicine, { batch, quantity }, date) {
+    if (!quantity || quantity <= 0) {
+      throw new ValidationError(`Quantity administered is required when using ${medicine.name} from stock`);
+    }
+
+    return medicine.takeFromBatch(batch, quantity, new Date(date));
+  }
+
+  // Deduct the usages chosen in memory from the stored batches. If any batch no longer
+  // holds its quantity (another record used it meanwhile), the ones already deducted are
+  // put back and the whole take fails.
+  async deductUsages(usages) {
+    const deducted = [];
+
+    try {
+      for (const usage of usages) {
+        if (!await VetMedicine.deductFromBatch(usage.medicine._id, usage.batch._id, usage.quantity)) {
+          throw new BusinessRuleError(`Insufficient stock in batch ${usage.batch.batchNumber} of ${usage.medicine.name}`);
+        }
+        deducted.push(usage);
+      }
+    } catch (error) {
+      await this.releaseUsages(deducted);
+      throw error;
+    }
+  }
+
+  // Put back usages deducted by a take whose record could not be stored
+  async releaseUsages(usages) {
+    for (const usage of usages || []) {
+      await VetMedicine.restoreToBatch(usage.medicine._id, usage.batch._id, usage.quantity);
+    }
+  }
+
+  // Take a vaccination out of stock. Stock is deducted before the record is stored; if
+  // storing it fails, the caller puts it back with releaseUsages.
+  async takeStockForVaccination(vaccineData, farmId) {
+    const medicine = await this.findStockedMedicine(farmId, vaccineData.inventoryItem, 'vaccine');
+    const { batch, cost } = this.takeFromMedicine(medicine, {
+      batch: vaccineData.inventoryBatch,
+      quantity: vaccineData.quantity,
+    }, vaccineData.dateAdministered);
+
+    const usages = [{ medicine, batch, quantity: vaccineData.quantity }];
+    await this.deductUsages(usages);
+
+    return { medicine, batch, cost, usages };
+  }
+
+  // Take the stocked medications of a treatment out of stock, filling in their batch,
+  // cost and default withdrawal period. Returns the medicines used, the total cost and the
+  // usages to release if the record cannot be stored.
+  async takeStockForMedications(medications, farmId, recordDate) {
+    const medicines = new Map();
+    const usages = [];
+    let totalCost = 0;
+
+    for (const medication of medications || []) {
+      if (!medication.inventoryItem) {
+        continue;
+      }
+
+      // Several medications may draw on the same item, so each item is loaded once
+      const key = medication.inventoryItem.toString();
+      if (!medicines.has(key)) {
+        medicines.set(key, await this.findStockedMedicine(farmId, medication.inventoryItem, 'medicine'));
+      }
+
+      const medicine = medicines.get(key);
+      const { batch, cost } = this.takeFromMedicine(medicine, medication, medication.startDate || recordDate);
+
+      usages.push({ medicine, batch, quantity: medication.quantity });
+      medication.batch = batch._id;
+      medication.batchNumber = batch.batchNumber;
+      medication.cost = cost ?? undefined;
+      totalCost += cost || 0;
+
+      if (!medication.withdrawalPeriod && (medicine.withdrawalPeriod?.meatDays || medicine.withdrawalPeriod?.milkEggsDays)) {
+        medication.withdrawalPeriod = {
+          meatDays: medicine.withdrawalPeriod.meatDays,
+          milkEggsDays: medicine.withdrawalPeriod.milkEggsDays,
+        };
+      }
+    }
+
+    await this.deductUsages(usages);
+
+    return {
+      medicines: [...medicines.values()],
+      totalCost: Math.round(totalCost * 100) / 100,
+      usages,
+    };
+  }
+
+  // Put administered quantities back into their batches (the record was deleted)
+  async returnStock(usages) {
+    const byMedicine = new Map();
+
+    usages
+      .filter(usage => usage.inventoryItem && usage.batch && usage.quantity > 0)
+      .forEach(usage => {
+        const key = usage.inventoryItem.toString();
+        byMedicine.set(key, [...(byMedicine.get(key) || []), usage]);
+      });
+
+    for (const [medicineId, medicineUsages] of byMedicine) {
+      const medicine = await VetMedicine.findById(medicineId);
+
+      if (!medicine) {
+        continue;
+      }
+
+      medicineUsages.forEach(usage => medicine.returnToBatch(usage.batch, usage.quantity));
+      await medicine.save();
+    }
+  }
+}
+
+module.exports = new VetInventoryService();
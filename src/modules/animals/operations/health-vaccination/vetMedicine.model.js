@@ -0,0 +1,287 @@
+// src/modules/animals/operations/health-vaccination/vetMedicine.model.js
+const mongoose = require('mongoose');
+const { BusinessRuleError } = require('../../../../utils/errors');
+
+// One delivery (lot) of a medicine or vaccine; quantities and cost are in the item's unit
+const vetBatchSchema = new mongoose.Schema(
+  {
+    batchNumber: {
+      type: String,
+      required: [true, 'Batch number is required'],
+      trim: true,
+    },
+
+    // Quantity received and quantity still in store
+    quantity: {
+      type: Number,
+      required: [true, 'Batch quantity is required'],
+      min: 0,
+    },
+
+    remaining: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // Price paid per unit
+    unitCost: {
+      type: Number,
+      min: 0,
+    },
+
+    receivedDate: {
+      type: Date,
+      default: Date.now,
+    },
+
+    expirationDate: {
+      type: Date,
+      required: [true, 'Expiration date is required'],
+    },
+
+    supplier: {
+      type: String,
+      trim: true,
+    },
+
+    status: {
+      type: String,
+      enum: ['active', 'depleted', 'recalled', 'written_off'],
+      default: 'active',
+    },
+
+    recalledAt: Date,
+    recallReason: {
+      type: String,
+      trim: true,
+    },
+  }
+);
+
+// A veterinary medicine or vaccine kept in stock on a farm
+const vetMedicineSchema = new mongoose.Schema(
+  {
+    // Farm reference
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: [true, 'Farm reference is required'],
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+
+    category: {
+      type: String,
+      required: [true, 'Category is required'],
+      enum: ['medicine', 'vaccine'],
+    },
+
+    activeIngredient: {
+      type: String,
+      trim: true,
+    },
+
+    manufacturer: {
+      type: String,
+      trim: true,
+    },
+
+    // Unit stock is kept and administered in
+    unit: {
+      type: String,
+      required: [true, 'Unit is required'],
+      enum: ['ml', 'l', 'mg', 'g', 'kg', 'doses', 'tablets', 'vials', 'units'],
+    },
+
+    // Withdrawal period applied to treatments with this medicine (days)
+    withdrawalPeriod: {
+      meatDays: {
+        type: Number,
+        min: 0,
+      },
+      milkEggsDays: {
+        type: Number,
+        min: 0,
+      },
+    },
+
+    // Storage temperature range (°C)
+    storageTemperature: {
+      min: Number,
+      max: Number,
+    },
+
+    storageLocation: {
+      type: String,
+      trim: true,
+    },
+
+    minimumStockLevel: {
+      type: Number,
+      min: 0,
+    },
+
+    currency: {
+      type: String,
+      default: 'KSH',
+      uppercase: true,
+    },
+
+    batches: [vetBatchSchema],
+
+    // Status
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    // Metadata
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+vetMedicineSchema.index({ farm: 1, category: 1, name: 1 });
+vetMedicineSchema.index({ farm: 1, 'batches.batchNumber': 1 });
+
+vetMedicineSchema.pre('validate', function() {
+  const { min, max } = this.storageTemperature || {};
+
+  if (min != null && max != null && min > max) {
+    this.invalidate('storageTemperature.min', 'Minimum storage temperature cannot be above the maximum');
+  }
+});
+
+// Stock in active batches
+vetMedicineSchema.virtual('currentStock').get(function() {
+  return (this.batches || [])
+    .filter(batch => batch.status === 'active')
+    .reduce((sum, batch) => sum + batch.remaining, 0);
+});
+
+vetMedicineSchema.virtual('isLowStock').get(function() {
+  return this.minimumStockLevel != null && this.currentStock <= this.minimumStockLevel;
+});
+
+// Active batches that can still be used on a date, earliest expiry first
+vetMedicineSchema.methods.usableBatches = function(asOf = new Date()) {
+  return this.batches
+    .filter(batch => batch.status === 'active' && batch.remaining > 0 && batch.expirationDate > asOf)
+    .sort((a, b) => a.expirationDate - b.expirationDate);
+};
+
+// Take a quantity from one batch: the given one, or the earliest-expiring batch holding
+// enough. Every administration comes from a single batch so recalls can trace it.
+vetMedicineSchema.methods.takeFromBatch = function(batchId, quantity, asOf = new Date()) {
+  let batch;
+
+  if (batchId) {
+    batch = this.batches.id(batchId);
+
+    if (!batch) {
+      throw new BusinessRuleError(`Batch not found for ${this.name}`);
+    }
+
+    if (batch.status !== 'active') {
+      throw new BusinessRuleError(`Batch ${batch.batchNumber} of ${this.name} is ${batch.status.replace('_', ' ')} and cannot be used`);
+    }
+
+    if (batch.expirationDate <= asOf) {
+      throw new BusinessRuleError(`Batch ${batch.batchNumber} of ${this.name} expired on ${batch.expirationDate.toISOString().split('T')[0]}`);
+    }
+  } else {
+    batch = this.usableBatches(asOf).find(candidate => candidate.remaining >= quantity);
+
+    if (!batch) {
+      throw new BusinessRuleError(`No usable batch of ${this.name} holds ${quantity} ${this.unit}`);
+    }
+  }
+
+  if (batch.remaining < quantity) {
+    throw new BusinessRuleError(`Insufficient stock in batch ${batch.batchNumber} of ${this.name}. Available: ${batch.remaining} ${this.unit}, Requested: ${quantity} ${this.unit}`);
+  }
+
+  batch.remaining -= quantity;
+  if (batch.remaining === 0) {
+    batch.status = 'depleted';
+  }
+
+  return {
+    batch,
+    cost: batch.unitCost != null ? Math.round(batch.unitCost * quantity * 100) / 100 : null,
+  };
+};
+
+// Put an administered quantity back into its batch (e.g. the record was deleted)
+vetMedicineSchema.methods.returnToBatch = function(batchId, quantity) {
+  const batch = this.batches.id(batchId);
+
+  if (!batch) {
+    return null;
+  }
+
+  batch.remaining = Math.min(batch.quantity, batch.remaining + quantity);
+  if (batch.status === 'depleted' && batch.remaining > 0) {
+    batch.status = 'active';
+  }
+
+  return batch;
+};
+
+// Deduct a quantity from a batch in one guarded update, so concurrent administrations
+// cannot both use the same stock. Resolves to false when the batch no longer holds it.
+vetMedicineSchema.statics.deductFromBatch = async function(medicineId, batchId, quantity) {
+  const result = await this.updateOne(
+    { _id: medicineId, batches: { $elemMatch: { _id: batchId, status: 'active', remaining: { $gte: quantity } } } },
+    { $inc: { 'batches.$.remaining': -quantity } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await this.updateOne(
+    { _id: medicineId, batches: { $elemMatch: { _id: batchId, status: 'active', remaining: { $lte: 0 } } } },
+    { $set: { 'batches.$.status': 'depleted' } }
+  );
+
+  return true;
+};
+
+// Undo a deduction made with deductFromBatch
+vetMedicineSchema.statics.restoreToBatch = async function(medicineId, batchId, quantity) {
+  await this.updateOne(
+    { _id: medicineId, 'batches._id': batchId },
+    { $inc: { 'batches.$.remaining': quantity } }
+  );
+
+  await this.updateOne(
+    { _id: medicineId, batches: { $elemMatch: { _id: batchId, status: 'depleted', remaining: { $gt: 0 } } } },
+    { $set: { 'batches.$.status': 'active' } }
+  );
+};
+
+const VetMedicine = mongoose.model('VetMedicine', vetMedicineSchema);
+
+module.exports = VetMedicine;
@@ -1,12 +1,14 @@
 const inventoryService = require('./inventory.service');
 const ProductInventory = require('./productInventory.model');
 const Sale = require('./sale.model');
+const farmAccess = require('../../../farms/farmAccess');
+const { ForbiddenError, NotFoundError } = require('../../../../utils/errors');
 
 const inventoryController = {
   // =================== PRODUCT INVENTORY ===================
   
   // Add product to inventory
-  addProductToInventory: async (req, res) => {
+  addProductToInventory: async (req, res, next) => {
     try {
       const userId = req.userId;
       const productData = req.body;
@@ -19,24 +21,12 @@ const inventoryController = {
         data: product,
       });
     } catch (error) {
-      console.error('Error adding product to inventory:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to add product to inventory',
-      });
+      next(error);
     }
   },
   
   // Get product inventory by farm
-  getProductInventory: async (req, res) => {
+  getProductInventory: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -57,24 +47,12 @@ const inventoryController = {
         data: products,
       });
     } catch (error) {
-      console.error('Error fetching product inventory:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch product inventory',
-      });
+      next(error);
     }
   },
   
   // Update product inventory
-  updateProductInventory: async (req, res) => {
+  updateProductInventory: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { productId } = req.params;
@@ -83,24 +61,14 @@ const inventoryController = {
       const product = await ProductInventory.findById(productId);
       
       if (!product) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'Product not found',
-        });
+        throw new NotFoundError('Product not found');
       }
       
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: product.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(product.farm, userId);
       
       if (!farm) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'You do not have permission for this product',
-        });
+        throw new ForbiddenError('You do not have permission for this product');
       }
       
       // Update product
@@ -125,16 +93,12 @@ const inventoryController = {
         data: product,
       });
     } catch (error) {
-      console.error('Error updating product inventory:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to update product inventory',
-      });
+      next(error);
     }
   },
   
   // Get product inventory statistics
-  getProductInventoryStatistics: async (req, res) => {
+  getProductInventoryStatistics: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -146,26 +110,14 @@ const inventoryController = {
         data: statistics,
       });
     } catch (error) {
-      console.error('Error fetching product inventory statistics:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch product inventory statistics',
-      });
+      next(error);
     }
   },
   
   // =================== ANIMAL INVENTORY ===================
   
   // Get animal inventory
-  getAnimalInventory: async (req, res) => {
+  getAnimalInventory: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -186,24 +138,12 @@ const inventoryController = {
         data: animals,
       });
     } catch (error) {
-      console.error('Error fetching animal inventory:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch animal inventory',
-      });
+      next(error);
     }
   },
   
   // Get animal inventory statistics
-  getAnimalInventoryStatistics: async (req, res) => {
+  getAnimalInventoryStatistics: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -215,26 +155,14 @@ const inventoryController = {
         data: statistics,
       });
     } catch (error) {
-      console.error('Error fetching animal inventory statistics:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch animal inventory statistics',
-      });
+      next(error);
     }
   },
   
   // =================== SALES ===================
   
   // Create a sale
-  createSale: async (req, res) => {
+  createSale: async (req, res, next) => {
     try {
       const userId = req.userId;
       const saleData = req.body;
@@ -247,41 +175,12 @@ const inventoryController = {
         data: sale,
       });
     } catch (error) {
-      console.error('Error creating sale:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      if (error.message.includes('must have at least one item')) {
-        return res.status(400).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      if (error.message.includes('not found') || 
-          error.message.includes('does not belong') ||
-          error.message.includes('not available') ||
-          error.message.includes('Insufficient quantity')) {
-        return res.status(400).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to record sale',
-      });
+      next(error);
     }
   },
   
   // Get sales by farm
-  getSales: async (req, res) => {
+  getSales: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -301,24 +200,12 @@ const inventoryController = {
         data: sales,
       });
     } catch (error) {
-      console.error('Error fetching sales:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch sales',
-      });
+      next(error);
     }
   },
   
   // Get sale by ID
-  getSaleById: async (req, res) => {
+  getSaleById: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { saleId } = req.params;
@@ -332,24 +219,14 @@ const inventoryController = {
         .lean();
       
       if (!sale) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'Sale not found',
-        });
+        throw new NotFoundError('Sale not found');
       }
       
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: sale.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(sale.farm, userId);
       
       if (!farm) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'You do not have permission for this sale',
-        });
+        throw new ForbiddenError('You do not have permission for this sale');
       }
       
       res.status(200).json({
@@ -357,16 +234,12 @@ const inventoryController = {
         data: sale,
       });
     } catch (error) {
-      console.error('Error fetching sale:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch sale',
-      });
+      next(error);
     }
   },
   
   // Update sale payment
-  updateSalePayment: async (req, res) => {
+  updateSalePayment: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { saleId } = req.params;
@@ -375,24 +248,14 @@ const inventoryController = {
       const sale = await Sale.findById(saleId);
       
       if (!sale) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'Sale not found',
-        });
+        throw new NotFoundError('Sale not found');
       }
       
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: sale.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(sale.farm, userId);
       
       if (!farm) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'You do not have permission for this sale',
-        });
+        throw new ForbiddenError('You do not have permission for this sale');
       }
       
       // Update payment
@@ -425,16 +288,12 @@ const inventoryController = {
         data: sale,
       });
     } catch (error) {
-      console.error('Error updating sale payment:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to update sale payment',
-      });
+      next(error);
     }
   },
   
   // Get sale statistics
-  getSaleStatistics: async (req, res) => {
+  getSaleStatistics: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -447,26 +306,14 @@ const inventoryController = {
         data: statistics,
       });
     } catch (error) {
-      console.error('Error fetching sale statistics:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch sale statistics',
-      });
+      next(error);
     }
   },
   
   // =================== INVENTORY ADJUSTMENTS ===================
   
   // Create inventory adjustment
-  createInventoryAdjustment: async (req, res) => {
+  createInventoryAdjustment: async (req, res, next) => {
     try {
       const userId = req.userId;
       const adjustmentData = req.body;
@@ -479,31 +326,12 @@ const inventoryController = {
         data: adjustment,
       });
     } catch (error) {
-      console.error('Error creating inventory adjustment:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      if (error.message.includes('not found') || error.message.includes('Unsupported')) {
-        return res.status(400).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to create inventory adjustment',
-      });
+      next(error);
     }
   },
   
   // Apply inventory adjustment
-  applyInventoryAdjustment: async (req, res) => {
+  applyInventoryAdjustment: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { adjustmentId } = req.params;
@@ -516,31 +344,12 @@ const inventoryController = {
         data: adjustment,
       });
     } catch (error) {
-      console.error('Error applying inventory adjustment:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      if (error.message.includes('not found') || error.message.includes('cannot be applied')) {
-        return res.status(400).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to apply inventory adjustment',
-      });
+      next(error);
     }
   },
   
   // Get inventory adjustments
-  getInventoryAdjustments: async (req, res) => {
+  getInventoryAdjustments: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -560,26 +369,14 @@ const inventoryController = {
         data: adjustments,
       });
     } catch (error) {
-      console.error('Error fetching inventory adjustments:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch inventory adjustments',
-      });
+      next(error);
     }
   },
   
   // =================== DASHBOARD & REPORTS ===================
   
   // Get inventory dashboard
-  getInventoryDashboard: async (req, res) => {
+  getInventoryDashboard: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -591,24 +388,12 @@ const inventoryController = {
         data: dashboard,
       });
     } catch (error) {
-      console.error('Error fetching inventory dashboard:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch inventory dashboard',
-      });
+      next(error);
     }
   },
   
   // Get inventory valuation report
-  getInventoryValuationReport: async (req, res) => {
+  getInventoryValuationReport: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -620,26 +405,14 @@ const inventoryController = {
         data: report,
       });
     } catch (error) {
-      console.error('Error generating inventory valuation report:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to generate inventory valuation report',
-      });
+      next(error);
     }
   },
   
   // =================== UTILITY ENDPOINTS ===================
   
   // Get product types
-  getProductTypes: async (req, res) => {
+  getProductTypes: async (req, res, next) => {
     try {
       const productTypes = [
         { value: 'meat', label: 'Meat', units: ['kg', 'lb'] },
@@ -659,16 +432,12 @@ const inventoryController = {
         data: productTypes,
       });
     } catch (error) {
-      console.error('Error fetching product types:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch product types',
-      });
+      next(error);
     }
   },
   
   // Get adjustment types
-  getAdjustmentTypes: async (req, res) => {
+  getAdjustmentTypes: async (req, res, next) => {
     try {
       const adjustmentTypes = [
         { value: 'correction', label: 'Correction', description: 'Manual correction of inventory count' },
@@ -687,16 +456,12 @@ const inventoryController = {
         data: adjustmentTypes,
       });
     } catch (error) {
-      console.error('Error fetching adjustment types:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch adjustment types',
-      });
+      next(error);
     }
   },
   
   // Get sale types
-  getSaleTypes: async (req, res) => {
+  getSaleTypes: async (req, res, next) => {
     try {
       const saleTypes = [
         { value: 'retail', label: 'Retail Sale', description: 'Direct sale to end consumer' },
@@ -711,16 +476,12 @@ const inventoryController = {
         data: saleTypes,
       });
     } catch (error) {
-      console.error('Error fetching sale types:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch sale types',
-      });
+      next(error);
     }
   },
   
   // Get buyer types
-  getBuyerTypes: async (req, res) => {
+  getBuyerTypes: async (req, res, next) => {
     try {
       const buyerTypes = [
         { value: 'individual', label: 'Individual', description: 'Individual consumer' },
@@ -736,11 +497,7 @@ const inventoryController = {
         data: buyerTypes,
       });
     } catch (error) {
-      console.error('Error fetching buyer types:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch buyer types',
-      });
+      next(error);
     }
   },
 };
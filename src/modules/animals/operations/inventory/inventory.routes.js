@@ -2,35 +2,54 @@ const express = require('express');
 const router = express.Router();
 const inventoryController = require('./inventory.controller');
 
+// Models used to resolve the farm for permission checks
+const ProductInventory = require('./productInventory.model');
+const Sale = require('./sale.model');
+const InventoryAdjustment = require('./inventoryAdjustment.model');
+
 // All inventory routes require authentication
 const authMiddleware = require('../../../../middlewares/auth.middleware');
+const { requireFarmPermission, farmFrom } = require('../../../../middlewares/farmPermission.middleware');
+const validate = require('../../../../middlewares/validate.middleware');
+const inventoryValidation = require('./inventory.validation');
 router.use(authMiddleware);
 
+const canRead = (resolveFarm) => requireFarmPermission('inventory:read', resolveFarm);
+const canWrite = (resolveFarm) => requireFarmPermission('inventory:write', resolveFarm);
+
+const byProduct = farmFrom.document(ProductInventory, 'productId');
+const bySale = farmFrom.document(Sale, 'saleId');
+const byAdjustment = farmFrom.document(InventoryAdjustment, 'adjustmentId');
+const byAdjustedItem = farmFrom.first(
+  farmFrom.document(ProductInventory, 'inventoryItem', 'body'),
+  farmFrom.animal('inventoryItem', 'body')
+);
+
 // =================== PRODUCT INVENTORY ROUTES ===================
-router.post('/products', inventoryController.addProductToInventory); // POST /inventory/products
-router.get('/farm/:farmId/products', inventoryController.getProductInventory); // GET /inventory/farm/:farmId/products
-router.get('/farm/:farmId/products/statistics', inventoryController.getProductInventoryStatistics); // GET /inventory/farm/:farmId/products/statistics
-router.put('/products/:productId', inventoryController.updateProductInventory); // PUT /inventory/products/:productId
+router.post('/products', validate(inventoryValidation.addProductToInventory), canWrite(), inventoryController.addProductToInventory); // POST /inventory/products
+router.get('/farm/:farmId/products', validate(inventoryValidation.getProductInventory), canRead(), inventoryController.getProductInventory); // GET /inventory/farm/:farmId/products
+router.get('/farm/:farmId/products/statistics', validate(inventoryValidation.farmId), canRead(), inventoryController.getProductInventoryStatistics); // GET /inventory/farm/:farmId/products/statistics
+router.put('/products/:productId', validate(inventoryValidation.updateProductInventory), canWrite(byProduct), inventoryController.updateProductInventory); // PUT /inventory/products/:productId
 
 // =================== ANIMAL INVENTORY ROUTES ===================
-router.get('/farm/:farmId/animals', inventoryController.getAnimalInventory); // GET /inventory/farm/:farmId/animals
-router.get('/farm/:farmId/animals/statistics', inventoryController.getAnimalInventoryStatistics); // GET /inventory/farm/:farmId/animals/statistics
+router.get('/farm/:farmId/animals', validate(inventoryValidation.getAnimalInventory), canRead(), inventoryController.getAnimalInventory); // GET /inventory/farm/:farmId/animals
+router.get('/farm/:farmId/animals/statistics', validate(inventoryValidation.farmId), canRead(), inventoryController.getAnimalInventoryStatistics); // GET /inventory/farm/:farmId/animals/statistics
 
 // =================== SALES ROUTES ===================
-router.post('/sales', inventoryController.createSale); // POST /inventory/sales
-router.get('/farm/:farmId/sales', inventoryController.getSales); // GET /inventory/farm/:farmId/sales
-router.get('/sales/:saleId', inventoryController.getSaleById); // GET /inventory/sales/:saleId
-router.patch('/sales/:saleId/payment', inventoryController.updateSalePayment); // PATCH /inventory/sales/:saleId/payment
-router.get('/farm/:farmId/sales/statistics', inventoryController.getSaleStatistics); // GET /inventory/farm/:farmId/sales/statistics
+router.post('/sales', validate(inventoryValidation.createSale), canWrite(), inventoryController.createSale); // POST /inventory/sales
+router.get('/farm/:farmId/sales', validate(inventoryValidation.getSales), canRead(), inventoryController.getSales); // GET /inventory/farm/:farmId/sales
+router.get('/sales/:saleId', validate(inventoryValidation.saleId), canRead(bySale), inventoryController.getSaleById); // GET /inventory/sales/:saleId
+router.patch('/sales/:saleId/payment', validate(inventoryValidation.updateSalePayment), canWrite(bySale), inventoryController.updateSalePayment); // PATCH /inventory/sales/:saleId/payment
+router.get('/farm/:farmId/sales/statistics', validate(inventoryValidation.getSaleStatistics), canRead(), inventoryController.getSaleStatistics); // GET /inventory/farm/:farmId/sales/statistics
 
 // =================== INVENTORY ADJUSTMENT ROUTES ===================
-router.post('/adjustments', inventoryController.createInventoryAdjustment); // POST /inventory/adjustments
-router.patch('/adjustments/:adjustmentId/apply', inventoryController.applyInventoryAdjustment); // PATCH /inventory/adjustments/:adjustmentId/apply
-router.get('/farm/:farmId/adjustments', inventoryController.getInventoryAdjustments); // GET /inventory/farm/:farmId/adjustments
+router.post('/adjustments', validate(inventoryValidation.createInventoryAdjustment), canWrite(byAdjustedItem), inventoryController.createInventoryAdjustment); // POST /inventory/adjustments
+router.patch('/adjustments/:adjustmentId/apply', validate(inventoryValidation.applyInventoryAdjustment), canWrite(byAdjustment), inventoryController.applyInventoryAdjustment); // PATCH /inventory/adjustments/:adjustmentId/apply
+router.get('/farm/:farmId/adjustments', validate(inventoryValidation.getInventoryAdjustments), canRead(), inventoryController.getInventoryAdjustments); // GET /inventory/farm/:farmId/adjustments
 
 // =================== DASHBOARD & REPORTS ===================
-router.get('/farm/:farmId/dashboard', inventoryController.getInventoryDashboard); // GET /inventory/farm/:farmId/dashboard
-router.get('/farm/:farmId/valuation-report', inventoryController.getInventoryValuationReport); // GET /inventory/farm/:farmId/valuation-report
+router.get('/farm/:farmId/dashboard', validate(inventoryValidation.farmId), canRead(), inventoryController.getInventoryDashboard); // GET /inventory/farm/:farmId/dashboard
+router.get('/farm/:farmId/valuation-report', validate(inventoryValidation.farmId), canRead(), inventoryController.getInventoryValuationReport); // GET /inventory/farm/:farmId/valuation-report
 
 // =================== UTILITY ROUTES ===================
 router.get('/product-types', inventoryController.getProductTypes); // GET /inventory/product-types
@@ -2,8 +2,17 @@ const ProductInventory = require('./productInventory.model');
 const InventoryAdjustment = require('./inventoryAdjustment.model');
 const Sale = require('./sale.model');
 const Animal = require('../../animalRecords/animal.model');
-const Farm = require('../../../farms/farm.model');
+const farmAccess = require('../../../farms/farmAccess');
 const AnimalType = require('../../../animalTypes/animalType.model');
+const healthRecordService = require('../health-vaccination/healthRecord.service');
+const { ValidationError, ForbiddenError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
+
+// Withdrawal period that applies to each product type taken from an animal
+const PRODUCT_WITHDRAWAL_KINDS = {
+  meat: 'meat',
+  milk: 'milkEggs',
+  eggs: 'milkEggs',
+};
 
 const inventoryService = {
   // =================== PRODUCT INVENTORY ===================
@@ -27,15 +36,11 @@ const inventoryService = {
         notes,
       } = productData;
       
-      // Verify farm belongs to user
-      const farmRecord = await Farm.findOne({
-        _id: farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farmRecord = await farmAccess.findAccessibleFarm(farm, userId);
       
       if (!farmRecord) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Create product inventory record
@@ -71,18 +76,14 @@ const inventoryService = {
       const product = await ProductInventory.findById(productId);
       
       if (!product) {
-        throw new Error('Product not found');
+        throw new NotFoundError('Product not found');
       }
       
-      // Verify farm belongs to user
-      const farmRecord = await Farm.findOne({
-        _id: product.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farmRecord = await farmAccess.findAccessibleFarm(product.farm, userId);
       
       if (!farmRecord) {
-        throw new Error('You do not have permission for this farm');
+        throw new ForbiddenError('You do not have permission for this farm');
       }
       
       const quantityBefore = product.quantity;
@@ -121,15 +122,11 @@ const inventoryService = {
   // Get product inventory by farm
   getProductInventoryByFarm: async (farmId, userId, filters = {}) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       const query = { farm: farmId, isActive: true };
@@ -183,15 +180,11 @@ const inventoryService = {
   // Get product inventory statistics
   getProductInventoryStatistics: async (farmId, userId) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Get all products
@@ -307,15 +300,11 @@ const inventoryService = {
   // Get live animals inventory (filtered view of animal records)
   getAnimalInventory: async (farmId, userId, filters = {}) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       const query = { 
@@ -391,15 +380,11 @@ const inventoryService = {
   // Get animal inventory statistics
   getAnimalInventoryStatistics: async (farmId, userId) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Get all alive animals
@@ -513,20 +498,22 @@ const inventoryService = {
         invoiceNotes,
       } = saleData;
       
-      // Verify farm belongs to user
-      const farmRecord = await Farm.findOne({
-        _id: farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farmRecord = await farmAccess.findAccessibleFarm(farm, userId);
       
       if (!farmRecord) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Validate items
       if (!items || items.length === 0) {
-        throw new Error('Sale must have at least one item');
+        throw new BusinessRuleError('Sale must have at least one item');
+      }
+      
+      // Check every item before any inventory is changed
+      for (const item of items) {
+        await inventoryService.checkSaleItemQuarantine(item);
+        await inventoryService.checkSaleItemWithdrawal(item, saleDate || new Date());
       }
       
       // Process items and update inventory
@@ -571,6 +558,63 @@ const inventoryService = {
     }
   },
   
+  // Reject animals that are quarantined
+  checkSaleItemQuarantine: async (item) => {
+    if (item.itemType !== 'animal') {
+      return;
+    }
+    
+    const animal = await Animal.findById(item.item).select('tagNumber quarantine');
+    
+    if (animal?.quarantine?.isQuarantined) {
+      throw new BusinessRuleError(`Animal ${animal.tagNumber} is quarantined and cannot be sold until released`);
+    }
+  },
+  
+  // Reject animals still under a meat withdrawal period on the sale date, and meat,
+  // milk or eggs produced by an animal while it was under withdrawal
+  checkSaleItemWithdrawal: async (item, saleDate) => {
+    const { itemType, item: itemId } = item;
+    let animalId;
+    let kind;
+    let date;
+    let label;
+    
+    if (itemType === 'animal') {
+      animalId = itemId;
+      kind = 'meat';
+      date = saleDate;
+      label = `Animal ${itemId}`;
+    } else if (itemType === 'product') {
+      const product = await ProductInventory.findById(itemId).select('productType productName sourceAnimal productionDate createdAt');
+      
+      if (!product || !product.sourceAnimal || !PRODUCT_WITHDRAWAL_KINDS[product.productType]) {
+        return;
+      }
+      
+      animalId = product.sourceAnimal;
+      kind = PRODUCT_WITHDRAWAL_KINDS[product.productType];
+      date = product.productionDate || product.createdAt;
+      label = product.productName;
+      
+      // Without a production date the withdrawal period cannot be ruled out
+      if (!date) {
+        throw new BusinessRuleError(`${label} cannot be sold: its production date is unknown, so withdrawal periods cannot be checked`);
+      }
+    } else {
+      return;
+    }
+    
+    const status = await healthRecordService.getWithdrawalStatus(animalId, date);
+    
+    if (status[kind].underWithdrawal) {
+      const medications = [...new Set(status[kind].medications.map(medication => medication.name))].join(', ');
+      const until = status[kind].until.toISOString().split('T')[0];
+      
+      throw new BusinessRuleError(`${label} cannot be sold: under a ${kind === 'meat' ? 'meat' : 'milk/eggs'} withdrawal period until ${until} (${medications})`);
+    }
+  },
+  
   // Process a sale item and update inventory
   processSaleItem: async (item, farmId, userId) => {
     try {
@@ -581,15 +625,15 @@ const inventoryService = {
         const animal = await Animal.findById(itemId);
         
         if (!animal) {
-          throw new Error(`Animal ${itemId} not found`);
+          throw new NotFoundError(`Animal ${itemId} not found`);
         }
         
         if (animal.farm.toString() !== farmId.toString()) {
-          throw new Error(`Animal ${itemId} does not belong to this farm`);
+          throw new BusinessRuleError(`Animal ${itemId} does not belong to this farm`);
         }
         
         if (animal.status !== 'alive') {
-          throw new Error(`Animal ${itemId} is not alive and cannot be sold`);
+          throw new BusinessRuleError(`Animal ${itemId} is not alive and cannot be sold`);
         }
         
         // Update animal status
@@ -612,19 +656,19 @@ const inventoryService = {
         const product = await ProductInventory.findById(itemId);
         
         if (!product) {
-          throw new Error(`Product ${itemId} not found`);
+          throw new NotFoundError(`Product ${itemId} not found`);
         }
         
         if (product.farm.toString() !== farmId.toString()) {
-          throw new Error(`Product ${itemId} does not belong to this farm`);
+          throw new BusinessRuleError(`Product ${itemId} does not belong to this farm`);
         }
         
         if (product.status !== 'available') {
-          throw new Error(`Product ${itemId} is not available for sale`);
+          throw new BusinessRuleError(`Product ${itemId} is not available for sale`);
         }
         
         if (product.quantity < quantity) {
-          throw new Error(`Insufficient quantity of ${product.productName}. Available: ${product.quantity}, Requested: ${quantity}`);
+          throw new BusinessRuleError(`Insufficient quantity of ${product.productName}. Available: ${product.quantity}, Requested: ${quantity}`);
         }
         
         // Update product quantity
@@ -666,15 +710,11 @@ const inventoryService = {
   // Get sales by farm
   getSalesByFarm: async (farmId, userId, filters = {}) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       const query = { farm: farmId, isActive: true };
@@ -720,15 +760,11 @@ const inventoryService = {
   // Get sale statistics
   getSaleStatistics: async (farmId, userId, period = 'month') => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Calculate date range based on period
@@ -876,7 +912,7 @@ const inventoryService = {
       if (inventoryType === 'product') {
         item = await ProductInventory.findById(inventoryItem);
         if (!item) {
-          throw new Error('Product inventory item not found');
+          throw new NotFoundError('Product inventory item not found');
         }
         farmId = item.farm;
         unit = item.unit;
@@ -884,24 +920,20 @@ const inventoryService = {
       } else if (inventoryType === 'animal') {
         item = await Animal.findById(inventoryItem);
         if (!item) {
-          throw new Error('Animal not found');
+          throw new NotFoundError('Animal not found');
         }
         farmId = item.farm;
         unit = 'head'; // Animals are counted as "head"
         quantityBefore = item.status === 'alive' ? 1 : 0;
       } else {
-        throw new Error(`Unsupported inventory type: ${inventoryType}`);
+        throw new ValidationError(`Unsupported inventory type: ${inventoryType}`);
       }
       
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       const quantityAfter = Math.max(0, quantityBefore + quantityChange);
@@ -943,22 +975,18 @@ const inventoryService = {
       const adjustment = await InventoryAdjustment.findById(adjustmentId);
       
       if (!adjustment) {
-        throw new Error('Adjustment not found');
+        throw new NotFoundError('Adjustment not found');
       }
       
       if (adjustment.approvalStatus !== 'pending' && adjustment.approvalStatus !== 'auto_approved') {
-        throw new Error(`Adjustment cannot be applied. Status: ${adjustment.approvalStatus}`);
+        throw new BusinessRuleError(`Adjustment cannot be applied. Status: ${adjustment.approvalStatus}`);
       }
       
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: adjustment.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(adjustment.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Update the inventory item
@@ -1015,15 +1043,11 @@ const inventoryService = {
   // Get inventory adjustments
   getInventoryAdjustments: async (farmId, userId, filters = {}) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       const query = { farm: farmId };
@@ -1073,15 +1097,11 @@ const inventoryService = {
   // Get inventory dashboard
   getInventoryDashboard: async (farmId, userId) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Get all statistics in parallel
@@ -1182,15 +1202,11 @@ const inventoryService = {
   // Get inventory valuation report
   getInventoryValuationReport: async (farmId, userId) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Get all products with value
@@ -0,0 +1,169 @@
+const ProductInventory = require('./productInventory.model');
+const Sale = require('./sale.model');
+const InventoryAdjustment = require('./inventoryAdjustment.model');
+const Animal = require('../../animalRecords/animal.model');
+const { objectId, enumOf } = require('../../../../utils/validation');
+
+const PERIODS = ['week', 'month', 'quarter', 'year'];
+
+const farmParams = { farmId: objectId() };
+
+const inventoryValidation = {
+  farmId: {
+    params: farmParams,
+  },
+
+  // =================== PRODUCT INVENTORY ===================
+  addProductToInventory: {
+    body: {
+      farm: objectId(),
+      productType: { type: 'string', required: true, enum: enumOf(ProductInventory, 'productType') },
+      productName: { type: 'string', required: true },
+      quantity: { type: 'number', required: true, min: 0 },
+      unit: { type: 'string', required: true, enum: enumOf(ProductInventory, 'unit') },
+      animalType: { type: 'objectId' },
+      sourceAnimal: { type: 'objectId' },
+      productionEvent: { type: 'objectId' },
+      qualityGrade: { type: 'string', enum: enumOf(ProductInventory, 'qualityGrade') },
+      unitPrice: { type: 'number', min: 0 },
+      expiryDate: { type: 'date' },
+      storageLocation: { type: 'string' },
+      notes: { type: 'string' },
+    },
+  },
+
+  getProductInventory: {
+    params: farmParams,
+    query: {
+      productType: { type: 'string', enum: enumOf(ProductInventory, 'productType') },
+      animalType: { type: 'objectId' },
+      status: { type: 'string', enum: enumOf(ProductInventory, 'status') },
+      search: { type: 'string' },
+      expiringSoon: { type: 'integer', min: 0 },
+      expired: { type: 'boolean' },
+    },
+  },
+
+  updateProductInventory: {
+    params: { productId: objectId() },
+    body: {
+      quantity: { type: 'number', min: 0 },
+      unitPrice: { type: 'number', min: 0 },
+      status: { type: 'string', enum: enumOf(ProductInventory, 'status') },
+      notes: { type: 'string' },
+    },
+  },
+
+  // =================== ANIMAL INVENTORY ===================
+  getAnimalInventory: {
+    params: farmParams,
+    query: {
+      animalType: { type: 'objectId' },
+      gender: { type: 'string', enum: enumOf(Animal, 'gender') },
+      ageFrom: { type: 'integer', min: 0 },
+      ageTo: { type: 'integer', min: 0 },
+      readyForSale: { type: 'boolean' },
+      search: { type: 'string' },
+    },
+  },
+
+  // =================== SALES ===================
+  createSale: {
+    body: {
+      farm: objectId(),
+      buyerType: { type: 'string', enum: enumOf(Sale, 'buyerType') },
+      buyerName: { type: 'string' },
+      buyerContact: { type: 'string' },
+      buyerLocation: { type: 'string' },
+      saleDate: { type: 'date' },
+      saleType: { type: 'string', enum: enumOf(Sale, 'saleType') },
+      items: {
+        type: 'array',
+        required: true,
+        minLength: 1,
+        items: {
+          type: 'object',
+          fields: {
+            itemType: { type: 'string', required: true, enum: enumOf(Sale, 'items.itemType') },
+            item: objectId(),
+            quantity: { type: 'number', required: true, min: 0.01 },
+            unit: { type: 'string', required: true },
+            unitPrice: { type: 'number', required: true, min: 0 },
+            totalPrice: { type: 'number', required: true, min: 0 },
+            description: { type: 'string' },
+            qualityGrade: { type: 'string' },
+          },
+        },
+      },
+      discount: { type: 'number', min: 0 },
+      tax: { type: 'number', min: 0 },
+      paymentMethod: { type: 'string', enum: enumOf(Sale, 'paymentMethod') },
+      deliveryMethod: { type: 'string', enum: enumOf(Sale, 'deliveryMethod') },
+      deliveryDate: { type: 'date' },
+      deliveryAddress: { type: 'string' },
+      notes: { type: 'string' },
+      invoiceNotes: { type: 'string' },
+    },
+  },
+
+  getSales: {
+    params: farmParams,
+    query: {
+      saleDateFrom: { type: 'date' },
+      saleDateTo: { type: 'date' },
+      paymentStatus: { type: 'string', enum: enumOf(Sale, 'paymentStatus') },
+      buyerName: { type: 'string' },
+      saleType: { type: 'string', enum: enumOf(Sale, 'saleType') },
+    },
+  },
+
+  saleId: {
+    params: { saleId: objectId() },
+  },
+
+  updateSalePayment: {
+    params: { saleId: objectId() },
+    body: {
+      amount: { type: 'number', min: 0 },
+      method: { type: 'string', enum: enumOf(Sale, 'paymentMethod') },
+      status: { type: 'string', enum: enumOf(Sale, 'paymentStatus') },
+    },
+  },
+
+  getSaleStatistics: {
+    params: farmParams,
+    query: {
+      period: { type: 'string', enum: PERIODS },
+    },
+  },
+
+  // =================== INVENTORY ADJUSTMENTS ===================
+  createInventoryAdjustment: {
+    body: {
+      adjustmentType: { type: 'string', required: true, enum: enumOf(InventoryAdjustment, 'adjustmentType') },
+      inventoryType: { type: 'string', required: true, enum: enumOf(InventoryAdjustment, 'inventoryType') },
+      inventoryItem: objectId(),
+      quantityChange: { type: 'number', required: true },
+      reason: { type: 'string', required: true },
+      description: { type: 'string' },
+      estimatedValueLoss: { type: 'number', min: 0 },
+    },
+  },
+
+  applyInventoryAdjustment: {
+    params: { adjustmentId: objectId() },
+  },
+
+  getInventoryAdjustments: {
+    params: farmParams,
+    query: {
+      adjustmentType: { type: 'string', enum: enumOf(InventoryAdjustment, 'adjustmentType') },
+      inventoryType: { type: 'string', enum: enumOf(InventoryAdjustment, 'inventoryType') },
+      approvalStatus: { type: 'string', enum: enumOf(InventoryAdjustment, 'approvalStatus') },
+      dateFrom: { type: 'date' },
+      dateTo: { type: 'date' },
+    },
+  },
+};
+
+module.exports = inventoryValidation;
@@ -1,9 +1,11 @@
 const productionService = require('./production.service');
 const Production = require('./production.model');
+const farmAccess = require('../../../farms/farmAccess');
+const { ForbiddenError, NotFoundError } = require('../../../../utils/errors');
 
 const productionController = {
   // Record production
-  recordProduction: async (req, res) => {
+  recordProduction: async (req, res, next) => {
     try {
       const userId = req.userId;
       const productionData = req.body;
@@ -22,40 +24,23 @@ const productionController = {
         })
         .lean();
       
+      // Output of an animal under withdrawal is recorded but kept out of inventory
+      const message = production.withdrawal?.until
+        ? `Production recorded but not added to inventory: the animal is under a withdrawal period until ${production.withdrawal.until.toISOString().split('T')[0]}`
+        : 'Production recorded successfully';
+      
       res.status(201).json({
         status: 'success',
-        message: 'Production recorded successfully',
+        message,
         data: populatedProduction,
       });
     } catch (error) {
-      console.error('Error recording production:', error);
-      
-      if (error.message.includes('Animal not found')) {
-        return res.status(404).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      if (error.message.includes('not alive') || 
-          error.message.includes('Farm not found') || 
-          error.message.includes('permission') ||
-          error.message.includes('not valid for')) {
-        return res.status(400).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to record production',
-      });
+      next(error);
     }
   },
   
   // Get production by animal
-  getProductionByAnimal: async (req, res) => {
+  getProductionByAnimal: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { animalId } = req.params;
@@ -74,26 +59,12 @@ const productionController = {
         data: productions,
       });
     } catch (error) {
-      console.error('Error fetching production by animal:', error);
-      
-      if (error.message.includes('Animal not found') || 
-          error.message.includes('Farm not found') || 
-          error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch production records',
-      });
+      next(error);
     }
   },
   
   // Get production by farm
-  getProductionByFarm: async (req, res) => {
+  getProductionByFarm: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -115,24 +86,12 @@ const productionController = {
         data: productions,
       });
     } catch (error) {
-      console.error('Error fetching production by farm:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch production records',
-      });
+      next(error);
     }
   },
   
   // Get animal production statistics
-  getAnimalProductionStatistics: async (req, res) => {
+  getAnimalProductionStatistics: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { animalId } = req.params;
@@ -144,26 +103,12 @@ const productionController = {
         data: statistics,
       });
     } catch (error) {
-      console.error('Error fetching animal production statistics:', error);
-      
-      if (error.message.includes('Animal not found') || 
-          error.message.includes('Farm not found') || 
-          error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch production statistics',
-      });
+      next(error);
     }
   },
   
   // Get farm production statistics
-  getFarmProductionStatistics: async (req, res) => {
+  getFarmProductionStatistics: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -181,24 +126,12 @@ const productionController = {
         data: statistics,
       });
     } catch (error) {
-      console.error('Error fetching farm production statistics:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch production statistics',
-      });
+      next(error);
     }
   },
   
   // Get production trends
-  getProductionTrends: async (req, res) => {
+  getProductionTrends: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -211,24 +144,12 @@ const productionController = {
         data: trends,
       });
     } catch (error) {
-      console.error('Error fetching production trends:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch production trends',
-      });
+      next(error);
     }
   },
   
   // Get production alerts
-  getProductionAlerts: async (req, res) => {
+  getProductionAlerts: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -241,24 +162,12 @@ const productionController = {
         data: alerts,
       });
     } catch (error) {
-      console.error('Error fetching production alerts:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch production alerts',
-      });
+      next(error);
     }
   },
   
   // Update production record
-  updateProduction: async (req, res) => {
+  updateProduction: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { productionId } = req.params;
@@ -272,38 +181,12 @@ const productionController = {
         data: production,
       });
     } catch (error) {
-      console.error('Error updating production:', error);
-      
-      if (error.message.includes('not found')) {
-        return res.status(404).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      if (error.message.includes('Cannot change')) {
-        return res.status(400).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to update production record',
-      });
+      next(error);
     }
   },
   
   // Delete production record
-  deleteProduction: async (req, res) => {
+  deleteProduction: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { productionId } = req.params;
@@ -316,31 +199,12 @@ const productionController = {
         data: production,
       });
     } catch (error) {
-      console.error('Error deleting production:', error);
-      
-      if (error.message.includes('not found')) {
-        return res.status(404).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to delete production record',
-      });
+      next(error);
     }
   },
   
   // Get production by ID
-  getProductionById: async (req, res) => {
+  getProductionById: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { productionId } = req.params;
@@ -361,24 +225,14 @@ const productionController = {
         .lean();
       
       if (!production) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'Production record not found',
-        });
+        throw new NotFoundError('Production record not found');
       }
       
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: production.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(production.farm, userId);
       
       if (!farm) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'You do not have permission for this production record',
-        });
+        throw new ForbiddenError('You do not have permission for this production record');
       }
       
       res.status(200).json({
@@ -386,16 +240,12 @@ const productionController = {
         data: production,
       });
     } catch (error) {
-      console.error('Error fetching production:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch production record',
-      });
+      next(error);
     }
   },
   
   // Get production dashboard
-  getProductionDashboard: async (req, res) => {
+  getProductionDashboard: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { farmId } = req.params;
@@ -452,24 +302,12 @@ const productionController = {
         data: dashboard,
       });
     } catch (error) {
-      console.error('Error fetching production dashboard:', error);
-      
-      if (error.message.includes('Farm not found') || error.message.includes('permission')) {
-        return res.status(403).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch production dashboard',
-      });
+      next(error);
     }
   },
   
   // Get production types for animal type
-  getProductionTypes: async (req, res) => {
+  getProductionTypes: async (req, res, next) => {
     try {
       const userId = req.userId;
       const { animalTypeId } = req.params;
@@ -481,24 +319,12 @@ const productionController = {
         data: productionTypes,
       });
     } catch (error) {
-      console.error('Error fetching production types:', error);
-      
-      if (error.message.includes('Animal type not found')) {
-        return res.status(404).json({
-          status: 'error',
-          message: error.message,
-        });
-      }
-      
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch production types',
-      });
+      next(error);
     }
   },
   
   // Get quality metrics for production type
-  getQualityMetrics: async (req, res) => {
+  getQualityMetrics: async (req, res, next) => {
     try {
       const { productionType } = req.params;
       
@@ -539,6 +365,9 @@ const productionController = {
           { field: 'color', label: 'Color', type: 'text' },
           { field: 'grade', label: 'Grade', type: 'select', options: ['premium', 'standard', 'commercial'] },
         ],
+        meat: [
+          { field: 'grade', label: 'Grade', type: 'select', options: ['premium', 'standard', 'commercial'] },
+        ],
         semen: [
           { field: 'volume', label: 'Volume (ml)', type: 'number', min: 0 },
           { field: 'concentration', label: 'Concentration (million/ml)', type: 'number', min: 0 },
@@ -557,11 +386,7 @@ const productionController = {
         ],
       });
     } catch (error) {
-      console.error('Error fetching quality metrics:', error);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to fetch quality metrics',
-      });
+      next(error);
     }
   },
 };
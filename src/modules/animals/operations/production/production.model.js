@@ -13,6 +13,7 @@ const productionSchema = new mongoose.Schema(
         'honey',
         'manure',
         'hair_fiber',
+        'meat',
         'semen', // Optional, for breeding operations
         'other'
       ],
@@ -178,6 +179,16 @@ const productionSchema = new mongoose.Schema(
       default: 'recorded',
     },
     
+    // Set when the animal was under a medication withdrawal period for this product;
+    // such output is discarded instead of added to inventory
+    withdrawal: {
+      until: Date,
+      medications: {
+        type: [String],
+        default: undefined,
+      },
+    },
+    
     // System
     isActive: {
       type: Boolean,
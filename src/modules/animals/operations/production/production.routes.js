@@ -2,27 +2,39 @@ const express = require('express');
 const router = express.Router();
 const productionController = require('./production.controller');
 
+// Model used to resolve the farm for permission checks
+const Production = require('./production.model');
+
 // All production routes require authentication
 const authMiddleware = require('../../../../middlewares/auth.middleware');
+const { requireFarmPermission, farmFrom } = require('../../../../middlewares/farmPermission.middleware');
+const validate = require('../../../../middlewares/validate.middleware');
+const productionValidation = require('./production.validation');
 router.use(authMiddleware);
 
+const canRead = (resolveFarm) => requireFarmPermission('production:read', resolveFarm);
+const canWrite = (resolveFarm) => requireFarmPermission('production:write', resolveFarm);
+
+const byProduction = farmFrom.document(Production, 'productionId');
+const byAnimal = farmFrom.animal();
+
 // Production recording routes
-router.post('/', productionController.recordProduction); // POST /production
-router.get('/farm/:farmId', productionController.getProductionByFarm); // GET /production/farm/:farmId
-router.get('/animal/:animalId', productionController.getProductionByAnimal); // GET /production/animal/:animalId
-router.get('/:productionId', productionController.getProductionById); // GET /production/:productionId
-router.put('/:productionId', productionController.updateProduction); // PUT /production/:productionId
-router.delete('/:productionId', productionController.deleteProduction); // DELETE /production/:productionId
+router.post('/', validate(productionValidation.recordProduction), canWrite(farmFrom.animal('animal', 'body')), productionController.recordProduction); // POST /production
+router.get('/farm/:farmId', validate(productionValidation.getProductionByFarm), canRead(), productionController.getProductionByFarm); // GET /production/farm/:farmId
+router.get('/animal/:animalId', validate(productionValidation.getProductionByAnimal), canRead(byAnimal), productionController.getProductionByAnimal); // GET /production/animal/:animalId
+router.get('/:productionId', validate(productionValidation.productionId), canRead(byProduction), productionController.getProductionById); // GET /production/:productionId
+router.put('/:productionId', validate(productionValidation.updateProduction), canWrite(byProduction), productionController.updateProduction); // PUT /production/:productionId
+router.delete('/:productionId', validate(productionValidation.productionId), canWrite(byProduction), productionController.deleteProduction); // DELETE /production/:productionId
 
 // Statistics and analysis routes
-router.get('/animal/:animalId/statistics', productionController.getAnimalProductionStatistics); // GET /production/animal/:animalId/statistics
-router.get('/farm/:farmId/statistics', productionController.getFarmProductionStatistics); // GET /production/farm/:farmId/statistics
-router.get('/farm/:farmId/trends', productionController.getProductionTrends); // GET /production/farm/:farmId/trends
-router.get('/farm/:farmId/alerts', productionController.getProductionAlerts); // GET /production/farm/:farmId/alerts
-router.get('/farm/:farmId/dashboard', productionController.getProductionDashboard); // GET /production/farm/:farmId/dashboard
+router.get('/animal/:animalId/statistics', validate(productionValidation.animalId), canRead(byAnimal), productionController.getAnimalProductionStatistics); // GET /production/animal/:animalId/statistics
+router.get('/farm/:farmId/statistics', validate(productionValidation.getFarmProductionStatistics), canRead(), productionController.getFarmProductionStatistics); // GET /production/farm/:farmId/statistics
+router.get('/farm/:farmId/trends', validate(productionValidation.getProductionTrends), canRead(), productionController.getProductionTrends); // GET /production/farm/:farmId/trends
+router.get('/farm/:farmId/alerts', validate(productionValidation.getProductionAlerts), canRead(), productionController.getProductionAlerts); // GET /production/farm/:farmId/alerts
+router.get('/farm/:farmId/dashboard', validate(productionValidation.getProductionDashboard), canRead(), productionController.getProductionDashboard); // GET /production/farm/:farmId/dashboard
 
 // Utility routes
-router.get('/animal-type/:animalTypeId/production-types', productionController.getProductionTypes); // GET /production/animal-type/:animalTypeId/production-types
+router.get('/animal-type/:animalTypeId/production-types', validate(productionValidation.getProductionTypes), productionController.getProductionTypes); // GET /production/animal-type/:animalTypeId/production-types
 router.get('/quality-metrics/:productionType', productionController.getQualityMetrics); // GET /production/quality-metrics/:productionType
 
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,17 @@
 const Production = require('./production.model');
 const Animal = require('../../animalRecords/animal.model');
-const Farm = require('../../../farms/farm.model');
+const farmAccess = require('../../../farms/farmAccess');
 const AnimalType = require('../../../animalTypes/animalType.model');
 const ProductInventory = require('../inventory/productInventory.model');
+const healthRecordService = require('../health-vaccination/healthRecord.service');
+const { ValidationError, ForbiddenError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
+
+// Withdrawal period that withholds each production type taken from an animal
+const PRODUCTION_WITHDRAWAL_KINDS = {
+  meat: 'meat',
+  milk: 'milkEggs',
+  eggs: 'milkEggs',
+};
 
 const productionService = {
   // Record production from an animal
@@ -34,23 +43,19 @@ const productionService = {
         .lean();
       
       if (!animalRecord) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
       // Check if animal is alive and active
       if (animalRecord.status !== 'alive' || !animalRecord.isActive) {
-        throw new Error('Animal is not alive or active');
+        throw new BusinessRuleError('Animal is not alive or active');
       }
       
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: animalRecord.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(animalRecord.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Check if production type is valid for this animal type
@@ -58,7 +63,22 @@ const productionService = {
       const productionTypes = animalType?.productionTypes || [];
       
       if (productionTypes.length > 0 && !productionTypes.includes(productionType)) {
-        throw new Error(`Production type '${productionType}' is not valid for ${animalType.name}`);
+        throw new BusinessRuleError(`Production type '${productionType}' is not valid for ${animalType.name}`);
+      }
+      
+      // Meat, milk and eggs from an animal under the matching withdrawal period cannot be sold
+      let withdrawal = null;
+      const withdrawalKind = PRODUCTION_WITHDRAWAL_KINDS[productionType];
+      
+      if (withdrawalKind) {
+        const status = await healthRecordService.getWithdrawalStatus(animal, productionDate || new Date());
+        
+        if (status[withdrawalKind].underWithdrawal) {
+          withdrawal = {
+            until: status[withdrawalKind].until,
+            medications: [...new Set(status[withdrawalKind].medications.map(medication => medication.name))],
+          };
+        }
       }
       
       // Create production record
@@ -90,10 +110,17 @@ const productionService = {
         recordedBy: userId,
       });
       
+      if (withdrawal) {
+        production.withdrawal = withdrawal;
+        production.status = 'discarded';
+      }
+      
       await production.save();
       
       // Add to product inventory
-      await productionService.addProductionToInventory(production, userId);
+      if (!withdrawal) {
+        await productionService.addProductionToInventory(production, userId);
+      }
       
       return production;
     } catch (error) {
@@ -113,6 +140,7 @@ const productionService = {
         'honey': 'honey',
         'manure': 'manure',
         'hair_fiber': 'other',
+        'meat': 'meat',
         'semen': 'other',
         'other': 'other',
       };
@@ -189,6 +217,7 @@ const productionService = {
       'honey': 'Honey',
       'manure': `${animalTypeName} Manure`,
       'hair_fiber': `${animalTypeName} Fiber`,
+      'meat': `${animalTypeName} Meat - ${gradeLabel}`,
       'semen': `${animalTypeName} Semen`,
       'other': `${animalTypeName} Product`,
     };
@@ -205,6 +234,7 @@ const productionService = {
       'honey': 'room_temp',
       'manure': 'dry',
       'hair_fiber': 'dry',
+      'meat': 'frozen',
       'semen': 'frozen',
       'other': 'room_temp',
     };
@@ -218,18 +248,14 @@ const productionService = {
       const animal = await Animal.findById(animalId).lean();
       
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       const query = { animal: animalId, isActive: true };
@@ -267,15 +293,11 @@ const productionService = {
   // Get production records by farm
   getProductionByFarm: async (farmId, userId, filters = {}) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       const query = { farm: farmId, isActive: true };
@@ -336,18 +358,14 @@ const productionService = {
       const animal = await Animal.findById(animalId).lean();
       
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Get all production for this animal
@@ -448,15 +466,11 @@ const productionService = {
   // Get production statistics for a farm
   getFarmProductionStatistics: async (farmId, userId, filters = {}) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       const query = { farm: farmId, isActive: true };
@@ -598,15 +612,11 @@ const productionService = {
   // Get production trends for analysis
   getProductionTrends: async (farmId, userId, period = 'month', productionType = null) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Calculate date range based on period
@@ -750,15 +760,11 @@ const productionService = {
   // Get production alerts (drops, quality issues)
   getProductionAlerts: async (farmId, userId, days = 7) => {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       const cutoffDate = new Date();
@@ -873,23 +879,19 @@ const productionService = {
       const production = await Production.findById(productionId);
       
       if (!production) {
-        throw new Error('Production record not found');
+        throw new NotFoundError('Production record not found');
       }
       
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: production.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(production.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Don't allow changing animal, farm, or animalType
       if (updateData.animal || updateData.farm || updateData.animalType) {
-        throw new Error('Cannot change animal, farm, or animal type reference');
+        throw new ValidationError('Cannot change animal, farm, or animal type reference');
       }
       
       // Update production
@@ -914,18 +916,14 @@ const productionService = {
       const production = await Production.findById(productionId);
       
       if (!production) {
-        throw new Error('Production record not found');
+        throw new NotFoundError('Production record not found');
       }
       
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: production.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(production.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Soft delete
@@ -945,7 +943,7 @@ const productionService = {
       const animalType = await AnimalType.findById(animalTypeId).lean();
       
       if (!animalType) {
-        throw new Error('Animal type not found');
+        throw new NotFoundError('Animal type not found');
       }
       
       // Get production types from animal type or use defaults
@@ -980,6 +978,7 @@ const productionService = {
         'honey': { label: 'Honey', units: ['kg', 'lb', 'liter'] },
         'manure': { label: 'Manure', units: ['kg', 'lb'] },
         'hair_fiber': { label: 'Hair/Fiber', units: ['kg', 'lb', 'gram'] },
+        'meat': { label: 'Meat', units: ['kg', 'lb'] },
         'semen': { label: 'Semen', units: ['ml', 'dose'] },
         'other': { label: 'Other', units: ['kg', 'lb', 'liter', 'piece'] },
       };
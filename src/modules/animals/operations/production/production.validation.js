@@ -0,0 +1,155 @@
+const Production = require('./production.model');
+const { objectId, enumOf, partial } = require('../../../../utils/validation');
+
+const PERIODS = ['week', 'month', 'quarter', 'year', 'all'];
+
+const percentage = { type: 'number', min: 0, max: 100 };
+
+const productionFields = {
+  productionType: { type: 'string', required: true, enum: enumOf(Production, 'productionType') },
+  quantity: { type: 'number', required: true, min: 0 },
+  unit: { type: 'string', required: true, enum: enumOf(Production, 'unit') },
+  productionDate: { type: 'date', max: 'now' },
+  productionTime: { type: 'string' },
+  qualityMetrics: {
+    type: 'object',
+    fields: {
+      fatContent: percentage,
+      proteinContent: percentage,
+      somaticCellCount: { type: 'number', min: 0 },
+      weight: { type: 'number', min: 0 },
+      shellQuality: { type: 'string', enum: enumOf(Production, 'qualityMetrics.shellQuality') },
+      yolkColor: { type: 'string', enum: enumOf(Production, 'qualityMetrics.yolkColor') },
+      fiberDiameter: { type: 'number', min: 0 },
+      stapleLength: { type: 'number', min: 0 },
+      color: { type: 'string' },
+      moistureContent: percentage,
+      colorGrade: { type: 'string', enum: enumOf(Production, 'qualityMetrics.colorGrade') },
+      moisture: percentage,
+      nitrogenContent: { type: 'number', min: 0 },
+      phosphorusContent: { type: 'number', min: 0 },
+      potassiumContent: { type: 'number', min: 0 },
+      grade: { type: 'string', enum: enumOf(Production, 'qualityMetrics.grade') },
+    },
+  },
+  lactationNumber: { type: 'integer', min: 1 },
+  lactationDay: { type: 'integer', min: 1 },
+  collectionMethod: { type: 'string', enum: enumOf(Production, 'collectionMethod') },
+  healthAtProduction: {
+    type: 'object',
+    fields: {
+      healthStatus: { type: 'string', enum: enumOf(Production, 'healthAtProduction.healthStatus') },
+      bodyConditionScore: { type: 'number', min: 1, max: 5 },
+      temperature: { type: 'number' },
+      notes: { type: 'string' },
+    },
+  },
+  feedAtProduction: {
+    type: 'object',
+    fields: {
+      feedType: { type: 'string' },
+      quantityFed: { type: 'number', min: 0 },
+      feedingTime: { type: 'string' },
+    },
+  },
+  environment: {
+    type: 'object',
+    fields: {
+      temperature: { type: 'number' },
+      humidity: percentage,
+      weatherConditions: { type: 'string' },
+    },
+  },
+  batchId: { type: 'string' },
+  batchName: { type: 'string' },
+  isBatchProduction: { type: 'boolean' },
+  notes: { type: 'string' },
+};
+
+const dateRange = {
+  dateFrom: { type: 'date' },
+  dateTo: { type: 'date' },
+};
+
+const productionValidation = {
+  recordProduction: {
+    body: {
+      ...productionFields,
+      animal: objectId(),
+    },
+  },
+
+  getProductionByFarm: {
+    params: { farmId: objectId() },
+    query: {
+      productionType: { type: 'string', enum: enumOf(Production, 'productionType') },
+      animalType: { type: 'objectId' },
+      animal: { type: 'objectId' },
+      ...dateRange,
+      grade: { type: 'string', enum: enumOf(Production, 'qualityMetrics.grade') },
+      batchId: { type: 'string' },
+    },
+  },
+
+  getProductionByAnimal: {
+    params: { animalId: objectId() },
+    query: {
+      productionType: { type: 'string', enum: enumOf(Production, 'productionType') },
+      ...dateRange,
+      grade: { type: 'string', enum: enumOf(Production, 'qualityMetrics.grade') },
+    },
+  },
+
+  productionId: {
+    params: { productionId: objectId() },
+  },
+
+  // Animal, farm and animal type cannot be changed after recording
+  updateProduction: {
+    params: { productionId: objectId() },
+    body: {
+      ...partial(productionFields),
+      status: { type: 'string', enum: enumOf(Production, 'status') },
+    },
+  },
+
+  animalId: {
+    params: { animalId: objectId() },
+  },
+
+  getFarmProductionStatistics: {
+    params: { farmId: objectId() },
+    query: {
+      ...dateRange,
+      animalType: { type: 'objectId' },
+    },
+  },
+
+  getProductionTrends: {
+    params: { farmId: objectId() },
+    query: {
+      period: { type: 'string', enum: PERIODS },
+      productionType: { type: 'string', enum: enumOf(Production, 'productionType') },
+    },
+  },
+
+  getProductionAlerts: {
+    params: { farmId: objectId() },
+    query: {
+      days: { type: 'integer', min: 1 },
+    },
+  },
+
+  getProductionDashboard: {
+    params: { farmId: objectId() },
+    query: {
+      period: { type: 'string', enum: PERIODS },
+    },
+  },
+
+  getProductionTypes: {
+    params: { animalTypeId: objectId() },
+  },
+};
+
+module.exports = productionValidation;
@@ -27,7 +27,13 @@ const birthEventSchema = new mongoose.Schema(
     sire: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Animal',
-      required: [true, 'Sire (father) reference is required'],
+      required: [function() { return !this.externalSire; }, 'Sire (father) reference is required'],
+    },
+    
+    // Off-farm sire (artificial insemination)
+    externalSire: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExternalSire',
     },
     
     // Birth details
@@ -122,6 +128,46 @@ const birthEventSchema = new mongoose.Schema(
       },
     },
     
+    // Offspring fostered onto or away from this dam; the litter she raises is
+    // liveBirths + fosteredIn - fosteredOut
+    fosteredIn: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    
+    fosteredOut: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    
+    litterAdjustments: [{
+      offspring: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Animal',
+      },
+      direction: {
+        type: String,
+        enum: ['in', 'out'],
+      },
+      // The other side of the transfer
+      otherDam: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Animal',
+      },
+      otherBirthEvent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BirthEvent',
+      },
+      date: Date,
+      reason: String,
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    }],
+    
     // Mortality tracking (for early deaths)
     neonatalDeaths: [{
       offspringId: {
@@ -202,6 +248,10 @@ birthEventSchema.virtual('genderRatio').get(function() {
   };
 });
 
+birthEventSchema.virtual('nursingLitterSize').get(function() {
+  return this.liveBirths + (this.fosteredIn || 0) - (this.fosteredOut || 0);
+});
+
 birthEventSchema.virtual('survivalRate').get(function() {
   const totalAlive = this.offspring ? this.offspring.length : 0;
   if (this.liveBirths === 0) return 0;
@@ -3,56 +3,64 @@ const BirthEvent = require('./birthEvent.model');
 const Pregnancy = require('./pregnancy.model');
 const Animal = require('../../animalRecords/animal.model');
 const Farm = require('../../../farms/farm.model');
+const farmAccess = require('../../../farms/farmAccess');
 const OffspringTracking = require('./offspringTracking.model');
+const semenInventoryService = require('./semenInventory.service');
+const vaccinationProtocolService = require('../health-vaccination/vaccinationProtocol.service');
+const { ValidationError, ForbiddenError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
 
 class BirthEventService {
   // Create birth event
   async createBirthEvent(birthData, userId) {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: birthData.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(birthData.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Verify pregnancy exists and is progressing or confirmed
       const pregnancy = await Pregnancy.findById(birthData.pregnancy);
       if (!pregnancy || !['progressing', 'confirmed'].includes(pregnancy.status)) {
-        throw new Error('Pregnancy not found or not ready for birth');
+        throw new NotFoundError('Pregnancy not found or not ready for birth');
       }
       
       // Verify dam exists
       const dam = await Animal.findById(birthData.dam);
       if (!dam || dam.gender !== 'female') {
-        throw new Error('Dam not found or is not female');
+        throw new NotFoundError('Dam not found or is not female');
       }
       
-      // Verify sire exists
-      const sire = await Animal.findById(birthData.sire);
-      if (!sire || sire.gender !== 'male') {
-        throw new Error('Sire not found or is not male');
+      // Verify sire exists, or is an external sire of the farm
+      if (Boolean(birthData.sire) === Boolean(birthData.externalSire)) {
+        throw new ValidationError('Provide either a sire or an external sire');
+      }
+      
+      if (birthData.externalSire) {
+        await semenInventoryService.findSire(birthData.farm, birthData);
+      } else {
+        const sire = await Animal.findById(birthData.sire);
+        if (!sire || sire.gender !== 'male') {
+          throw new NotFoundError('Sire not found or is not male');
+        }
       }
       
       // Validate offspring counts
       if (birthData.totalOffspring < 0) {
-        throw new Error('Total offspring cannot be negative');
+        throw new BusinessRuleError('Total offspring cannot be negative');
       }
       
       if (birthData.liveBirths > birthData.totalOffspring) {
-        throw new Error('Live births cannot exceed total offspring');
+        throw new BusinessRuleError('Live births cannot exceed total offspring');
       }
       
       if (birthData.stillbirths > birthData.totalOffspring) {
-        throw new Error('Stillbirths cannot exceed total offspring');
+        throw new BusinessRuleError('Stillbirths cannot exceed total offspring');
       }
       
       if (birthData.weakOffspring > birthData.liveBirths) {
-        throw new Error('Weak offspring cannot exceed live births');
+        throw new BusinessRuleError('Weak offspring cannot exceed live births');
       }
       
       // Add metadata
@@ -84,7 +92,8 @@ class BirthEventService {
     try {
       const birthEvent = await BirthEvent.findById(birthEventId)
         .populate('dam', 'animalType breed name tagNumber')
-        .populate('sire', 'animalType breed name tagNumber');
+        .populate('sire', 'animalType breed name tagNumber')
+        .populate('externalSire', 'animalType breed name');
 
       if (!birthEvent || birthEvent.liveBirths === 0) {
         return [];
@@ -92,15 +101,15 @@ class BirthEventService {
 
       const offspringRecords = [];
 
-      // Get dam and sire details
+      // Get dam and sire details; an external sire stands in for an on-farm one
       const dam = birthEvent.dam;
-      const sire = birthEvent.sire;
+      const sire = birthEvent.sire || birthEvent.externalSire;
 
       // Get animal type - use dam's animalType, fallback to sire's
       const animalType = dam.animalType || sire.animalType;
 
       if (!animalType) {
-        throw new Error('Cannot determine animal type for offspring');
+        throw new BusinessRuleError('Cannot determine animal type for offspring');
       }
 
       // Get the animal type record to get species name for tag generation
@@ -136,19 +145,24 @@ class BirthEventService {
           reproductiveStatus: 'immature',
           createdBy: userId,
           // Parent references
-          sire: sire._id,
+          sire: birthEvent.sire?._id,
+          externalSire: birthEvent.externalSire?._id,
           dam: dam._id,
           birthEvent: birthEventId,
         };
 
         const offspring = await Animal.create(offspringData);
 
+        // Schedule the newborn's protocol vaccinations
+        await vaccinationProtocolService.scheduleForAnimal(offspring, animalTypeRecord, userId);
+
         // Create offspring tracking record
         const trackingData = {
           farm: birthEvent.farm,
           birthEvent: birthEventId,
           dam: dam._id,
-          sire: sire._id,
+          sire: birthEvent.sire?._id,
+          externalSire: birthEvent.externalSire?._id,
           offspring: offspring._id,
           offspringDetails: {
             tagNumber: offspring.tagNumber,
@@ -240,17 +254,13 @@ class BirthEventService {
       // Verify animal exists and user has permission
       const animal = await Animal.findById(animalId);
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Build query
@@ -340,11 +350,7 @@ class BirthEventService {
       }
       
       // Verify user has permission via farm
-      const farm = await Farm.findOne({
-        _id: birthEvent.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(birthEvent.farm, userId);
       
       if (!farm) {
         return null;
@@ -378,7 +384,7 @@ class BirthEventService {
       
       // Don't allow changing dam, sire, pregnancy, or farm
       if (updateData.dam || updateData.sire || updateData.pregnancy || updateData.farm) {
-        throw new Error('Cannot change dam, sire, pregnancy, or farm reference');
+        throw new ValidationError('Cannot change dam, sire, pregnancy, or farm reference');
       }
       
       // Update birth event
@@ -411,11 +417,7 @@ class BirthEventService {
       }
       
       // Verify user has permission
-      const farm = await Farm.findOne({
-        _id: birthEvent.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(birthEvent.farm, userId);
       
       if (!farm) {
         return null;
@@ -442,11 +444,7 @@ class BirthEventService {
       }
       
       // Verify user has permission
-      const farm = await Farm.findOne({
-        _id: birthEvent.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(birthEvent.farm, userId);
       
       if (!farm) {
         return null;
@@ -455,7 +453,7 @@ class BirthEventService {
       // Verify offspring exists and belongs to this birth event
       const offspring = await Animal.findById(deathData.offspringId);
       if (!offspring || offspring.birthEvent?.toString() !== eventId) {
-        throw new Error('Offspring not found or does not belong to this birth event');
+        throw new NotFoundError('Offspring not found or does not belong to this birth event');
       }
       
       // Add neonatal death record
@@ -501,15 +499,11 @@ class BirthEventService {
   // Get birth statistics for a farm
   async getBirthStatistics(farmId, userId, period = 'year') {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Calculate date range
@@ -0,0 +1,353 @@
+// src/modules/animals/operations/reproductions/breedingCalendar.service.js
+const MatingEvent = require('./matingEvent.model');
+const Pregnancy = require('./pregnancy.model');
+const OffspringTracking = require('./offspringTracking.model');
+const CalendarFeed = require('./calendarFeed.model');
+const heatDetectionService = require('./heatDetection.service');
+const AnimalType = require('../../../animalTypes/animalType.model');
+const farmAccess = require('../../../farms/farmAccess');
+const tokenUtils = require('../../../../utils/token');
+const icsCalendar = require('../../../../utils/icsCalendar');
+const { ValidationError, ForbiddenError } = require('../../../../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days shown when no end date is asked for, and the longest range allowed
+const DEFAULT_CALENDAR_DAYS = 60;
+const MAX_CALENDAR_DAYS = 366;
+
+// Days before and after today included in a subscribed feed
+const feedPastDays = () => parseInt(process.env.CALENDAR_FEED_PAST_DAYS) || 30;
+const feedFutureDays = () => parseInt(process.env.CALENDAR_FEED_FUTURE_DAYS) || 180;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const endOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+const animalLabel = (animal) => {
+  if (!animal) return 'Unknown';
+  return animal.name ? `${animal.name} (${animal.tagNumber})` : animal.tagNumber;
+};
+
+const animalSummary = (animal) => animal && {
+  _id: animal._id,
+  name: animal.name,
+  tagNumber: animal.tagNumber,
+};
+
+// Calendar event types and their titles
+const EVENT_LABELS = {
+  expected_heat: 'Expected heat',
+  planned_mating: 'Planned mating',
+  pregnancy_check: 'Pregnancy check',
+  expected_delivery: 'Expected delivery',
+  weaning: 'Weaning due',
+};
+
+// Calendar apps show the title; the description notes the heat window when there is one
+const toIcsEvent = (event) => ({
+  uid: `${event.id}@farm-weaver`,
+  date: event.date,
+  summary: event.title,
+  description: event.type === 'expected_heat'
+    ? `Heat window ${event.details.windowStart.toISOString().slice(0, 10)} to ${event.details.windowEnd.toISOString().slice(0, 10)}`
+    : EVENT_LABELS[event.type],
+});
+
+class BreedingCalendarService {
+  // ===== EVENTS =====
+
+  // Breeding events of a farm between two dates, in date order
+  async buildEvents(farmId, from, to, type) {
+    const wanted = (eventType) => !type || type === eventType;
+    const events = [];
+
+    if (wanted('expected_heat')) {
+      const heats = await heatDetectionService.getExpectedHeats(farmId, from, to);
+
+      heats
+        .filter(heat => heat.expectedDate >= from)
+        .forEach(heat => events.push({
+          id: `expected_heat:${heat.animal._id}:${heat.expectedDate.toISOString().slice(0, 10)}`,
+          type: 'expected_heat',
+          date: heat.expectedDate,
+          title: `${EVENT_LABELS.expected_heat}: ${animalLabel(heat.animal)}`,
+          animal: animalSummary(heat.animal),
+          reference: null,
+          details: {
+            windowStart: heat.windowStart,
+            windowEnd: heat.windowEnd,
+            cycleDays: heat.cycle.days,
+            cycleSource: heat.cycle.source,
+          },
+        }));
+    }
+
+    if (wanted('planned_mating')) {
+      const matings = await MatingEvent.find({
+        farm: farmId,
+        status: 'planned',
+        isActive: true,
+        matingDate: { $gte: from, $lte: to },
+      })
+      .populate('sire', 'name tagNumber')
+      .populate('externalSire', 'name code')
+      .populate('dams', 'name tagNumber')
+      .lean();
+
+      matings.forEach(mating => {
+        const sire = mating.sire || mating.externalSire;
+
+        events.push({
+          id: `planned_mating:${mating._id}`,
+          type: 'planned_mating',
+          date: mating.matingDate,
+          title: `${EVENT_LABELS.planned_mating}: ${mating.dams.map(animalLabel).join(', ')}`,
+          animal: animalSummary(mating.dams[0]),
+          reference: { model: 'MatingEvent', _id: mating._id },
+          details: {
+            matingType: mating.matingType,
+            dams: mating.dams.map(animalSummary),
+            sire: sire ? { _id: sire._id, name: sire.name, tagNumber: sire.tagNumber, isExternal: !mating.sire } : null,
+          },
+        });
+      });
+    }
+
+    if (wanted('pregnancy_check')) {
+      // Checks booked on a mating that have no result yet
+      const matings = await MatingEvent.find({
+        farm: farmId,
+        status: { $nin: ['failed', 'cancelled'] },
+        isActive: true,
+        pregnancyCheckDate: { $gte: from, $lte: to },
+        pregnancyResult: { $in: [null, 'unknown'] },
+      })
+      .populate('dams', 'name tagNumber')
+      .lean();
+
+      matings.forEach(mating => {
+        events.push({
+          id: `pregnancy_check:${mating._id}`,
+          type: 'pregnancy_check',
+          date: mating.pregnancyCheckDate,
+          title: `${EVENT_LABELS.pregnancy_check}: ${mating.dams.map(animalLabel).join(', ')}`,
+          animal: animalSummary(mating.dams[0]),
+          reference: { model: 'MatingEvent', _id: mating._id },
+          details: {
+            matingDate: mating.matingDate,
+            method: mating.pregnancyCheckMethod,
+            dams: mating.dams.map(animalSummary),
+          },
+        });
+      });
+    }
+
+    if (wanted('expected_delivery')) {
+      const pregnancies = await Pregnancy.find({
+        farm: farmId,
+        status: { $in: ['confirmed', 'progressing'] },
+        isActive: true,
+        expectedDeliveryDate: { $gte: from, $lte: to },
+      })
+      .populate('dam', 'name tagNumber')
+      .lean();
+
+      pregnancies.forEach(pregnancy => {
+        events.push({
+          id: `expected_delivery:${pregnancy._id}`,
+          type: 'expected_delivery',
+          date: pregnancy.expectedDeliveryDate,
+          title: `${EVENT_LABELS.expected_delivery}: ${animalLabel(pregnancy.dam)}`,
+          animal: animalSummary(pregnancy.dam),
+          reference: { model: 'Pregnancy', _id: pregnancy._id },
+          details: {
+            conceptionDate: pregnancy.conceptionDate,
+            expectedLitterSize: pregnancy.expectedLitterSize,
+          },
+        });
+      });
+    }
+
+    if (wanted('weaning')) {
+      // Weaning falls due weaningAgeDays after birth, per animal type
+      const animalTypes = await AnimalType.find({
+        farm: farmId,
+        'reproduction.weaningAgeDays': { $gt: 0 },
+      })
+      .select('reproduction.weaningAgeDays')
+      .lean();
+      const weaningDays = new Map(animalTypes.map(type => [type._id.toString(), type.reproduction.weaningAgeDays]));
+
+      if (weaningDays.size > 0) {
+        const longest = Math.max(...weaningDays.values());
+
+        const offspring = await OffspringTracking.find({
+          farm: farmId,
+          status: 'alive',
+          weaningDate: null,
+          'offspringDetails.dateOfBirth': { $gte: addDays(from, -longest), $lte: to },
+        })
+        .populate('offspring', 'name tagNumber animalType')
+        .populate('dam', 'name tagNumber')
+        .populate('nursingDam', 'name tagNumber')
+        .lean();
+
+        offspring.forEach(tracking => {
+          const days = tracking.offspring && weaningDays.get(tracking.offspring.animalType?.toString());
+          if (!days) return;
+
+          const date = addDays(tracking.offspringDetails.dateOfBirth, days);
+          if (date < from || date > to) return;
+
+          events.push({
+            id: `weaning:${tracking._id}`,
+            type: 'weaning',
+            date,
+            title: `${EVENT_LABELS.weaning}: ${animalLabel(tracking.offspring)}`,
+            animal: animalSummary(tracking.offspring),
+            reference: { model: 'OffspringTracking', _id: tracking._id },
+            details: {
+              dateOfBirth: tracking.offspringDetails.dateOfBirth,
+              weaningAgeDays: days,
+              dam: animalSummary(tracking.dam),
+              nursingDam: animalSummary(tracking.nursingDam || tracking.dam),
+            },
+          });
+        });
+      }
+    }
+
+    return events.sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+
+  // Get a farm's breeding calendar (today onwards by default)
+  async getFarmCalendar(farmId, userId, filters = {}) {
+    try {
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const from = startOfDay(filters.startDate || new Date());
+      const to = endOfDay(filters.endDate || addDays(from, DEFAULT_CALENDAR_DAYS));
+
+      if (to < from) {
+        throw new ValidationError('End date must be after start date');
+      }
+
+      if ((to - from) / DAY_MS > MAX_CALENDAR_DAYS) {
+        throw new ValidationError(`Calendar range cannot exceed ${MAX_CALENDAR_DAYS} days`);
+      }
+
+      const events = await this.buildEvents(farmId, from, to, filters.type);
+
+      return {
+        period: { from, to },
+        events,
+        summary: Object.keys(EVENT_LABELS).reduce((summary, type) => {
+          summary[type] = events.filter(event => event.type === type).length;
+          return summary;
+        }, { total: events.length }),
+      };
+    } catch (error) {
+      console.error('Service error getting breeding calendar:', error);
+      throw error;
+    }
+  }
+
+  // ===== ICS FEEDS =====
+
+  // Create the user's feed link for a farm, replacing any earlier link. The token is
+  // returned once; only its hash is kept.
+  async createCalendarFeed(farmId, userId) {
+    try {
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const token = tokenUtils.generateOneTimeToken();
+
+      const feed = await CalendarFeed.findOneAndUpdate(
+        { user: userId, farm: farmId },
+        { tokenHash: tokenUtils.hashToken(token), lastAccessedAt: null },
+        { upsert: true, new: true }
+      );
+
+      return { token, feed };
+    } catch (error) {
+      console.error('Service error creating calendar feed:', error);
+      throw error;
+    }
+  }
+
+  // Revoke the user's feed link for a farm
+  async revokeCalendarFeed(farmId, userId) {
+    try {
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      return await CalendarFeed.findOneAndDelete({ user: userId, farm: farmId });
+    } catch (error) {
+      console.error('Service error revoking calendar feed:', error);
+      throw error;
+    }
+  }
+
+  // ICS text of the calendar behind a feed token, or null when the token is unknown or
+  // its user has lost read access to the farm's reproduction data
+  async getCalendarFeed(token) {
+    try {
+      const feed = await CalendarFeed.findOne({ tokenHash: tokenUtils.hashToken(token) });
+
+      if (!feed) {
+        return null;
+      }
+
+      const access = await farmAccess.getFarmAccess(feed.farm, feed.user);
+
+      if (!access || !farmAccess.hasPermission(access.role, 'reproduction:read')) {
+        return null;
+      }
+
+      const today = startOfDay(new Date());
+      const events = await this.buildEvents(
+        feed.farm,
+        addDays(today, -feedPastDays()),
+        endOfDay(addDays(today, feedFutureDays()))
+      );
+
+      feed.lastAccessedAt = new Date();
+      await feed.save();
+
+      return icsCalendar.render({
+        name: `${access.farm.name} breeding calendar`,
+        events: events.map(toIcsEvent),
+      });
+    } catch (error) {
+      console.error('Service error getting calendar feed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new BreedingCalendarService();
@@ -0,0 +1,41 @@
+// src/modules/animals/operations/reproductions/calendarFeed.model.js
+const mongoose = require('mongoose');
+
+// A user's subscription link to a farm's breeding calendar. Calendar apps cannot send a
+// login token, so the secret in the link identifies the user; only its hash is stored.
+const calendarFeedSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+    },
+
+    // Farm reference
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: [true, 'Farm reference is required'],
+    },
+
+    tokenHash: {
+      type: String,
+      required: [true, 'Token hash is required'],
+      unique: true,
+    },
+
+    lastAccessedAt: Date,
+  },
+  {
+    timestamps: true,
+    // Token hashes stay out of the audit trail
+    audit: false,
+  }
+);
+
+// Indexes
+calendarFeedSchema.index({ user: 1, farm: 1 }, { unique: true });
+
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+module.exports = CalendarFeed;
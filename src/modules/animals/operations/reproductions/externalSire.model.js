@@ -0,0 +1,91 @@
+// src/modules/animals/operations/reproductions/externalSire.model.js
+const mongoose = require('mongoose');
+
+// A sire used only through bought-in semen, with no Animal record on the farm. Matings,
+// pregnancies, births and offspring point to it in place of an on-farm sire.
+const externalSireSchema = new mongoose.Schema(
+  {
+    // Farm reference
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: [true, 'Farm reference is required'],
+    },
+
+    animalType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AnimalType',
+      required: [true, 'Animal type reference is required'],
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Sire name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+
+    // Stud or breed society identifiers
+    code: {
+      type: String,
+      trim: true,
+    },
+
+    registrationNumber: {
+      type: String,
+      trim: true,
+    },
+
+    breed: {
+      type: String,
+      trim: true,
+    },
+
+    // AI centre or stud the semen comes from
+    stud: {
+      type: String,
+      trim: true,
+    },
+
+    // Known parents, as named by the stud
+    sireName: {
+      type: String,
+      trim: true,
+    },
+
+    damName: {
+      type: String,
+      trim: true,
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    // Metadata
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // Flags
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+externalSireSchema.index({ farm: 1, name: 1 });
+externalSireSchema.index({ farm: 1, registrationNumber: 1 });
+
+const ExternalSire = mongoose.model('ExternalSire', externalSireSchema);
+
+module.exports = ExternalSire;
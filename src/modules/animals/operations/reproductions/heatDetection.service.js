@@ -0,0 +1,512 @@
+// src/modules/animals/operations/reproductions/heatDetection.service.js
+const HeatObservation = require('./heatObservation.model');
+const Pregnancy = require('./pregnancy.model');
+const Animal = require('../../animalRecords/animal.model');
+const AnimalType = require('../../../animalTypes/animalType.model');
+const AnimalGeneticProfile = require('../genetics-breeding/animalGeneticProfile.model');
+const farmAccess = require('../../../farms/farmAccess');
+const { ForbiddenError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cycle used when neither the animal nor its type has one
+const DEFAULT_HEAT_CYCLE_DAYS = 21;
+
+// Observations this close to the previous one are the same heat
+const HEAT_EPISODE_DAYS = 3;
+
+// An animal's cycle is learned from its most recent gaps between heats, once it has enough
+const LEARNING_INTERVALS = 5;
+const MIN_LEARNING_INTERVALS = 2;
+
+// Days either side of the expected date a predicted heat may start
+const heatWindowDays = () => parseInt(process.env.HEAT_WINDOW_DAYS) || 2;
+
+// Sires suggested for each female due in heat
+const SUGGESTED_SIRES = 3;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const daysBetween = (from, to) => (new Date(to) - new Date(from)) / DAY_MS;
+
+const sameId = (a, b) => Boolean(a && b && a.toString() === b.toString());
+
+// First day of each separate heat, oldest first
+const heatStarts = (dates) => {
+  const sorted = dates.map(date => new Date(date)).sort((a, b) => a - b);
+  const starts = [];
+  let lastSeen = null;
+
+  for (const date of sorted) {
+    if (!lastSeen || daysBetween(lastSeen, date) > HEAT_EPISODE_DAYS) {
+      starts.push(date);
+    }
+    lastSeen = date;
+  }
+
+  return starts;
+};
+
+// Median gap between recent heats. A gap spanning several expected cycles means heats
+// were missed, so it counts as that many cycles; gaps that fit no cycle are ignored.
+const learnCycleDays = (starts, expectedDays) => {
+  const cycles = [];
+
+  for (let i = 1; i < starts.length; i++) {
+    const gap = daysBetween(starts[i - 1], starts[i]);
+    const cycleCount = Math.max(1, Math.round(gap / expectedDays));
+    const cycle = gap / cycleCount;
+
+    if (Math.abs(cycle - expectedDays) <= expectedDays / 2) {
+      cycles.push(cycle);
+    }
+  }
+
+  const recent = cycles.slice(-LEARNING_INTERVALS).sort((a, b) => a - b);
+
+  if (recent.length < MIN_LEARNING_INTERVALS) {
+    return null;
+  }
+
+  const middle = Math.floor(recent.length / 2);
+  const median = recent.length % 2 ? recent[middle] : (recent[middle - 1] + recent[middle]) / 2;
+
+  return Math.round(median * 10) / 10;
+};
+
+// Cycle length for an animal and where it came from
+const cycleFor = (animal, animalType, starts) => {
+  const typeDays = animalType?.reproduction?.heatCycleDays;
+  const learned = learnCycleDays(starts, typeDays || animal.heatCycleDays || DEFAULT_HEAT_CYCLE_DAYS);
+
+  if (learned) {
+    return { days: learned, source: 'learned' };
+  }
+  if (animal.heatCycleDays) {
+    return { days: animal.heatCycleDays, source: 'animal' };
+  }
+  if (typeDays) {
+    return { days: typeDays, source: 'animal_type' };
+  }
+  return { days: DEFAULT_HEAT_CYCLE_DAYS, source: 'default' };
+};
+
+// Next heat after the last one whose window has not yet passed. Cycles skipped over
+// are heats that were expected but not observed.
+const predictNextHeat = (lastHeatDate, cycleDays, asOf = new Date()) => {
+  const windowDays = heatWindowDays();
+  const cycles = Math.max(1, Math.ceil((daysBetween(lastHeatDate, asOf) - windowDays) / cycleDays));
+  const expectedDate = addDays(lastHeatDate, cycles * cycleDays);
+
+  return {
+    expectedDate,
+    windowStart: addDays(expectedDate, -windowDays),
+    windowEnd: addDays(expectedDate, windowDays),
+    missedHeats: cycles - 1,
+  };
+};
+
+// Heat history and prediction for a female from her observations
+const heatStatus = (animal, animalType, observations, asOf = new Date()) => {
+  const dates = observations.map(observation => observation.observedAt);
+
+  if (animal.lastHeatDate) {
+    dates.push(animal.lastHeatDate);
+  }
+
+  const starts = heatStarts(dates);
+  const cycle = cycleFor(animal, animalType, starts);
+  const lastSeen = dates.length > 0 ? new Date(Math.max(...dates.map(date => new Date(date).getTime()))) : null;
+
+  if (!lastSeen) {
+    return { lastHeatDate: null, inHeat: false, heatsRecorded: 0, cycle, nextHeat: null };
+  }
+
+  const lastHeatDate = starts[starts.length - 1];
+
+  return {
+    lastHeatDate,
+    inHeat: daysBetween(lastSeen, asOf) <= HEAT_EPISODE_DAYS,
+    heatsRecorded: starts.length,
+    cycle,
+    nextHeat: predictNextHeat(lastHeatDate, cycle.days, asOf),
+  };
+};
+
+// Males of the female's type that may serve her, best genetic match first
+const suggestSires = (female, males, profiles) => {
+  const femaleProfile = profiles.get(female._id.toString());
+
+  return males
+    .filter(male => sameId(male.animalType, female.animalType))
+    // Parents and offspring are never suggested
+    .filter(male => ![female.sire, female.father].some(parent => sameId(parent, male._id)))
+    .filter(male => ![male.dam, male.mother].some(parent => sameId(parent, female._id)))
+    .map(male => {
+      const maleProfile = profiles.get(male._id.toString());
+      const compatibility = femaleProfile && maleProfile ? femaleProfile.canBreedWith(maleProfile) : null;
+
+      return {
+        sire: { _id: male._id, name: male.name, tagNumber: male.tagNumber, breed: male.breed },
+        canBreed: compatibility ? compatibility.canBreed : true,
+        compatibilityScore: compatibility ? compatibility.compatibilityScore : null,
+        warnings: compatibility ? compatibility.warnings : [],
+      };
+    })
+    .filter(suggestion => suggestion.canBreed)
+    .sort((a, b) => (b.compatibilityScore ?? -1) - (a.compatibilityScore ?? -1))
+    .slice(0, SUGGESTED_SIRES)
+    .map(({ canBreed, ...suggestion }) => suggestion);
+};
+
+class HeatDetectionService {
+  // Find a female the user can record heats for
+  async findFemale(animalId, userId) {
+    const animal = await Animal.findById(animalId);
+
+    if (!animal) {
+      throw new NotFoundError('Animal not found');
+    }
+
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
+
+    if (!farm) {
+      throw new ForbiddenError('Farm not found or you do not have permission');
+    }
+
+    if (animal.gender !== 'female') {
+      throw new BusinessRuleError('Heat is only tracked for females');
+    }
+
+    const animalType = await AnimalType.findById(animal.animalType);
+
+    if (!animalType || !animalType.features?.reproduction) {
+      throw new BusinessRuleError('Reproduction module is not enabled for this animal type');
+    }
+
+    return { animal, animalType };
+  }
+
+  // Heat status of a female from all her active observations
+  async statusFor(animal, animalType, asOf = new Date()) {
+    const observations = await HeatObservation.find({ animal: animal._id, isActive: true })
+      .select('observedAt')
+      .lean();
+
+    return heatStatus(animal, animalType, observations, asOf);
+  }
+
+  // Move the animal's last heat date up to her latest observed heat. A date entered by
+  // hand stays when it is more recent or no observation is left; the learned cycle is
+  // worked out on each read, so her own heatCycleDays is never overwritten. `removedAt`
+  // is the time of an observation just deleted, whose heat no longer counts.
+  async refreshAnimalHeat(animal, animalType, removedAt) {
+    const observations = await HeatObservation.find({ animal: animal._id, isActive: true })
+      .select('observedAt')
+      .lean();
+
+    const starts = heatStarts(observations.map(observation => observation.observedAt));
+    const latest = starts.length > 0 ? starts[starts.length - 1] : null;
+    const stored = animal.lastHeatDate ? new Date(animal.lastHeatDate) : null;
+
+    if (stored && removedAt && stored.getTime() === new Date(removedAt).getTime()) {
+      animal.lastHeatDate = latest || undefined;
+    } else if (latest && (!stored || latest > stored)) {
+      animal.lastHeatDate = latest;
+    }
+
+    if (animal.isModified('lastHeatDate')) {
+      await animal.save();
+    }
+
+    return heatStatus(animal, animalType, observations);
+  }
+
+  // Record a heat observation
+  async recordHeatObservation(observationData, userId) {
+    try {
+      const { animal, animalType } = await this.findFemale(observationData.animal, userId);
+
+      if (animal.status !== 'alive') {
+        throw new BusinessRuleError('Heat can only be recorded for live animals');
+      }
+
+      const observation = await HeatObservation.create({
+        ...observationData,
+        farm: animal.farm,
+        observer: observationData.observer || (observationData.observerName ? undefined : userId),
+        recordedBy: userId,
+      });
+
+      const status = await this.refreshAnimalHeat(animal, animalType);
+
+      return { observation, status };
+    } catch (error) {
+      console.error('Service error recording heat observation:', error);
+      throw error;
+    }
+  }
+
+  // Get heat observations for an animal
+  async getAnimalHeatObservations(animalId, userId, filters = {}) {
+    try {
+      await this.findFemale(animalId, userId);
+
+      const query = { animal: animalId, isActive: true };
+
+      if (filters.startDate || filters.endDate) {
+        query.observedAt = {};
+        if (filters.startDate) query.observedAt.$gte = new Date(filters.startDate);
+        if (filters.endDate) query.observedAt.$lte = new Date(filters.endDate);
+      }
+
+      // Pagination
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const [observations, totalRecords] = await Promise.all([
+        HeatObservation.find(query)
+          .populate('observer', 'name email')
+          .sort({ observedAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        HeatObservation.countDocuments(query),
+      ]);
+
+      return {
+        observations,
+        pagination: {
+          page,
+          limit,
+          totalRecords,
+          totalPages: Math.ceil(totalRecords / limit),
+          hasNextPage: page * limit < totalRecords,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      console.error('Service error getting heat observations:', error);
+      throw error;
+    }
+  }
+
+  // Get a female's cycle and predicted next heat
+  async getAnimalHeatPrediction(animalId, userId) {
+    try {
+      const { animal, animalType } = await this.findFemale(animalId, userId);
+
+      return {
+        animal: {
+          _id: animal._id,
+          name: animal.name,
+          tagNumber: animal.tagNumber,
+          reproductiveStatus: animal.reproductiveStatus,
+        },
+        ...(await this.statusFor(animal, animalType)),
+      };
+    } catch (error) {
+      console.error('Service error getting heat prediction:', error);
+      throw error;
+    }
+  }
+
+  // Delete a heat observation (soft delete)
+  async deleteHeatObservation(observationId, userId) {
+    try {
+      const observation = await HeatObservation.findById(observationId);
+
+      if (!observation || !observation.isActive) {
+        return null;
+      }
+
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(observation.farm, userId);
+
+      if (!farm) {
+        return null;
+      }
+
+      observation.isActive = false;
+      await observation.save();
+
+      const animal = await Animal.findById(observation.animal);
+
+      if (animal) {
+        await this.refreshAnimalHeat(animal, await AnimalType.findById(animal.animalType), observation.observedAt);
+      }
+
+      return observation;
+    } catch (error) {
+      console.error('Service error deleting heat observation:', error);
+      throw error;
+    }
+  }
+
+  // Heat status of every open (non-pregnant, breedable) female of the farm
+  async openFemaleStatuses(farmId, asOf = new Date()) {
+    const animalTypes = await AnimalType.find({ farm: farmId, 'features.reproduction': true });
+    const typesById = new Map(animalTypes.map(type => [type._id.toString(), type]));
+
+    const pregnantDams = await Pregnancy.distinct('dam', {
+      farm: farmId,
+      status: { $in: ['confirmed', 'progressing'] },
+      isActive: true,
+    });
+
+    const females = await Animal.find({
+      farm: farmId,
+      gender: 'female',
+      status: 'alive',
+      animalType: { $in: animalTypes.map(type => type._id) },
+      reproductiveStatus: { $nin: ['pregnant', 'immature', 'infertile'] },
+      _id: { $nin: pregnantDams },
+    })
+    .select('name tagNumber breed animalType reproductiveStatus lastHeatDate heatCycleDays sire father quarantine')
+    .lean();
+
+    const observations = await HeatObservation.find({
+      animal: { $in: females.map(female => female._id) },
+      isActive: true,
+    })
+    .select('animal observedAt')
+    .lean();
+
+    const observationsByAnimal = new Map();
+    observations.forEach(observation => {
+      const key = observation.animal.toString();
+      if (!observationsByAnimal.has(key)) observationsByAnimal.set(key, []);
+      observationsByAnimal.get(key).push(observation);
+    });
+
+    return {
+      animalTypes,
+      females: females.map(female => ({
+        female,
+        status: heatStatus(
+          female,
+          typesById.get(female.animalType.toString()),
+          observationsByAnimal.get(female._id.toString()) || [],
+          asOf
+        ),
+      })),
+    };
+  }
+
+  // Expected heats of open females up to `to`, following each female's cycle forward
+  // from her next predicted heat after `from`
+  async getExpectedHeats(farmId, from, to) {
+    const { females } = await this.openFemaleStatuses(farmId, from);
+    const windowDays = heatWindowDays();
+    const heats = [];
+
+    females.forEach(({ female, status }) => {
+      if (!status.nextHeat) return;
+
+      for (
+        let expectedDate = status.nextHeat.expectedDate;
+        expectedDate <= to;
+        expectedDate = addDays(expectedDate, status.cycle.days)
+      ) {
+        heats.push({
+          animal: female,
+          expectedDate,
+          windowStart: addDays(expectedDate, -windowDays),
+          windowEnd: addDays(expectedDate, windowDays),
+          cycle: status.cycle,
+        });
+      }
+    });
+
+    return heats;
+  }
+
+  // Open females in heat now or expected in heat within `days`, each with the sires
+  // that could serve her and a ready-made mating event to create
+  async getFarmDueInHeat(farmId, userId, days = 7) {
+    try {
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const now = new Date();
+      const until = addDays(now, days);
+
+      const { animalTypes, females } = await this.openFemaleStatuses(farmId, now);
+
+      const due = females
+        .filter(({ status }) => status.inHeat
+          || (status.nextHeat && status.nextHeat.windowStart <= until && status.nextHeat.windowEnd >= now));
+
+      const males = await Animal.find({
+        farm: farmId,
+        gender: 'male',
+        status: 'alive',
+        animalType: { $in: animalTypes.map(type => type._id) },
+        breedingStatus: { $nin: ['retired', 'infertile'] },
+        'quarantine.isQuarantined': { $ne: true },
+      })
+      .select('name tagNumber breed animalType dam mother')
+      .lean();
+
+      const profiles = new Map((await AnimalGeneticProfile.find({
+        farm: farmId,
+        animal: { $in: [...due.map(({ female }) => female._id), ...males.map(male => male._id)] },
+      })).map(profile => [profile.animal.toString(), profile]));
+
+      const animals = due
+        .map(({ female, status }) => {
+          const suggestedSires = suggestSires(female, males, profiles);
+          const quarantined = Boolean(female.quarantine?.isQuarantined);
+          const matingDate = status.inHeat ? now : status.nextHeat.expectedDate;
+
+          return {
+            animal: {
+              _id: female._id,
+              name: female.name,
+              tagNumber: female.tagNumber,
+              breed: female.breed,
+              animalType: female.animalType,
+              reproductiveStatus: female.reproductiveStatus,
+            },
+            heatStatus: status.inHeat ? 'in_heat' : 'expected',
+            ...status,
+            quarantined,
+            suggestedSires,
+            // Body for POST /reproduction/mating; quarantined females cannot be bred
+            matingSuggestion: quarantined ? null : {
+              farm: farmId,
+              sire: suggestedSires[0]?.sire._id,
+              dams: [female._id],
+              matingDate,
+            },
+          };
+        })
+        .sort((a, b) => (a.heatStatus === b.heatStatus
+          ? (a.nextHeat?.expectedDate || 0) - (b.nextHeat?.expectedDate || 0)
+          : a.heatStatus === 'in_heat' ? -1 : 1));
+
+      return {
+        period: { from: now, to: until },
+        animals,
+        summary: {
+          total: animals.length,
+          inHeat: animals.filter(entry => entry.heatStatus === 'in_heat').length,
+          expected: animals.filter(entry => entry.heatStatus === 'expected').length,
+          withoutSire: animals.filter(entry => entry.suggestedSires.length === 0).length,
+          noHeatRecorded: females.filter(({ status }) => !status.lastHeatDate).length,
+        },
+      };
+    } catch (error) {
+      console.error('Service error getting females due in heat:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new HeatDetectionService();
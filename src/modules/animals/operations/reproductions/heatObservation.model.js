@@ -0,0 +1,93 @@
+// src/modules/animals/operations/reproductions/heatObservation.model.js
+const mongoose = require('mongoose');
+
+// A female seen in heat (estrus). Observations a few days apart belong to the same heat;
+// the gaps between heats are used to learn the animal's cycle length.
+const heatObservationSchema = new mongoose.Schema(
+  {
+    // Farm reference
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: [true, 'Farm reference is required'],
+    },
+
+    // Female observed
+    animal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Animal',
+      required: [true, 'Animal reference is required'],
+    },
+
+    observedAt: {
+      type: Date,
+      required: [true, 'Observation date is required'],
+    },
+
+    signs: {
+      type: [{
+        type: String,
+        enum: [
+          'standing_to_be_mounted',
+          'mounting_others',
+          'restlessness',
+          'vocalizing',
+          'mucus_discharge',
+          'swollen_vulva',
+          'reduced_appetite',
+          'drop_in_milk',
+          'tail_raising',
+          'other',
+        ],
+      }],
+      default: [],
+    },
+
+    intensity: {
+      type: String,
+      enum: ['weak', 'moderate', 'strong'],
+      default: 'moderate',
+    },
+
+    // Who saw the heat: a farm user, or someone named without an account
+    observer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    observerName: {
+      type: String,
+      trim: true,
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    // Metadata
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // Flags
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+heatObservationSchema.index({ animal: 1, observedAt: -1 });
+heatObservationSchema.index({ farm: 1, observedAt: -1 });
+
+const HeatObservation = mongoose.model('HeatObservation', heatObservationSchema);
+
+module.exports = HeatObservation;
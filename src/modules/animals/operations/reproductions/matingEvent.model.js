@@ -14,7 +14,13 @@ const matingEventSchema = new mongoose.Schema(
     sire: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Animal',
-      required: [true, 'Sire (male) reference is required'],
+      required: [function() { return !this.externalSire; }, 'Sire (male) reference is required'],
+    },
+    
+    // Off-farm sire, for artificial insemination with bought-in semen
+    externalSire: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExternalSire',
     },
     
     // Female(s) (dam) reference - can be multiple for some species
@@ -124,6 +130,17 @@ const matingEventSchema = new mongoose.Schema(
     // For AI tracking
     strawNumber: String,
     aiCompany: String,
+    
+    // Semen inventory the straws were taken from
+    semenBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SemenBatch',
+    },
+    
+    strawsUsed: {
+      type: Number,
+      min: 0,
+    },
   },
   {
     timestamps: true,
@@ -135,6 +152,7 @@ const matingEventSchema = new mongoose.Schema(
 // Indexes
 matingEventSchema.index({ farm: 1, status: 1 });
 matingEventSchema.index({ sire: 1, matingDate: -1 });
+matingEventSchema.index({ externalSire: 1, matingDate: -1 });
 matingEventSchema.index({ dams: 1 });
 matingEventSchema.index({ matingDate: -1 });
 
@@ -151,6 +169,28 @@ matingEventSchema.virtual('expectedDeliveryDate').get(function() {
   return null;
 });
 
+// Whether a mating led to conception: its outcome, else its pregnancy check; null while unknown.
+// Static so it also works on lean documents.
+matingEventSchema.statics.conceived = function(event) {
+  if (event.outcome === 'successful' || event.pregnancyResult === 'positive') return true;
+  if (event.outcome === 'unsuccessful' || event.pregnancyResult === 'negative') return false;
+  return null;
+};
+
+// Whether one dam of a mating conceived, given the dams with a pregnancy recorded from it.
+// Once any pregnancy is recorded, dams without one did not conceive. Otherwise the mating's
+// own result speaks for a single dam; with several dams a success cannot be credited to
+// each of them, only a failure applies to all.
+matingEventSchema.statics.damConceived = function(event, dam, pregnantDams = []) {
+  const pregnant = pregnantDams.map(id => id.toString());
+
+  if (pregnant.includes(dam.toString())) return true;
+  if (pregnant.length > 0) return false;
+
+  const result = this.conceived(event);
+  return event.dams.length === 1 || result === false ? result : null;
+};
+
 // Method to check if mating can result in pregnancy (based on species rules)
 matingEventSchema.methods.canResultInPregnancy = async function() {
   const Animal = require('../../animalRecords/animal.model');
@@ -2,39 +2,127 @@
 const MatingEvent = require('./matingEvent.model');
 const Animal = require('../../animalRecords/animal.model');
 const AnimalType = require('../../../animalTypes/animalType.model');
-const Farm = require('../../../farms/farm.model');
+const farmAccess = require('../../../farms/farmAccess');
+const semenInventoryService = require('./semenInventory.service');
+const { ValidationError, ForbiddenError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
+
+const emptyTally = (details) => ({
+  ...details,
+  services: 0,
+  conceived: 0,
+  notConceived: 0,
+  pending: 0,
+  strawsUsed: 0,
+});
+
+// Each dam served is a service of its own; straws are counted once per mating
+const addToTally = (tally, event, pregnantDams) => {
+  tally.strawsUsed += event.strawsUsed || 0;
+
+  event.dams.forEach(dam => {
+    const result = MatingEvent.damConceived(event, dam, pregnantDams);
+
+    tally.services++;
+    if (result === true) tally.conceived++;
+    else if (result === false) tally.notConceived++;
+    else tally.pending++;
+  });
+};
+
+// Conceptions out of the services whose result is known
+const withConceptionRate = (tally) => {
+  const known = tally.conceived + tally.notConceived;
+
+  return {
+    ...tally,
+    conceptionRate: known > 0 ? Math.round((tally.conceived / known) * 1000) / 10 : null,
+  };
+};
 
 class MatingEventService {
   // Create mating event
   async createMatingEvent(matingData, userId) {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: matingData.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(matingData.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
-      }
-      
-      // Verify sire exists and is male
-      const sire = await Animal.findById(matingData.sire);
-      if (!sire || sire.gender !== 'male') {
-        throw new Error('Sire not found or is not male');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Verify dams exist and are female
       if (!matingData.dams || matingData.dams.length === 0) {
-        throw new Error('At least one dam is required');
+        throw new BusinessRuleError('At least one dam is required');
+      }
+      
+      if (matingData.sire && matingData.externalSire) {
+        throw new ValidationError('Provide either a sire or an external sire, not both');
+      }
+      
+      const artificial = matingData.matingType === 'artificial_insemination';
+      
+      if (matingData.externalSire && !artificial) {
+        throw new BusinessRuleError('External sires can only be used for artificial insemination');
+      }
+      
+      // Artificial insemination takes a straw per dam (unless told otherwise) from the
+      // semen inventory; the batch decides the sire when none is given
+      let semenBatch = null;
+      
+      if (artificial) {
+        if (!matingData.sire && !matingData.externalSire && !matingData.semenBatch) {
+          throw new ValidationError('A sire, external sire or semen batch is required');
+        }
+        
+        matingData.strawsUsed = matingData.strawsUsed || matingData.dams.length;
+        semenBatch = await semenInventoryService.takeStrawsForMating(matingData.farm, matingData, matingData.strawsUsed);
+        
+        matingData.sire = semenBatch.sire;
+        matingData.externalSire = semenBatch.externalSire;
+        matingData.semenBatch = semenBatch._id;
+        matingData.semenBatchNumber = semenBatch.batchNumber;
+        matingData.semenSource = matingData.semenSource || (semenBatch.externalSire ? 'purchased' : 'on_farm');
+        
+        if (semenBatch.costPerStraw != null && matingData.cost?.amount == null) {
+          matingData.cost = {
+            ...matingData.cost,
+            amount: Math.round(semenBatch.costPerStraw * matingData.strawsUsed * 100) / 100,
+            currency: matingData.cost?.currency || semenBatch.currency,
+          };
+        }
+      } else if (matingData.semenBatch || matingData.strawsUsed) {
+        throw new ValidationError('Semen straws are only used for artificial insemination');
+      }
+      
+      // Verify sire exists and is male, or is an external sire of the farm
+      let sire;
+      let sireType;
+      
+      if (matingData.externalSire) {
+        sire = await semenInventoryService.findSire(matingData.farm, { externalSire: matingData.externalSire });
+        sireType = await AnimalType.findById(sire.animalType);
+      } else {
+        sire = await Animal.findById(matingData.sire);
+        if (!sire || sire.gender !== 'male') {
+          throw new NotFoundError('Sire not found or is not male');
+        }
+        
+        if (sire.quarantine?.isQuarantined) {
+          throw new BusinessRuleError(`Sire ${sire.tagNumber} is quarantined and cannot be used for breeding until released`);
+        }
+        
+        sireType = await AnimalType.findById(sire.animalType);
       }
       
       const dams = [];
       for (const damId of matingData.dams) {
         const dam = await Animal.findById(damId);
         if (!dam || dam.gender !== 'female') {
-          throw new Error(`Dam ${damId} not found or is not female`);
+          throw new NotFoundError(`Dam ${damId} not found or is not female`);
+        }
+        
+        if (dam.quarantine?.isQuarantined) {
+          throw new BusinessRuleError(`Dam ${dam.tagNumber || damId} is quarantined and cannot be bred until released`);
         }
         
         // Check if dam is already pregnant
@@ -46,23 +134,26 @@ class MatingEventService {
         });
         
         if (existingPregnancy) {
-          throw new Error(`Dam ${dam.tagNumber || damId} is already pregnant`);
+          throw new BusinessRuleError(`Dam ${dam.tagNumber || damId} is already pregnant`);
         }
         
         dams.push(dam);
       }
       
       // Check animal type features
-      const sireType = await AnimalType.findById(sire.animalType);
       if (!sireType || !sireType.features?.reproduction) {
-        throw new Error('Reproduction module is not enabled for sire animal type');
+        throw new BusinessRuleError('Reproduction module is not enabled for sire animal type');
       }
       
       // For each dam, check features
       for (const dam of dams) {
         const damType = await AnimalType.findById(dam.animalType);
         if (!damType || !damType.features?.reproduction) {
-          throw new Error(`Reproduction module is not enabled for dam ${dam.tagNumber || dam._id}`);
+          throw new BusinessRuleError(`Reproduction module is not enabled for dam ${dam.tagNumber || dam._id}`);
+        }
+        
+        if (matingData.externalSire && !damType._id.equals(sireType._id)) {
+          throw new BusinessRuleError(`External sire ${sire.name} is not the same animal type as dam ${dam.tagNumber || dam._id}`);
         }
       }
       
@@ -72,6 +163,10 @@ class MatingEventService {
       // Create mating event
       const matingEvent = await MatingEvent.create(matingData);
       
+      if (semenBatch) {
+        await semenBatch.save();
+      }
+      
       return matingEvent;
     } catch (error) {
       console.error('Service error creating mating event:', error);
@@ -85,17 +180,13 @@ class MatingEventService {
       // Verify animal exists and user has permission
       const animal = await Animal.findById(animalId);
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Build query based on role (sire, dam, or any)
@@ -150,6 +241,7 @@ class MatingEventService {
       // Get mating events with population
       const matingEvents = await MatingEvent.find(query)
         .populate('sire', 'name tagNumber gender breed')
+        .populate('externalSire', 'name code registrationNumber breed')
         .populate('dams', 'name tagNumber gender breed')
         .sort({ matingDate: -1 })
         .skip(skip)
@@ -181,7 +273,9 @@ class MatingEventService {
     try {
       const matingEvent = await MatingEvent.findById(eventId)
         .populate('sire', 'name tagNumber gender breed animalType')
+        .populate('externalSire', 'name code registrationNumber breed animalType')
         .populate('dams', 'name tagNumber gender breed animalType')
+        .populate('semenBatch', 'batchNumber storage')
         .populate('previousMatingEvent');
       
       if (!matingEvent) {
@@ -189,11 +283,7 @@ class MatingEventService {
       }
       
       // Verify user has permission via farm
-      const farm = await Farm.findOne({
-        _id: matingEvent.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(matingEvent.farm, userId);
       
       if (!farm) {
         return null;
@@ -217,14 +307,23 @@ class MatingEventService {
       
       // Don't allow changing farm
       if (updateData.farm) {
-        throw new Error('Cannot change farm reference');
+        throw new ValidationError('Cannot change farm reference');
+      }
+      
+      // An insemination's sire is the one the semen came from
+      if (updateData.sire && (matingEvent.semenBatch || matingEvent.externalSire)) {
+        throw new ValidationError('Cannot change the sire of an insemination recorded from semen inventory');
+      }
+      
+      if (updateData.matingType && matingEvent.semenBatch && updateData.matingType !== 'artificial_insemination') {
+        throw new ValidationError('Cannot change the mating type of an insemination recorded from semen inventory');
       }
       
       // If changing sire or dams, validate
       if (updateData.sire) {
         const sire = await Animal.findById(updateData.sire);
         if (!sire || sire.gender !== 'male') {
-          throw new Error('Sire not found or is not male');
+          throw new NotFoundError('Sire not found or is not male');
         }
       }
       
@@ -232,7 +331,7 @@ class MatingEventService {
         for (const damId of updateData.dams) {
           const dam = await Animal.findById(damId);
           if (!dam || dam.gender !== 'female') {
-            throw new Error(`Dam ${damId} not found or is not female`);
+            throw new NotFoundError(`Dam ${damId} not found or is not female`);
           }
         }
       }
@@ -266,7 +365,7 @@ class MatingEventService {
       }
       
       if (!['completed', 'failed'].includes(outcomeData.status)) {
-        throw new Error('Invalid status. Must be "completed" or "failed"');
+        throw new ValidationError('Invalid status. Must be "completed" or "failed"');
       }
       
       const updateData = {
@@ -312,7 +411,7 @@ class MatingEventService {
       const pregnancies = [];
       
       // Get gestation period from animal type
-      const sireType = await AnimalType.findById(matingEvent.sire.animalType);
+      const sireType = matingEvent.sire && await AnimalType.findById(matingEvent.sire.animalType);
       const defaultGestation = sireType?.gestationDays || 30; // Default 30 days for rabbits
       
       for (const dam of matingEvent.dams) {
@@ -326,7 +425,8 @@ class MatingEventService {
         const pregnancyData = {
           farm: matingEvent.farm,
           dam: dam._id,
-          sire: matingEvent.sire._id,
+          sire: matingEvent.sire?._id,
+          externalSire: matingEvent.externalSire,
           matingEvent: matingEventId,
           conceptionDate,
           confirmedDate: new Date(),
@@ -363,13 +463,20 @@ class MatingEventService {
       });
       
       if (pregnancies.length > 0) {
-        throw new Error('Cannot delete mating event with associated pregnancies');
+        throw new BusinessRuleError('Cannot delete mating event with associated pregnancies');
       }
       
+      const wasActive = matingEvent.isActive;
+      
       // Soft delete
       matingEvent.isActive = false;
       await matingEvent.save();
       
+      // Straws taken for an insemination go back into the tank
+      if (wasActive && matingEvent.semenBatch) {
+        await semenInventoryService.returnStraws(matingEvent.semenBatch._id, matingEvent.strawsUsed);
+      }
+      
       return matingEvent;
     } catch (error) {
       console.error('Service error deleting mating event:', error);
@@ -380,15 +487,11 @@ class MatingEventService {
   // Get mating statistics for a farm
   async getMatingStatistics(farmId, userId, period = 'year') {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Calculate date range
@@ -531,6 +634,105 @@ class MatingEventService {
       throw error;
     }
   }
+  
+  // Conception rates per sire (on-farm or external) and per AI technician
+  async getConceptionRates(farmId, userId, filters = {}) {
+    try {
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+      
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+      
+      const query = {
+        farm: farmId,
+        status: { $ne: 'cancelled' },
+        isActive: true,
+      };
+      
+      if (filters.matingType) {
+        query.matingType = filters.matingType;
+      }
+      
+      if (filters.startDate || filters.endDate) {
+        query.matingDate = {};
+        if (filters.startDate) query.matingDate.$gte = new Date(filters.startDate);
+        if (filters.endDate) query.matingDate.$lte = new Date(filters.endDate);
+      }
+      
+      const matingEvents = await MatingEvent.find(query)
+        .select('dams sire externalSire matingType technician outcome pregnancyResult strawsUsed')
+        .populate('sire', 'name tagNumber breed')
+        .populate('externalSire', 'name code registrationNumber breed')
+        .lean();
+      
+      // Dams with a pregnancy recorded from each mating
+      const Pregnancy = require('./pregnancy.model');
+      const pregnancies = await Pregnancy.find({
+        matingEvent: { $in: matingEvents.map(event => event._id) },
+        isActive: true,
+      })
+      .select('matingEvent dam')
+      .lean();
+      
+      const pregnantDams = new Map();
+      pregnancies.forEach(pregnancy => {
+        const key = pregnancy.matingEvent.toString();
+        if (!pregnantDams.has(key)) pregnantDams.set(key, []);
+        pregnantDams.get(key).push(pregnancy.dam);
+      });
+      
+      const overall = emptyTally();
+      const bySire = new Map();
+      const byTechnician = new Map();
+      
+      matingEvents.forEach(event => {
+        const eventPregnantDams = pregnantDams.get(event._id.toString());
+        
+        addToTally(overall, event, eventPregnantDams);
+        
+        const sire = event.sire || event.externalSire;
+        if (sire) {
+          const key = `${event.sire ? 'animal' : 'external'}:${sire._id}`;
+          if (!bySire.has(key)) {
+            bySire.set(key, emptyTally({
+              sire: {
+                _id: sire._id,
+                name: sire.name,
+                tagNumber: sire.tagNumber,
+                code: sire.code,
+                breed: sire.breed,
+                isExternal: !event.sire,
+              },
+            }));
+          }
+          addToTally(bySire.get(key), event, eventPregnantDams);
+        }
+        
+        // Technicians are matched by name, as typed on the mating
+        const technician = event.technician?.name?.trim();
+        if (technician) {
+          const key = technician.toLowerCase();
+          if (!byTechnician.has(key)) {
+            byTechnician.set(key, emptyTally({ technician }));
+          }
+          addToTally(byTechnician.get(key), event, eventPregnantDams);
+        }
+      });
+      
+      const byServices = (a, b) => b.services - a.services;
+      
+      return {
+        overall: withConceptionRate(overall),
+        bySire: [...bySire.values()].map(withConceptionRate).sort(byServices),
+        byTechnician: [...byTechnician.values()].map(withConceptionRate).sort(byServices),
+      };
+    } catch (error) {
+      console.error('Service error getting conception rates:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new MatingEventService();
\ No newline at end of file
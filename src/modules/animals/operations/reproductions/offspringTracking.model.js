@@ -27,9 +27,56 @@ const offspringTrackingSchema = new mongoose.Schema(
     sire: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Animal',
-      required: [true, 'Sire (father) reference is required'],
+      required: [function() { return !this.externalSire; }, 'Sire (father) reference is required'],
     },
     
+    // Off-farm sire (artificial insemination)
+    externalSire: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExternalSire',
+    },
+    
+    // Dam raising the offspring now and the litter it is raised in; they differ from
+    // dam and birthEvent (the genetic ones) once it has been fostered
+    nursingDam: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Animal',
+    },
+    
+    nursingBirthEvent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BirthEvent',
+    },
+    
+    fosterings: [{
+      fromDam: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Animal',
+      },
+      toDam: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Animal',
+      },
+      fromBirthEvent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BirthEvent',
+      },
+      toBirthEvent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BirthEvent',
+      },
+      date: Date,
+      reason: {
+        type: String,
+        enum: ['litter_balancing', 'dam_death', 'dam_illness', 'insufficient_milk', 'rejection', 'other'],
+      },
+      notes: String,
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    }],
+    
     // Offspring reference (the actual Animal record)
     offspring: {
       type: mongoose.Schema.Types.ObjectId,
@@ -176,10 +223,21 @@ const offspringTrackingSchema = new mongoose.Schema(
 // Indexes
 offspringTrackingSchema.index({ offspring: 1 });
 offspringTrackingSchema.index({ dam: 1 });
+offspringTrackingSchema.index({ nursingDam: 1 });
 offspringTrackingSchema.index({ sire: 1 });
 offspringTrackingSchema.index({ birthEvent: 1 });
 offspringTrackingSchema.index({ farm: 1, status: 1 });
 
+// Offspring start out nursed by their own dam
+offspringTrackingSchema.pre('validate', function() {
+  if (!this.nursingDam) {
+    this.nursingDam = this.dam;
+  }
+  if (!this.nursingBirthEvent) {
+    this.nursingBirthEvent = this.birthEvent;
+  }
+});
+
 // Virtuals
 offspringTrackingSchema.virtual('ageInDays').get(function() {
   if (!this.offspringDetails?.dateOfBirth) return 0;
@@ -1,8 +1,16 @@
 // src/modules/animals/operations/reproductions/offspringTracking.service.js
 const OffspringTracking = require('./offspringTracking.model');
 const Animal = require('../../animalRecords/animal.model');
-const Farm = require('../../../farms/farm.model');
+const AnimalType = require('../../../animalTypes/animalType.model');
+const farmAccess = require('../../../farms/farmAccess');
 const BirthEvent = require('./birthEvent.model');
+const feedUnits = require('../feeds/feedUnits');
+const { ValidationError, ForbiddenError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
+
+// Records from before fostering was tracked have no nursing dam: their own dam raised them
+const nursingDamOf = (tracking) => tracking.nursingDam || tracking.dam;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class OffspringTrackingService {
   // Get offspring tracking for an animal
@@ -11,22 +19,19 @@ class OffspringTrackingService {
       // Verify animal exists and user has permission
       const animal = await Animal.findById(offspringId);
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Get tracking record
       const tracking = await OffspringTracking.findOne({ offspring: offspringId })
         .populate('dam', 'name tagNumber gender breed')
+        .populate('nursingDam', 'name tagNumber gender breed')
         .populate('sire', 'name tagNumber gender breed')
         .populate('birthEvent')
         .populate('recordedBy', 'firstName lastName');
@@ -64,18 +69,14 @@ class OffspringTrackingService {
         .populate('birthEvent');
       
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
       // Verify user has permission
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Check if tracking already exists
@@ -90,6 +91,7 @@ class OffspringTrackingService {
         birthEvent: animal.birthEvent,
         dam: animal.dam,
         sire: animal.sire,
+        externalSire: animal.externalSire,
         offspring: animal._id,
         offspringDetails: {
           tagNumber: animal.tagNumber,
@@ -129,7 +131,7 @@ class OffspringTrackingService {
       
       // Don't allow changing offspring, dam, sire, or farm
       if (updateData.offspring || updateData.dam || updateData.sire || updateData.farm) {
-        throw new Error('Cannot change offspring, dam, sire, or farm reference');
+        throw new ValidationError('Cannot change offspring, dam, sire, or farm reference');
       }
       
       // Update tracking
@@ -190,7 +192,7 @@ class OffspringTrackingService {
       }
       
       if (tracking.status !== 'alive') {
-        throw new Error('Only alive offspring can be weaned');
+        throw new BusinessRuleError('Only alive offspring can be weaned');
       }
       
       const updateData = {
@@ -229,7 +231,7 @@ class OffspringTrackingService {
       }
       
       if (!['alive', 'weaned'].includes(tracking.status)) {
-        throw new Error('Only alive or weaned offspring can be sold');
+        throw new BusinessRuleError('Only alive or weaned offspring can be sold');
       }
       
       const updateData = {
@@ -270,7 +272,7 @@ class OffspringTrackingService {
       }
       
       if (tracking.status === 'died') {
-        throw new Error('Offspring is already marked as died');
+        throw new BusinessRuleError('Offspring is already marked as died');
       }
       
       const updateData = {
@@ -306,7 +308,7 @@ class OffspringTrackingService {
       }
       
       if (!['alive', 'weaned'].includes(tracking.status)) {
-        throw new Error('Cannot record growth for non-alive offspring');
+        throw new BusinessRuleError('Cannot record growth for non-alive offspring');
       }
       
       const measurement = {
@@ -337,21 +339,19 @@ class OffspringTrackingService {
       // Verify dam exists and user has permission
       const dam = await Animal.findById(damId);
       if (!dam) {
-        throw new Error('Dam not found');
+        throw new NotFoundError('Dam not found');
       }
       
-      const farm = await Farm.findOne({
-        _id: dam.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(dam.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
-      // Build query
-      const query = { dam: damId };
+      // Build query: offspring born to the dam, or with role=nursing those she is raising
+      const query = filters.role === 'nursing'
+        ? { $or: [{ nursingDam: damId }, { nursingDam: null, dam: damId }] }
+        : { dam: damId };
       
       // Apply filters
       if (filters.status) {
@@ -371,6 +371,8 @@ class OffspringTrackingService {
       // Get offspring tracking records
       const offspringRecords = await OffspringTracking.find(query)
         .populate('offspring', 'name tagNumber gender status dateOfBirth breed')
+        .populate('dam', 'name tagNumber')
+        .populate('nursingDam', 'name tagNumber')
         .populate('sire', 'name tagNumber breed')
         .populate('birthEvent')
         .sort({ 'offspringDetails.dateOfBirth': -1 })
@@ -415,23 +417,297 @@ class OffspringTrackingService {
     }
   }
   
+  // Move offspring onto a foster dam's litter. Their genetic dam and birth event stay
+  // as recorded; the nursing dam changes and both litters are adjusted.
+  async fosterOffspring(fosterData, userId) {
+    try {
+      const toDam = await Animal.findById(fosterData.toDam);
+      
+      if (!toDam) {
+        throw new NotFoundError('Foster dam not found');
+      }
+      
+      // Verify user has permission
+      const farm = await farmAccess.findAccessibleFarm(toDam.farm, userId);
+      
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+      
+      if (toDam.gender !== 'female' || toDam.status !== 'alive') {
+        throw new BusinessRuleError('Foster dam must be a living female');
+      }
+      
+      if (toDam.quarantine?.isQuarantined) {
+        throw new BusinessRuleError(`Dam ${toDam.tagNumber} is quarantined and cannot take foster offspring until released`);
+      }
+      
+      const fosterDate = fosterData.fosterDate ? new Date(fosterData.fosterDate) : new Date();
+      
+      // The foster dam's latest litter takes the offspring in
+      const toBirthEvent = await BirthEvent.findOne({
+        dam: toDam._id,
+        isActive: true,
+        birthDate: { $lte: fosterDate },
+      }).sort({ birthDate: -1 });
+      
+      if (!toBirthEvent) {
+        throw new BusinessRuleError(`Dam ${toDam.tagNumber} has no recorded litter to foster onto`);
+      }
+      
+      // The litter must still be nursing: born no longer than the type's weaning age ago
+      const animalType = await AnimalType.findById(toDam.animalType)
+        .select('reproduction.weaningAgeDays')
+        .lean();
+      const weaningAgeDays = animalType?.reproduction?.weaningAgeDays;
+      
+      if (weaningAgeDays && (fosterDate - toBirthEvent.birthDate) / DAY_MS > weaningAgeDays) {
+        throw new BusinessRuleError(`Dam ${toDam.tagNumber} has no litter still nursing to foster onto`);
+      }
+      
+      const offspringIds = [...new Set(fosterData.offspring.map(id => id.toString()))];
+      
+      const trackings = await OffspringTracking.find({ offspring: { $in: offspringIds }, isActive: true });
+      
+      if (trackings.length !== offspringIds.length) {
+        throw new NotFoundError('Offspring tracking record not found');
+      }
+      
+      const animals = new Map((await Animal.find({ _id: { $in: offspringIds } })
+        .select('tagNumber animalType quarantine'))
+        .map(animal => [animal._id.toString(), animal]));
+      
+      for (const tracking of trackings) {
+        const animal = animals.get(tracking.offspring.toString());
+        const tag = animal?.tagNumber || tracking.offspringDetails?.tagNumber;
+        
+        if (!tracking.farm.equals(toDam.farm)) {
+          throw new ValidationError(`Offspring ${tag} is not on the foster dam's farm`);
+        }
+        
+        if (tracking.status !== 'alive') {
+          throw new BusinessRuleError(`Offspring ${tag} is ${tracking.status} and cannot be fostered`);
+        }
+        
+        if (animal && !animal.animalType.equals(toDam.animalType)) {
+          throw new BusinessRuleError(`Offspring ${tag} is not the same animal type as dam ${toDam.tagNumber}`);
+        }
+        
+        if (animal?.quarantine?.isQuarantined) {
+          throw new BusinessRuleError(`Offspring ${tag} is quarantined and cannot be fostered until released`);
+        }
+        
+        if (nursingDamOf(tracking).equals(toDam._id)) {
+          throw new BusinessRuleError(`Offspring ${tag} is already nursed by dam ${toDam.tagNumber}`);
+        }
+        
+        if (tracking.offspringDetails?.dateOfBirth && fosterDate < tracking.offspringDetails.dateOfBirth) {
+          throw new ValidationError(`Foster date cannot be before offspring ${tag} was born`);
+        }
+      }
+      
+      // Litters the offspring leave
+      const fromBirthEventIds = trackings
+        .map(tracking => tracking.nursingBirthEvent || tracking.birthEvent)
+        .filter(Boolean);
+      const fromBirthEvents = new Map((await BirthEvent.find({ _id: { $in: fromBirthEventIds } }))
+        .map(birthEvent => [birthEvent._id.toString(), birthEvent]));
+      
+      for (const tracking of trackings) {
+        const fromDam = nursingDamOf(tracking);
+        const fromBirthEvent = fromBirthEvents.get((tracking.nursingBirthEvent || tracking.birthEvent)?.toString());
+        
+        tracking.fosterings.push({
+          fromDam,
+          toDam: toDam._id,
+          fromBirthEvent: fromBirthEvent?._id,
+          toBirthEvent: toBirthEvent._id,
+          date: fosterDate,
+          reason: fosterData.reason,
+          notes: fosterData.notes,
+          recordedBy: userId,
+        });
+        tracking.nursingDam = toDam._id;
+        tracking.nursingBirthEvent = toBirthEvent._id;
+        
+        if (fromBirthEvent) {
+          fromBirthEvent.fosteredOut++;
+          fromBirthEvent.litterAdjustments.push({
+            offspring: tracking.offspring,
+            direction: 'out',
+            otherDam: toDam._id,
+            otherBirthEvent: toBirthEvent._id,
+            date: fosterDate,
+            reason: fosterData.reason,
+            recordedBy: userId,
+          });
+        }
+        
+        toBirthEvent.fosteredIn++;
+        toBirthEvent.litterAdjustments.push({
+          offspring: tracking.offspring,
+          direction: 'in',
+          otherDam: fromDam,
+          otherBirthEvent: fromBirthEvent?._id,
+          date: fosterDate,
+          reason: fosterData.reason,
+          recordedBy: userId,
+        });
+      }
+      
+      for (const fromBirthEvent of fromBirthEvents.values()) {
+        await fromBirthEvent.save();
+      }
+      await toBirthEvent.save();
+      
+      for (const tracking of trackings) {
+        await tracking.save();
+      }
+      
+      return {
+        toDam: { _id: toDam._id, name: toDam.name, tagNumber: toDam.tagNumber },
+        birthEvent: toBirthEvent,
+        offspring: trackings,
+      };
+    } catch (error) {
+      console.error('Service error fostering offspring:', error);
+      throw error;
+    }
+  }
+  
+  // Weaning results per nursing dam: offspring are credited to the dam that raised them
+  async getWeaningStatsByNursingDam(farmId, userId, filters = {}) {
+    try {
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+      
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+      
+      const query = { farm: farmId, isActive: true };
+      
+      if (filters.startDate || filters.endDate) {
+        query['offspringDetails.dateOfBirth'] = {};
+        if (filters.startDate) query['offspringDetails.dateOfBirth'].$gte = new Date(filters.startDate);
+        if (filters.endDate) query['offspringDetails.dateOfBirth'].$lte = new Date(filters.endDate);
+      }
+      
+      const allOffspring = await OffspringTracking.find(query)
+        .populate('dam', 'name tagNumber')
+        .populate('nursingDam', 'name tagNumber')
+        .populate('fosterings.fromDam', 'name tagNumber')
+        .lean();
+      
+      const byDam = new Map();
+      const entryFor = (dam) => {
+        const damId = (dam._id || dam).toString();
+        if (!byDam.has(damId)) {
+          byDam.set(damId, {
+            dam: { _id: dam._id || dam, name: dam.name, tagNumber: dam.tagNumber },
+            nursed: 0,
+            ownOffspring: 0,
+            fosteredIn: 0,
+            fosteredOut: 0,
+            stillNursing: 0,
+            weaned: 0,
+            diedBeforeWeaning: 0,
+            weaningWeights: [],
+            weaningAges: [],
+          });
+        }
+        return byDam.get(damId);
+      };
+      
+      allOffspring.forEach(offspring => {
+        const nursingDam = nursingDamOf(offspring);
+        if (!nursingDam) return;
+        
+        const entry = entryFor(nursingDam);
+        entry.nursed++;
+        
+        if (offspring.dam && (offspring.dam._id || offspring.dam).toString() === (nursingDam._id || nursingDam).toString()) {
+          entry.ownOffspring++;
+        } else {
+          entry.fosteredIn++;
+        }
+        
+        (offspring.fosterings || []).forEach(fostering => {
+          if (fostering.fromDam) {
+            entryFor(fostering.fromDam).fosteredOut++;
+          }
+        });
+        
+        if (offspring.weaningDate) {
+          entry.weaned++;
+          
+          if (offspring.weaningWeight?.value) {
+            entry.weaningWeights.push(feedUnits.toKg(offspring.weaningWeight.value, offspring.weaningWeight.unit || 'kg'));
+          }
+          
+          if (offspring.offspringDetails?.dateOfBirth) {
+            entry.weaningAges.push(
+              (new Date(offspring.weaningDate) - new Date(offspring.offspringDetails.dateOfBirth)) / (1000 * 60 * 60 * 24)
+            );
+          }
+        } else if (offspring.status === 'died') {
+          entry.diedBeforeWeaning++;
+        } else if (offspring.status === 'alive') {
+          entry.stillNursing++;
+        }
+      });
+      
+      const average = (values) => (values.length > 0
+        ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+        : null);
+      
+      const dams = [...byDam.values()]
+        .map(({ weaningWeights, weaningAges, ...entry }) => ({
+          ...entry,
+          // Weaned out of the offspring whose outcome is known
+          weaningRate: entry.weaned + entry.diedBeforeWeaning > 0
+            ? Math.round((entry.weaned / (entry.weaned + entry.diedBeforeWeaning)) * 1000) / 10
+            : null,
+          averageWeaningWeightKg: average(weaningWeights),
+          averageWeaningAgeDays: average(weaningAges),
+        }))
+        .sort((a, b) => b.weaned - a.weaned || b.nursed - a.nursed);
+      
+      const weaned = dams.reduce((sum, entry) => sum + entry.weaned, 0);
+      const diedBeforeWeaning = dams.reduce((sum, entry) => sum + entry.diedBeforeWeaning, 0);
+      
+      return {
+        dams,
+        summary: {
+          nursingDams: dams.filter(entry => entry.nursed > 0).length,
+          offspring: allOffspring.length,
+          fostered: allOffspring.filter(offspring => offspring.fosterings?.length > 0).length,
+          weaned,
+          diedBeforeWeaning,
+          weaningRate: weaned + diedBeforeWeaning > 0
+            ? Math.round((weaned / (weaned + diedBeforeWeaning)) * 1000) / 10
+            : null,
+        },
+      };
+    } catch (error) {
+      console.error('Service error getting weaning statistics by nursing dam:', error);
+      throw error;
+    }
+  }
+  
   // Get offspring by sire (father)
   async getOffspringBySire(sireId, userId, filters = {}) {
     try {
       // Verify sire exists and user has permission
       const sire = await Animal.findById(sireId);
       if (!sire) {
-        throw new Error('Sire not found');
+        throw new NotFoundError('Sire not found');
       }
       
-      const farm = await Farm.findOne({
-        _id: sire.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(sire.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Build query
@@ -491,15 +767,11 @@ class OffspringTrackingService {
   // Get offspring statistics
   async getOffspringStatistics(farmId, userId) {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Get all offspring tracking for the farm
@@ -21,7 +21,13 @@ const pregnancySchema = new mongoose.Schema(
     sire: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Animal',
-      required: [true, 'Sire (male) reference is required'],
+      required: [function() { return !this.externalSire; }, 'Sire (male) reference is required'],
+    },
+    
+    // Off-farm sire (artificial insemination)
+    externalSire: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExternalSire',
     },
     
     // Mating event reference
@@ -2,46 +2,52 @@
 const Pregnancy = require('./pregnancy.model');
 const Animal = require('../../animalRecords/animal.model');
 const AnimalType = require('../../../animalTypes/animalType.model');
-const Farm = require('../../../farms/farm.model');
+const farmAccess = require('../../../farms/farmAccess');
 const MatingEvent = require('./matingEvent.model');
+const semenInventoryService = require('./semenInventory.service');
+const { ValidationError, ForbiddenError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
 
 class PregnancyService {
   // Create pregnancy record
   async createPregnancy(pregnancyData, userId) {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: pregnancyData.farm,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(pregnancyData.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Verify dam exists and is female
       const dam = await Animal.findById(pregnancyData.dam);
       if (!dam || dam.gender !== 'female') {
-        throw new Error('Dam not found or is not female');
+        throw new NotFoundError('Dam not found or is not female');
+      }
+      
+      // Verify sire exists and is male, or is an external sire of the farm
+      if (Boolean(pregnancyData.sire) === Boolean(pregnancyData.externalSire)) {
+        throw new ValidationError('Provide either a sire or an external sire');
       }
       
-      // Verify sire exists and is male
-      const sire = await Animal.findById(pregnancyData.sire);
-      if (!sire || sire.gender !== 'male') {
-        throw new Error('Sire not found or is not male');
+      if (pregnancyData.externalSire) {
+        await semenInventoryService.findSire(pregnancyData.farm, pregnancyData);
+      } else {
+        const sire = await Animal.findById(pregnancyData.sire);
+        if (!sire || sire.gender !== 'male') {
+          throw new NotFoundError('Sire not found or is not male');
+        }
       }
       
       // Verify mating event exists
       const matingEvent = await MatingEvent.findById(pregnancyData.matingEvent);
       if (!matingEvent) {
-        throw new Error('Mating event not found');
+        throw new NotFoundError('Mating event not found');
       }
       
       // Check animal type features
       const damType = await AnimalType.findById(dam.animalType);
       if (!damType || !damType.features?.reproduction) {
-        throw new Error('Reproduction module is not enabled for dam animal type');
+        throw new BusinessRuleError('Reproduction module is not enabled for dam animal type');
       }
       
       // Check if dam is already pregnant
@@ -52,7 +58,7 @@ class PregnancyService {
       });
       
       if (existingPregnancy) {
-        throw new Error('Dam is already pregnant');
+        throw new BusinessRuleError('Dam is already pregnant');
       }
       
       // Add metadata
@@ -79,17 +85,13 @@ class PregnancyService {
       // Verify animal exists and user has permission
       const animal = await Animal.findById(animalId);
       if (!animal) {
-        throw new Error('Animal not found');
+        throw new NotFoundError('Animal not found');
       }
       
-      const farm = await Farm.findOne({
-        _id: animal.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(animal.farm, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Build query
@@ -177,11 +179,7 @@ class PregnancyService {
       }
       
       // Verify user has permission via farm
-      const farm = await Farm.findOne({
-        _id: pregnancy.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(pregnancy.farm, userId);
       
       if (!farm) {
         return null;
@@ -214,8 +212,8 @@ class PregnancyService {
       }
       
       // Don't allow changing dam, sire, or farm
-      if (updateData.dam || updateData.sire || updateData.farm) {
-        throw new Error('Cannot change dam, sire, or farm reference');
+      if (updateData.dam || updateData.sire || updateData.externalSire || updateData.farm) {
+        throw new ValidationError('Cannot change dam, sire, or farm reference');
       }
       
       // Update pregnancy
@@ -247,11 +245,7 @@ class PregnancyService {
       }
       
       // Verify user has permission
-      const farm = await Farm.findOne({
-        _id: pregnancy.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(pregnancy.farm, userId);
       
       if (!farm) {
         return null;
@@ -286,11 +280,7 @@ class PregnancyService {
       }
       
       // Verify user has permission
-      const farm = await Farm.findOne({
-        _id: pregnancy.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(pregnancy.farm, userId);
       
       if (!farm) {
         return null;
@@ -325,18 +315,14 @@ class PregnancyService {
       }
       
       // Verify user has permission
-      const farm = await Farm.findOne({
-        _id: pregnancy.farm,
-        user: userId,
-        isArchived: false,
-      });
+      const farm = await farmAccess.findAccessibleFarm(pregnancy.farm, userId);
       
       if (!farm) {
         return null;
       }
       
       if (!['aborted', 'failed'].includes(terminationData.status)) {
-        throw new Error('Invalid status. Must be "aborted" or "failed"');
+        throw new ValidationError('Invalid status. Must be "aborted" or "failed"');
       }
       
       pregnancy.status = terminationData.status;
@@ -361,15 +347,11 @@ class PregnancyService {
   // Get pregnancy alerts for a farm
   async getPregnancyAlerts(farmId, userId) {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       const now = new Date();
@@ -427,15 +409,11 @@ class PregnancyService {
   // Get pregnancy statistics for a farm
   async getPregnancyStatistics(farmId, userId, period = 'year') {
     try {
-      // Verify farm belongs to user
-      const farm = await Farm.findOne({
-        _id: farmId,
-        user: userId,
-        isArchived: false,
-      });
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
       
       if (!farm) {
-        throw new Error('Farm not found or you do not have permission');
+        throw new ForbiddenError('Farm not found or you do not have permission');
       }
       
       // Calculate date range
@@ -3,28 +3,26 @@ const matingEventService = require('./matingEvent.service');
 const pregnancyService = require('./pregnancy.service');
 const birthEventService = require('./birthEvent.service');
 const offspringTrackingService = require('./offspringTracking.service');
+const heatDetectionService = require('./heatDetection.service');
+const semenInventoryService = require('./semenInventory.service');
+const breedingCalendarService = require('./breedingCalendar.service');
+const reproductionKpiService = require('./reproductionKpi.service');
+const icsCalendar = require('../../../../utils/icsCalendar');
 
 // Import models
 const MatingEvent = require('./matingEvent.model');
 const Pregnancy = require('./pregnancy.model');
 const BirthEvent = require('./birthEvent.model');
+const { ForbiddenError, NotFoundError } = require('../../../../utils/errors');
 
 // ===== MATING EVENT CONTROLLERS =====
 
 // Create mating event
-const createMatingEvent = async (req, res) => {
+const createMatingEvent = async (req, res, next) => {
   try {
     const userId = req.userId;
     const matingData = req.body;
 
-    // Validate required fields
-    if (!matingData.farm || !matingData.sire || !matingData.dams || !matingData.matingDate) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Farm, sire, dams, and mating date are required',
-      });
-    }
-
     const matingEvent = await matingEventService.createMatingEvent(matingData, userId);
 
     res.status(201).json({
@@ -33,38 +31,12 @@ const createMatingEvent = async (req, res) => {
       data: matingEvent,
     });
   } catch (error) {
-    console.error('Error creating mating event:', error);
-    
-    if (error.message.includes('not found') || error.message.includes('permission')) {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message.includes('not enabled')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message.includes('already pregnant')) {
-      return res.status(409).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to create mating event',
-    });
+    next(error);
   }
 };
 
 // Get mating events for an animal
-const getAnimalMatingEvents = async (req, res) => {
+const getAnimalMatingEvents = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -78,31 +50,12 @@ const getAnimalMatingEvents = async (req, res) => {
       pagination: result.pagination,
     });
   } catch (error) {
-    console.error('Error fetching animal mating events:', error);
-    
-    if (error.message === 'Animal not found') {
-      return res.status(404).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch mating events',
-    });
+    next(error);
   }
 };
 
 // Get mating event by ID
-const getMatingEvent = async (req, res) => {
+const getMatingEvent = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { eventId } = req.params;
@@ -110,10 +63,7 @@ const getMatingEvent = async (req, res) => {
     const matingEvent = await matingEventService.getMatingEventById(eventId, userId);
 
     if (!matingEvent) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Mating event not found',
-      });
+      throw new NotFoundError('Mating event not found');
     }
 
     res.status(200).json({
@@ -121,16 +71,12 @@ const getMatingEvent = async (req, res) => {
       data: matingEvent,
     });
   } catch (error) {
-    console.error('Error fetching mating event:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch mating event',
-    });
+    next(error);
   }
 };
 
 // Update mating event
-const updateMatingEvent = async (req, res) => {
+const updateMatingEvent = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { eventId } = req.params;
@@ -139,10 +85,7 @@ const updateMatingEvent = async (req, res) => {
     const updatedEvent = await matingEventService.updateMatingEvent(eventId, userId, updateData);
 
     if (!updatedEvent) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Mating event not found',
-      });
+      throw new NotFoundError('Mating event not found');
     }
 
     res.status(200).json({
@@ -151,24 +94,12 @@ const updateMatingEvent = async (req, res) => {
       data: updatedEvent,
     });
   } catch (error) {
-    console.error('Error updating mating event:', error);
-    
-    if (error.message.includes('Cannot change') || error.message.includes('not found') || error.message.includes('not male') || error.message.includes('not female')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to update mating event',
-    });
+    next(error);
   }
 };
 
 // Record mating outcome
-const recordMatingOutcome = async (req, res) => {
+const recordMatingOutcome = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { eventId } = req.params;
@@ -177,10 +108,7 @@ const recordMatingOutcome = async (req, res) => {
     const updatedEvent = await matingEventService.recordMatingOutcome(eventId, userId, outcomeData);
 
     if (!updatedEvent) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Mating event not found',
-      });
+      throw new NotFoundError('Mating event not found');
     }
 
     res.status(200).json({
@@ -189,24 +117,12 @@ const recordMatingOutcome = async (req, res) => {
       data: updatedEvent,
     });
   } catch (error) {
-    console.error('Error recording mating outcome:', error);
-    
-    if (error.message.includes('Invalid status')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to record mating outcome',
-    });
+    next(error);
   }
 };
 
 // Delete mating event
-const deleteMatingEvent = async (req, res) => {
+const deleteMatingEvent = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { eventId } = req.params;
@@ -214,10 +130,7 @@ const deleteMatingEvent = async (req, res) => {
     const matingEvent = await matingEventService.deleteMatingEvent(eventId, userId);
 
     if (!matingEvent) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Mating event not found',
-      });
+      throw new NotFoundError('Mating event not found');
     }
 
     res.status(200).json({
@@ -225,24 +138,12 @@ const deleteMatingEvent = async (req, res) => {
       message: 'Mating event deleted successfully',
     });
   } catch (error) {
-    console.error('Error deleting mating event:', error);
-    
-    if (error.message.includes('with associated pregnancies')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to delete mating event',
-    });
+    next(error);
   }
 };
 
 // Get mating statistics
-const getMatingStatistics = async (req, res) => {
+const getMatingStatistics = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -255,39 +156,36 @@ const getMatingStatistics = async (req, res) => {
       data: stats,
     });
   } catch (error) {
-    console.error('Error fetching mating statistics:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
+    next(error);
+  }
+};
+
+// Get conception rates per sire and per technician
+const getConceptionRates = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+    const filters = req.query;
 
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch mating statistics',
+    const rates = await matingEventService.getConceptionRates(farmId, userId, filters);
+
+    res.status(200).json({
+      status: 'success',
+      data: rates,
     });
+  } catch (error) {
+    next(error);
   }
 };
 
 // ===== PREGNANCY CONTROLLERS =====
 
 // Create pregnancy record
-const createPregnancy = async (req, res) => {
+const createPregnancy = async (req, res, next) => {
   try {
     const userId = req.userId;
     const pregnancyData = req.body;
 
-    // Validate required fields
-    if (!pregnancyData.farm || !pregnancyData.dam || !pregnancyData.sire || 
-        !pregnancyData.matingEvent || !pregnancyData.conceptionDate) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Farm, dam, sire, mating event, and conception date are required',
-      });
-    }
-
     const pregnancy = await pregnancyService.createPregnancy(pregnancyData, userId);
 
     res.status(201).json({
@@ -296,38 +194,12 @@ const createPregnancy = async (req, res) => {
       data: pregnancy,
     });
   } catch (error) {
-    console.error('Error creating pregnancy record:', error);
-    
-    if (error.message.includes('not found') || error.message.includes('permission')) {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message.includes('not enabled')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message.includes('already pregnant')) {
-      return res.status(409).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to create pregnancy record',
-    });
+    next(error);
   }
 };
 
 // Get animal pregnancies
-const getAnimalPregnancies = async (req, res) => {
+const getAnimalPregnancies = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -341,31 +213,12 @@ const getAnimalPregnancies = async (req, res) => {
       pagination: result.pagination,
     });
   } catch (error) {
-    console.error('Error fetching animal pregnancies:', error);
-    
-    if (error.message === 'Animal not found') {
-      return res.status(404).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch pregnancies',
-    });
+    next(error);
   }
 };
 
 // Get pregnancy by ID
-const getPregnancy = async (req, res) => {
+const getPregnancy = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { pregnancyId } = req.params;
@@ -373,10 +226,7 @@ const getPregnancy = async (req, res) => {
     const pregnancy = await pregnancyService.getPregnancyById(pregnancyId, userId);
 
     if (!pregnancy) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Pregnancy not found',
-      });
+      throw new NotFoundError('Pregnancy not found');
     }
 
     res.status(200).json({
@@ -384,16 +234,12 @@ const getPregnancy = async (req, res) => {
       data: pregnancy,
     });
   } catch (error) {
-    console.error('Error fetching pregnancy:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch pregnancy',
-    });
+    next(error);
   }
 };
 
 // Update pregnancy
-const updatePregnancy = async (req, res) => {
+const updatePregnancy = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { pregnancyId } = req.params;
@@ -402,10 +248,7 @@ const updatePregnancy = async (req, res) => {
     const updatedPregnancy = await pregnancyService.updatePregnancy(pregnancyId, userId, updateData);
 
     if (!updatedPregnancy) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Pregnancy not found',
-      });
+      throw new NotFoundError('Pregnancy not found');
     }
 
     res.status(200).json({
@@ -414,24 +257,12 @@ const updatePregnancy = async (req, res) => {
       data: updatedPregnancy,
     });
   } catch (error) {
-    console.error('Error updating pregnancy:', error);
-    
-    if (error.message.includes('Cannot change')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to update pregnancy',
-    });
+    next(error);
   }
 };
 
 // Record pregnancy checkup
-const recordPregnancyCheckup = async (req, res) => {
+const recordPregnancyCheckup = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { pregnancyId } = req.params;
@@ -440,10 +271,7 @@ const recordPregnancyCheckup = async (req, res) => {
     const pregnancy = await pregnancyService.recordPregnancyCheckup(pregnancyId, userId, checkupData);
 
     if (!pregnancy) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Pregnancy not found',
-      });
+      throw new NotFoundError('Pregnancy not found');
     }
 
     res.status(200).json({
@@ -452,16 +280,12 @@ const recordPregnancyCheckup = async (req, res) => {
       data: pregnancy,
     });
   } catch (error) {
-    console.error('Error recording pregnancy checkup:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to record pregnancy checkup',
-    });
+    next(error);
   }
 };
 
 // Mark pregnancy as terminated
-const markPregnancyTerminated = async (req, res) => {
+const markPregnancyTerminated = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { pregnancyId } = req.params;
@@ -470,10 +294,7 @@ const markPregnancyTerminated = async (req, res) => {
     const pregnancy = await pregnancyService.markPregnancyTerminated(pregnancyId, userId, terminationData);
 
     if (!pregnancy) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Pregnancy not found',
-      });
+      throw new NotFoundError('Pregnancy not found');
     }
 
     res.status(200).json({
@@ -482,24 +303,12 @@ const markPregnancyTerminated = async (req, res) => {
       data: pregnancy,
     });
   } catch (error) {
-    console.error('Error terminating pregnancy:', error);
-    
-    if (error.message.includes('Invalid status')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to terminate pregnancy',
-    });
+    next(error);
   }
 };
 
 // Get pregnancy alerts
-const getPregnancyAlerts = async (req, res) => {
+const getPregnancyAlerts = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -511,24 +320,12 @@ const getPregnancyAlerts = async (req, res) => {
       data: alerts,
     });
   } catch (error) {
-    console.error('Error fetching pregnancy alerts:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch pregnancy alerts',
-    });
+    next(error);
   }
 };
 
 // Get pregnancy statistics
-const getPregnancyStatistics = async (req, res) => {
+const getPregnancyStatistics = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -541,39 +338,18 @@ const getPregnancyStatistics = async (req, res) => {
       data: stats,
     });
   } catch (error) {
-    console.error('Error fetching pregnancy statistics:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch pregnancy statistics',
-    });
+    next(error);
   }
 };
 
 // ===== BIRTH EVENT CONTROLLERS =====
 
 // Create birth event
-const createBirthEvent = async (req, res) => {
+const createBirthEvent = async (req, res, next) => {
   try {
     const userId = req.userId;
     const birthData = req.body;
 
-    // Validate required fields
-    if (!birthData.farm || !birthData.pregnancy || !birthData.dam || !birthData.sire || 
-        !birthData.birthDate || birthData.totalOffspring === undefined || birthData.liveBirths === undefined) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Farm, pregnancy, dam, sire, birth date, total offspring, and live births are required',
-      });
-    }
-
     const birthEvent = await birthEventService.createBirthEvent(birthData, userId);
 
     res.status(201).json({
@@ -582,38 +358,12 @@ const createBirthEvent = async (req, res) => {
       data: birthEvent,
     });
   } catch (error) {
-    console.error('Error creating birth event:', error);
-    
-    if (error.message.includes('not found') || error.message.includes('permission')) {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message.includes('not ready')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message.includes('cannot exceed')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to create birth event',
-    });
+    next(error);
   }
 };
 
 // Get animal birth events
-const getAnimalBirthEvents = async (req, res) => {
+const getAnimalBirthEvents = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -627,31 +377,12 @@ const getAnimalBirthEvents = async (req, res) => {
       pagination: result.pagination,
     });
   } catch (error) {
-    console.error('Error fetching animal birth events:', error);
-    
-    if (error.message === 'Animal not found') {
-      return res.status(404).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch birth events',
-    });
+    next(error);
   }
 };
 
 // Get birth event by ID
-const getBirthEvent = async (req, res) => {
+const getBirthEvent = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { eventId } = req.params;
@@ -659,10 +390,7 @@ const getBirthEvent = async (req, res) => {
     const birthEvent = await birthEventService.getBirthEventById(eventId, userId);
 
     if (!birthEvent) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Birth event not found',
-      });
+      throw new NotFoundError('Birth event not found');
     }
 
     res.status(200).json({
@@ -670,16 +398,12 @@ const getBirthEvent = async (req, res) => {
       data: birthEvent,
     });
   } catch (error) {
-    console.error('Error fetching birth event:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch birth event',
-    });
+    next(error);
   }
 };
 
 // Update birth event
-const updateBirthEvent = async (req, res) => {
+const updateBirthEvent = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { eventId } = req.params;
@@ -688,10 +412,7 @@ const updateBirthEvent = async (req, res) => {
     const updatedEvent = await birthEventService.updateBirthEvent(eventId, userId, updateData);
 
     if (!updatedEvent) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Birth event not found',
-      });
+      throw new NotFoundError('Birth event not found');
     }
 
     res.status(200).json({
@@ -700,24 +421,12 @@ const updateBirthEvent = async (req, res) => {
       data: updatedEvent,
     });
   } catch (error) {
-    console.error('Error updating birth event:', error);
-    
-    if (error.message.includes('Cannot change')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to update birth event',
-    });
+    next(error);
   }
 };
 
 // Mark birth event as completed
-const markBirthEventCompleted = async (req, res) => {
+const markBirthEventCompleted = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { eventId } = req.params;
@@ -725,10 +434,7 @@ const markBirthEventCompleted = async (req, res) => {
     const birthEvent = await birthEventService.markBirthEventCompleted(eventId, userId);
 
     if (!birthEvent) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Birth event not found',
-      });
+      throw new NotFoundError('Birth event not found');
     }
 
     res.status(200).json({
@@ -737,16 +443,12 @@ const markBirthEventCompleted = async (req, res) => {
       data: birthEvent,
     });
   } catch (error) {
-    console.error('Error marking birth event as completed:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to mark birth event as completed',
-    });
+    next(error);
   }
 };
 
 // Record neonatal death
-const recordNeonatalDeath = async (req, res) => {
+const recordNeonatalDeath = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { eventId } = req.params;
@@ -755,10 +457,7 @@ const recordNeonatalDeath = async (req, res) => {
     const birthEvent = await birthEventService.recordNeonatalDeath(eventId, userId, deathData);
 
     if (!birthEvent) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Birth event not found',
-      });
+      throw new NotFoundError('Birth event not found');
     }
 
     res.status(200).json({
@@ -767,24 +466,12 @@ const recordNeonatalDeath = async (req, res) => {
       data: birthEvent,
     });
   } catch (error) {
-    console.error('Error recording neonatal death:', error);
-    
-    if (error.message.includes('not found') || error.message.includes('does not belong')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to record neonatal death',
-    });
+    next(error);
   }
 };
 
 // Get birth statistics
-const getBirthStatistics = async (req, res) => {
+const getBirthStatistics = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -797,26 +484,14 @@ const getBirthStatistics = async (req, res) => {
       data: stats,
     });
   } catch (error) {
-    console.error('Error fetching birth statistics:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch birth statistics',
-    });
+    next(error);
   }
 };
 
 // ===== OFFSPRING TRACKING CONTROLLERS =====
 
 // Get offspring tracking
-const getOffspringTracking = async (req, res) => {
+const getOffspringTracking = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { offspringId } = req.params;
@@ -828,31 +503,12 @@ const getOffspringTracking = async (req, res) => {
       data: tracking,
     });
   } catch (error) {
-    console.error('Error fetching offspring tracking:', error);
-    
-    if (error.message === 'Animal not found') {
-      return res.status(404).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch offspring tracking',
-    });
+    next(error);
   }
 };
 
 // Update offspring tracking
-const updateOffspringTracking = async (req, res) => {
+const updateOffspringTracking = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { offspringId } = req.params;
@@ -861,10 +517,7 @@ const updateOffspringTracking = async (req, res) => {
     const tracking = await offspringTrackingService.updateOffspringTracking(offspringId, userId, updateData);
 
     if (!tracking) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Offspring tracking not found',
-      });
+      throw new NotFoundError('Offspring tracking not found');
     }
 
     res.status(200).json({
@@ -873,24 +526,12 @@ const updateOffspringTracking = async (req, res) => {
       data: tracking,
     });
   } catch (error) {
-    console.error('Error updating offspring tracking:', error);
-    
-    if (error.message.includes('Cannot change')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to update offspring tracking',
-    });
+    next(error);
   }
 };
 
 // Record offspring weaning
-const recordWeaning = async (req, res) => {
+const recordWeaning = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { offspringId } = req.params;
@@ -899,10 +540,7 @@ const recordWeaning = async (req, res) => {
     const tracking = await offspringTrackingService.recordWeaning(offspringId, userId, weaningData);
 
     if (!tracking) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Offspring tracking not found',
-      });
+      throw new NotFoundError('Offspring tracking not found');
     }
 
     res.status(200).json({
@@ -911,24 +549,12 @@ const recordWeaning = async (req, res) => {
       data: tracking,
     });
   } catch (error) {
-    console.error('Error recording weaning:', error);
-    
-    if (error.message.includes('Only alive offspring')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to record weaning',
-    });
+    next(error);
   }
 };
 
 // Record offspring sale
-const recordSale = async (req, res) => {
+const recordSale = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { offspringId } = req.params;
@@ -937,10 +563,7 @@ const recordSale = async (req, res) => {
     const tracking = await offspringTrackingService.recordSale(offspringId, userId, saleData);
 
     if (!tracking) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Offspring tracking not found',
-      });
+      throw new NotFoundError('Offspring tracking not found');
     }
 
     res.status(200).json({
@@ -949,24 +572,12 @@ const recordSale = async (req, res) => {
       data: tracking,
     });
   } catch (error) {
-    console.error('Error recording sale:', error);
-    
-    if (error.message.includes('Only alive or weaned')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to record sale',
-    });
+    next(error);
   }
 };
 
 // Record offspring death
-const recordOffspringDeath = async (req, res) => {
+const recordOffspringDeath = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { offspringId } = req.params;
@@ -975,10 +586,7 @@ const recordOffspringDeath = async (req, res) => {
     const tracking = await offspringTrackingService.recordDeath(offspringId, userId, deathData);
 
     if (!tracking) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Offspring tracking not found',
-      });
+      throw new NotFoundError('Offspring tracking not found');
     }
 
     res.status(200).json({
@@ -987,24 +595,12 @@ const recordOffspringDeath = async (req, res) => {
       data: tracking,
     });
   } catch (error) {
-    console.error('Error recording death:', error);
-    
-    if (error.message.includes('already marked as died')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to record death',
-    });
+    next(error);
   }
 };
 
 // Record growth measurement
-const recordGrowthMeasurement = async (req, res) => {
+const recordGrowthMeasurement = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { offspringId } = req.params;
@@ -1013,10 +609,7 @@ const recordGrowthMeasurement = async (req, res) => {
     const tracking = await offspringTrackingService.recordGrowthMeasurement(offspringId, userId, measurementData);
 
     if (!tracking) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Offspring tracking not found',
-      });
+      throw new NotFoundError('Offspring tracking not found');
     }
 
     res.status(200).json({
@@ -1025,24 +618,12 @@ const recordGrowthMeasurement = async (req, res) => {
       data: tracking,
     });
   } catch (error) {
-    console.error('Error recording growth measurement:', error);
-    
-    if (error.message.includes('Cannot record growth')) {
-      return res.status(400).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to record growth measurement',
-    });
+    next(error);
   }
 };
 
 // Get offspring by dam
-const getOffspringByDam = async (req, res) => {
+const getOffspringByDam = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { damId } = req.params;
@@ -1057,31 +638,12 @@ const getOffspringByDam = async (req, res) => {
       pagination: result.pagination,
     });
   } catch (error) {
-    console.error('Error fetching offspring by dam:', error);
-    
-    if (error.message === 'Dam not found') {
-      return res.status(404).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
-    }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch offspring by dam',
-    });
+    next(error);
   }
 };
 
 // Get offspring by sire
-const getOffspringBySire = async (req, res) => {
+const getOffspringBySire = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { sireId } = req.params;
@@ -1096,62 +658,476 @@ const getOffspringBySire = async (req, res) => {
       pagination: result.pagination,
     });
   } catch (error) {
-    console.error('Error fetching offspring by sire:', error);
-    
-    if (error.message === 'Sire not found') {
-      return res.status(404).json({
-        status: 'error',
-        message: error.message,
-      });
+    next(error);
+  }
+};
+
+// Get offspring statistics
+const getOffspringStatistics = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+
+    const stats = await offspringTrackingService.getOffspringStatistics(farmId, userId);
+
+    res.status(200).json({
+      status: 'success',
+      data: stats,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Move offspring onto a foster dam
+const fosterOffspring = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+
+    const result = await offspringTrackingService.fosterOffspring(req.body, userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${result.offspring.length} offspring fostered onto ${result.toDam.tagNumber}`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get weaning statistics per nursing dam
+const getWeaningStatsByNursingDam = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+    const filters = req.query;
+
+    const stats = await offspringTrackingService.getWeaningStatsByNursingDam(farmId, userId, filters);
+
+    res.status(200).json({
+      status: 'success',
+      data: stats,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ===== HEAT DETECTION CONTROLLERS =====
+
+// Record a heat observation
+const createHeatObservation = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+
+    const result = await heatDetectionService.recordHeatObservation(req.body, userId);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Heat observation recorded successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get heat observations for an animal
+const getAnimalHeatObservations = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { animalId } = req.params;
+    const filters = req.query;
+
+    const result = await heatDetectionService.getAnimalHeatObservations(animalId, userId, filters);
+
+    res.status(200).json({
+      status: 'success',
+      data: result.observations,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get an animal's cycle and predicted next heat
+const getAnimalHeatPrediction = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { animalId } = req.params;
+
+    const prediction = await heatDetectionService.getAnimalHeatPrediction(animalId, userId);
+
+    res.status(200).json({
+      status: 'success',
+      data: prediction,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete heat observation
+const deleteHeatObservation = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { observationId } = req.params;
+
+    const observation = await heatDetectionService.deleteHeatObservation(observationId, userId);
+
+    if (!observation) {
+      throw new NotFoundError('Heat observation not found');
     }
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Heat observation deleted successfully',
+      data: observation,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get females in heat now or due in heat soon, with mating suggestions
+const getFarmDueInHeat = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+    const days = parseInt(req.query.days) || 7;
+
+    const result = await heatDetectionService.getFarmDueInHeat(farmId, userId, days);
+
+    res.status(200).json({
+      status: 'success',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ===== SEMEN INVENTORY CONTROLLERS =====
+
+// Register an external sire
+const createExternalSire = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+
+    const externalSire = await semenInventoryService.createExternalSire(req.body, userId);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'External sire registered successfully',
+      data: externalSire,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the external sires of a farm
+const getFarmExternalSires = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+    const filters = req.query;
+
+    const result = await semenInventoryService.getFarmExternalSires(farmId, userId, filters);
+
+    res.status(200).json({
+      status: 'success',
+      data: result.externalSires,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get external sire by ID
+const getExternalSire = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { externalSireId } = req.params;
+
+    const externalSire = await semenInventoryService.getExternalSireById(externalSireId, userId);
+
+    if (!externalSire) {
+      throw new NotFoundError('External sire not found');
     }
 
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch offspring by sire',
+    res.status(200).json({
+      status: 'success',
+      data: externalSire,
     });
+  } catch (error) {
+    next(error);
   }
 };
 
-// Get offspring statistics
-const getOffspringStatistics = async (req, res) => {
+// Update external sire
+const updateExternalSire = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { externalSireId } = req.params;
+
+    const externalSire = await semenInventoryService.updateExternalSire(externalSireId, userId, req.body);
+
+    if (!externalSire) {
+      throw new NotFoundError('External sire not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'External sire updated successfully',
+      data: externalSire,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete external sire
+const deleteExternalSire = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { externalSireId } = req.params;
+
+    const externalSire = await semenInventoryService.deleteExternalSire(externalSireId, userId);
+
+    if (!externalSire) {
+      throw new NotFoundError('External sire not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'External sire deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Receive a semen batch
+const createSemenBatch = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+
+    const batch = await semenInventoryService.createSemenBatch(req.body, userId);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Semen batch recorded successfully',
+      data: batch,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the semen batches of a farm with the straws in stock
+const getFarmSemenBatches = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
+    const filters = req.query;
 
-    const stats = await offspringTrackingService.getOffspringStatistics(farmId, userId);
+    const result = await semenInventoryService.getFarmSemenBatches(farmId, userId, filters);
 
     res.status(200).json({
       status: 'success',
-      data: stats,
+      data: {
+        batches: result.batches,
+        summary: result.summary,
+      },
+      pagination: result.pagination,
     });
   } catch (error) {
-    console.error('Error fetching offspring statistics:', error);
-    
-    if (error.message === 'Farm not found or you do not have permission') {
-      return res.status(403).json({
-        status: 'error',
-        message: error.message,
-      });
+    next(error);
+  }
+};
+
+// Get semen batch by ID
+const getSemenBatch = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { batchId } = req.params;
+
+    const batch = await semenInventoryService.getSemenBatchById(batchId, userId);
+
+    if (!batch) {
+      throw new NotFoundError('Semen batch not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: batch,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update semen batch
+const updateSemenBatch = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { batchId } = req.params;
+
+    const batch = await semenInventoryService.updateSemenBatch(batchId, userId, req.body);
+
+    if (!batch) {
+      throw new NotFoundError('Semen batch not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Semen batch updated successfully',
+      data: batch,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Write off unusable straws
+const discardSemenStraws = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { batchId } = req.params;
+
+    const batch = await semenInventoryService.discardStraws(batchId, userId, req.body);
+
+    if (!batch) {
+      throw new NotFoundError('Semen batch not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Semen straws discarded successfully',
+      data: batch,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ===== BREEDING CALENDAR CONTROLLERS =====
+
+// Subscription link for a feed token; API_URL is the server's public address
+const calendarFeedUrl = (req, token) => {
+  const origin = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${origin}${req.baseUrl}/calendar/feed/${token}.ics`;
+};
+
+// Get a farm's breeding calendar
+const getBreedingCalendar = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+    const filters = req.query;
+
+    const calendar = await breedingCalendarService.getFarmCalendar(farmId, userId, filters);
+
+    res.status(200).json({
+      status: 'success',
+      data: calendar,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create (or replace) the user's calendar feed link for a farm
+const createCalendarFeed = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+
+    const { token, feed } = await breedingCalendarService.createCalendarFeed(farmId, userId);
+    const url = calendarFeedUrl(req, token);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Calendar feed created. Any earlier link for this farm no longer works',
+      data: {
+        url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:'),
+        createdAt: feed.updatedAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke the user's calendar feed link for a farm
+const revokeCalendarFeed = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+
+    const feed = await breedingCalendarService.revokeCalendarFeed(farmId, userId);
+
+    if (!feed) {
+      throw new NotFoundError('Calendar feed not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Calendar feed revoked successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Serve a calendar feed to a calendar app (authenticated by the token in the link)
+const getCalendarFeed = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    const calendar = await breedingCalendarService.getCalendarFeed(token);
+
+    if (!calendar) {
+      throw new NotFoundError('Calendar feed not found');
     }
 
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch offspring statistics',
+    res.set('Content-Type', icsCalendar.contentType);
+    res.set('Cache-Control', 'private, max-age=900');
+    res.status(200).send(calendar);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ===== REPRODUCTIVE KPI CONTROLLERS =====
+
+// Get herd reproductive KPIs per animal type with their trend
+const getReproductiveKpis = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { farmId } = req.params;
+    const filters = req.query;
+
+    const kpis = await reproductionKpiService.getReproductiveKpis(farmId, userId, filters);
+
+    res.status(200).json({
+      status: 'success',
+      data: kpis,
     });
+  } catch (error) {
+    next(error);
   }
 };
 
 // ===== REPRODUCTION DASHBOARD =====
 
 // Get reproduction dashboard
-const getReproductionDashboard = async (req, res) => {
+const getReproductionDashboard = async (req, res, next) => {
   try {
     const userId = req.userId;
     const { farmId } = req.params;
@@ -1162,20 +1138,13 @@ const getReproductionDashboard = async (req, res) => {
     const BirthEvent = require('./birthEvent.model');
     const OffspringTracking = require('./offspringTracking.model');
     const Animal = require('../../animalRecords/animal.model');
-    const Farm = require('../../../farms/farm.model');
+    const farmAccess = require('../../../farms/farmAccess');
 
-    // Verify farm belongs to user
-    const farm = await Farm.findOne({
-      _id: farmId,
-      user: userId,
-      isArchived: false,
-    });
+    // Verify user has access to farm
+    const farm = await farmAccess.findAccessibleFarm(farmId, userId);
     
     if (!farm) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Farm not found or you do not have permission',
-      });
+      throw new ForbiddenError('Farm not found or you do not have permission');
     }
 
     // Calculate statistics manually
@@ -1331,11 +1300,7 @@ const getReproductionDashboard = async (req, res) => {
       },
     });
   } catch (error) {
-    console.error('Error fetching reproduction dashboard:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch reproduction dashboard',
-    });
+    next(error);
   }
 };
 
@@ -1348,6 +1313,7 @@ module.exports = {
   recordMatingOutcome,
   deleteMatingEvent,
   getMatingStatistics,
+  getConceptionRates,
   
   // Pregnancies
   createPregnancy,
@@ -1378,6 +1344,36 @@ module.exports = {
   getOffspringByDam,
   getOffspringBySire,
   getOffspringStatistics,
+  fosterOffspring,
+  getWeaningStatsByNursingDam,
+  
+  // Heat detection
+  createHeatObservation,
+  getAnimalHeatObservations,
+  getAnimalHeatPrediction,
+  deleteHeatObservation,
+  getFarmDueInHeat,
+  
+  // Semen inventory
+  createExternalSire,
+  getFarmExternalSires,
+  getExternalSire,
+  updateExternalSire,
+  deleteExternalSire,
+  createSemenBatch,
+  getFarmSemenBatches,
+  getSemenBatch,
+  updateSemenBatch,
+  discardSemenStraws,
+  
+  // Breeding calendar
+  getBreedingCalendar,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed,
+  
+  // Reproductive KPIs
+  getReproductiveKpis,
   
   // Dashboard
   getReproductionDashboard,
@@ -12,6 +12,7 @@ const {
   recordMatingOutcome,
   deleteMatingEvent,
   getMatingStatistics,
+  getConceptionRates,
   
   // Pregnancies
   createPregnancy,
@@ -42,59 +43,147 @@ const {
   getOffspringByDam,
   getOffspringBySire,
   getOffspringStatistics,
+  fosterOffspring,
+  getWeaningStatsByNursingDam,
+  
+  // Heat detection
+  createHeatObservation,
+  getAnimalHeatObservations,
+  getAnimalHeatPrediction,
+  deleteHeatObservation,
+  getFarmDueInHeat,
+  
+  // Semen inventory
+  createExternalSire,
+  getFarmExternalSires,
+  getExternalSire,
+  updateExternalSire,
+  deleteExternalSire,
+  createSemenBatch,
+  getFarmSemenBatches,
+  getSemenBatch,
+  updateSemenBatch,
+  discardSemenStraws,
+  
+  // Breeding calendar
+  getBreedingCalendar,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed,
+  
+  // Reproductive KPIs
+  getReproductiveKpis,
   
   // Dashboard
   getReproductionDashboard,
 } = require('./reproduction.controller');
 
-// All reproduction routes require authentication
+// Models used to resolve the farm for permission checks
+const MatingEvent = require('./matingEvent.model');
+const Pregnancy = require('./pregnancy.model');
+const BirthEvent = require('./birthEvent.model');
+const HeatObservation = require('./heatObservation.model');
+const ExternalSire = require('./externalSire.model');
+const SemenBatch = require('./semenBatch.model');
+
+// Reproduction routes require authentication, apart from the calendar feed
 const authMiddleware = require('../../../../middlewares/auth.middleware');
+const { requireFarmPermission, farmFrom } = require('../../../../middlewares/farmPermission.middleware');
+const validate = require('../../../../middlewares/validate.middleware');
+const reproductionValidation = require('./reproduction.validation');
+const { NotFoundError } = require('../../../../utils/errors');
+
+// Calendar apps cannot log in; the token in the feed link identifies the user
+router.get('/calendar/feed/:token.ics', validate(reproductionValidation.calendarFeed), getCalendarFeed); // GET /reproduction/calendar/feed/:token.ics
+
 router.use(authMiddleware);
 
+const canRead = (resolveFarm) => requireFarmPermission('reproduction:read', resolveFarm);
+const canWrite = (resolveFarm) => requireFarmPermission('reproduction:write', resolveFarm);
+
+const byMatingEvent = farmFrom.document(MatingEvent, 'eventId');
+const byPregnancy = farmFrom.document(Pregnancy, 'pregnancyId');
+const byBirthEvent = farmFrom.document(BirthEvent, 'eventId');
+const byHeatObservation = farmFrom.document(HeatObservation, 'observationId');
+const byExternalSire = farmFrom.document(ExternalSire, 'externalSireId');
+const bySemenBatch = farmFrom.document(SemenBatch, 'batchId');
+const byAnimal = farmFrom.animal();
+const byBodyAnimal = farmFrom.animal('animal', 'body');
+
 // ===== MATING EVENTS =====
-router.post('/mating', createMatingEvent); // POST /reproduction/mating
-router.get('/mating/animal/:animalId', getAnimalMatingEvents); // GET /reproduction/mating/animal/:animalId
-router.get('/mating/:eventId', getMatingEvent); // GET /reproduction/mating/:eventId
-router.put('/mating/:eventId', updateMatingEvent); // PUT /reproduction/mating/:eventId
-router.patch('/mating/:eventId/outcome', recordMatingOutcome); // PATCH /reproduction/mating/:eventId/outcome
-router.delete('/mating/:eventId', deleteMatingEvent); // DELETE /reproduction/mating/:eventId
-router.get('/mating/statistics/farm/:farmId', getMatingStatistics); // GET /reproduction/mating/statistics/farm/:farmId
+router.post('/mating', validate(reproductionValidation.createMatingEvent), canWrite(), createMatingEvent); // POST /reproduction/mating
+router.get('/mating/animal/:animalId', validate(reproductionValidation.getAnimalMatingEvents), canRead(byAnimal), getAnimalMatingEvents); // GET /reproduction/mating/animal/:animalId
+router.get('/mating/:eventId', validate(reproductionValidation.eventId), canRead(byMatingEvent), getMatingEvent); // GET /reproduction/mating/:eventId
+router.put('/mating/:eventId', validate(reproductionValidation.updateMatingEvent), canWrite(byMatingEvent), updateMatingEvent); // PUT /reproduction/mating/:eventId
+router.patch('/mating/:eventId/outcome', validate(reproductionValidation.recordMatingOutcome), canWrite(byMatingEvent), recordMatingOutcome); // PATCH /reproduction/mating/:eventId/outcome
+router.delete('/mating/:eventId', validate(reproductionValidation.eventId), canWrite(byMatingEvent), deleteMatingEvent); // DELETE /reproduction/mating/:eventId
+router.get('/mating/statistics/farm/:farmId', validate(reproductionValidation.statistics), canRead(), getMatingStatistics); // GET /reproduction/mating/statistics/farm/:farmId
+router.get('/mating/conception-rates/farm/:farmId', validate(reproductionValidation.getConceptionRates), canRead(), getConceptionRates); // GET /reproduction/mating/conception-rates/farm/:farmId
 
 // ===== PREGNANCIES =====
-router.post('/pregnancy', createPregnancy); // POST /reproduction/pregnancy
-router.get('/pregnancy/animal/:animalId', getAnimalPregnancies); // GET /reproduction/pregnancy/animal/:animalId
-router.get('/pregnancy/:pregnancyId', getPregnancy); // GET /reproduction/pregnancy/:pregnancyId
-router.put('/pregnancy/:pregnancyId', updatePregnancy); // PUT /reproduction/pregnancy/:pregnancyId
-router.patch('/pregnancy/:pregnancyId/checkup', recordPregnancyCheckup); // PATCH /reproduction/pregnancy/:pregnancyId/checkup
-router.patch('/pregnancy/:pregnancyId/terminate', markPregnancyTerminated); // PATCH /reproduction/pregnancy/:pregnancyId/terminate
-router.get('/pregnancy/alerts/farm/:farmId', getPregnancyAlerts); // GET /reproduction/pregnancy/alerts/farm/:farmId
-router.get('/pregnancy/statistics/farm/:farmId', getPregnancyStatistics); // GET /reproduction/pregnancy/statistics/farm/:farmId
+router.post('/pregnancy', validate(reproductionValidation.createPregnancy), canWrite(), createPregnancy); // POST /reproduction/pregnancy
+router.get('/pregnancy/animal/:animalId', validate(reproductionValidation.getAnimalPregnancies), canRead(byAnimal), getAnimalPregnancies); // GET /reproduction/pregnancy/animal/:animalId
+router.get('/pregnancy/:pregnancyId', validate(reproductionValidation.pregnancyId), canRead(byPregnancy), getPregnancy); // GET /reproduction/pregnancy/:pregnancyId
+router.put('/pregnancy/:pregnancyId', validate(reproductionValidation.updatePregnancy), canWrite(byPregnancy), updatePregnancy); // PUT /reproduction/pregnancy/:pregnancyId
+router.patch('/pregnancy/:pregnancyId/checkup', validate(reproductionValidation.recordPregnancyCheckup), canWrite(byPregnancy), recordPregnancyCheckup); // PATCH /reproduction/pregnancy/:pregnancyId/checkup
+router.patch('/pregnancy/:pregnancyId/terminate', validate(reproductionValidation.markPregnancyTerminated), canWrite(byPregnancy), markPregnancyTerminated); // PATCH /reproduction/pregnancy/:pregnancyId/terminate
+router.get('/pregnancy/alerts/farm/:farmId', validate(reproductionValidation.farmId), canRead(), getPregnancyAlerts); // GET /reproduction/pregnancy/alerts/farm/:farmId
+router.get('/pregnancy/statistics/farm/:farmId', validate(reproductionValidation.statistics), canRead(), getPregnancyStatistics); // GET /reproduction/pregnancy/statistics/farm/:farmId
 
 // ===== BIRTH EVENTS =====
-router.post('/birth', createBirthEvent); // POST /reproduction/birth
-router.get('/birth/animal/:animalId', getAnimalBirthEvents); // GET /reproduction/birth/animal/:animalId
-router.get('/birth/:eventId', getBirthEvent); // GET /reproduction/birth/:eventId
-router.put('/birth/:eventId', updateBirthEvent); // PUT /reproduction/birth/:eventId
-router.patch('/birth/:eventId/complete', markBirthEventCompleted); // PATCH /reproduction/birth/:eventId/complete
-router.patch('/birth/:eventId/neonatal-death', recordNeonatalDeath); // PATCH /reproduction/birth/:eventId/neonatal-death
-router.get('/birth/statistics/farm/:farmId', getBirthStatistics); // GET /reproduction/birth/statistics/farm/:farmId
+router.post('/birth', validate(reproductionValidation.createBirthEvent), canWrite(), createBirthEvent); // POST /reproduction/birth
+router.get('/birth/animal/:animalId', validate(reproductionValidation.getAnimalBirthEvents), canRead(byAnimal), getAnimalBirthEvents); // GET /reproduction/birth/animal/:animalId
+router.get('/birth/:eventId', validate(reproductionValidation.eventId), canRead(byBirthEvent), getBirthEvent); // GET /reproduction/birth/:eventId
+router.put('/birth/:eventId', validate(reproductionValidation.updateBirthEvent), canWrite(byBirthEvent), updateBirthEvent); // PUT /reproduction/birth/:eventId
+router.patch('/birth/:eventId/complete', validate(reproductionValidation.eventId), canWrite(byBirthEvent), markBirthEventCompleted); // PATCH /reproduction/birth/:eventId/complete
+router.patch('/birth/:eventId/neonatal-death', validate(reproductionValidation.recordNeonatalDeath), canWrite(byBirthEvent), recordNeonatalDeath); // PATCH /reproduction/birth/:eventId/neonatal-death
+router.get('/birth/statistics/farm/:farmId', validate(reproductionValidation.statistics), canRead(), getBirthStatistics); // GET /reproduction/birth/statistics/farm/:farmId
 
 // ===== OFFSPRING TRACKING =====
-router.get('/offspring/:offspringId/tracking', getOffspringTracking); // GET /reproduction/offspring/:offspringId/tracking
-router.put('/offspring/:offspringId/tracking', updateOffspringTracking); // PUT /reproduction/offspring/:offspringId/tracking
-router.patch('/offspring/:offspringId/wean', recordWeaning); // PATCH /reproduction/offspring/:offspringId/wean
-router.patch('/offspring/:offspringId/sell', recordSale); // PATCH /reproduction/offspring/:offspringId/sell
-router.patch('/offspring/:offspringId/death', recordOffspringDeath); // PATCH /reproduction/offspring/:offspringId/death
-router.patch('/offspring/:offspringId/growth', recordGrowthMeasurement); // PATCH /reproduction/offspring/:offspringId/growth
-router.get('/offspring/dam/:damId', getOffspringByDam); // GET /reproduction/offspring/dam/:damId
-router.get('/offspring/sire/:sireId', getOffspringBySire); // GET /reproduction/offspring/sire/:sireId
-router.get('/offspring/statistics/farm/:farmId', getOffspringStatistics); // GET /reproduction/offspring/statistics/farm/:farmId
+router.get('/offspring/:offspringId/tracking', validate(reproductionValidation.offspringId), canRead(farmFrom.animal('offspringId')), getOffspringTracking); // GET /reproduction/offspring/:offspringId/tracking
+router.put('/offspring/:offspringId/tracking', validate(reproductionValidation.updateOffspringTracking), canWrite(farmFrom.animal('offspringId')), updateOffspringTracking); // PUT /reproduction/offspring/:offspringId/tracking
+router.patch('/offspring/:offspringId/wean', validate(reproductionValidation.recordWeaning), canWrite(farmFrom.animal('offspringId')), recordWeaning); // PATCH /reproduction/offspring/:offspringId/wean
+router.patch('/offspring/:offspringId/sell', validate(reproductionValidation.recordSale), canWrite(farmFrom.animal('offspringId')), recordSale); // PATCH /reproduction/offspring/:offspringId/sell
+router.patch('/offspring/:offspringId/death', validate(reproductionValidation.recordOffspringDeath), canWrite(farmFrom.animal('offspringId')), recordOffspringDeath); // PATCH /reproduction/offspring/:offspringId/death
+router.patch('/offspring/:offspringId/growth', validate(reproductionValidation.recordGrowthMeasurement), canWrite(farmFrom.animal('offspringId')), recordGrowthMeasurement); // PATCH /reproduction/offspring/:offspringId/growth
+router.get('/offspring/dam/:damId', validate(reproductionValidation.getOffspringByDam), canRead(farmFrom.animal('damId')), getOffspringByDam); // GET /reproduction/offspring/dam/:damId
+router.get('/offspring/sire/:sireId', validate(reproductionValidation.getOffspringBySire), canRead(farmFrom.animal('sireId')), getOffspringBySire); // GET /reproduction/offspring/sire/:sireId
+router.get('/offspring/statistics/farm/:farmId', validate(reproductionValidation.farmId), canRead(), getOffspringStatistics); // GET /reproduction/offspring/statistics/farm/:farmId
+router.post('/offspring/foster', validate(reproductionValidation.fosterOffspring), canWrite(farmFrom.animal('toDam', 'body')), fosterOffspring); // POST /reproduction/offspring/foster
+router.get('/offspring/weaning/farm/:farmId', validate(reproductionValidation.getWeaningStatsByNursingDam), canRead(), getWeaningStatsByNursingDam); // GET /reproduction/offspring/weaning/farm/:farmId
+
+// ===== HEAT DETECTION =====
+router.post('/heat', validate(reproductionValidation.createHeatObservation), canWrite(byBodyAnimal), createHeatObservation); // POST /reproduction/heat
+router.get('/heat/animal/:animalId', validate(reproductionValidation.getAnimalHeatObservations), canRead(byAnimal), getAnimalHeatObservations); // GET /reproduction/heat/animal/:animalId
+router.get('/heat/animal/:animalId/prediction', validate(reproductionValidation.animalId), canRead(byAnimal), getAnimalHeatPrediction); // GET /reproduction/heat/animal/:animalId/prediction
+router.get('/heat/due/farm/:farmId', validate(reproductionValidation.getFarmDueInHeat), canRead(), getFarmDueInHeat); // GET /reproduction/heat/due/farm/:farmId
+router.delete('/heat/:observationId', validate(reproductionValidation.observationId), canWrite(byHeatObservation), deleteHeatObservation); // DELETE /reproduction/heat/:observationId
+
+// ===== SEMEN INVENTORY =====
+router.post('/semen/sires', validate(reproductionValidation.createExternalSire), canWrite(), createExternalSire); // POST /reproduction/semen/sires
+router.get('/semen/sires/farm/:farmId', validate(reproductionValidation.getFarmExternalSires), canRead(), getFarmExternalSires); // GET /reproduction/semen/sires/farm/:farmId
+router.get('/semen/sires/:externalSireId', validate(reproductionValidation.externalSireId), canRead(byExternalSire), getExternalSire); // GET /reproduction/semen/sires/:externalSireId
+router.put('/semen/sires/:externalSireId', validate(reproductionValidation.updateExternalSire), canWrite(byExternalSire), updateExternalSire); // PUT /reproduction/semen/sires/:externalSireId
+router.delete('/semen/sires/:externalSireId', validate(reproductionValidation.externalSireId), canWrite(byExternalSire), deleteExternalSire); // DELETE /reproduction/semen/sires/:externalSireId
+router.post('/semen/batches', validate(reproductionValidation.createSemenBatch), canWrite(), createSemenBatch); // POST /reproduction/semen/batches
+router.get('/semen/batches/farm/:farmId', validate(reproductionValidation.getFarmSemenBatches), canRead(), getFarmSemenBatches); // GET /reproduction/semen/batches/farm/:farmId
+router.get('/semen/batches/:batchId', validate(reproductionValidation.batchId), canRead(bySemenBatch), getSemenBatch); // GET /reproduction/semen/batches/:batchId
+router.put('/semen/batches/:batchId', validate(reproductionValidation.updateSemenBatch), canWrite(bySemenBatch), updateSemenBatch); // PUT /reproduction/semen/batches/:batchId
+router.patch('/semen/batches/:batchId/discard', validate(reproductionValidation.discardSemenStraws), canWrite(bySemenBatch), discardSemenStraws); // PATCH /reproduction/semen/batches/:batchId/discard
+
+// ===== BREEDING CALENDAR =====
+router.get('/calendar/farm/:farmId', validate(reproductionValidation.getBreedingCalendar), canRead(), getBreedingCalendar); // GET /reproduction/calendar/farm/:farmId
+router.post('/calendar/farm/:farmId/feed', validate(reproductionValidation.farmId), canRead(), createCalendarFeed); // POST /reproduction/calendar/farm/:farmId/feed
+router.delete('/calendar/farm/:farmId/feed', validate(reproductionValidation.farmId), canRead(), revokeCalendarFeed); // DELETE /reproduction/calendar/farm/:farmId/feed
+
+// ===== REPRODUCTIVE KPIs =====
+router.get('/kpis/farm/:farmId', validate(reproductionValidation.getReproductiveKpis), canRead(), getReproductiveKpis); // GET /reproduction/kpis/farm/:farmId
 
 // ===== DASHBOARD & OVERVIEW =====
-router.get('/dashboard/farm/:farmId', getReproductionDashboard); // GET /reproduction/dashboard/farm/:farmId
+router.get('/dashboard/farm/:farmId', validate(reproductionValidation.farmId), canRead(), getReproductionDashboard); // GET /reproduction/dashboard/farm/:farmId
 
 // ===== ANIMAL REPRODUCTION SUMMARY =====
-router.get('/summary/animal/:animalId', async (req, res) => {
+router.get('/summary/animal/:animalId', validate(reproductionValidation.animalId), canRead(byAnimal), async (req, res, next) => {
   try {
     const userId = req.userId;
     const { animalId } = req.params;
@@ -110,10 +199,7 @@ router.get('/summary/animal/:animalId', async (req, res) => {
     const animal = await Animal.findById(animalId);
     
     if (!animal) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Animal not found',
-      });
+      throw new NotFoundError('Animal not found');
     }
     
     // Get reproduction data based on gender
@@ -164,11 +250,7 @@ router.get('/summary/animal/:animalId', async (req, res) => {
       data: summary,
     });
   } catch (error) {
-    console.error('Error fetching animal reproduction summary:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch reproduction summary',
-    });
+    next(error);
   }
 });
 
@@ -0,0 +1,559 @@
+// src/modules/animals/operations/reproductions/reproduction.validation.js
+const MatingEvent = require('./matingEvent.model');
+const Pregnancy = require('./pregnancy.model');
+const BirthEvent = require('./birthEvent.model');
+const OffspringTracking = require('./offspringTracking.model');
+const HeatObservation = require('./heatObservation.model');
+const SemenBatch = require('./semenBatch.model');
+const { objectId, partial, enumOf, pagination } = require('../../../../utils/validation');
+
+const PERIODS = ['week', 'month', 'quarter', 'year'];
+
+const CALENDAR_EVENT_TYPES = ['expected_heat', 'planned_mating', 'pregnancy_check', 'expected_delivery', 'weaning'];
+
+const money = {
+  type: 'object',
+  fields: {
+    amount: { type: 'number', min: 0 },
+    currency: { type: 'string', maxLength: 3 },
+  },
+};
+
+const measurement = (units) => ({
+  type: 'object',
+  fields: {
+    value: { type: 'number', min: 0 },
+    unit: units ? { type: 'string', enum: units } : { type: 'string' },
+  },
+});
+
+// AI matings may use an external sire's semen instead of an on-farm sire
+const matingFields = {
+  sire: { type: 'objectId' },
+  dams: { type: 'array', required: true, minLength: 1, items: objectId() },
+  matingType: { type: 'string', enum: enumOf(MatingEvent, 'matingType') },
+  matingDate: { type: 'date', required: true },
+  expectedConceptionDate: { type: 'date' },
+  semenSource: { type: 'string', enum: enumOf(MatingEvent, 'semenSource') },
+  semenBatchNumber: { type: 'string' },
+  technician: {
+    type: 'object',
+    fields: {
+      name: { type: 'string' },
+      contact: { type: 'string' },
+      notes: { type: 'string' },
+    },
+  },
+  status: { type: 'string', enum: enumOf(MatingEvent, 'status') },
+  pregnancyCheckDate: { type: 'date' },
+  pregnancyResult: { type: 'string', enum: enumOf(MatingEvent, 'pregnancyResult') },
+  pregnancyCheckMethod: { type: 'string', enum: enumOf(MatingEvent, 'pregnancyCheckMethod') },
+  notes: { type: 'string', maxLength: 1000 },
+  cost: {
+    type: 'object',
+    fields: {
+      ...money.fields,
+      description: { type: 'string' },
+    },
+  },
+  isRepeatService: { type: 'boolean' },
+  previousMatingEvent: { type: 'objectId' },
+  strawNumber: { type: 'string' },
+  aiCompany: { type: 'string' },
+};
+
+const pregnancyFields = {
+  conceptionDate: { type: 'date', required: true },
+  confirmedDate: { type: 'date', required: true },
+  confirmedBy: { type: 'string', enum: enumOf(Pregnancy, 'confirmedBy') },
+  confirmationMethod: { type: 'string', enum: enumOf(Pregnancy, 'confirmationMethod') },
+  expectedGestationDays: { type: 'integer', required: true, min: 1 },
+  expectedDeliveryDate: { type: 'date', required: true },
+  expectedLitterSize: {
+    type: 'object',
+    fields: {
+      min: { type: 'integer', min: 0 },
+      max: { type: 'integer', min: 0 },
+    },
+  },
+  status: { type: 'string', enum: enumOf(Pregnancy, 'status') },
+  notes: { type: 'string', maxLength: 2000 },
+  requiresSpecialCare: { type: 'boolean' },
+  specialCareInstructions: { type: 'string' },
+  veterinaryCost: money,
+};
+
+const birthFields = {
+  birthDate: { type: 'date', required: true },
+  birthTime: { type: 'string' },
+  location: { type: 'string' },
+  assistedBirth: { type: 'boolean' },
+  assistanceType: { type: 'string', enum: enumOf(BirthEvent, 'assistanceType') },
+  totalOffspring: { type: 'integer', required: true, min: 0 },
+  liveBirths: { type: 'integer', required: true, min: 0 },
+  stillbirths: { type: 'integer', min: 0 },
+  weakOffspring: { type: 'integer', min: 0 },
+  maleOffspring: { type: 'integer', min: 0 },
+  femaleOffspring: { type: 'integer', min: 0 },
+  complications: {
+    type: 'object',
+    fields: {
+      dam: { type: 'string' },
+      offspring: { type: 'string' },
+    },
+  },
+  veterinaryAssistance: {
+    type: 'object',
+    fields: {
+      required: { type: 'boolean' },
+      veterinarian: { type: 'string' },
+      procedures: { type: 'string' },
+      cost: money,
+    },
+  },
+  notes: { type: 'string', maxLength: 2000 },
+  requiresFollowup: { type: 'boolean' },
+  followupDate: { type: 'date' },
+};
+
+// Offspring tracking details that can be edited directly
+const trackingFields = {
+  birthWeight: measurement(enumOf(OffspringTracking, 'birthWeight.unit')),
+  weaningDate: { type: 'date' },
+  weaningWeight: measurement(enumOf(OffspringTracking, 'weaningWeight.unit')),
+  neonatalHealth: {
+    type: 'object',
+    fields: {
+      status: { type: 'string', enum: enumOf(OffspringTracking, 'neonatalHealth.status') },
+      issues: {
+        type: 'array',
+        items: {
+          type: 'object',
+          fields: {
+            date: { type: 'date' },
+            type: { type: 'string' },
+            description: { type: 'string' },
+            treatment: { type: 'string' },
+            resolved: { type: 'boolean' },
+          },
+        },
+      },
+    },
+  },
+  status: { type: 'string', enum: enumOf(OffspringTracking, 'status') },
+  statusDate: { type: 'date' },
+  cullingDetails: {
+    type: 'object',
+    fields: {
+      date: { type: 'date' },
+      reason: { type: 'string' },
+      notes: { type: 'string' },
+    },
+  },
+  notes: { type: 'string', maxLength: 1000 },
+  requiresSpecialAttention: { type: 'boolean' },
+};
+
+const eventParams = { eventId: objectId() };
+const pregnancyParams = { pregnancyId: objectId() };
+const animalParams = { animalId: objectId() };
+const farmParams = { farmId: objectId() };
+const offspringParams = { offspringId: objectId() };
+const observationParams = { observationId: objectId() };
+const externalSireParams = { externalSireId: objectId() };
+const batchParams = { batchId: objectId() };
+
+const externalSireFields = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  code: { type: 'string' },
+  registrationNumber: { type: 'string' },
+  breed: { type: 'string' },
+  stud: { type: 'string' },
+  sireName: { type: 'string' },
+  damName: { type: 'string' },
+  notes: { type: 'string', maxLength: 1000 },
+};
+
+const semenBatchFields = {
+  batchNumber: { type: 'string', required: true },
+  collectionDate: { type: 'date', max: 'now' },
+  receivedDate: { type: 'date', max: 'now' },
+  supplier: { type: 'string' },
+  isSexed: { type: 'boolean' },
+  costPerStraw: { type: 'number', min: 0 },
+  currency: { type: 'string', maxLength: 3 },
+  storage: {
+    type: 'object',
+    fields: {
+      tank: { type: 'string' },
+      canister: { type: 'string' },
+    },
+  },
+  notes: { type: 'string', maxLength: 1000 },
+};
+
+const statistics = {
+  params: farmParams,
+  query: {
+    period: { type: 'string', enum: PERIODS },
+  },
+};
+
+const listFilters = (Model, dateFilters = true) => ({
+  status: { type: 'string', enum: enumOf(Model, 'status') },
+  ...(dateFilters && {
+    startDate: { type: 'date' },
+    endDate: { type: 'date' },
+  }),
+  includeInactive: { type: 'boolean' },
+  ...pagination,
+});
+
+const reproductionValidation = {
+  animalId: {
+    params: animalParams,
+  },
+
+  farmId: {
+    params: farmParams,
+  },
+
+  statistics,
+
+  // Mating events
+  createMatingEvent: {
+    body: {
+      ...matingFields,
+      farm: objectId(),
+      externalSire: { type: 'objectId' },
+      semenBatch: { type: 'objectId' },
+      strawsUsed: { type: 'integer', min: 1 },
+    },
+  },
+
+  getAnimalMatingEvents: {
+    params: animalParams,
+    query: {
+      role: { type: 'string', enum: ['any', 'sire', 'dam'] },
+      matingType: { type: 'string', enum: enumOf(MatingEvent, 'matingType') },
+      outcome: { type: 'string', enum: enumOf(MatingEvent, 'outcome') },
+      ...listFilters(MatingEvent),
+    },
+  },
+
+  eventId: {
+    params: eventParams,
+  },
+
+  getConceptionRates: {
+    params: farmParams,
+    query: {
+      matingType: { type: 'string', enum: enumOf(MatingEvent, 'matingType') },
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+    },
+  },
+
+  // Farm, semen batch and straws cannot be changed once recorded
+  updateMatingEvent: {
+    params: eventParams,
+    body: partial(matingFields),
+  },
+
+  recordMatingOutcome: {
+    params: eventParams,
+    body: {
+      status: { type: 'string', required: true, enum: ['completed', 'failed'] },
+      outcome: { type: 'string', enum: enumOf(MatingEvent, 'outcome') },
+      notes: { type: 'string', maxLength: 1000 },
+    },
+  },
+
+  // Pregnancies
+  createPregnancy: {
+    body: {
+      ...pregnancyFields,
+      farm: objectId(),
+      dam: objectId(),
+      sire: { type: 'objectId' },
+      externalSire: { type: 'objectId' },
+      matingEvent: objectId(),
+    },
+  },
+
+  getAnimalPregnancies: {
+    params: animalParams,
+    query: listFilters(Pregnancy),
+  },
+
+  pregnancyId: {
+    params: pregnancyParams,
+  },
+
+  // Dam, sire and farm cannot be changed once recorded
+  updatePregnancy: {
+    params: pregnancyParams,
+    body: partial(pregnancyFields),
+  },
+
+  recordPregnancyCheckup: {
+    params: pregnancyParams,
+    body: {
+      date: { type: 'date' },
+      weight: { type: 'number', min: 0 },
+      notes: { type: 'string' },
+      examiner: { type: 'string' },
+      findings: { type: 'string' },
+    },
+  },
+
+  markPregnancyTerminated: {
+    params: pregnancyParams,
+    body: {
+      status: { type: 'string', required: true, enum: ['aborted', 'failed'] },
+      reason: { type: 'string', enum: enumOf(Pregnancy, 'abortionReason') },
+      notes: { type: 'string' },
+    },
+  },
+
+  // Birth events
+  createBirthEvent: {
+    body: {
+      ...birthFields,
+      farm: objectId(),
+      pregnancy: objectId(),
+      dam: objectId(),
+      sire: { type: 'objectId' },
+      externalSire: { type: 'objectId' },
+    },
+  },
+
+  getAnimalBirthEvents: {
+    params: animalParams,
+    query: listFilters(BirthEvent),
+  },
+
+  // Dam, sire, pregnancy and farm cannot be changed once recorded
+  updateBirthEvent: {
+    params: eventParams,
+    body: partial(birthFields),
+  },
+
+  recordNeonatalDeath: {
+    params: eventParams,
+    body: {
+      offspringId: objectId(),
+      deathDate: { type: 'date' },
+      cause: { type: 'string' },
+      notes: { type: 'string' },
+    },
+  },
+
+  // Offspring tracking
+  offspringId: {
+    params: offspringParams,
+  },
+
+  updateOffspringTracking: {
+    params: offspringParams,
+    body: trackingFields,
+  },
+
+  recordWeaning: {
+    params: offspringParams,
+    body: {
+      weaningDate: { type: 'date' },
+      weaningWeight: measurement(enumOf(OffspringTracking, 'weaningWeight.unit')),
+      notes: { type: 'string', maxLength: 1000 },
+    },
+  },
+
+  recordSale: {
+    params: offspringParams,
+    body: {
+      saleDate: { type: 'date' },
+      price: money,
+      buyer: { type: 'string' },
+      contact: { type: 'string' },
+      notes: { type: 'string', maxLength: 1000 },
+    },
+  },
+
+  recordOffspringDeath: {
+    params: offspringParams,
+    body: {
+      deathDate: { type: 'date' },
+      cause: { type: 'string', enum: enumOf(OffspringTracking, 'deathDetails.cause') },
+      notes: { type: 'string' },
+    },
+  },
+
+  recordGrowthMeasurement: {
+    params: offspringParams,
+    body: {
+      date: { type: 'date' },
+      weight: measurement(),
+      height: measurement(),
+      notes: { type: 'string' },
+    },
+  },
+
+  getOffspringByDam: {
+    params: { damId: objectId() },
+    query: {
+      role: { type: 'string', enum: ['genetic', 'nursing'] },
+      ...listFilters(OffspringTracking, false),
+    },
+  },
+
+  fosterOffspring: {
+    body: {
+      offspring: { type: 'array', required: true, minLength: 1, items: objectId() },
+      toDam: objectId(),
+      fosterDate: { type: 'date', max: 'now' },
+      reason: { type: 'string', enum: enumOf(OffspringTracking, 'fosterings.reason') },
+      notes: { type: 'string', maxLength: 1000 },
+    },
+  },
+
+  getWeaningStatsByNursingDam: {
+    params: farmParams,
+    query: {
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+    },
+  },
+
+  getOffspringBySire: {
+    params: { sireId: objectId() },
+    query: listFilters(OffspringTracking, false),
+  },
+
+  // Heat detection
+  createHeatObservation: {
+    body: {
+      animal: objectId(),
+      observedAt: { type: 'date', required: true, max: 'now' },
+      signs: { type: 'array', items: { type: 'string', enum: enumOf(HeatObservation, 'signs.$') } },
+      intensity: { type: 'string', enum: enumOf(HeatObservation, 'intensity') },
+      observer: { type: 'objectId' },
+      observerName: { type: 'string', maxLength: 100 },
+      notes: { type: 'string', maxLength: 1000 },
+    },
+  },
+
+  getAnimalHeatObservations: {
+    params: animalParams,
+    query: {
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+      ...pagination,
+    },
+  },
+
+  observationId: {
+    params: observationParams,
+  },
+
+  getFarmDueInHeat: {
+    params: farmParams,
+    query: {
+      days: { type: 'integer', min: 1, max: 60 },
+    },
+  },
+
+  // External sires
+  createExternalSire: {
+    body: {
+      ...externalSireFields,
+      farm: objectId(),
+      animalType: objectId(),
+    },
+  },
+
+  getFarmExternalSires: {
+    params: farmParams,
+    query: {
+      animalType: { type: 'objectId' },
+      search: { type: 'string', maxLength: 100 },
+      includeInactive: { type: 'boolean' },
+      ...pagination,
+    },
+  },
+
+  externalSireId: {
+    params: externalSireParams,
+  },
+
+  // Farm and animal type cannot be changed once recorded
+  updateExternalSire: {
+    params: externalSireParams,
+    body: partial(externalSireFields),
+  },
+
+  // Semen inventory
+  createSemenBatch: {
+    body: {
+      ...semenBatchFields,
+      farm: objectId(),
+      sire: { type: 'objectId' },
+      externalSire: { type: 'objectId' },
+      strawsReceived: { type: 'integer', required: true, min: 1 },
+    },
+  },
+
+  getFarmSemenBatches: {
+    params: farmParams,
+    query: {
+      sire: { type: 'objectId' },
+      externalSire: { type: 'objectId' },
+      status: { type: 'string', enum: enumOf(SemenBatch, 'status') },
+      inStock: { type: 'boolean' },
+      ...pagination,
+    },
+  },
+
+  batchId: {
+    params: batchParams,
+  },
+
+  // Straw counts change only through matings and discards
+  updateSemenBatch: {
+    params: batchParams,
+    body: partial(semenBatchFields),
+  },
+
+  discardSemenStraws: {
+    params: batchParams,
+    body: {
+      straws: { type: 'integer', required: true, min: 1 },
+      reason: { type: 'string', maxLength: 500 },
+    },
+  },
+
+  // Breeding calendar
+  getBreedingCalendar: {
+    params: farmParams,
+    query: {
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+      type: { type: 'string', enum: CALENDAR_EVENT_TYPES },
+    },
+  },
+
+  // Reproductive KPIs
+  getReproductiveKpis: {
+    params: farmParams,
+    query: {
+      period: { type: 'string', enum: PERIODS },
+      animalType: { type: 'objectId' },
+      compare: { type: 'integer', min: 1, max: 4 },
+    },
+  },
+
+  calendarFeed: {
+    params: { token: { type: 'string', required: true, match: /^[0-9a-f]{64}$/ } },
+  },
+};
+
+module.exports = reproductionValidation;
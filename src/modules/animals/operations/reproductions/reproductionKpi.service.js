@@ -0,0 +1,336 @@
+// src/modules/animals/operations/reproductions/reproductionKpi.service.js
+const MatingEvent = require('./matingEvent.model');
+const Pregnancy = require('./pregnancy.model');
+const BirthEvent = require('./birthEvent.model');
+const Animal = require('../../animalRecords/animal.model');
+const AnimalType = require('../../../animalTypes/animalType.model');
+const farmAccess = require('../../../farms/farmAccess');
+const { ForbiddenError, NotFoundError } = require('../../../../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 30.44;
+
+// Same trailing windows as the mating, pregnancy and birth statistics
+const PERIOD_DAYS = {
+  week: 7,
+  month: 30,
+  quarter: 90,
+  year: 365,
+};
+
+// Whether a rising value is good or bad, for the trend of each KPI
+const KPI_DIRECTIONS = {
+  ageAtFirstParturitionDays: 'lower',
+  parturitionIntervalDays: 'lower',
+  daysOpen: 'lower',
+  servicesPerConception: 'lower',
+  firstServiceConceptionRate: 'higher',
+  abortionRate: 'lower',
+  littersPerFemalePerYear: 'higher',
+  offspringPerFemalePerYear: 'higher',
+};
+
+const daysBetween = (from, to) => (new Date(to) - new Date(from)) / DAY_MS;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const average = (values) => (values.length > 0
+  ? round1(values.reduce((sum, value) => sum + value, 0) / values.length)
+  : null);
+
+const percent = (part, whole) => (whole > 0 ? round1((part / whole) * 100) : null);
+
+const inWindow = (date, window) => Boolean(date) && date >= window.from && date <= window.to;
+
+const groupBy = (items, key) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const id = item[key].toString();
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(item);
+  });
+  return groups;
+};
+
+// Latest date in a list sorted oldest first that falls before `date`
+const lastBefore = (dates, date) => {
+  let found = null;
+  for (const candidate of dates) {
+    if (candidate >= date) break;
+    found = candidate;
+  }
+  return found;
+};
+
+// The current window and the `compare` windows before it, newest first
+const periodWindows = (period, compare, now = new Date()) => {
+  const days = PERIOD_DAYS[period];
+
+  return Array.from({ length: compare + 1 }, (_, index) => ({
+    from: new Date(now.getTime() - (index + 1) * days * DAY_MS),
+    to: new Date(now.getTime() - index * days * DAY_MS),
+  }));
+};
+
+// Females that were in the herd and of breeding age during the window
+const breedingFemales = (females, breedingAgeMonths, window) => females.filter(female => {
+  const joined = female.dateOfEntry || female.createdAt;
+  const left = female.status === 'alive' ? null : female.statusDate;
+  const ofAge = !female.dateOfBirth || !breedingAgeMonths
+    || daysBetween(female.dateOfBirth, window.to) >= breedingAgeMonths * DAYS_PER_MONTH;
+
+  return ofAge && (!joined || joined <= window.to) && (!left || left >= window.from);
+});
+
+// Herd KPIs of one animal type for one window. `history` holds all of the type's
+// females, births (oldest first per dam), services (oldest first per dam) and pregnancies.
+const computeKpis = (history, window) => {
+  const { females, breedingAgeMonths, birthsByDam, servicesByDam, pregnancies } = history;
+  const femalesById = new Map(females.map(female => [female._id.toString(), female]));
+
+  const ageAtFirstParturition = [];
+  const parturitionIntervals = [];
+  let births = 0;
+  let offspring = 0;
+
+  birthsByDam.forEach((damBirths, damId) => {
+    damBirths.forEach((birth, index) => {
+      if (!inWindow(birth.birthDate, window)) return;
+
+      births++;
+      offspring += birth.liveBirths || 0;
+
+      if (index === 0) {
+        const dam = femalesById.get(damId);
+        if (dam?.dateOfBirth) {
+          ageAtFirstParturition.push(daysBetween(dam.dateOfBirth, birth.birthDate));
+        }
+      } else {
+        parturitionIntervals.push(daysBetween(damBirths[index - 1].birthDate, birth.birthDate));
+      }
+    });
+  });
+
+  // Days open: from a dam's last parturition to her next conception
+  const daysOpen = [];
+  pregnancies
+    .filter(pregnancy => inWindow(pregnancy.conceptionDate, window))
+    .forEach(pregnancy => {
+      const birthDates = (birthsByDam.get(pregnancy.dam.toString()) || []).map(birth => birth.birthDate);
+      const lastBirth = lastBefore(birthDates, pregnancy.conceptionDate);
+      if (lastBirth) {
+        daysOpen.push(daysBetween(lastBirth, pregnancy.conceptionDate));
+      }
+    });
+
+  // Services are counted per dam; a service is the first when the dam had no other
+  // service since her last parturition
+  const services = { known: 0, conceived: 0, pending: 0 };
+  const firstServices = { known: 0, conceived: 0 };
+
+  servicesByDam.forEach((damServices, damId) => {
+    const birthDates = (birthsByDam.get(damId) || []).map(birth => birth.birthDate);
+
+    damServices.forEach((service, index) => {
+      if (!inWindow(service.date, window)) return;
+
+      if (service.conceived === null) {
+        services.pending++;
+        return;
+      }
+
+      services.known++;
+      if (service.conceived) services.conceived++;
+
+      const lastBirth = lastBefore(birthDates, service.date);
+      const previous = damServices[index - 1];
+      const isFirst = !previous || (lastBirth && previous.date < lastBirth);
+
+      if (isFirst) {
+        firstServices.known++;
+        if (service.conceived) firstServices.conceived++;
+      }
+    });
+  });
+
+  // Pregnancies that ended in the window, by how they ended
+  const aborted = pregnancies.filter(pregnancy => pregnancy.status === 'aborted'
+    && inWindow(pregnancy.abortionDate, window)).length;
+  const delivered = pregnancies.filter(pregnancy => pregnancy.status === 'delivered'
+    && inWindow(pregnancy.actualDeliveryDate, window)).length;
+
+  const femaleCount = breedingFemales(females, breedingAgeMonths, window).length;
+  const perFemalePerYear = (count) => (femaleCount > 0
+    ? Math.round((count / femaleCount) * (365 / daysBetween(window.from, window.to)) * 100) / 100
+    : null);
+
+  return {
+    kpis: {
+      ageAtFirstParturitionDays: average(ageAtFirstParturition),
+      parturitionIntervalDays: average(parturitionIntervals),
+      daysOpen: average(daysOpen),
+      servicesPerConception: services.conceived > 0
+        ? Math.round((services.known / services.conceived) * 100) / 100
+        : null,
+      firstServiceConceptionRate: percent(firstServices.conceived, firstServices.known),
+      abortionRate: percent(aborted, aborted + delivered),
+      littersPerFemalePerYear: perFemalePerYear(births),
+      offspringPerFemalePerYear: perFemalePerYear(offspring),
+    },
+    counts: {
+      breedingFemales: femaleCount,
+      births,
+      liveOffspring: offspring,
+      firstParturitions: ageAtFirstParturition.length,
+      services: services.known + services.pending,
+      servicesPending: services.pending,
+      conceptions: services.conceived,
+      firstServices: firstServices.known,
+      abortions: aborted,
+      deliveries: delivered,
+    },
+  };
+};
+
+// Change of every KPI from the previous window to the current one
+const trendOf = (current, previous) => Object.keys(KPI_DIRECTIONS).reduce((trend, kpi) => {
+  const now = current.kpis[kpi];
+  const before = previous?.kpis[kpi];
+
+  if (now === null || before === null || before === undefined) {
+    trend[kpi] = { current: now, previous: before ?? null, change: null, changePercent: null, direction: null };
+    return trend;
+  }
+
+  const change = Math.round((now - before) * 100) / 100;
+  const better = KPI_DIRECTIONS[kpi] === 'higher' ? change > 0 : change < 0;
+
+  trend[kpi] = {
+    current: now,
+    previous: before,
+    change,
+    changePercent: before !== 0 ? round1((change / before) * 100) : null,
+    direction: change === 0 ? 'unchanged' : better ? 'improved' : 'declined',
+  };
+  return trend;
+}, {});
+
+class ReproductionKpiService {
+  // Herd-level reproductive KPIs per animal type for the current period and the
+  // `compare` periods before it, with the trend against the previous period
+  async getReproductiveKpis(farmId, userId, filters = {}) {
+    try {
+      // Verify user has access to farm
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const period = PERIOD_DAYS[filters.period] ? filters.period : 'year';
+      const compare = parseInt(filters.compare) || 1;
+      const windows = periodWindows(period, compare);
+
+      const typeQuery = { farm: farmId, 'features.reproduction': true };
+      if (filters.animalType) {
+        typeQuery._id = filters.animalType;
+      }
+
+      const animalTypes = await AnimalType.find(typeQuery)
+        .select('name reproduction.breedingAgeMonths')
+        .lean();
+
+      if (filters.animalType && animalTypes.length === 0) {
+        throw new NotFoundError('Animal type not found or reproduction is not enabled for it');
+      }
+
+      const females = await Animal.find({
+        farm: farmId,
+        gender: 'female',
+        animalType: { $in: animalTypes.map(type => type._id) },
+      })
+      .select('animalType dateOfBirth dateOfEntry createdAt status statusDate')
+      .lean();
+
+      const femaleIds = females.map(female => female._id);
+
+      // Whole history, since intervals and first services look back past the window
+      const [births, matings, pregnancies] = await Promise.all([
+        BirthEvent.find({ farm: farmId, dam: { $in: femaleIds }, isActive: true })
+          .select('dam birthDate liveBirths')
+          .sort({ birthDate: 1 })
+          .lean(),
+        MatingEvent.find({
+          farm: farmId,
+          dams: { $in: femaleIds },
+          status: { $nin: ['planned', 'cancelled'] },
+          isActive: true,
+        })
+        .select('dams matingDate outcome pregnancyResult')
+        .sort({ matingDate: 1 })
+        .lean(),
+        Pregnancy.find({ farm: farmId, dam: { $in: femaleIds }, isActive: true })
+          .select('dam matingEvent conceptionDate status abortionDate actualDeliveryDate')
+          .lean(),
+      ]);
+
+      // A dam's pregnancy from a mating settles whether that service conceived
+      const pregnantDams = new Map();
+      pregnancies
+        .filter(pregnancy => pregnancy.matingEvent)
+        .forEach(pregnancy => {
+          const key = pregnancy.matingEvent.toString();
+          if (!pregnantDams.has(key)) pregnantDams.set(key, []);
+          pregnantDams.get(key).push(pregnancy.dam);
+        });
+
+      const femaleIdSet = new Set(femaleIds.map(id => id.toString()));
+      const services = [];
+      matings.forEach(mating => {
+        mating.dams
+          .filter(dam => femaleIdSet.has(dam.toString()))
+          .forEach(dam => services.push({
+            dam,
+            date: mating.matingDate,
+            conceived: MatingEvent.damConceived(mating, dam, pregnantDams.get(mating._id.toString())),
+          }));
+      });
+
+      const femalesByType = groupBy(females, 'animalType');
+      const typeOfFemale = new Map(females.map(female => [female._id.toString(), female.animalType.toString()]));
+      const forType = (items, typeId) => items.filter(item => typeOfFemale.get(item.dam.toString()) === typeId);
+
+      const results = animalTypes.map(animalType => {
+        const typeId = animalType._id.toString();
+        const history = {
+          females: femalesByType.get(typeId) || [],
+          breedingAgeMonths: animalType.reproduction?.breedingAgeMonths,
+          birthsByDam: groupBy(forType(births, typeId), 'dam'),
+          servicesByDam: groupBy(forType(services, typeId), 'dam'),
+          pregnancies: forType(pregnancies, typeId),
+        };
+
+        const periods = windows.map(window => ({ ...window, ...computeKpis(history, window) }));
+
+        return {
+          animalType: { _id: animalType._id, name: animalType.name },
+          current: periods[0],
+          previous: periods.slice(1),
+          trend: trendOf(periods[0], periods[1]),
+        };
+      });
+
+      return {
+        period,
+        periodDays: PERIOD_DAYS[period],
+        compare,
+        animalTypes: results,
+      };
+    } catch (error) {
+      console.error('Service error getting reproductive KPIs:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ReproductionKpiService();
@@ -0,0 +1,177 @@
+// src/modules/animals/operations/reproductions/semenBatch.model.js
+const mongoose = require('mongoose');
+const { BusinessRuleError } = require('../../../../utils/errors');
+
+// Straws of one sire's semen from one collection, kept in a nitrogen tank. The sire is
+// either an on-farm animal or an external sire.
+const semenBatchSchema = new mongoose.Schema(
+  {
+    // Farm reference
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: [true, 'Farm reference is required'],
+    },
+
+    sire: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Animal',
+    },
+
+    externalSire: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExternalSire',
+    },
+
+    batchNumber: {
+      type: String,
+      required: [true, 'Batch number is required'],
+      trim: true,
+    },
+
+    collectionDate: Date,
+
+    receivedDate: {
+      type: Date,
+      default: Date.now,
+    },
+
+    supplier: {
+      type: String,
+      trim: true,
+    },
+
+    isSexed: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Straws received and straws still in the tank
+    strawsReceived: {
+      type: Number,
+      required: [true, 'Number of straws is required'],
+      min: [1, 'A batch must have at least one straw'],
+    },
+
+    strawsRemaining: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    costPerStraw: {
+      type: Number,
+      min: 0,
+    },
+
+    currency: {
+      type: String,
+      default: 'KSH',
+      uppercase: true,
+    },
+
+    // Where the straws are stored
+    storage: {
+      tank: {
+        type: String,
+        trim: true,
+      },
+      canister: {
+        type: String,
+        trim: true,
+      },
+    },
+
+    status: {
+      type: String,
+      enum: ['active', 'depleted', 'discarded'],
+      default: 'active',
+    },
+
+    // Straws written off without being used (thawed, damaged, lost)
+    discarded: [
+      {
+        straws: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        reason: {
+          type: String,
+          trim: true,
+        },
+        date: {
+          type: Date,
+          default: Date.now,
+        },
+        recordedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      },
+    ],
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    // Metadata
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+semenBatchSchema.index({ farm: 1, status: 1 });
+semenBatchSchema.index({ sire: 1, status: 1 });
+semenBatchSchema.index({ externalSire: 1, status: 1 });
+
+semenBatchSchema.pre('validate', function() {
+  if (Boolean(this.sire) === Boolean(this.externalSire)) {
+    this.invalidate('sire', 'A semen batch needs either an on-farm sire or an external sire');
+  }
+
+  if (this.strawsRemaining > this.strawsReceived) {
+    this.invalidate('strawsRemaining', 'Remaining straws cannot exceed straws received');
+  }
+});
+
+// Take straws out of the tank
+semenBatchSchema.methods.takeStraws = function(count) {
+  if (this.status !== 'active') {
+    throw new BusinessRuleError(`Semen batch ${this.batchNumber} is ${this.status}`);
+  }
+
+  if (this.strawsRemaining < count) {
+    throw new BusinessRuleError(`Insufficient straws in semen batch ${this.batchNumber}. Available: ${this.strawsRemaining}, Requested: ${count}`);
+  }
+
+  this.strawsRemaining -= count;
+  if (this.strawsRemaining === 0) {
+    this.status = 'depleted';
+  }
+
+  return this;
+};
+
+// Put unused straws back (e.g. the mating was deleted)
+semenBatchSchema.methods.returnStraws = function(count) {
+  this.strawsRemaining = Math.min(this.strawsReceived, this.strawsRemaining + count);
+  if (this.status === 'depleted' && this.strawsRemaining > 0) {
+    this.status = 'active';
+  }
+
+  return this;
+};
+
+const SemenBatch = mongoose.model('SemenBatch', semenBatchSchema);
+
+module.exports = SemenBatch;
@@ -0,0 +1,386 @@
+// src/modules/animals/operations/reproductions/semenInventory.service.js
+const SemenBatch = require('./semenBatch.model');
+const ExternalSire = require('./externalSire.model');
+const Animal = require('../../animalRecords/animal.model');
+const AnimalType = require('../../../animalTypes/animalType.model');
+const farmAccess = require('../../../farms/farmAccess');
+const { ValidationError, ForbiddenError, NotFoundError, BusinessRuleError } = require('../../../../utils/errors');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sameId = (a, b) => Boolean(a && b && a.toString() === b.toString());
+
+const paginate = (filters, totalRecords) => {
+  const page = parseInt(filters.page) || 1;
+  const limit = parseInt(filters.limit) || 20;
+
+  return {
+    skip: (page - 1) * limit,
+    pagination: {
+      page,
+      limit,
+      totalRecords,
+      totalPages: Math.ceil(totalRecords / limit),
+      hasNextPage: page * limit < totalRecords,
+      hasPrevPage: page > 1,
+    },
+  };
+};
+
+class SemenInventoryService {
+  // ===== EXTERNAL SIRES =====
+
+  // Register a sire known only through its semen
+  async createExternalSire(sireData, userId) {
+    try {
+      const farm = await farmAccess.findAccessibleFarm(sireData.farm, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      if (!(await AnimalType.exists({ _id: sireData.animalType, farm: sireData.farm }))) {
+        throw new ValidationError('Animal type not found on this farm');
+      }
+
+      const externalSire = await ExternalSire.create({
+        ...sireData,
+        createdBy: userId,
+      });
+
+      return externalSire;
+    } catch (error) {
+      console.error('Service error creating external sire:', error);
+      throw error;
+    }
+  }
+
+  // Get the external sires of a farm
+  async getFarmExternalSires(farmId, userId, filters = {}) {
+    try {
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const query = { farm: farmId };
+
+      if (filters.animalType) {
+        query.animalType = filters.animalType;
+      }
+
+      if (filters.search) {
+        const search = new RegExp(escapeRegExp(filters.search), 'i');
+        query.$or = [{ name: search }, { code: search }, { registrationNumber: search }];
+      }
+
+      if (filters.includeInactive !== 'true') {
+        query.isActive = true;
+      }
+
+      const totalRecords = await ExternalSire.countDocuments(query);
+      const { skip, pagination } = paginate(filters, totalRecords);
+
+      const externalSires = await ExternalSire.find(query)
+        .populate('animalType', 'name')
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(pagination.limit)
+        .lean();
+
+      return { externalSires, pagination };
+    } catch (error) {
+      console.error('Service error getting external sires:', error);
+      throw error;
+    }
+  }
+
+  // Get an external sire by ID
+  async getExternalSireById(externalSireId, userId) {
+    try {
+      const externalSire = await ExternalSire.findById(externalSireId)
+        .populate('animalType', 'name');
+
+      if (!externalSire) {
+        return null;
+      }
+
+      const farm = await farmAccess.findAccessibleFarm(externalSire.farm, userId);
+
+      if (!farm) {
+        return null;
+      }
+
+      return externalSire;
+    } catch (error) {
+      console.error('Service error getting external sire:', error);
+      throw error;
+    }
+  }
+
+  // Update an external sire's details
+  async updateExternalSire(externalSireId, userId, updateData) {
+    try {
+      const externalSire = await this.getExternalSireById(externalSireId, userId);
+
+      if (!externalSire) {
+        return null;
+      }
+
+      externalSire.set(updateData);
+      await externalSire.save();
+
+      return externalSire;
+    } catch (error) {
+      console.error('Service error updating external sire:', error);
+      throw error;
+    }
+  }
+
+  // Delete an external sire (soft delete); it stays in existing pedigrees
+  async deleteExternalSire(externalSireId, userId) {
+    try {
+      const externalSire = await this.getExternalSireById(externalSireId, userId);
+
+      if (!externalSire) {
+        return null;
+      }
+
+      if (await SemenBatch.exists({ externalSire: externalSire._id, status: 'active' })) {
+        throw new BusinessRuleError('Cannot delete an external sire with semen still in stock');
+      }
+
+      externalSire.isActive = false;
+      await externalSire.save();
+
+      return externalSire;
+    } catch (error) {
+      console.error('Service error deleting external sire:', error);
+      throw error;
+    }
+  }
+
+  // ===== SEMEN BATCHES =====
+
+  // Check the sire of a batch or mating: a male animal or an active external sire of the farm
+  async findSire(farmId, { sire, externalSire }) {
+    if (externalSire) {
+      const found = await ExternalSire.findOne({ _id: externalSire, farm: farmId, isActive: true });
+
+      if (!found) {
+        throw new NotFoundError('External sire not found on this farm');
+      }
+
+      return found;
+    }
+
+    const found = await Animal.findOne({ _id: sire, farm: farmId });
+
+    if (!found || found.gender !== 'male') {
+      throw new NotFoundError('Sire not found or is not male');
+    }
+
+    return found;
+  }
+
+  // Receive a batch of straws
+  async createSemenBatch(batchData, userId) {
+    try {
+      const farm = await farmAccess.findAccessibleFarm(batchData.farm, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      if (Boolean(batchData.sire) === Boolean(batchData.externalSire)) {
+        throw new ValidationError('Provide either a sire or an external sire');
+      }
+
+      await this.findSire(batchData.farm, batchData);
+
+      const batch = await SemenBatch.create({
+        ...batchData,
+        strawsRemaining: batchData.strawsReceived,
+        createdBy: userId,
+      });
+
+      return batch;
+    } catch (error) {
+      console.error('Service error creating semen batch:', error);
+      throw error;
+    }
+  }
+
+  // Get the semen batches of a farm with the straws in stock
+  async getFarmSemenBatches(farmId, userId, filters = {}) {
+    try {
+      const farm = await farmAccess.findAccessibleFarm(farmId, userId);
+
+      if (!farm) {
+        throw new ForbiddenError('Farm not found or you do not have permission');
+      }
+
+      const query = { farm: farmId };
+
+      if (filters.sire) {
+        query.sire = filters.sire;
+      }
+
+      if (filters.externalSire) {
+        query.externalSire = filters.externalSire;
+      }
+
+      if (filters.status) {
+        query.status = filters.status;
+      } else if (filters.inStock === 'true') {
+        query.status = 'active';
+      }
+
+      const [totalRecords, stock] = await Promise.all([
+        SemenBatch.countDocuments(query),
+        SemenBatch.find({ ...query, status: 'active' }).select('strawsRemaining costPerStraw').lean(),
+      ]);
+      const { skip, pagination } = paginate(filters, totalRecords);
+
+      const batches = await SemenBatch.find(query)
+        .populate('sire', 'name tagNumber breed')
+        .populate('externalSire', 'name code registrationNumber breed')
+        .sort({ receivedDate: -1 })
+        .skip(skip)
+        .limit(pagination.limit)
+        .lean();
+
+      return {
+        batches,
+        summary: {
+          activeBatches: stock.length,
+          strawsInStock: stock.reduce((sum, batch) => sum + batch.strawsRemaining, 0),
+          stockValue: Math.round(stock.reduce((sum, batch) => sum + batch.strawsRemaining * (batch.costPerStraw || 0), 0) * 100) / 100,
+        },
+        pagination,
+      };
+    } catch (error) {
+      console.error('Service error getting semen batches:', error);
+      throw error;
+    }
+  }
+
+  // Get a semen batch by ID
+  async getSemenBatchById(batchId, userId) {
+    try {
+      const batch = await SemenBatch.findById(batchId)
+        .populate('sire', 'name tagNumber breed')
+        .populate('externalSire', 'name code registrationNumber breed')
+        .populate('discarded.recordedBy', 'name email');
+
+      if (!batch) {
+        return null;
+      }
+
+      const farm = await farmAccess.findAccessibleFarm(batch.farm, userId);
+
+      if (!farm) {
+        return null;
+      }
+
+      return batch;
+    } catch (error) {
+      console.error('Service error getting semen batch:', error);
+      throw error;
+    }
+  }
+
+  // Update a batch's details (straw counts change through matings and discards)
+  async updateSemenBatch(batchId, userId, updateData) {
+    try {
+      const batch = await this.getSemenBatchById(batchId, userId);
+
+      if (!batch) {
+        return null;
+      }
+
+      batch.set(updateData);
+      await batch.save();
+
+      return batch;
+    } catch (error) {
+      console.error('Service error updating semen batch:', error);
+      throw error;
+    }
+  }
+
+  // Write off straws that can no longer be used
+  async discardStraws(batchId, userId, { straws, reason }) {
+    try {
+      const batch = await this.getSemenBatchById(batchId, userId);
+
+      if (!batch) {
+        return null;
+      }
+
+      batch.takeStraws(straws);
+      batch.discarded.push({ straws, reason, recordedBy: userId });
+
+      if (batch.strawsRemaining === 0) {
+        batch.status = 'discarded';
+      }
+
+      await batch.save();
+
+      return batch;
+    } catch (error) {
+      console.error('Service error discarding semen straws:', error);
+      throw error;
+    }
+  }
+
+  // ===== MATINGS =====
+
+  // Take the straws for an AI mating: from the given batch, or the sire's oldest batch
+  // holding enough. The batch is returned unsaved.
+  async takeStrawsForMating(farmId, { semenBatch, sire, externalSire }, straws) {
+    let batch;
+
+    if (semenBatch) {
+      batch = await SemenBatch.findOne({ _id: semenBatch, farm: farmId });
+
+      if (!batch) {
+        throw new NotFoundError('Semen batch not found on this farm');
+      }
+
+      if ((sire && !sameId(sire, batch.sire)) || (externalSire && !sameId(externalSire, batch.externalSire))) {
+        throw new ValidationError('Semen batch belongs to a different sire');
+      }
+    } else {
+      batch = await SemenBatch.findOne({
+        farm: farmId,
+        ...(externalSire ? { externalSire } : { sire }),
+        status: 'active',
+        strawsRemaining: { $gte: straws },
+      }).sort({ receivedDate: 1 });
+
+      if (!batch) {
+        throw new BusinessRuleError(`No semen batch of this sire holds ${straws} straw(s)`);
+      }
+    }
+
+    return batch.takeStraws(straws);
+  }
+
+  // Put a deleted mating's straws back into their batch
+  async returnStraws(batchId, straws) {
+    const batch = await SemenBatch.findById(batchId);
+
+    if (!batch || !straws) {
+      return null;
+    }
+
+    batch.returnStraws(straws);
+    await batch.save();
+
+    return batch;
+  }
+}
+
+module.exports = new SemenInventoryService();
@@ -0,0 +1,34 @@
+// src/modules/audit/audit.controller.js
+const auditService = require('./audit.service');
+
+// Get audit trail for a farm
+const getFarmAuditLog = async (req, res, next) => {
+  try {
+    const { farmId } = req.params;
+
+    const filters = {
+      entityType: req.query.entityType,
+      entityId: req.query.entityId,
+      user: req.query.user,
+      action: req.query.action,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      page: req.query.page,
+      limit: req.query.limit,
+    };
+
+    const result = await auditService.getFarmAuditLog(farmId, filters);
+
+    res.status(200).json({
+      status: 'success',
+      data: result.records,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getFarmAuditLog,
+};
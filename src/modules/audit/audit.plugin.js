@@ -0,0 +1,192 @@
+// src/modules/audit/audit.plugin.js
+const requestContext = require('../../utils/requestContext');
+
+// Bookkeeping fields that are not worth auditing
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const UPDATE_OPERATIONS = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+const DELETE_OPERATIONS = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+// Plain JSON copy (ObjectIds and dates become strings) so values compare and store cleanly
+const normalize = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const toPlainObject = (doc) => doc.toObject({
+  depopulate: true,
+  virtuals: false,
+  getters: false,
+  transform: false,
+});
+
+// Flatten nested objects into dotted paths, arrays are compared as a whole
+const flatten = (obj, prefix = '', result = {}) => {
+  Object.keys(obj || {}).forEach(key => {
+    const value = obj[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+};
+
+// List the fields that differ between two versions of a document
+const diff = (before, after) => {
+  const flatBefore = flatten(normalize(before));
+  const flatAfter = flatten(normalize(after));
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field.split('.')[0])) {
+      return;
+    }
+
+    if (JSON.stringify(flatBefore[field]) !== JSON.stringify(flatAfter[field])) {
+      changes.push({
+        field,
+        before: flatBefore[field],
+        after: flatAfter[field],
+      });
+    }
+  });
+
+  return changes;
+};
+
+// Write an audit entry; failures are logged but never break the original operation
+const recordEntry = async (entry) => {
+  try {
+    const AuditLog = require('./auditLog.model');
+
+    await AuditLog.create({
+      ...entry,
+      actor: requestContext.get('userId'),
+      request: {
+        method: requestContext.get('method'),
+        path: requestContext.get('path'),
+        ip: requestContext.get('ip'),
+      },
+    });
+  } catch (error) {
+    console.error('Failed to write audit log entry:', error);
+  }
+};
+
+// Mongoose plugin that records creates, updates and deletes of farm-scoped documents.
+// `farmField` is the path holding the farm ID ('_id' for the Farm model itself).
+const auditPlugin = (schema, options = {}) => {
+  const farmField = options.farmField || 'farm';
+
+  if (schema.options.audit === false) {
+    return;
+  }
+
+  // Only farm-scoped schemas are audited
+  if (farmField !== '_id' && !schema.path(farmField)) {
+    return;
+  }
+
+  const getFarm = (doc) => doc && doc[farmField];
+
+  // Remember values as loaded so later saves can be diffed
+  schema.post('init', function () {
+    this.$locals.auditOriginal = toPlainObject(this);
+  });
+
+  schema.pre('save', function () {
+    this.$locals.auditIsNew = this.isNew;
+  });
+
+  schema.post('save', async function (doc) {
+    const farm = getFarm(doc);
+    if (!farm) {
+      return;
+    }
+
+    const current = toPlainObject(doc);
+    const entityType = doc.constructor.modelName;
+
+    if (doc.$locals.auditIsNew) {
+      await recordEntry({
+        farm,
+        entityType,
+        entityId: doc._id,
+        action: 'create',
+        snapshot: normalize(current),
+      });
+    } else {
+      const changes = diff(doc.$locals.auditOriginal, current);
+      if (changes.length > 0) {
+        await recordEntry({
+          farm,
+          entityType,
+          entityId: doc._id,
+          action: 'update',
+          changes,
+        });
+      }
+    }
+
+    doc.$locals.auditOriginal = current;
+  });
+
+  // Query updates/deletes (doc.deleteOne() also runs through these): load the affected documents first
+  schema.pre([...UPDATE_OPERATIONS, ...DELETE_OPERATIONS], async function () {
+    const single = !['updateMany', 'deleteMany'].includes(this.op);
+    let query = this.model.find(this.getFilter()).lean();
+
+    if (single) {
+      query = query.sort(this.getOptions().sort || {}).limit(1);
+    }
+
+    this._auditBefore = await query;
+  });
+
+  schema.post(UPDATE_OPERATIONS, async function () {
+    const beforeDocs = this._auditBefore || [];
+    if (beforeDocs.length === 0) {
+      return;
+    }
+
+    const afterDocs = await this.model.find({
+      _id: { $in: beforeDocs.map(doc => doc._id) },
+    }).lean();
+
+    for (const before of beforeDocs) {
+      const after = afterDocs.find(doc => doc._id.toString() === before._id.toString());
+      const farm = getFarm(after || before);
+      const changes = diff(before, after);
+
+      if (farm && changes.length > 0) {
+        await recordEntry({
+          farm,
+          entityType: this.model.modelName,
+          entityId: before._id,
+          action: 'update',
+          changes,
+        });
+      }
+    }
+  });
+
+  schema.post(DELETE_OPERATIONS, async function () {
+    for (const before of this._auditBefore || []) {
+      const farm = getFarm(before);
+
+      if (farm) {
+        await recordEntry({
+          farm,
+          entityType: this.model.modelName,
+          entityId: before._id,
+          action: 'delete',
+          snapshot: normalize(before),
+        });
+      }
+    }
+  });
+};
+
+module.exports = auditPlugin;
@@ -0,0 +1,13 @@
+// src/modules/audit/audit.routes.js
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { getFarmAuditLog } = require('./audit.controller');
+const { requireFarmPermission } = require('../../middlewares/farmPermission.middleware');
+const validate = require('../../middlewares/validate.middleware');
+const auditValidation = require('./audit.validation');
+
+// Authentication is applied by the parent farm router
+
+router.get('/', validate(auditValidation.getFarmAuditLog), requireFarmPermission('audit:read'), getFarmAuditLog); // GET /api/farms/:farmId/audit
+
+module.exports = router;
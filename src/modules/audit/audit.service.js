@@ -0,0 +1,73 @@
+// src/modules/audit/audit.service.js
+const AuditLog = require('./auditLog.model');
+
+const auditService = {
+  // Get audit trail for a farm (access is checked by the route)
+  getFarmAuditLog: async (farmId, filters = {}) => {
+    try {
+      // Build query
+      const query = { farm: farmId };
+
+      // Apply filters
+      if (filters.entityType) {
+        query.entityType = filters.entityType;
+      }
+
+      if (filters.entityId) {
+        query.entityId = filters.entityId;
+      }
+
+      if (filters.user) {
+        query.actor = filters.user;
+      }
+
+      if (filters.action) {
+        query.action = filters.action;
+      }
+
+      // Date filters
+      if (filters.startDate) {
+        query.createdAt = query.createdAt || {};
+        query.createdAt.$gte = new Date(filters.startDate);
+      }
+
+      if (filters.endDate) {
+        query.createdAt = query.createdAt || {};
+        query.createdAt.$lte = new Date(filters.endDate);
+      }
+
+      // Pagination
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 50;
+      const skip = (page - 1) * limit;
+
+      // Get audit entries, newest first
+      const entries = await AuditLog.find(query)
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      // Get total count for pagination
+      const totalRecords = await AuditLog.countDocuments(query);
+
+      return {
+        records: entries,
+        pagination: {
+          page,
+          limit,
+          totalRecords,
+          totalPages: Math.ceil(totalRecords / limit),
+          hasNextPage: page * limit < totalRecords,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      console.error('Service error getting farm audit log:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = auditService;
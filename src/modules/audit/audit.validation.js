@@ -0,0 +1,21 @@
+// src/modules/audit/audit.validation.js
+const { objectId, pagination } = require('../../utils/validation');
+
+const auditValidation = {
+  getFarmAuditLog: {
+    params: {
+      farmId: objectId(),
+    },
+    query: {
+      entityType: { type: 'string' },
+      entityId: { type: 'objectId' },
+      user: { type: 'objectId' },
+      action: { type: 'string', enum: ['create', 'update', 'delete'] },
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+      ...pagination,
+    },
+  },
+};
+
+module.exports = auditValidation;
@@ -0,0 +1,75 @@
+// src/modules/audit/auditLog.model.js
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: [true, 'Farm reference is required'],
+    },
+    // User who made the change (empty for system jobs)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Mongoose model name, e.g. 'Animal', 'Sale'
+    entityType: {
+      type: String,
+      required: [true, 'Entity type is required'],
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Entity ID is required'],
+    },
+    action: {
+      type: String,
+      enum: ['create', 'update', 'delete'],
+      required: [true, 'Action is required'],
+    },
+    // Changed fields only (dotted paths for nested fields)
+    changes: [{
+      _id: false,
+      field: String,
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+    }],
+    // Full document for creates (after) and deletes (before)
+    snapshot: mongoose.Schema.Types.Mixed,
+    request: {
+      method: String,
+      path: String,
+      ip: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    // Never audit the audit log itself
+    audit: false,
+  }
+);
+
+// Indexes
+auditLogSchema.index({ farm: 1, createdAt: -1 });
+auditLogSchema.index({ farm: 1, entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ farm: 1, actor: 1, createdAt: -1 });
+
+// Entries are append-only (doc.deleteOne() also runs the query hooks)
+const rejectMutation = function () {
+  throw new Error('Audit log entries cannot be modified or deleted');
+};
+
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) {
+    rejectMutation();
+  }
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -1,5 +1,6 @@
 // src/modules/farms/farm.model.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../audit/audit.plugin');
 
 const farmSchema = new mongoose.Schema(
   {
@@ -66,6 +67,9 @@ farmSchema.methods.restore = async function () {
   return this.save();
 };
 
+// Audit changes to the farm itself (the global plugin only covers farm-scoped models)
+farmSchema.plugin(auditPlugin, { farmField: '_id' });
+
 const Farm = mongoose.model('Farm', farmSchema);
 
 module.exports = Farm;
\ No newline at end of file
@@ -0,0 +1,123 @@
+// src/modules/farms/farmAccess.js
+const mongoose = require('mongoose');
+const Farm = require('./farm.model');
+const FarmMember = require('./farmMember.model');
+
+// Farm areas that permissions are granted on
+const MODULES = ['animals', 'feeds', 'health', 'reproduction', 'inventory', 'production', 'genetics'];
+
+const readAll = ['farm:read', ...MODULES.map(module => `${module}:read`)];
+
+// Permissions granted to each farm role ('*' grants everything)
+const ROLE_PERMISSIONS = {
+  owner: ['*'],
+  manager: [
+    ...readAll,
+    ...MODULES.map(module => `${module}:write`),
+    'farm:write',
+    'members:read',
+    'members:write',
+    'audit:read',
+  ],
+  worker: [
+    ...readAll,
+    'animals:write',
+    'feeds:write',
+    'production:write',
+    'reproduction:write',
+  ],
+  vet: [
+    ...readAll,
+    'health:write',
+    'reproduction:write',
+  ],
+  viewer: [...readAll, 'audit:read'],
+};
+
+// Roles a manager is allowed to hand out
+const MANAGER_ASSIGNABLE_ROLES = ['worker', 'vet', 'viewer'];
+
+const farmAccess = {
+  MODULES,
+  ROLE_PERMISSIONS,
+  MANAGER_ASSIGNABLE_ROLES,
+
+  // Check whether a role grants a permission
+  hasPermission: (role, permission) => {
+    const permissions = ROLE_PERMISSIONS[role] || [];
+    return permissions.includes('*') || permissions.includes(permission);
+  },
+
+  // Resolve the farm and the user's role on it, or null when the user has no access
+  getFarmAccess: async (farmId, userId, options = {}) => {
+    if (!farmId || !mongoose.Types.ObjectId.isValid(farmId.toString())) {
+      return null;
+    }
+
+    const query = { _id: farmId };
+    if (!options.includeArchived) {
+      query.isArchived = false;
+    }
+
+    const farm = await Farm.findOne(query);
+    if (!farm) {
+      return null;
+    }
+
+    // The farm creator is always the owner
+    if (farm.user.toString() === userId.toString()) {
+      return { farm, role: 'owner' };
+    }
+
+    const membership = await FarmMember.findOne({
+      farm: farm._id,
+      user: userId,
+      status: 'active',
+    });
+
+    if (!membership) {
+      return null;
+    }
+
+    return { farm, role: membership.role, membership };
+  },
+
+  // Get a farm the user is a member of, optionally requiring a permission
+  findAccessibleFarm: async (farmId, userId, permission = null) => {
+    const access = await farmAccess.getFarmAccess(farmId, userId);
+
+    if (!access) {
+      return null;
+    }
+
+    if (permission && !farmAccess.hasPermission(access.role, permission)) {
+      return null;
+    }
+
+    return access.farm;
+  },
+
+  // Get the IDs of every farm the user owns or is an active member of
+  getAccessibleFarmIds: async (userId, includeArchived = false) => {
+    const memberships = await FarmMember.find({
+      user: userId,
+      status: 'active',
+    }).select('farm').lean();
+
+    const query = {
+      $or: [
+        { user: userId },
+        { _id: { $in: memberships.map(membership => membership.farm) } },
+      ],
+    };
+
+    if (!includeArchived) {
+      query.isArchived = false;
+    }
+
+    const farms = await Farm.find(query).select('_id').lean();
+    return farms.map(farm => farm._id);
+  },
+};
+
+module.exports = farmAccess;
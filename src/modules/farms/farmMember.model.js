@@ -0,0 +1,69 @@
+// src/modules/farms/farmMember.model.js
+const mongoose = require('mongoose');
+
+const FARM_ROLES = ['owner', 'manager', 'worker', 'vet', 'viewer'];
+
+const farmMemberSchema = new mongoose.Schema(
+  {
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+      required: [true, 'Farm reference is required'],
+    },
+    // Set once the invitation is accepted
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email'],
+    },
+    role: {
+      type: String,
+      enum: FARM_ROLES,
+      required: [true, 'Role is required'],
+    },
+    status: {
+      type: String,
+      enum: ['invited', 'active'],
+      default: 'invited',
+    },
+    // SHA-256 hash of the invitation token, the raw token is only returned once
+    inviteTokenHash: {
+      type: String,
+      select: false,
+    },
+    inviteExpiresAt: Date,
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    acceptedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+farmMemberSchema.index({ farm: 1, email: 1 }, { unique: true });
+farmMemberSchema.index({ farm: 1, user: 1 });
+farmMemberSchema.index({ user: 1, status: 1 });
+
+// Remove sensitive data from JSON output
+farmMemberSchema.methods.toJSON = function () {
+  const member = this.toObject();
+  delete member.inviteTokenHash;
+  delete member.__v;
+  return member;
+};
+
+const FarmMember = mongoose.model('FarmMember', farmMemberSchema);
+
+FarmMember.ROLES = FARM_ROLES;
+
+module.exports = FarmMember;
@@ -0,0 +1,20 @@
+// src/modules/notifications/channels/email.channel.js
+const mailer = require('../../../utils/mailer');
+
+// Sent through the configured mail transport (MAIL_TRANSPORT)
+const emailChannel = {
+  name: 'email',
+
+  destination: (preferences, user) => {
+    const email = preferences.channels.email;
+    return email.enabled ? (email.address || user.email || null) : null;
+  },
+
+  send: async (notification, to) => mailer.sendMail({
+    to,
+    subject: notification.title,
+    text: notification.message,
+  }),
+};
+
+module.exports = emailChannel;
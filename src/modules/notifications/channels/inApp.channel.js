@@ -0,0 +1,12 @@
+// src/modules/notifications/channels/inApp.channel.js
+
+// The notification record itself is the inbox entry, so there is nothing to send
+const inAppChannel = {
+  name: 'in_app',
+
+  destination: (preferences) => (preferences.channels.inApp.enabled ? 'inbox' : null),
+
+  send: async () => ({ delivered: true }),
+};
+
+module.exports = inAppChannel;
@@ -0,0 +1,58 @@
+// src/modules/notifications/channels/sms.channel.js
+const writeToOutbox = require('../../../utils/fileOutbox');
+
+// SMS messages are kept short: the title and as much of the message as fits
+const MAX_LENGTH = 480;
+
+const toText = (notification) => {
+  const text = `${notification.title}\n${notification.message}`;
+  return text.length > MAX_LENGTH ? `${text.slice(0, MAX_LENGTH - 3)}...` : text;
+};
+
+// Providers register here; console and file are local stand-ins
+const transports = {
+  console: async (to, text) => {
+    console.log('=========== SMS ===========');
+    console.log(`To: ${to}`);
+    console.log('');
+    console.log(text);
+    console.log('===========================');
+    return { transport: 'console', delivered: true };
+  },
+
+  file: async (to, text) => {
+    const filePath = await writeToOutbox('sms', 'SMS_FILE_DIR', to, { to, text });
+    return { transport: 'file', delivered: true, path: filePath };
+  },
+};
+
+const smsChannel = {
+  name: 'sms',
+
+  // Register a provider, e.g. an SMS gateway API: send(to, text) returning a promise
+  registerTransport: (name, send) => {
+    if (typeof send !== 'function') {
+      throw new Error('SMS transport must be a send(to, text) function');
+    }
+    transports[name] = send;
+  },
+
+  destination: (preferences) => {
+    const sms = preferences.channels.sms;
+    return sms.enabled ? (sms.phoneNumber || null) : null;
+  },
+
+  // Uses SMS_TRANSPORT (defaults to console)
+  send: async (notification, to) => {
+    const name = process.env.SMS_TRANSPORT || 'console';
+    const transport = transports[name];
+
+    if (!transport) {
+      throw new Error(`Unknown SMS transport: ${name}`);
+    }
+
+    return transport(to, toText(notification));
+  },
+};
+
+module.exports = smsChannel;
@@ -0,0 +1,82 @@
+// src/modules/notifications/channels/webhook.channel.js
+const crypto = require('crypto');
+const writeToOutbox = require('../../../utils/fileOutbox');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const toPayload = (notification) => ({
+  id: notification._id,
+  category: notification.category,
+  farm: notification.farm,
+  title: notification.title,
+  message: notification.message,
+  alerts: notification.alerts,
+  createdAt: notification.createdAt || new Date(),
+});
+
+// NOTIFICATION_WEBHOOK_TRANSPORT picks how deliveries go out: "http" posts to the
+// user's URL; "console" (default) and "file" are local stand-ins
+const transports = {
+  http: async (url, body, headers) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+
+    return { transport: 'http', delivered: true, statusCode: response.status };
+  },
+
+  console: async (url, body) => {
+    console.log('========= WEBHOOK =========');
+    console.log(`POST ${url}`);
+    console.log('');
+    console.log(body);
+    console.log('===========================');
+    return { transport: 'console', delivered: true };
+  },
+
+  file: async (url, body, headers) => {
+    const filePath = await writeToOutbox('webhooks', 'WEBHOOK_FILE_DIR', new URL(url).hostname, {
+      url,
+      headers,
+      body: JSON.parse(body),
+    });
+    return { transport: 'file', delivered: true, path: filePath };
+  },
+};
+
+const webhookChannel = {
+  name: 'webhook',
+
+  destination: (preferences) => {
+    const webhook = preferences.channels.webhook;
+    return webhook.enabled ? (webhook.url || null) : null;
+  },
+
+  send: async (notification, url, preferences) => {
+    const name = process.env.NOTIFICATION_WEBHOOK_TRANSPORT || 'console';
+    const transport = transports[name];
+
+    if (!transport) {
+      throw new Error(`Unknown webhook transport: ${name}`);
+    }
+
+    const body = JSON.stringify(toPayload(notification));
+    const headers = {};
+    const secret = preferences.channels.webhook.secret;
+
+    if (secret) {
+      headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    }
+
+    return transport(url, body, headers);
+  },
+};
+
+module.exports = webhookChannel;
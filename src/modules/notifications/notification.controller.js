@@ -0,0 +1,133 @@
+// src/modules/notifications/notification.controller.js
+const notificationService = require('./notification.service');
+const notificationReminderService = require('./notificationReminder.service');
+const farmAccess = require('../farms/farmAccess');
+const { ForbiddenError, NotFoundError } = require('../../utils/errors');
+
+// Get the user's notification inbox
+const getNotifications = async (req, res, next) => {
+  try {
+    const result = await notificationService.getInbox(req.userId, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      data: result.notifications,
+      unreadCount: result.unreadCount,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a notification
+const getNotification = async (req, res, next) => {
+  try {
+    const notification = await notificationService.getNotificationById(req.params.notificationId, req.userId);
+
+    if (!notification) {
+      throw new NotFoundError('Notification not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: notification,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark a notification as read
+const markAsRead = async (req, res, next) => {
+  try {
+    const notification = await notificationService.markAsRead(req.params.notificationId, req.userId);
+
+    if (!notification) {
+      throw new NotFoundError('Notification not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification marked as read',
+      data: notification,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark all notifications as read
+const markAllAsRead = async (req, res, next) => {
+  try {
+    const updated = await notificationService.markAllAsRead(req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${updated} notifications marked as read`,
+      data: { updated },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the user's notification preferences
+const getPreferences = async (req, res, next) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      data: preferences,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update the user's notification preferences
+const updatePreferences = async (req, res, next) => {
+  try {
+    const preferences = await notificationService.updatePreferences(req.userId, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification preferences updated successfully',
+      data: preferences,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send a farm's reminders now instead of waiting for the daily run
+const sendFarmReminders = async (req, res, next) => {
+  try {
+    const farm = await farmAccess.findAccessibleFarm(req.params.farmId, req.userId);
+
+    if (!farm) {
+      throw new ForbiddenError('Farm not found or you do not have permission');
+    }
+
+    const result = await notificationReminderService.sendFarmReminders(farm);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${result.notificationsSent} notifications sent`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getNotification,
+  markAsRead,
+  markAllAsRead,
+  getPreferences,
+  updatePreferences,
+  sendFarmReminders,
+};
@@ -0,0 +1,111 @@
+// src/modules/notifications/notification.model.js
+const mongoose = require('mongoose');
+
+const CHANNELS = ['in_app', 'email', 'sms', 'webhook'];
+
+// Outcome of sending a notification through one channel
+const deliverySchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: CHANNELS,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'skipped'],
+      required: true,
+    },
+    // Recipient address, phone number or URL
+    destination: String,
+    error: String,
+    deliveredAt: Date,
+  },
+  { _id: false }
+);
+
+// A reminder sent to a user; in-app deliveries make up the user's inbox
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+    },
+
+    farm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+    },
+
+    category: {
+      type: String,
+      required: [true, 'Category is required'],
+      enum: ['vaccination', 'pregnancy', 'feed', 'system'],
+    },
+
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+    },
+
+    message: {
+      type: String,
+      required: [true, 'Message is required'],
+    },
+
+    // The alerts the notification reports (type, entity, due date, ...)
+    alerts: [{
+      _id: false,
+      key: String,
+      type: { type: String },
+      entityId: mongoose.Schema.Types.ObjectId,
+      summary: String,
+      dueDate: Date,
+    }],
+
+    // Alert keys, used to avoid sending the same alert again too soon
+    alertKeys: [String],
+
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'partially_sent', 'failed'],
+      default: 'pending',
+    },
+
+    deliveries: [deliverySchema],
+
+    readAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, alertKeys: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+// Overall status from the channel outcomes (skipped channels do not count)
+notificationSchema.methods.updateStatus = function() {
+  const attempted = this.deliveries.filter(delivery => delivery.status !== 'skipped');
+  const sent = attempted.filter(delivery => delivery.status === 'sent');
+
+  if (attempted.length === 0) {
+    this.status = 'failed';
+  } else if (sent.length === attempted.length) {
+    this.status = 'sent';
+  } else {
+    this.status = sent.length > 0 ? 'partially_sent' : 'failed';
+  }
+
+  return this.status;
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+Notification.CHANNELS = CHANNELS;
+
+module.exports = Notification;
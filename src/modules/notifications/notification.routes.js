@@ -0,0 +1,29 @@
+// src/modules/notifications/notification.routes.js
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  getNotification,
+  markAsRead,
+  markAllAsRead,
+  getPreferences,
+  updatePreferences,
+  sendFarmReminders,
+} = require('./notification.controller');
+const authMiddleware = require('../../middlewares/auth.middleware');
+const { requireFarmPermission } = require('../../middlewares/farmPermission.middleware');
+const validate = require('../../middlewares/validate.middleware');
+const notificationValidation = require('./notification.validation');
+
+// Notifications belong to the signed-in user
+router.use(authMiddleware);
+
+router.get('/', validate(notificationValidation.getNotifications), getNotifications); // GET /notifications
+router.patch('/read-all', markAllAsRead); // PATCH /notifications/read-all
+router.get('/preferences', getPreferences); // GET /notifications/preferences
+router.put('/preferences', validate(notificationValidation.updatePreferences), updatePreferences); // PUT /notifications/preferences
+router.post('/reminders/farm/:farmId', validate(notificationValidation.farmId), requireFarmPermission('farm:write'), sendFarmReminders); // POST /notifications/reminders/farm/:farmId
+router.get('/:notificationId', validate(notificationValidation.notificationId), getNotification); // GET /notifications/:notificationId
+router.patch('/:notificationId/read', validate(notificationValidation.notificationId), markAsRead); // PATCH /notifications/:notificationId/read
+
+module.exports = router;
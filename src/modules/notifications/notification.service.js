@@ -0,0 +1,236 @@
+// src/modules/notifications/notification.service.js
+const Notification = require('./notification.model');
+const NotificationPreference = require('./notificationPreference.model');
+const channels = require('./notificationChannels');
+const User = require('../users/user.model');
+const { NotFoundError } = require('../../utils/errors');
+
+// Nested settings as dotted paths, so updating one setting keeps its siblings
+const toPaths = (obj, prefix = '', result = {}) => {
+  Object.keys(obj).forEach(key => {
+    const value = obj[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      toPaths(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+};
+
+const notificationService = {
+  // Saved preferences, or the defaults (unsaved) when the user has none
+  getPreferences: async (userId, { withSecret = false } = {}) => {
+    try {
+      const query = NotificationPreference.findOne({ user: userId });
+      if (withSecret) {
+        query.select('+channels.webhook.secret');
+      }
+
+      const preferences = await query;
+      return preferences || new NotificationPreference({ user: userId });
+    } catch (error) {
+      console.error('Service error getting notification preferences:', error);
+      throw error;
+    }
+  },
+
+  // Update preferences; nested settings not given are kept
+  updatePreferences: async (userId, updateData) => {
+    try {
+      const preferences = await notificationService.getPreferences(userId, { withSecret: true });
+
+      preferences.set(toPaths(updateData));
+      await preferences.save();
+
+      return preferences;
+    } catch (error) {
+      console.error('Service error updating notification preferences:', error);
+      throw error;
+    }
+  },
+
+  // Create a notification for a user and send it through every channel they receive,
+  // recording the outcome of each. A failing channel does not stop the others.
+  send: async (userId, { farm, category, title, message, alerts = [] }, preferences = null) => {
+    try {
+      const user = await User.findById(userId).select('name email');
+
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      if (!preferences) {
+        preferences = await notificationService.getPreferences(userId, { withSecret: true });
+      }
+
+      const notification = new Notification({
+        user: userId,
+        farm,
+        category,
+        title,
+        message,
+        alerts,
+        alertKeys: alerts.map(alert => alert.key),
+      });
+
+      for (const channel of channels) {
+        const destination = channel.destination(preferences, user);
+
+        if (!destination) {
+          notification.deliveries.push({
+            channel: channel.name,
+            status: 'skipped',
+            error: 'Channel not enabled or no destination set',
+          });
+          continue;
+        }
+
+        try {
+          await channel.send(notification, destination, preferences);
+          notification.deliveries.push({
+            channel: channel.name,
+            status: 'sent',
+            destination,
+            deliveredAt: new Date(),
+          });
+        } catch (error) {
+          console.error(`Failed to deliver notification to user ${userId} by ${channel.name}:`, error);
+          notification.deliveries.push({
+            channel: channel.name,
+            status: 'failed',
+            destination,
+            error: error.message,
+          });
+        }
+      }
+
+      notification.updateStatus();
+      await notification.save();
+
+      return notification;
+    } catch (error) {
+      console.error('Service error sending notification:', error);
+      throw error;
+    }
+  },
+
+  // Alert keys already sent to the user since `since` (failed notifications are retried)
+  getNotifiedAlertKeys: async (userId, keys, since) => {
+    const notifications = await Notification.find({
+      user: userId,
+      alertKeys: { $in: keys },
+      status: { $ne: 'failed' },
+      createdAt: { $gte: since },
+    })
+    .select('alertKeys')
+    .lean();
+
+    return new Set(notifications.flatMap(notification => notification.alertKeys));
+  },
+
+  // The user's in-app notifications, newest first
+  getInbox: async (userId, filters = {}) => {
+    try {
+      const query = {
+        user: userId,
+        deliveries: { $elemMatch: { channel: 'in_app', status: 'sent' } },
+      };
+
+      if (filters.category) {
+        query.category = filters.category;
+      }
+
+      if (filters.farm) {
+        query.farm = filters.farm;
+      }
+
+      if (filters.unreadOnly === 'true') {
+        query.readAt = null;
+      }
+
+      // Pagination
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const [notifications, totalRecords, unreadCount] = await Promise.all([
+        Notification.find(query)
+          .select('-alertKeys')
+          .populate('farm', 'name')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Notification.countDocuments(query),
+        Notification.countDocuments({ ...query, readAt: null }),
+      ]);
+
+      return {
+        notifications,
+        unreadCount,
+        pagination: {
+          page,
+          limit,
+          totalRecords,
+          totalPages: Math.ceil(totalRecords / limit),
+          hasNextPage: page * limit < totalRecords,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      console.error('Service error getting notifications:', error);
+      throw error;
+    }
+  },
+
+  // Get one of the user's notifications
+  getNotificationById: async (notificationId, userId) => {
+    try {
+      return await Notification.findOne({ _id: notificationId, user: userId });
+    } catch (error) {
+      console.error('Service error getting notification:', error);
+      throw error;
+    }
+  },
+
+  // Mark one of the user's notifications as read
+  markAsRead: async (notificationId, userId) => {
+    try {
+      const notification = await notificationService.getNotificationById(notificationId, userId);
+
+      if (!notification) {
+        return null;
+      }
+
+      if (!notification.readAt) {
+        notification.readAt = new Date();
+        await notification.save();
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('Service error marking notification as read:', error);
+      throw error;
+    }
+  },
+
+  // Mark all of the user's notifications as read; returns how many changed
+  markAllAsRead: async (userId) => {
+    try {
+      const result = await Notification.updateMany(
+        { user: userId, readAt: null },
+        { readAt: new Date() }
+      );
+
+      return result.modifiedCount;
+    } catch (error) {
+      console.error('Service error marking notifications as read:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = notificationService;
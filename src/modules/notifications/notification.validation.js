@@ -0,0 +1,76 @@
+// src/modules/notifications/notification.validation.js
+const Notification = require('./notification.model');
+const { objectId, enumOf, pagination } = require('../../utils/validation');
+
+const enabled = { type: 'boolean' };
+
+const notificationValidation = {
+  notificationId: {
+    params: {
+      notificationId: objectId(),
+    },
+  },
+
+  getNotifications: {
+    query: {
+      category: { type: 'string', enum: enumOf(Notification, 'category') },
+      farm: { type: 'objectId' },
+      unreadOnly: { type: 'boolean' },
+      ...pagination,
+    },
+  },
+
+  // Settings not given are kept
+  updatePreferences: {
+    body: {
+      channels: {
+        type: 'object',
+        fields: {
+          inApp: {
+            type: 'object',
+            fields: { enabled },
+          },
+          email: {
+            type: 'object',
+            fields: {
+              enabled,
+              address: { type: 'email' },
+            },
+          },
+          sms: {
+            type: 'object',
+            fields: {
+              enabled,
+              phoneNumber: { type: 'string', match: /^\+?[0-9 ()-]{7,20}$/ },
+            },
+          },
+          webhook: {
+            type: 'object',
+            fields: {
+              enabled,
+              url: { type: 'string', match: /^https?:\/\/\S+$/, maxLength: 2000 },
+              secret: { type: 'string', maxLength: 200 },
+            },
+          },
+        },
+      },
+      categories: {
+        type: 'object',
+        fields: {
+          vaccination: enabled,
+          pregnancy: enabled,
+          feed: enabled,
+        },
+      },
+      mutedFarms: { type: 'array', items: { type: 'objectId' } },
+    },
+  },
+
+  farmId: {
+    params: {
+      farmId: objectId(),
+    },
+  },
+};
+
+module.exports = notificationValidation;
@@ -0,0 +1,12 @@
+// src/modules/notifications/notificationChannels.js
+const inAppChannel = require('./channels/inApp.channel');
+const emailChannel = require('./channels/email.channel');
+const smsChannel = require('./channels/sms.channel');
+const webhookChannel = require('./channels/webhook.channel');
+
+// Channels expose `name`, `destination(preferences, user)` (null when the user does not
+// receive it) and `send(notification, destination, preferences)` returning a promise.
+// External services plug in as transports of the email, SMS and webhook channels.
+const channels = [inAppChannel, emailChannel, smsChannel, webhookChannel];
+
+module.exports = channels;
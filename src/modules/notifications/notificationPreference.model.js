@@ -0,0 +1,104 @@
+// src/modules/notifications/notificationPreference.model.js
+const mongoose = require('mongoose');
+
+// How a user wants to be reminded. Users without saved preferences get the defaults:
+// in-app and email (to the account address) for every category.
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+      unique: true,
+    },
+
+    channels: {
+      inApp: {
+        enabled: {
+          type: Boolean,
+          default: true,
+        },
+      },
+      email: {
+        enabled: {
+          type: Boolean,
+          default: true,
+        },
+        // Defaults to the account email
+        address: {
+          type: String,
+          lowercase: true,
+          trim: true,
+          match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email'],
+        },
+      },
+      sms: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        phoneNumber: {
+          type: String,
+          trim: true,
+          match: [/^\+?[0-9 ()-]{7,20}$/, 'Please provide a valid phone number'],
+        },
+      },
+      webhook: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        url: {
+          type: String,
+          trim: true,
+          match: [/^https?:\/\/\S+$/, 'Webhook URL must start with http:// or https://'],
+        },
+        // Used to sign deliveries (X-Signature header, HMAC-SHA256 of the body)
+        secret: {
+          type: String,
+          select: false,
+        },
+      },
+    },
+
+    // Reminder categories the user receives
+    categories: {
+      vaccination: {
+        type: Boolean,
+        default: true,
+      },
+      pregnancy: {
+        type: Boolean,
+        default: true,
+      },
+      feed: {
+        type: Boolean,
+        default: true,
+      },
+    },
+
+    // Farms the user gets no reminders for
+    mutedFarms: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm',
+    }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Remove sensitive data from JSON output
+notificationPreferenceSchema.methods.toJSON = function () {
+  const preference = this.toObject();
+  if (preference.channels?.webhook) {
+    preference.channels.webhook.hasSecret = Boolean(preference.channels.webhook.secret);
+    delete preference.channels.webhook.secret;
+  }
+  delete preference.__v;
+  return preference;
+};
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+module.exports = NotificationPreference;
@@ -0,0 +1,251 @@
+// src/modules/notifications/notificationReminder.service.js
+const Farm = require('../farms/farm.model');
+const FarmMember = require('../farms/farmMember.model');
+const farmAccess = require('../farms/farmAccess');
+const notificationService = require('./notification.service');
+const vaccinationRecordService = require('../animals/operations/health-vaccination/vaccinationRecord.service');
+const VaccinationRecord = require('../animals/operations/health-vaccination/vaccinationRecord.model');
+const pregnancyService = require('../animals/operations/reproductions/pregnancy.service');
+const feedAlertsService = require('../animals/operations/feeds/feedAlerts.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Farm permission a user needs to be reminded about each category
+const CATEGORY_PERMISSIONS = {
+  vaccination: 'health:read',
+  pregnancy: 'reproduction:read',
+  feed: 'feeds:read',
+};
+
+// An alert is not sent to the same user again within this many days
+const repeatAfterDays = () => parseInt(process.env.NOTIFICATION_REPEAT_DAYS) || 7;
+
+const formatDate = (value) => (value ? new Date(value).toISOString().split('T')[0] : 'unknown date');
+
+const animalLabel = (animal) => {
+  if (!animal) return 'Unknown animal';
+  return animal.name ? `${animal.name} (${animal.tagNumber})` : animal.tagNumber;
+};
+
+const feedLabel = (item) => item.customFeedName || item.feedType;
+
+// Alerts are { key, type, entityId, summary, dueDate }; the key identifies the alert
+// across daily runs so it is only sent again after the repeat period.
+// Record alerts come from a record's next due date, dose alerts from type protocols.
+const vaccinationAlerts = (alerts) => [
+  ...alerts.overdueVaccinations.map(record => ({
+    key: `vaccination:overdue:${record._id}`,
+    type: 'vaccination_overdue',
+    entityId: record._id,
+    summary: `Overdue: next ${record.vaccineName} dose for ${animalLabel(record.animal)} was due on ${formatDate(record.nextDueDate)}`,
+    dueDate: record.nextDueDate,
+  })),
+  ...alerts.missingVaccinations.map(due => ({
+    key: `vaccination:dose_overdue:${due._id}`,
+    type: 'vaccination_dose_overdue',
+    entityId: due._id,
+    summary: `Overdue: ${due.vaccineName} dose ${due.doseNumber} for ${animalLabel(due.animal)} was due on ${formatDate(due.dueDate)}`,
+    dueDate: due.dueDate,
+  })),
+  ...alerts.dueSoonVaccinations.map(record => ({
+    key: `vaccination:due_soon:${record._id}`,
+    type: 'vaccination_due_soon',
+    entityId: record._id,
+    summary: `Due soon: next ${record.vaccineName} dose for ${animalLabel(record.animal)} on ${formatDate(record.nextDueDate)}`,
+    dueDate: record.nextDueDate,
+  })),
+  ...alerts.scheduledDueSoon.map(due => ({
+    key: `vaccination:dose_due_soon:${due._id}`,
+    type: 'vaccination_dose_due_soon',
+    entityId: due._id,
+    summary: `Due soon: ${due.vaccineName} dose ${due.doseNumber} for ${animalLabel(due.animal)} on ${formatDate(due.dueDate)}`,
+    dueDate: due.dueDate,
+  })),
+];
+
+const pregnancyAlerts = (alerts) => [
+  ...alerts.overdue.map(pregnancy => ({
+    key: `pregnancy:overdue:${pregnancy._id}`,
+    type: 'pregnancy_overdue',
+    entityId: pregnancy._id,
+    summary: `Overdue: ${animalLabel(pregnancy.dam)} was expected to give birth on ${formatDate(pregnancy.expectedDeliveryDate)}`,
+    dueDate: pregnancy.expectedDeliveryDate,
+  })),
+  ...alerts.dueSoon.map(pregnancy => ({
+    key: `pregnancy:due_soon:${pregnancy._id}`,
+    type: 'pregnancy_due_soon',
+    entityId: pregnancy._id,
+    summary: `Due soon: ${animalLabel(pregnancy.dam)} is expected to give birth on ${formatDate(pregnancy.expectedDeliveryDate)}`,
+    dueDate: pregnancy.expectedDeliveryDate,
+  })),
+  ...alerts.withComplications.map(pregnancy => ({
+    key: `pregnancy:complication:${pregnancy._id}`,
+    type: 'pregnancy_complication',
+    entityId: pregnancy._id,
+    summary: `Complication: ${animalLabel(pregnancy.dam)} has an unresolved pregnancy complication`,
+  })),
+];
+
+// Upcoming feedings are left out: they are hours away and a daily run cannot time them
+const feedAlerts = (alerts) => [
+  ...alerts.feedingAlerts.missedFeedings.map(feed => ({
+    key: `feed:missed:${feed._id}`,
+    type: 'feeding_missed',
+    entityId: feed._id,
+    summary: `Missed feeding: ${feed.customFeedName || feed.feedType} for ${feed.group ? feed.group.name : animalLabel(feed.animal)} at ${new Date(feed.feedingTime).toISOString().replace('T', ' ').slice(0, 16)}`,
+    dueDate: feed.feedingTime,
+  })),
+  ...alerts.inventoryAlerts.lowInventory.map(item => ({
+    key: `feed:low_inventory:${item._id}`,
+    type: 'low_inventory',
+    entityId: item._id,
+    summary: `Low stock: ${feedLabel(item)} has ${item.currentStock.value} ${item.currentStock.unit} left`,
+  })),
+  ...alerts.inventoryAlerts.expiringBatches.map(batch => ({
+    key: `feed:batch_expiring:${batch.batchId}`,
+    type: 'batch_expiring',
+    entityId: batch.batchId,
+    summary: `Expiring: ${feedLabel(batch)} batch ${batch.batchNumber || 'without number'} (${batch.quantity} ${batch.unit}) expires on ${formatDate(batch.expirationDate)}`,
+    dueDate: batch.expirationDate,
+  })),
+  ...alerts.inventoryAlerts.expiredBatches
+    .filter(batch => !batch.writtenOff)
+    .map(batch => ({
+      key: `feed:batch_expired:${batch.batchId}`,
+      type: 'batch_expired',
+      entityId: batch.batchId,
+      summary: `Expired: ${feedLabel(batch)} batch ${batch.batchNumber || 'without number'} (${batch.quantity} ${batch.unit}) expired on ${formatDate(batch.expirationDate)}`,
+      dueDate: batch.expirationDate,
+    })),
+];
+
+const notificationReminderService = {
+  // Current alerts of a farm by category (checked as the farm owner)
+  collectFarmAlerts: async (farm) => {
+    const [vaccination, pregnancy, feed] = await Promise.all([
+      vaccinationRecordService.getVaccinationAlerts(farm._id, farm.user),
+      pregnancyService.getPregnancyAlerts(farm._id, farm.user),
+      feedAlertsService.getAllFeedAlerts(farm._id, farm.user),
+    ]);
+
+    return {
+      vaccination: vaccinationAlerts(vaccination),
+      pregnancy: pregnancyAlerts(pregnancy),
+      feed: feedAlerts(feed),
+    };
+  },
+
+  // The farm owner and active members, with their roles
+  getFarmRecipients: async (farm) => {
+    const members = await FarmMember.find({
+      farm: farm._id,
+      status: 'active',
+      user: { $ne: null },
+    }).lean();
+
+    const recipients = new Map([[farm.user.toString(), 'owner']]);
+    members.forEach(member => {
+      if (!recipients.has(member.user.toString())) {
+        recipients.set(member.user.toString(), member.role);
+      }
+    });
+
+    return [...recipients].map(([userId, role]) => ({ userId, role }));
+  },
+
+  // Send each farm user a digest per category of the alerts they have not been sent recently
+  sendFarmReminders: async (farm) => {
+    try {
+      const alertsByCategory = await notificationReminderService.collectFarmAlerts(farm);
+      const recipients = await notificationReminderService.getFarmRecipients(farm);
+      const since = new Date(Date.now() - repeatAfterDays() * DAY_MS);
+      const delivered = new Set();
+      let notificationsSent = 0;
+      let notificationsFailed = 0;
+
+      for (const { userId, role } of recipients) {
+        const preferences = await notificationService.getPreferences(userId, { withSecret: true });
+
+        if (preferences.mutedFarms.some(farmId => farmId.toString() === farm._id.toString())) {
+          continue;
+        }
+
+        for (const [category, alerts] of Object.entries(alertsByCategory)) {
+          if (alerts.length === 0 || !preferences.categories[category]
+            || !farmAccess.hasPermission(role, CATEGORY_PERMISSIONS[category])) {
+            continue;
+          }
+
+          const notified = await notificationService.getNotifiedAlertKeys(userId, alerts.map(alert => alert.key), since);
+          const fresh = alerts.filter(alert => !notified.has(alert.key));
+
+          if (fresh.length === 0) {
+            continue;
+          }
+
+          const notification = await notificationService.send(userId, {
+            farm: farm._id,
+            category,
+            title: `${fresh.length} ${category} reminder${fresh.length === 1 ? '' : 's'} for ${farm.name}`,
+            message: [`${farm.name}:`, ...fresh.map(alert => `- ${alert.summary}`)].join('\n'),
+            alerts: fresh,
+          }, preferences);
+
+          if (notification.status === 'failed') {
+            notificationsFailed++;
+          } else {
+            notificationsSent++;
+            fresh.forEach(alert => delivered.add(alert.key));
+          }
+        }
+      }
+
+      // Vaccination records track whether their reminder went out
+      const remindedRecords = alertsByCategory.vaccination
+        .filter(alert => alert.type === 'vaccination_overdue' && delivered.has(alert.key))
+        .map(alert => alert.entityId);
+
+      if (remindedRecords.length > 0) {
+        await VaccinationRecord.updateMany(
+          { _id: { $in: remindedRecords } },
+          { reminderSent: true, lastReminderSent: new Date() }
+        );
+      }
+
+      return { notificationsSent, notificationsFailed };
+    } catch (error) {
+      console.error('Service error sending farm reminders:', error);
+      throw error;
+    }
+  },
+
+  // Daily job: send reminders for every active farm
+  sendDailyReminders: async () => {
+    const farms = await Farm.find({ isArchived: false });
+
+    let notificationsSent = 0;
+    let notificationsFailed = 0;
+    let failed = 0;
+
+    for (const farm of farms) {
+      try {
+        const result = await notificationReminderService.sendFarmReminders(farm);
+        notificationsSent += result.notificationsSent;
+        notificationsFailed += result.notificationsFailed;
+      } catch (error) {
+        // One broken farm should not stop the rest
+        failed++;
+        console.error(`Failed to send reminders for farm ${farm._id}:`, error);
+      }
+    }
+
+    return {
+      farmsProcessed: farms.length,
+      notificationsSent,
+      notificationsFailed,
+      failed,
+    };
+  },
+};
+
+module.exports = notificationReminderService;
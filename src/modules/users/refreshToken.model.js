@@ -0,0 +1,50 @@
+// src/modules/users/refreshToken.model.js
+const mongoose = require("mongoose");
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    // Shared by every token rotated from the same login
+    family: {
+      type: String,
+      required: [true, "Token family is required"],
+    },
+    tokenHash: {
+      type: String,
+      required: [true, "Token hash is required"],
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["rotated", "logout", "logout_all", "reuse_detected", null],
+      default: null,
+    },
+    userAgent: String,
+    ip: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -19,6 +19,11 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: [true, "Password hash is required"],
     },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: Date,
     createdAt: {
       type: Date,
       default: Date.now,
@@ -0,0 +1,43 @@
+// src/modules/users/userToken.model.js
+const mongoose = require("mongoose");
+
+// Single-use tokens for email verification and password resets
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    type: {
+      type: String,
+      enum: ["email_verification", "password_reset"],
+      required: [true, "Token type is required"],
+    },
+    tokenHash: {
+      type: String,
+      required: [true, "Token hash is required"],
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+userTokenSchema.index({ user: 1, type: 1, usedAt: 1 });
+// Let MongoDB remove tokens once they have expired
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserToken = mongoose.model("UserToken", userTokenSchema);
+
+module.exports = UserToken;
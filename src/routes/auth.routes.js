@@ -1,12 +1,46 @@
 // src/routes/auth.routes.js
 const express = require('express');
 const router = express.Router();
-const { register, login } = require('../controllers/auth.controller');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword
+} = require('../controllers/auth.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const validate = require('../middlewares/validate.middleware');
+const authValidation = require('../validations/auth.validation');
 
 // POST /auth/register
-router.post('/register', register);
+router.post('/register', validate(authValidation.register), register);
 
 // POST /auth/login
-router.post('/login', login);
+router.post('/login', validate(authValidation.login), login);
 
-module.exports = router;
\ No newline at end of file
+// POST /auth/refresh
+router.post('/refresh', validate(authValidation.refreshToken), refresh);
+
+// POST /auth/logout
+router.post('/logout', validate(authValidation.refreshToken), logout);
+
+// POST /auth/logout-all (log out all devices)
+router.post('/logout-all', authMiddleware, logoutAll);
+
+// POST /auth/verify-email
+router.post('/verify-email', validate(authValidation.verifyEmail), verifyEmail);
+
+// POST /auth/verify-email/resend
+router.post('/verify-email/resend', authMiddleware, resendVerificationEmail);
+
+// POST /auth/forgot-password
+router.post('/forgot-password', validate(authValidation.forgotPassword), forgotPassword);
+
+// POST /auth/reset-password
+router.post('/reset-password', validate(authValidation.resetPassword), resetPassword);
+
+module.exports = router;
@@ -11,21 +11,32 @@ const {
   deleteFarm,
   getDefaultFarm,
 } = require('../controllers/farm.controller');
+const farmMemberRoutes = require('./farmMember.routes');
+const auditRoutes = require('../modules/audit/audit.routes');
+const { requireFarmPermission } = require('../middlewares/farmPermission.middleware');
+const validate = require('../middlewares/validate.middleware');
+const farmValidation = require('../validations/farm.validation');
 
 // All farm routes require authentication
 const authMiddleware = require('../middlewares/auth.middleware');
 router.use(authMiddleware);
 
 // Farm routes
-router.post('/', createFarm); // POST /api/farms
-router.get('/', getFarms); // GET /api/farms
+router.post('/', validate(farmValidation.createFarm), createFarm); // POST /api/farms
+router.get('/', validate(farmValidation.getFarms), getFarms); // GET /api/farms
 router.get('/default', getDefaultFarm); // GET /api/farms/default
 
 // Farm ID routes
-router.get('/:farmId', getFarm); // GET /api/farms/:farmId
-router.put('/:farmId', updateFarm); // PUT /api/farms/:farmId
-router.delete('/:farmId', archiveFarm); // DELETE /api/farms/:farmId (soft delete)
-router.delete('/:farmId/permanent', deleteFarm); // DELETE /api/farms/:farmId/permanent (hard delete)
-router.patch('/:farmId/restore', restoreFarm); // PATCH /api/farms/:farmId/restore
+router.get('/:farmId', validate(farmValidation.farmId), getFarm); // GET /api/farms/:farmId
+router.put('/:farmId', validate(farmValidation.updateFarm), requireFarmPermission('farm:write'), updateFarm); // PUT /api/farms/:farmId
+router.delete('/:farmId', validate(farmValidation.farmId), archiveFarm); // DELETE /api/farms/:farmId (soft delete)
+router.delete('/:farmId/permanent', validate(farmValidation.farmId), deleteFarm); // DELETE /api/farms/:farmId/permanent (hard delete)
+router.patch('/:farmId/restore', validate(farmValidation.farmId), restoreFarm); // PATCH /api/farms/:farmId/restore
+
+// Farm membership routes
+router.use('/:farmId/members', farmMemberRoutes); // /api/farms/:farmId/members
+
+// Farm audit trail
+router.use('/:farmId/audit', auditRoutes); // /api/farms/:farmId/audit
 
 module.exports = router;
\ No newline at end of file
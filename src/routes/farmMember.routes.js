@@ -0,0 +1,26 @@
+// src/routes/farmMember.routes.js
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getFarmMembers,
+  inviteMember,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+} = require('../controllers/farmMember.controller');
+const { requireFarmPermission } = require('../middlewares/farmPermission.middleware');
+const validate = require('../middlewares/validate.middleware');
+const farmValidation = require('../validations/farm.validation');
+
+// Authentication is applied by the parent farm router
+
+// Invitations
+router.post('/invitations', validate(farmValidation.inviteMember), requireFarmPermission('members:write'), inviteMember); // POST /api/farms/:farmId/members/invitations
+router.post('/invitations/accept', validate(farmValidation.acceptInvitation), acceptInvitation); // POST /api/farms/:farmId/members/invitations/accept
+
+// Members
+router.get('/', validate(farmValidation.farmId), requireFarmPermission('members:read'), getFarmMembers); // GET /api/farms/:farmId/members
+router.patch('/:memberId', validate(farmValidation.updateMemberRole), requireFarmPermission('members:write'), updateMemberRole); // PATCH /api/farms/:farmId/members/:memberId
+router.delete('/:memberId', validate(farmValidation.memberId), requireFarmPermission('members:write'), removeMember); // DELETE /api/farms/:farmId/members/:memberId
+
+module.exports = router;
@@ -5,6 +5,7 @@ const userRoutes = require('./user.routes');
 const farmRoutes = require('./farm.routes');
 const animalTypeRoutes = require('../modules/animalTypes/animalType.routes');
 const animalsModule = require('../modules/animals');
+const notificationRoutes = require('../modules/notifications/notification.routes');
 
 const router = express.Router();
 
@@ -14,5 +15,6 @@ router.use('/users', userRoutes);
 router.use('/farms', farmRoutes);
 router.use('/animal-types', animalTypeRoutes);
 router.use('/animals', animalsModule);
+router.use('/notifications', notificationRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,8 @@ const express = require("express");
 const router = express.Router();
 const { getUserProfile, updateUserProfile } = require("../controllers/user.controller");
 const authMiddleware = require("../middlewares/auth.middleware");
+const validate = require("../middlewares/validate.middleware");
+const userValidation = require("../validations/user.validation");
 
 // Apply authentication middleware to all user routes
 router.use(authMiddleware);
@@ -11,6 +13,6 @@ router.use(authMiddleware);
 router.get("/me", getUserProfile);
 
 // PUT /users/profile - Update user profile
-router.put("/profile", updateUserProfile);
+router.put("/profile", validate(userValidation.updateProfile), updateUserProfile);
 
 module.exports = router;
\ No newline at end of file
@@ -2,13 +2,22 @@ require("dotenv").config();
 
 const app = require("./app");
 const connectDB = require("./config/db");
+const startJobs = require("./config/jobs");
 
 const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
   try {
+    // Tokens cannot be signed or verified without a secret
+    if (!process.env.JWT_SECRET) {
+      throw new Error("JWT_SECRET environment variable is not set");
+    }
+
     // Add connection options
     await connectDB();
+
+    // Daily background jobs need the database connection
+    startJobs();
     
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
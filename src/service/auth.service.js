@@ -1,17 +1,26 @@
 // src/service/auth.service.js
 const User = require('../modules/users/user.model');
+const RefreshToken = require('../modules/users/refreshToken.model');
+const UserToken = require('../modules/users/userToken.model');
 const passwordUtils = require('../utils/password');
 const tokenUtils = require('../utils/token');
+const mailer = require('../utils/mailer');
+const { ValidationError, UnauthorizedError, NotFoundError, ConflictError, BusinessRuleError } = require('../utils/errors');
+
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
 
 const authService = {
   // Register new user
-  register: async (userData) => {
+  register: async (userData, sessionInfo = {}) => {
     const { name, email, password } = userData;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
-      throw new Error('Email already registered');
+      throw new ConflictError('Email already registered');
     }
 
     // Hash password
@@ -24,21 +33,28 @@ const authService = {
       passwordHash,
     });
 
-    // Generate token
-    const token = tokenUtils.generateToken(user._id);
+    // Ask the user to confirm their email address (they can request a new link later)
+    try {
+      await authService.sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Failed to send verification email:', error);
+    }
+
+    // Start a new session
+    const tokens = await authService.issueTokens(user._id, null, sessionInfo);
 
     return {
       user: user.toJSON(),
-      token,
+      ...tokens,
     };
   },
 
   // Login user
-  login: async (email, password) => {
+  login: async (email, password, sessionInfo = {}) => {
     // Find user
     const user = await User.findOne({ email });
     if (!user) {
-      throw new Error('Invalid credentials');
+      throw new UnauthorizedError('Invalid credentials');
     }
 
     // Verify password
@@ -47,18 +63,255 @@ const authService = {
       user.passwordHash
     );
     if (!isPasswordValid) {
-      throw new Error('Invalid credentials');
+      throw new UnauthorizedError('Invalid credentials');
     }
 
-    // Generate token
-    const token = tokenUtils.generateToken(user._id);
+    // Start a new session
+    const tokens = await authService.issueTokens(user._id, null, sessionInfo);
 
     return {
       user: user.toJSON(),
-      token,
+      ...tokens,
+    };
+  },
+
+  // Issue an access token and a refresh token (new family unless one is given)
+  issueTokens: async (userId, family = null, sessionInfo = {}) => {
+    const tokenFamily = family || tokenUtils.generateTokenFamily();
+    const refreshToken = tokenUtils.generateRefreshToken();
+
+    await RefreshToken.create({
+      user: userId,
+      family: tokenFamily,
+      tokenHash: tokenUtils.hashToken(refreshToken),
+      expiresAt: tokenUtils.getRefreshTokenExpiry(),
+      userAgent: sessionInfo.userAgent,
+      ip: sessionInfo.ip,
+    });
+
+    return {
+      token: tokenUtils.generateAccessToken(userId, tokenFamily),
+      refreshToken,
+      expiresIn: tokenUtils.ACCESS_TOKEN_EXPIRES_IN,
     };
   },
 
+  // Exchange a refresh token for a new token pair (rotation)
+  refresh: async (refreshToken, sessionInfo = {}) => {
+    const tokenHash = tokenUtils.hashToken(refreshToken);
+
+    // Revoke in one conditional update so two concurrent refreshes cannot both rotate it
+    const storedToken = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'rotated' },
+      { new: true }
+    );
+
+    if (!storedToken) {
+      const revokedToken = await RefreshToken.findOne({ tokenHash });
+
+      if (!revokedToken) {
+        throw new UnauthorizedError('Invalid refresh token');
+      }
+
+      // A revoked token being presented again means it was stolen - kill the whole family
+      await authService.revokeFamily(revokedToken.family, 'reuse_detected');
+      throw new UnauthorizedError('Refresh token has been revoked');
+    }
+
+    if (storedToken.expiresAt < new Date()) {
+      throw new UnauthorizedError('Refresh token has expired');
+    }
+
+    const user = await User.findById(storedToken.user);
+    if (!user) {
+      throw new UnauthorizedError('User no longer exists');
+    }
+
+    return await authService.issueTokens(user._id, storedToken.family, sessionInfo);
+  },
+
+  // Log out the session a refresh token belongs to
+  logout: async (refreshToken) => {
+    const storedToken = await RefreshToken.findOne({
+      tokenHash: tokenUtils.hashToken(refreshToken),
+    });
+
+    if (!storedToken) {
+      throw new UnauthorizedError('Invalid refresh token');
+    }
+
+    await authService.revokeFamily(storedToken.family, 'logout');
+  },
+
+  // Log out every session of a user
+  logoutAll: async (userId) => {
+    const result = await RefreshToken.updateMany(
+      { user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout_all' }
+    );
+
+    return result.modifiedCount;
+  },
+
+  // Revoke every outstanding token in a family
+  revokeFamily: async (family, reason) => {
+    await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  },
+
+  // A family stays active while it still has an unrevoked, unexpired refresh token
+  isTokenFamilyActive: async (family) => {
+    if (!family) {
+      return false;
+    }
+
+    const activeToken = await RefreshToken.exists({
+      family,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    return !!activeToken;
+  },
+
+  // Create a single-use token, invalidating any unused ones of the same type
+  createUserToken: async (userId, type, ttlMs) => {
+    await UserToken.updateMany(
+      { user: userId, type, usedAt: null },
+      { usedAt: new Date() }
+    );
+
+    const token = tokenUtils.generateOneTimeToken();
+
+    await UserToken.create({
+      user: userId,
+      type,
+      tokenHash: tokenUtils.hashToken(token),
+      expiresAt: new Date(Date.now() + ttlMs),
+    });
+
+    return token;
+  },
+
+  // Mark a single-use token as used and return it (null if invalid, used or expired)
+  consumeUserToken: async (token, type) => {
+    return await UserToken.findOneAndUpdate(
+      {
+        tokenHash: tokenUtils.hashToken(token),
+        type,
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { usedAt: new Date() },
+      { new: true }
+    );
+  },
+
+  // Send email verification link
+  sendVerificationEmail: async (user) => {
+    const token = await authService.createUserToken(
+      user._id,
+      'email_verification',
+      EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+    );
+
+    await mailer.sendMail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Please confirm your email address by opening the link below:',
+        `${getClientUrl()}/verify-email?token=${token}`,
+        '',
+        `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+      ].join('\n'),
+    });
+  },
+
+  // Re-send verification email for the authenticated user
+  resendVerificationEmail: async (userId) => {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.isEmailVerified) {
+      throw new BusinessRuleError('Email is already verified');
+    }
+
+    await authService.sendVerificationEmail(user);
+  },
+
+  // Verify email with token from the verification link
+  verifyEmail: async (token) => {
+    const userToken = await authService.consumeUserToken(token, 'email_verification');
+    if (!userToken) {
+      throw new ValidationError('Invalid or expired token');
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userToken.user,
+      { isEmailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    return user.toJSON();
+  },
+
+  // Send password reset link (silently ignores unknown emails)
+  requestPasswordReset: async (email) => {
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      return;
+    }
+
+    const token = await authService.createUserToken(
+      user._id,
+      'password_reset',
+      PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+    );
+
+    await mailer.sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'We received a request to reset your password. Open the link below to choose a new one:',
+        `${getClientUrl()}/reset-password?token=${token}`,
+        '',
+        `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not request a reset, you can ignore this email.`,
+      ].join('\n'),
+    });
+  },
+
+  // Reset password with token from the reset link
+  resetPassword: async (token, newPassword) => {
+    const userToken = await authService.consumeUserToken(token, 'password_reset');
+    if (!userToken) {
+      throw new ValidationError('Invalid or expired token');
+    }
+
+    const user = await User.findById(userToken.user);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    user.passwordHash = await passwordUtils.hashPassword(newPassword);
+    await user.save();
+
+    // Whoever knew the old password must not stay logged in
+    await authService.logoutAll(user._id);
+  },
+
   // Get user by ID (for auth middleware)
   getUserById: async (userId) => {
     return await User.findById(userId);
@@ -1,5 +1,7 @@
 // src/service/farm.service.js
 const Farm = require('../modules/farms/farm.model');
+const FarmMember = require('../modules/farms/farmMember.model');
+const farmAccess = require('../modules/farms/farmAccess');
 
 const farmService = {
   // Create a new farm
@@ -22,9 +24,19 @@ const farmService = {
     return farm;
   },
 
-  // Get all farms for a user
+  // Get all farms the user owns or is a member of
   getUserFarms: async (userId, includeArchived = false) => {
-    const query = { user: userId };
+    const memberships = await FarmMember.find({
+      user: userId,
+      status: 'active',
+    }).lean();
+
+    const query = {
+      $or: [
+        { user: userId },
+        { _id: { $in: memberships.map(membership => membership.farm) } },
+      ],
+    };
     
     if (!includeArchived) {
       query.isArchived = false;
@@ -34,25 +46,35 @@ const farmService = {
       .sort({ isDefault: -1, createdAt: -1 }) // Default farms first
       .lean();
     
-    return farms;
+    // Tag each farm with the user's role on it
+    return farms.map(farm => {
+      const membership = memberships.find(m => m.farm.toString() === farm._id.toString());
+      return {
+        ...farm,
+        role: farm.user.toString() === userId.toString() ? 'owner' : membership.role,
+      };
+    });
   },
 
-  // Get farm by ID (with user check)
+  // Get farm by ID (owner or member)
   getFarmById: async (farmId, userId) => {
-    const farm = await Farm.findOne({
-      _id: farmId,
-      user: userId,
-    });
-    return farm;
+    const access = await farmAccess.getFarmAccess(farmId, userId, { includeArchived: true });
+    return access ? access.farm : null;
   },
 
   // Update farm
   updateFarm: async (farmId, userId, updateData) => {
-    // If setting isDefault to true, unset other default farms first
+    const farm = await farmAccess.findAccessibleFarm(farmId, userId, 'farm:write');
+
+    if (!farm) {
+      return null;
+    }
+
+    // If setting isDefault to true, unset the owner's other default farms first
     if (updateData.isDefault === true) {
       await Farm.updateMany(
         {
-          user: userId,
+          user: farm.user,
           _id: { $ne: farmId },
           isDefault: true,
         },
@@ -60,18 +82,15 @@ const farmService = {
       );
     }
 
-    const farm = await Farm.findOneAndUpdate(
-      {
-        _id: farmId,
-        user: userId,
-      },
+    const updatedFarm = await Farm.findByIdAndUpdate(
+      farmId,
       updateData,
       {
         new: true,
         runValidators: true,
       }
     );
-    return farm;
+    return updatedFarm;
   },
 
   // Archive farm (soft delete)
@@ -126,6 +145,12 @@ const farmService = {
       _id: farmId,
       user: userId,
     });
+
+    // Remove memberships and pending invitations
+    if (result) {
+      await FarmMember.deleteMany({ farm: farmId });
+    }
+
     return result;
   },
 
@@ -0,0 +1,152 @@
+// src/service/farmMember.service.js
+const crypto = require('crypto');
+const Farm = require('../modules/farms/farm.model');
+const FarmMember = require('../modules/farms/farmMember.model');
+const User = require('../modules/users/user.model');
+const farmAccess = require('../modules/farms/farmAccess');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const INVITE_EXPIRY_DAYS = 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Managers may only hand out and manage the lower roles
+const assertCanManageRole = (actorRole, role) => {
+  if (actorRole !== 'owner' && !farmAccess.MANAGER_ASSIGNABLE_ROLES.includes(role)) {
+    throw new ForbiddenError(`Only farm owners can manage the ${role} role`);
+  }
+};
+
+const farmMemberService = {
+  // Get the owner and all members/invitations of a farm
+  getFarmMembers: async (farmId) => {
+    const farm = await Farm.findById(farmId).populate('user', 'name email');
+
+    if (!farm) {
+      throw new NotFoundError('Farm not found');
+    }
+
+    const members = await FarmMember.find({ farm: farmId })
+      .populate('user', 'name email')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: 1 });
+
+    return {
+      owner: farm.user,
+      members,
+    };
+  },
+
+  // Invite a user (by email) to join a farm
+  inviteMember: async (farmId, inviterId, inviterRole, { email, role }) => {
+    if (!FarmMember.ROLES.includes(role)) {
+      throw new ValidationError(`Invalid role. Must be one of: ${FarmMember.ROLES.join(', ')}`);
+    }
+
+    assertCanManageRole(inviterRole, role);
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    // The farm creator is already the owner
+    const farm = await Farm.findById(farmId).populate('user', 'email');
+    if (!farm || !farm.user) {
+      throw new NotFoundError('Farm not found');
+    }
+
+    if (farm.user.email === normalizedEmail) {
+      throw new ConflictError('User is already a member of this farm');
+    }
+
+    let member = await FarmMember.findOne({ farm: farmId, email: normalizedEmail });
+
+    if (member && member.status === 'active') {
+      throw new ConflictError('User is already a member of this farm');
+    }
+
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+    const inviteExpiresAt = new Date(Date.now() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+    // Re-inviting replaces the previous token
+    if (!member) {
+      member = new FarmMember({ farm: farmId, email: normalizedEmail });
+    }
+
+    member.role = role;
+    member.status = 'invited';
+    member.invitedBy = inviterId;
+    member.inviteTokenHash = hashToken(inviteToken);
+    member.inviteExpiresAt = inviteExpiresAt;
+    await member.save();
+
+    return { member, inviteToken };
+  },
+
+  // Accept an invitation as the authenticated user
+  acceptInvitation: async (farmId, userId, token) => {
+    const member = await FarmMember.findOne({
+      farm: farmId,
+      inviteTokenHash: hashToken(token),
+      status: 'invited',
+    });
+
+    if (!member || member.inviteExpiresAt < new Date()) {
+      throw new NotFoundError('Invitation not found or expired');
+    }
+
+    const user = await User.findById(userId);
+    if (!user || user.email !== member.email) {
+      throw new ForbiddenError('This invitation was sent to a different email address');
+    }
+
+    const farm = await Farm.findOne({ _id: farmId, isArchived: false });
+    if (!farm) {
+      throw new NotFoundError('Farm not found');
+    }
+
+    member.user = userId;
+    member.status = 'active';
+    member.acceptedAt = new Date();
+    member.inviteTokenHash = undefined;
+    member.inviteExpiresAt = undefined;
+    await member.save();
+
+    return member;
+  },
+
+  // Change a member's role
+  updateMemberRole: async (farmId, memberId, actorRole, role) => {
+    if (!FarmMember.ROLES.includes(role)) {
+      throw new ValidationError(`Invalid role. Must be one of: ${FarmMember.ROLES.join(', ')}`);
+    }
+
+    const member = await FarmMember.findOne({ _id: memberId, farm: farmId });
+
+    if (!member) {
+      return null;
+    }
+
+    assertCanManageRole(actorRole, member.role);
+    assertCanManageRole(actorRole, role);
+
+    member.role = role;
+    await member.save();
+
+    return member;
+  },
+
+  // Remove a member or revoke a pending invitation
+  removeMember: async (farmId, memberId, actorRole) => {
+    const member = await FarmMember.findOne({ _id: memberId, farm: farmId });
+
+    if (!member) {
+      return null;
+    }
+
+    assertCanManageRole(actorRole, member.role);
+
+    await member.deleteOne();
+    return member;
+  },
+};
+
+module.exports = farmMemberService;
@@ -0,0 +1,65 @@
+// src/utils/errors.js
+
+// Base class for errors the API reports to clients. The error handler turns these into
+//   { status: 'error', code, message, errors? }
+// using their statusCode and code; anything else is treated as an unexpected 500.
+class AppError extends Error {
+  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Request data is malformed or missing (details lists the invalid fields)
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed', details) {
+    super(message, 400, 'VALIDATION_ERROR', details);
+  }
+}
+
+// Missing, invalid or expired credentials
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, 401, 'UNAUTHORIZED');
+  }
+}
+
+// Authenticated user is not allowed to do this
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action') {
+    super(message, 403, 'FORBIDDEN');
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found') {
+    super(message, 404, 'NOT_FOUND');
+  }
+}
+
+// Request clashes with existing data (duplicates, already done)
+class ConflictError extends AppError {
+  constructor(message = 'Resource already exists') {
+    super(message, 409, 'CONFLICT');
+  }
+}
+
+// Request is well-formed but breaks a domain rule (e.g. selling a dead animal)
+class BusinessRuleError extends AppError {
+  constructor(message) {
+    super(message, 422, 'BUSINESS_RULE_VIOLATION');
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  BusinessRuleError,
+};
@@ -0,0 +1,22 @@
+// src/utils/fileOutbox.js
+const fs = require('fs/promises');
+const path = require('path');
+
+// Local stand-in for an external service (mail, SMS, webhooks): writes each message as a
+// JSON file under tmp/<folder> (or the directory in `dirEnv`) so deliveries can be inspected
+const writeToOutbox = async (folder, dirEnv, recipient, payload) => {
+  const outboxDir = process.env[dirEnv] || path.join(process.cwd(), 'tmp', folder);
+  await fs.mkdir(outboxDir, { recursive: true });
+
+  const safeRecipient = String(recipient).replace(/[^a-z0-9@._+-]/gi, '_').slice(0, 100);
+  const filePath = path.join(outboxDir, `${Date.now()}-${safeRecipient}.json`);
+
+  await fs.writeFile(
+    filePath,
+    JSON.stringify({ ...payload, sentAt: new Date().toISOString() }, null, 2)
+  );
+
+  return filePath;
+};
+
+module.exports = writeToOutbox;
@@ -0,0 +1,74 @@
+// src/utils/icsCalendar.js
+
+// iCalendar (RFC 5545) text for calendar subscriptions. Events are all-day:
+// { uid, date, summary, description?, endDate? }
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// YYYYMMDD for all-day values, YYYYMMDDTHHMMSSZ for timestamps
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+const formatTimestamp = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const addDay = (date) => new Date(new Date(date).getTime() + 24 * 60 * 60 * 1000);
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const fold = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char, 'utf8') > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const icsCalendar = {
+  contentType: 'text/calendar; charset=utf-8',
+
+  // Render a calendar; returns the file's text
+  render: ({ name, events }) => {
+    const stamp = formatTimestamp(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Farm Weaver//Breeding Calendar//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(name)}`,
+    ];
+
+    events.forEach(event => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+        // The end date of an all-day event is exclusive
+        `DTEND;VALUE=DATE:${formatDate(addDay(event.endDate || event.date))}`,
+        `SUMMARY:${escapeText(event.summary)}`
+      );
+
+      if (event.description) {
+        lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+      }
+
+      lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return `${lines.map(fold).join('\r\n')}\r\n`;
+  },
+};
+
+module.exports = icsCalendar;
@@ -0,0 +1,18 @@
+// src/utils/mailTransports/console.transport.js
+
+// Prints emails to stdout (default for local development)
+const consoleTransport = {
+  send: async (message) => {
+    console.log('========== EMAIL ==========');
+    console.log(`From: ${message.from}`);
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('===========================');
+
+    return { transport: 'console', delivered: true };
+  },
+};
+
+module.exports = consoleTransport;
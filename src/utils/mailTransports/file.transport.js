@@ -0,0 +1,13 @@
+// src/utils/mailTransports/file.transport.js
+const writeToOutbox = require('../fileOutbox');
+
+// Writes each email as a JSON file so flows can be inspected/tested without SMTP
+const fileTransport = {
+  send: async (message) => {
+    const filePath = await writeToOutbox('mail', 'MAIL_FILE_DIR', message.to, message);
+
+    return { transport: 'file', delivered: true, path: filePath };
+  },
+};
+
+module.exports = fileTransport;
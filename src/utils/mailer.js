@@ -0,0 +1,45 @@
+// src/utils/mailer.js
+const consoleTransport = require('./mailTransports/console.transport');
+const fileTransport = require('./mailTransports/file.transport');
+
+// Transports must expose `send(message)` returning a promise
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+const mailer = {
+  // Register an additional transport (e.g. SMTP or a provider API)
+  registerTransport: (name, transport) => {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('Mail transport must implement send(message)');
+    }
+    transports[name] = transport;
+  },
+
+  // Get the transport selected by MAIL_TRANSPORT (defaults to console)
+  getTransport: () => {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[name];
+
+    if (!transport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    return transport;
+  },
+
+  // Send an email
+  sendMail: async ({ to, subject, text }) => {
+    const message = {
+      from: process.env.MAIL_FROM || 'Farm Weaver <no-reply@farmweaver.local>',
+      to,
+      subject,
+      text,
+    };
+
+    return mailer.getTransport().send(message);
+  },
+};
+
+module.exports = mailer;
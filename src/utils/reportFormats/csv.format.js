@@ -0,0 +1,36 @@
+// src/utils/reportFormats/csv.format.js
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toLine = (cells) => cells.map(escapeCell).join(',');
+
+// One file: title and details first, then each table under its heading
+const csvFormat = {
+  extension: 'csv',
+  contentType: 'text/csv; charset=utf-8',
+
+  render: (document) => {
+    const lines = [toLine([document.title])];
+
+    document.details.forEach(([label, value]) => lines.push(toLine([label, value])));
+
+    document.sections.forEach(section => {
+      lines.push('');
+      lines.push(toLine([section.title]));
+      lines.push(toLine(section.columns));
+      section.rows.forEach(row => lines.push(toLine(row)));
+    });
+
+    // Byte order mark so spreadsheet programs read the file as UTF-8
+    return Buffer.from(`\ufeff${lines.join('\r\n')}\r\n`, 'utf8');
+  },
+};
+
+module.exports = csvFormat;
@@ -0,0 +1,196 @@
+// src/utils/reportFormats/pdf.format.js
+
+// A plain PDF 1.4 writer: A4 pages, the built-in Helvetica fonts (no embedding),
+// and tables laid out in fixed columns that continue across pages.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const TITLE_SIZE = 16;
+const HEADING_SIZE = 11;
+const TEXT_SIZE = 8;
+const LINE_HEIGHT = 11;
+
+// Helvetica is about half an em wide on average; used to size columns and truncate cells
+const textWidth = (text, size) => text.length * size * 0.52;
+
+const toText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return value instanceof Date ? value.toISOString() : String(value);
+};
+
+// Standard fonts use WinAnsi encoding: anything outside Latin-1 becomes '?'
+const escapePdf = (text) => text
+  .replace(/[^\x20-\xff]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+const fit = (text, width, size) => {
+  if (textWidth(text, size) <= width) {
+    return text;
+  }
+  const chars = Math.max(0, Math.floor(width / (size * 0.52)) - 3);
+  return `${text.slice(0, chars)}...`;
+};
+
+// Columns share the width in proportion to their longest cell, within limits
+const columnWidths = (columns, rows) => {
+  const longest = columns.map((column, index) => {
+    const lengths = [toText(column).length, ...rows.map(row => toText(row[index]).length)];
+    return Math.min(Math.max(...lengths, 4), 40);
+  });
+  const total = longest.reduce((sum, length) => sum + length, 0);
+  return longest.map(length => (length / total) * CONTENT_WIDTH);
+};
+
+const createLayout = () => {
+  const pages = [];
+  let ops = null;
+  let y = 0;
+
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  const text = (value, x, size, bold = false) => {
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapePdf(value)}) Tj ET`);
+  };
+
+  const rule = () => {
+    ops.push(`${MARGIN} ${(y - 3).toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${(y - 3).toFixed(2)} l 0.5 w S`);
+  };
+
+  // Move down, starting a new page when the line would not fit
+  const advance = (height) => {
+    if (y - height < MARGIN + LINE_HEIGHT) {
+      newPage();
+      return true;
+    }
+    y -= height;
+    return false;
+  };
+
+  const row = (cells, widths, bold = false) => {
+    let x = MARGIN;
+    cells.forEach((cell, index) => {
+      text(fit(toText(cell), widths[index] - 4, TEXT_SIZE), x, TEXT_SIZE, bold);
+      x += widths[index];
+    });
+  };
+
+  newPage();
+
+  return {
+    pages,
+    title: (value) => {
+      y -= TITLE_SIZE;
+      text(fit(toText(value), CONTENT_WIDTH, TITLE_SIZE), MARGIN, TITLE_SIZE, true);
+      y -= LINE_HEIGHT / 2;
+    },
+    detail: (label, value) => {
+      advance(LINE_HEIGHT);
+      text(fit(toText(label), 150, TEXT_SIZE + 1), MARGIN, TEXT_SIZE + 1, true);
+      text(fit(toText(value), CONTENT_WIDTH - 160, TEXT_SIZE + 1), MARGIN + 160, TEXT_SIZE + 1);
+    },
+    table: (section) => {
+      const widths = columnWidths(section.columns, section.rows);
+      const header = () => {
+        row(section.columns, widths, true);
+        rule();
+      };
+
+      // Keep the heading with the header row and at least one line
+      if (y - (LINE_HEIGHT * 4 + HEADING_SIZE) < MARGIN + LINE_HEIGHT) {
+        newPage();
+      } else {
+        y -= LINE_HEIGHT * 2;
+      }
+      text(fit(toText(section.title), CONTENT_WIDTH, HEADING_SIZE), MARGIN, HEADING_SIZE, true);
+      advance(LINE_HEIGHT + 4);
+      header();
+
+      if (section.rows.length === 0) {
+        advance(LINE_HEIGHT + 2);
+        text('No data', MARGIN, TEXT_SIZE);
+        return;
+      }
+
+      section.rows.forEach((cells, index) => {
+        const brokeOntoNewPage = advance(LINE_HEIGHT + (index === 0 ? 2 : 0));
+        if (brokeOntoNewPage) {
+          // Repeat the header on the continuation page
+          header();
+          advance(LINE_HEIGHT + 2);
+        }
+        row(cells, widths);
+      });
+    },
+  };
+};
+
+const buildPdf = (pages) => {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  const pageIds = pages.map((ops, index) => {
+    const footer = `BT /F1 ${TEXT_SIZE} Tf ${PAGE_WIDTH - MARGIN - 60} ${MARGIN / 2} Td (Page ${index + 1} of ${pages.length}) Tj ET`;
+    const stream = [...ops, footer].join('\n');
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+      + `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(offset => {
+    output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  });
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+const pdfFormat = {
+  extension: 'pdf',
+  contentType: 'application/pdf',
+
+  render: (document) => {
+    const layout = createLayout();
+
+    layout.title(document.title);
+    document.details.forEach(([label, value]) => layout.detail(label, value));
+    document.sections.forEach(section => layout.table(section));
+
+    return buildPdf(layout.pages);
+  },
+};
+
+module.exports = pdfFormat;
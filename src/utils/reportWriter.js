@@ -0,0 +1,37 @@
+// src/utils/reportWriter.js
+const csvFormat = require('./reportFormats/csv.format');
+const xlsxFormat = require('./reportFormats/xlsx.format');
+const pdfFormat = require('./reportFormats/pdf.format');
+
+// Formats must expose `extension`, `contentType` and `render(document)` returning a Buffer.
+// A document is { title, details: [[label, value]], sections: [{ title, columns, rows }] }.
+const formats = {
+  csv: csvFormat,
+  xlsx: xlsxFormat,
+  excel: xlsxFormat,
+  pdf: pdfFormat,
+};
+
+const reportWriter = {
+  formats: () => Object.keys(formats),
+
+  // Get a format by name, or null when it is not supported
+  getFormat: (name) => formats[String(name || '').toLowerCase()] || null,
+
+  // Render a document; returns { buffer, extension, contentType }
+  render: (name, document) => {
+    const format = reportWriter.getFormat(name);
+
+    if (!format) {
+      throw new Error(`Unknown report format: ${name}`);
+    }
+
+    return {
+      buffer: format.render(document),
+      extension: format.extension,
+      contentType: format.contentType,
+    };
+  },
+};
+
+module.exports = reportWriter;
@@ -0,0 +1,28 @@
+// src/utils/requestContext.js
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Per-request values (e.g. the acting user) available anywhere down the call chain
+const requestContext = {
+  // Run a function with a fresh context
+  run: (values, fn) => {
+    return storage.run({ ...values }, fn);
+  },
+
+  // Get a value from the current context (undefined outside a request)
+  get: (key) => {
+    const store = storage.getStore();
+    return store ? store[key] : undefined;
+  },
+
+  // Set a value on the current context
+  set: (key, value) => {
+    const store = storage.getStore();
+    if (store) {
+      store[key] = value;
+    }
+  },
+};
+
+module.exports = requestContext;
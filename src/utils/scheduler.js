@@ -0,0 +1,98 @@
+// src/utils/scheduler.js
+
+// Minimal in-process scheduler for recurring background jobs.
+// Times are "HH:MM" in the server's local time zone.
+const jobs = new Map();
+
+const parseTime = (time) => {
+  const [hour, minute] = String(time).split(':').map(Number);
+
+  if (!Number.isInteger(hour) || !Number.isInteger(minute) || hour < 0 || hour > 23 || minute < 0 || minute > 59) {
+    throw new Error(`Invalid job time "${time}", expected HH:MM`);
+  }
+
+  return { hour, minute };
+};
+
+// Milliseconds until the next occurrence of a time of day
+const msUntil = ({ hour, minute }) => {
+  const now = new Date();
+  const next = new Date(now);
+  next.setHours(hour, minute, 0, 0);
+
+  if (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+
+  return next - now;
+};
+
+// Run a job, skipping it if the previous run has not finished; failures are logged only
+const runJob = async (job) => {
+  if (job.running) {
+    return;
+  }
+
+  job.running = true;
+  const startedAt = Date.now();
+
+  try {
+    const result = await job.task();
+    console.log(`Job "${job.name}" finished in ${Date.now() - startedAt}ms`, result || '');
+  } catch (error) {
+    console.error(`Job "${job.name}" failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+const scheduler = {
+  // Run `task` every day at `time`, optionally also right away
+  daily: (name, time, task, { runOnStart = false } = {}) => {
+    scheduler.cancel(name);
+
+    const at = parseTime(time);
+    const job = { name, task, running: false, timer: null };
+
+    const scheduleNext = () => {
+      job.timer = setTimeout(async () => {
+        await runJob(job);
+        scheduleNext();
+      }, msUntil(at));
+
+      // Do not keep the process alive just for the scheduler
+      job.timer.unref();
+    };
+
+    jobs.set(name, job);
+    scheduleNext();
+
+    if (runOnStart) {
+      runJob(job);
+    }
+
+    return job;
+  },
+
+  // Run a registered job immediately
+  runNow: async (name) => {
+    const job = jobs.get(name);
+    if (job) {
+      await runJob(job);
+    }
+  },
+
+  cancel: (name) => {
+    const job = jobs.get(name);
+    if (job) {
+      clearTimeout(job.timer);
+      jobs.delete(name);
+    }
+  },
+
+  stopAll: () => {
+    [...jobs.keys()].forEach(name => scheduler.cancel(name));
+  },
+};
+
+module.exports = scheduler;
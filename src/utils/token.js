@@ -1,27 +1,64 @@
 // src/utils/token.js
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Never fall back to a built-in secret, tokens signed with it could be forged by anyone
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET environment variable is not set');
+  }
+  return process.env.JWT_SECRET;
+};
+
 const tokenUtils = {
-  // Create JWT token
-  generateToken: (userId) => {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+
+  // Create short-lived access token tied to a refresh token family
+  generateAccessToken: (userId, family) => {
     return jwt.sign(
-      { userId },
-      process.env.JWT_SECRET || 'your-secret-key-change-this-in-production',
-      { expiresIn: '7d' }
+      { userId, family },
+      getSecret(),
+      { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
     );
   },
 
-  // Verify JWT token
+  // Verify access token
   verifyToken: (token) => {
     try {
-      return jwt.verify(
-        token,
-        process.env.JWT_SECRET || 'your-secret-key-change-this-in-production'
-      );
+      return jwt.verify(token, getSecret());
     } catch (error) {
       return null;
     }
-  }
+  },
+
+  // Create opaque refresh token (only its hash is stored)
+  generateRefreshToken: () => {
+    return crypto.randomBytes(48).toString('hex');
+  },
+
+  // Create token for email verification / password reset links
+  generateOneTimeToken: () => {
+    return crypto.randomBytes(32).toString('hex');
+  },
+
+  // Create ID shared by every refresh token issued from one login
+  generateTokenFamily: () => {
+    return crypto.randomUUID();
+  },
+
+  // Hash a token for storage and lookup
+  hashToken: (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  },
+
+  // Get expiry date for a new refresh token
+  getRefreshTokenExpiry: () => {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  },
 };
 
-module.exports = tokenUtils;
\ No newline at end of file
+module.exports = tokenUtils;
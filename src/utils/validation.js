@@ -0,0 +1,219 @@
+// src/utils/validation.js
+const mongoose = require('mongoose');
+
+// Declarative field rules used by the validate middleware, e.g.
+//   { name: { type: 'string', required: true, maxLength: 100 } }
+//
+// Supported rule keys:
+//   type       'string' | 'number' | 'integer' | 'boolean' | 'date' | 'objectId' | 'email' | 'array' | 'object' | 'any'
+//   required   value must be present (not undefined, null or '')
+//   enum       list of allowed values
+//   min, max   bounds for numbers and dates
+//   minLength, maxLength  bounds for string length and array size
+//   match      regular expression a string must match
+//   items      rule applied to every array element
+//   fields     schema for a nested object (unknown keys are dropped)
+
+const EMAIL_REGEX = /^\S+@\S+\.\S+$/;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const isObjectId = (value) => {
+  return (typeof value === 'string' || value instanceof mongoose.Types.ObjectId) &&
+    mongoose.Types.ObjectId.isValid(value.toString()) &&
+    /^[0-9a-fA-F]{24}$/.test(value.toString());
+};
+
+// Check a single value against its rule, returning the (coerced) value and any errors
+const validateValue = (rule, value, path, errors) => {
+  if (isEmpty(value)) {
+    if (rule.required) {
+      errors.push({ field: path, message: `${path} is required` });
+    }
+    return value;
+  }
+
+  const type = rule.type || 'any';
+  let result = value;
+
+  switch (type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push({ field: path, message: `${path} must be a string` });
+        return value;
+      }
+      break;
+
+    case 'email':
+      if (typeof value !== 'string' || !EMAIL_REGEX.test(value.trim())) {
+        errors.push({ field: path, message: `${path} must be a valid email address` });
+        return value;
+      }
+      break;
+
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        errors.push({ field: path, message: `${path} must be a number` });
+        return value;
+      }
+      if (type === 'integer' && !Number.isInteger(number)) {
+        errors.push({ field: path, message: `${path} must be a whole number` });
+        return value;
+      }
+      result = number;
+      break;
+    }
+
+    case 'boolean':
+      if (value === 'true' || value === 'false') {
+        result = value === 'true';
+      } else if (typeof value !== 'boolean') {
+        errors.push({ field: path, message: `${path} must be true or false` });
+        return value;
+      }
+      break;
+
+    case 'date': {
+      const date = new Date(value);
+      if (typeof value === 'boolean' || isNaN(date.getTime())) {
+        errors.push({ field: path, message: `${path} must be a valid date` });
+        return value;
+      }
+      break;
+    }
+
+    case 'objectId':
+      if (!isObjectId(value)) {
+        errors.push({ field: path, message: `${path} must be a valid ID` });
+        return value;
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push({ field: path, message: `${path} must be an array` });
+        return value;
+      }
+      if (rule.items) {
+        result = value.map((item, index) => validateValue(rule.items, item, `${path}[${index}]`, errors));
+      }
+      break;
+
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ field: path, message: `${path} must be an object` });
+        return value;
+      }
+      if (rule.fields) {
+        result = validateObject(rule.fields, value, path, errors);
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(result)) {
+    errors.push({ field: path, message: `${path} must be one of: ${rule.enum.join(', ')}` });
+  }
+
+  if (typeof result === 'number') {
+    if (rule.min !== undefined && result < rule.min) {
+      errors.push({ field: path, message: `${path} must be at least ${rule.min}` });
+    }
+    if (rule.max !== undefined && result > rule.max) {
+      errors.push({ field: path, message: `${path} cannot exceed ${rule.max}` });
+    }
+  }
+
+  if (type === 'date') {
+    const time = new Date(result).getTime();
+    if (rule.min !== undefined && time < new Date(rule.min).getTime()) {
+      errors.push({ field: path, message: `${path} cannot be before ${new Date(rule.min).toISOString()}` });
+    }
+    if (rule.max === 'now' && time > Date.now()) {
+      errors.push({ field: path, message: `${path} cannot be in the future` });
+    } else if (rule.max !== undefined && rule.max !== 'now' && time > new Date(rule.max).getTime()) {
+      errors.push({ field: path, message: `${path} cannot be after ${new Date(rule.max).toISOString()}` });
+    }
+  }
+
+  if (typeof result === 'string' || Array.isArray(result)) {
+    const unit = typeof result === 'string' ? 'characters' : 'items';
+    if (rule.minLength !== undefined && result.length < rule.minLength) {
+      errors.push({ field: path, message: `${path} must have at least ${rule.minLength} ${unit}` });
+    }
+    if (rule.maxLength !== undefined && result.length > rule.maxLength) {
+      errors.push({ field: path, message: `${path} cannot exceed ${rule.maxLength} ${unit}` });
+    }
+  }
+
+  if (rule.match && typeof result === 'string' && !rule.match.test(result)) {
+    errors.push({ field: path, message: rule.matchMessage || `${path} is invalid` });
+  }
+
+  return result;
+};
+
+// Validate an object against a schema, keeping only the fields the schema declares
+const validateObject = (schema, data, prefix, errors) => {
+  const source = data || {};
+  const result = {};
+
+  Object.keys(schema).forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = validateValue(schema[key], source[key], path, errors);
+
+    if (value !== undefined) {
+      result[key] = value;
+    }
+  });
+
+  return result;
+};
+
+const validation = {
+  isObjectId,
+
+  // Validate data against a schema, returning the filtered data and every error found
+  validate: (schema, data, location) => {
+    const errors = [];
+    const value = validateObject(schema, data, '', errors);
+
+    return {
+      value,
+      errors: errors.map(error => ({ location, ...error })),
+    };
+  },
+
+  // Copy of a schema with nothing required (for partial updates)
+  partial: (schema) => {
+    const result = {};
+
+    Object.keys(schema).forEach(key => {
+      const rule = { ...schema[key], required: false };
+      if (rule.fields) {
+        rule.fields = validation.partial(rule.fields);
+      }
+      result[key] = rule;
+    });
+
+    return result;
+  },
+
+  // Allowed values of a Mongoose enum path (null is handled as "not provided")
+  enumOf: (Model, path) => Model.schema.path(path).enumValues.filter(value => value !== null),
+
+  // Shared rule for ID route params
+  objectId: (options = {}) => ({ type: 'objectId', required: true, ...options }),
+
+  // Shared query rules for paginated list endpoints
+  pagination: {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1 },
+  },
+};
+
+module.exports = validation;
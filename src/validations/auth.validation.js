@@ -0,0 +1,46 @@
+// src/validations/auth.validation.js
+const PASSWORD_MIN_LENGTH = 6;
+
+const authValidation = {
+  register: {
+    body: {
+      name: { type: 'string', required: true, maxLength: 100 },
+      email: { type: 'email', required: true },
+      password: { type: 'string', required: true, minLength: PASSWORD_MIN_LENGTH },
+    },
+  },
+
+  login: {
+    body: {
+      email: { type: 'email', required: true },
+      password: { type: 'string', required: true },
+    },
+  },
+
+  refreshToken: {
+    body: {
+      refreshToken: { type: 'string', required: true },
+    },
+  },
+
+  verifyEmail: {
+    body: {
+      token: { type: 'string', required: true },
+    },
+  },
+
+  forgotPassword: {
+    body: {
+      email: { type: 'email', required: true },
+    },
+  },
+
+  resetPassword: {
+    body: {
+      token: { type: 'string', required: true },
+      password: { type: 'string', required: true, minLength: PASSWORD_MIN_LENGTH },
+    },
+  },
+};
+
+module.exports = authValidation;
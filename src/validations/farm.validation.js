@@ -0,0 +1,70 @@
+// src/validations/farm.validation.js
+const FarmMember = require('../modules/farms/farmMember.model');
+const { objectId, partial } = require('../utils/validation');
+
+const farmFields = {
+  name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+  description: { type: 'string', maxLength: 500 },
+  location: { type: 'string' },
+  themeColor: { type: 'string', match: /^#[0-9A-F]{6}$/i, matchMessage: 'themeColor must be a valid hex color code' },
+  isDefault: { type: 'boolean' },
+};
+
+const farmParams = {
+  farmId: objectId(),
+};
+
+const farmValidation = {
+  createFarm: {
+    body: farmFields,
+  },
+
+  getFarms: {
+    query: {
+      includeArchived: { type: 'boolean' },
+    },
+  },
+
+  farmId: {
+    params: farmParams,
+  },
+
+  updateFarm: {
+    params: farmParams,
+    body: partial(farmFields),
+  },
+
+  inviteMember: {
+    params: farmParams,
+    body: {
+      email: { type: 'email', required: true },
+      role: { type: 'string', required: true, enum: FarmMember.ROLES },
+    },
+  },
+
+  acceptInvitation: {
+    params: farmParams,
+    body: {
+      token: { type: 'string', required: true },
+    },
+  },
+
+  memberId: {
+    params: {
+      ...farmParams,
+      memberId: objectId(),
+    },
+  },
+
+  updateMemberRole: {
+    params: {
+      ...farmParams,
+      memberId: objectId(),
+    },
+    body: {
+      role: { type: 'string', required: true, enum: FarmMember.ROLES },
+    },
+  },
+};
+
+module.exports = farmValidation;
@@ -0,0 +1,11 @@
+// src/validations/user.validation.js
+const userValidation = {
+  updateProfile: {
+    body: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      email: { type: 'email' },
+    },
+  },
+};
+
+module.exports = userValidation;